@@ -0,0 +1,140 @@
+// Agreement metrics for the evaluation harness. A case passes a field when the
+// service's score falls inside the expected [min, max] range; the range error
+// is how far outside the range it landed (0 when inside).
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+export const rangeError = ([min, max], actual) => {
+  if (actual < min) return min - actual;
+  if (actual > max) return actual - max;
+  return 0;
+};
+
+// { field: { expected, actual, error, pass } } for one case. A field missing
+// from the result, or not a number, fails without an error distance.
+export const scoreCase = (expected, result = {}) =>
+  Object.fromEntries(Object.entries(expected).map(([field, range]) => {
+    const actual = result[field];
+    if (typeof actual !== 'number' || Number.isNaN(actual)) {
+      return [field, { expected: range, actual: actual ?? null, error: null, pass: false }];
+    }
+    const error = rangeError(range, actual);
+    return [field, { expected: range, actual, error, pass: error === 0 }];
+  }));
+
+// Average ranks, so tied values share a rank
+const ranks = (values) => {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    for (let i = start; i <= end; i++) result[order[i].index] = (start + end) / 2 + 1;
+    start = end + 1;
+  }
+  return result;
+};
+
+// Spearman rank correlation; null with fewer than three pairs or no variation
+export const spearman = (xs, ys) => {
+  if (xs.length < 3) return null;
+  const rx = ranks(xs);
+  const ry = ranks(ys);
+  const mean = (rx.length + 1) / 2;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < rx.length; i++) {
+    covariance += (rx[i] - mean) * (ry[i] - mean);
+    varianceX += (rx[i] - mean) ** 2;
+    varianceY += (ry[i] - mean) ** 2;
+  }
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+// Per service and field: how many scored cases agreed with the expected range,
+// the mean range error, and whether the scores order the cases the way the
+// range midpoints do. Skipped cases (no recording, errors) are only counted.
+export const summarize = (results) => {
+  const services = {};
+
+  for (const result of results) {
+    const service = services[result.service] || (services[result.service] = { cases: 0, skipped: 0, passed: 0, fields: {} });
+    service.cases++;
+    if (result.skipped) {
+      service.skipped++;
+      continue;
+    }
+    if (result.pass) service.passed++;
+
+    for (const [field, check] of Object.entries(result.fields)) {
+      const stats = service.fields[field] || (service.fields[field] = { checks: 0, agreed: 0, errors: [], midpoints: [], actuals: [] });
+      stats.checks++;
+      if (check.pass) stats.agreed++;
+      if (check.error !== null) {
+        stats.errors.push(check.error);
+        stats.midpoints.push((check.expected[0] + check.expected[1]) / 2);
+        stats.actuals.push(check.actual);
+      }
+    }
+  }
+
+  for (const service of Object.values(services)) {
+    for (const [field, stats] of Object.entries(service.fields)) {
+      const correlation = spearman(stats.midpoints, stats.actuals);
+      service.fields[field] = {
+        checks: stats.checks,
+        agreed: stats.agreed,
+        agreement: round(stats.agreed / stats.checks),
+        meanRangeError: stats.errors.length > 0 ? round(stats.errors.reduce((sum, error) => sum + error, 0) / stats.errors.length) : null,
+        rankCorrelation: correlation === null ? null : round(correlation)
+      };
+    }
+    const scored = service.cases - service.skipped;
+    service.agreement = scored > 0 ? round(service.passed / scored) : null;
+  }
+
+  return services;
+};
+
+// What gets stored as a baseline: the actual value of every checked field
+export const toBaseline = (results, { engine }) => ({
+  engine,
+  createdAt: new Date().toISOString(),
+  cases: Object.fromEntries(results
+    .filter(result => !result.skipped)
+    .map(result => [result.id, Object.fromEntries(
+      Object.entries(result.fields).map(([field, check]) => [field, check.actual])
+    )]))
+});
+
+// A regression is a field that agreed in the baseline and no longer does, or whose
+// range error grew by more than `tolerance` points. Improvements are the reverse.
+export const compareWithBaseline = (results, baseline, { tolerance = 10 } = {}) => {
+  const regressions = [];
+  const improvements = [];
+
+  for (const result of results) {
+    const previous = baseline.cases?.[result.id];
+    if (result.skipped || !previous) continue;
+
+    for (const [field, check] of Object.entries(result.fields)) {
+      const before = previous[field];
+      if (typeof before !== 'number') continue;
+
+      const beforeError = rangeError(check.expected, before);
+      const afterError = check.error ?? Infinity;
+      const change = { id: result.id, field, expected: check.expected, before, after: check.actual };
+
+      if ((beforeError === 0 && !check.pass) || afterError - beforeError > tolerance) {
+        regressions.push(change);
+      } else if ((beforeError > 0 && check.pass) || beforeError - afterError > tolerance) {
+        improvements.push(change);
+      }
+    }
+  }
+
+  return { regressions, improvements };
+};
@@ -0,0 +1,75 @@
+import fs from 'fs';
+import { createHash } from 'crypto';
+
+// Stand-in for the chat clients in src/services/ai/llm that answers from a file
+// of recorded model replies, so the LLM services can be scored offline and
+// deterministically. In record mode, calls without a recording are forwarded
+// to a real client and its reply is added to the file.
+
+export class MissingRecordingError extends Error {
+  constructor(key) {
+    super(`No recorded reply for request ${key.slice(0, 12)}; run the harness with --record`);
+    this.name = 'MissingRecordingError';
+    this.key = key;
+  }
+}
+
+// Replies are keyed by the conversation only, so changing a prompt template
+// makes its old recordings unreachable instead of silently reusing them
+export const recordingKey = (messages) =>
+  createHash('sha256')
+    .update(JSON.stringify(messages.map(({ role, content }) => [role, content])))
+    .digest('hex');
+
+export const loadRecordings = (file) =>
+  fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+
+export const saveRecordings = (file, recordings) => {
+  const sorted = Object.fromEntries(Object.entries(recordings).sort(([a], [b]) => a.localeCompare(b)));
+  fs.writeFileSync(file, `${JSON.stringify(sorted, null, 2)}\n`);
+};
+
+export class RecordedLLMClient {
+  // upstream: a real chat client to record from; without one, missing replies throw
+  constructor(recordings, { service, upstream } = {}) {
+    this.recordings = recordings;
+    this.service = service;
+    this.upstream = upstream;
+    this.provider = upstream?.provider || 'recorded';
+    this.model = upstream?.model || 'recorded';
+    this.maxTokens = upstream?.maxTokens || 1000;
+    this.misses = 0;
+    this.recorded = 0;
+  }
+
+  async chat({ messages, maxTokens, temperature }) {
+    const key = recordingKey(messages);
+    const recording = this.recordings[key];
+
+    if (recording) {
+      return {
+        content: recording.content,
+        usage: recording.usage || { inputTokens: 0, outputTokens: 0 },
+        provider: recording.provider,
+        model: recording.model
+      };
+    }
+
+    if (!this.upstream) {
+      this.misses++;
+      throw new MissingRecordingError(key);
+    }
+
+    const response = await this.upstream.chat({ messages, maxTokens, temperature });
+    this.recordings[key] = {
+      service: this.service,
+      provider: response.provider,
+      model: response.model,
+      content: response.content,
+      usage: response.usage,
+      recordedAt: new Date().toISOString()
+    };
+    this.recorded++;
+    return response;
+  }
+}
@@ -0,0 +1,267 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { logger } from '../src/utils/logger.js';
+import { createLLMClient, getProviderForService } from '../src/services/ai/llm/index.js';
+import { SpeechAnalysisService } from '../src/services/ai/speechAnalysis.js';
+import { EnergyDetectionService } from '../src/services/ai/energyDetection.js';
+import { CoherenceAnalysisService } from '../src/services/ai/coherenceAnalysis.js';
+import {
+  HeuristicSpeechAnalysisService,
+  HeuristicEnergyDetectionService,
+  HeuristicCoherenceAnalysisService
+} from '../src/services/ai/heuristic/index.js';
+import { RecordedLLMClient, loadRecordings, saveRecordings } from './recordedClient.js';
+import { scoreCase, summarize, toBaseline, compareWithBaseline } from './metrics.js';
+
+// Offline evaluation of the AI scoring services: runs the fixture transcripts in
+// eval/fixtures through each service and checks the scores against the expected
+// ranges, then compares with the stored baseline to flag regressions.
+//
+//   npm run eval                               score the rule-based engines
+//   npm run eval -- --engine recorded          replay recorded model replies
+//   npm run eval -- --engine recorded --record record replies that are missing
+//   npm run eval -- --update-baseline          accept the current scores
+//
+// The heuristic engine is the default because it needs no provider or recordings,
+// so it runs in CI against the committed baseline.
+//
+// Exits with 1 when a regression is found, 2 on bad arguments and 3 when the run
+// is incomplete: a case was skipped (e.g. no recorded reply) or there is no baseline
+// to compare with. An incomplete run never updates the baseline.
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const RECORDINGS_DIR = path.join(__dirname, 'recordings');
+const BASELINES_DIR = path.join(__dirname, 'baselines');
+
+const SERVICES = {
+  speechAnalysis: { LLMService: SpeechAnalysisService, HeuristicService: HeuristicSpeechAnalysisService, envPrefix: 'SPEECH_ANALYSIS' },
+  energyDetection: { LLMService: EnergyDetectionService, HeuristicService: HeuristicEnergyDetectionService, envPrefix: 'ENERGY_DETECTION' },
+  coherenceAnalysis: { LLMService: CoherenceAnalysisService, HeuristicService: HeuristicCoherenceAnalysisService, envPrefix: 'COHERENCE_ANALYSIS' }
+};
+
+const ENGINES = ['recorded', 'heuristic'];
+
+const usage = (message) => {
+  console.error(`${message}
+
+Usage: node eval/run.js [options]
+  --engine <heuristic|recorded>  services to evaluate (default: heuristic)
+  --recordings <name>            recorded replies in eval/recordings/<name>.json (default: default)
+  --record                       call the configured LLM for replies that are not recorded yet
+  --service <name>               only run fixtures for this service
+  --case <id>                    only run this case
+  --tolerance <points>           range error growth that counts as a regression (default: 10)
+  --update-baseline              store the current scores as the new baseline
+  --json                         print the full report as JSON
+  --verbose                      show service logs`);
+  process.exit(2);
+};
+
+const parseOptions = () => {
+  try {
+    const { values } = parseArgs({
+      options: {
+        engine: { type: 'string', default: 'heuristic' },
+        recordings: { type: 'string', default: 'default' },
+        record: { type: 'boolean', default: false },
+        service: { type: 'string' },
+        case: { type: 'string' },
+        tolerance: { type: 'string', default: '10' },
+        'update-baseline': { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        verbose: { type: 'boolean', default: false }
+      }
+    });
+    if (!ENGINES.includes(values.engine)) usage(`Unknown engine "${values.engine}"`);
+    if (values.service && !SERVICES[values.service]) usage(`Unknown service "${values.service}"`);
+    if (values.record && values.engine !== 'recorded') usage('--record only applies to the recorded engine');
+    if (!/^[\w-]+$/.test(values.recordings)) usage('--recordings must be a plain name');
+    if (Number.isNaN(Number(values.tolerance))) usage('--tolerance must be a number');
+    return { ...values, tolerance: Number(values.tolerance) };
+  } catch (error) {
+    usage(error.message);
+  }
+};
+
+const loadFixtures = () =>
+  fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')));
+
+// The LLM services are built without the response cache and usage accounting,
+// and their chat client is swapped for one that answers from the recordings
+const buildService = (service, options, recordings) => {
+  const { LLMService, HeuristicService, envPrefix } = SERVICES[service];
+  if (options.engine === 'heuristic') return { instance: new HeuristicService() };
+
+  let upstream;
+  if (options.record) {
+    if (getProviderForService(service) === 'heuristic') {
+      throw new Error(`Recording ${service} needs an LLM provider, it is configured as heuristic`);
+    }
+    upstream = createLLMClient(service);
+  } else {
+    // Replay never reaches a provider; this only lets the service construct without API keys
+    process.env[`${envPrefix}_LLM_PROVIDER`] = 'local';
+  }
+
+  const instance = new LLMService();
+  const client = new RecordedLLMClient(recordings, { service, upstream });
+  instance.llm = client;
+  return { instance, client };
+};
+
+const runCase = async (service, { instance, client }, testCase) => {
+  const base = { id: testCase.id, service, method: testCase.method };
+  const missesBefore = client?.misses || 0;
+
+  let result;
+  try {
+    result = await instance[testCase.method](...testCase.args);
+  } catch (error) {
+    return { ...base, skipped: true, reason: `threw ${error.message}` };
+  }
+
+  if (client && client.misses > missesBefore) {
+    return { ...base, skipped: true, reason: 'no recorded reply' };
+  }
+  // The service discarded the recorded reply (e.g. it failed validation twice)
+  if (client && result?.source === 'fallback') {
+    return { ...base, skipped: true, reason: 'service fell back to defaults' };
+  }
+
+  const fields = scoreCase(testCase.expected, result);
+  return {
+    ...base,
+    skipped: false,
+    pass: Object.values(fields).every(check => check.pass),
+    fields,
+    promptVersion: result?.promptVersion
+  };
+};
+
+const formatRange = ([min, max]) => `${min}-${max}`;
+
+const printReport = (report) => {
+  const { options, services, results, comparison } = report;
+
+  console.log(`Evaluating the ${options.engine} engine${options.engine === 'recorded' ? ` with recordings "${options.recordings}"` : ''}\n`);
+
+  for (const [service, summary] of Object.entries(services)) {
+    const scored = summary.cases - summary.skipped;
+    const skipped = summary.skipped > 0 ? `, ${summary.skipped} skipped` : '';
+    console.log(`${service}: ${summary.passed}/${scored} cases agree${skipped}`);
+
+    for (const [field, stats] of Object.entries(summary.fields)) {
+      const correlation = stats.rankCorrelation === null ? 'n/a' : stats.rankCorrelation;
+      console.log(`  ${field.padEnd(22)} agreement ${stats.agreed}/${stats.checks}  mean range error ${stats.meanRangeError ?? 'n/a'}  rank correlation ${correlation}`);
+    }
+
+    for (const result of results.filter(result => result.service === service)) {
+      if (result.skipped) {
+        console.log(`  SKIP ${result.id}: ${result.reason}`);
+        continue;
+      }
+      for (const [field, check] of Object.entries(result.fields)) {
+        if (!check.pass) console.log(`  FAIL ${result.id}: ${field} ${check.actual} (expected ${formatRange(check.expected)})`);
+      }
+    }
+    console.log('');
+  }
+
+  if (!comparison) {
+    console.log(`No baseline at ${report.baselineFile}; run with --update-baseline to create one`);
+    return;
+  }
+
+  console.log(`Baseline ${report.baselineFile}: ${comparison.regressions.length} regressions, ${comparison.improvements.length} improvements`);
+  for (const change of comparison.regressions) {
+    console.log(`  REGRESSION ${change.id}: ${change.field} ${change.before} -> ${change.after} (expected ${formatRange(change.expected)})`);
+  }
+  for (const change of comparison.improvements) {
+    console.log(`  IMPROVED ${change.id}: ${change.field} ${change.before} -> ${change.after} (expected ${formatRange(change.expected)})`);
+  }
+};
+
+const main = async () => {
+  const options = parseOptions();
+  logger.silent = !options.verbose;
+
+  const recordingsFile = path.join(RECORDINGS_DIR, `${options.recordings}.json`);
+  const baselineFile = path.join(BASELINES_DIR, options.engine === 'recorded' ? `recorded-${options.recordings}.json` : 'heuristic.json');
+  const recordings = options.engine === 'recorded' ? loadRecordings(recordingsFile) : {};
+
+  const fixtures = loadFixtures().filter(fixture => !options.service || fixture.service === options.service);
+  const results = [];
+  const clients = [];
+
+  for (const fixture of fixtures) {
+    const service = buildService(fixture.service, options, recordings);
+    if (service.client) clients.push(service.client);
+
+    for (const testCase of fixture.cases) {
+      if (options.case && testCase.id !== options.case) continue;
+      results.push(await runCase(fixture.service, service, testCase));
+    }
+  }
+
+  if (results.length === 0) usage('No fixture cases matched');
+
+  if (options.record && clients.some(client => client.recorded > 0)) {
+    fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+    saveRecordings(recordingsFile, recordings);
+  }
+
+  const baseline = fs.existsSync(baselineFile) ? JSON.parse(fs.readFileSync(baselineFile, 'utf8')) : null;
+  const report = {
+    options,
+    baselineFile: path.relative(process.cwd(), baselineFile),
+    services: summarize(results),
+    results,
+    comparison: baseline ? compareWithBaseline(results, baseline, options) : null,
+    recorded: clients.reduce((sum, client) => sum + client.recorded, 0)
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+    if (report.recorded > 0) console.log(`Recorded ${report.recorded} new replies to ${path.relative(process.cwd(), recordingsFile)}`);
+  }
+
+  const skipped = results.filter(result => result.skipped);
+  if (skipped.length > 0) {
+    const hint = options.engine === 'recorded' ? '; record the missing replies with --record' : '';
+    console.error(`${skipped.length} of ${results.length} cases were skipped${hint}`);
+    return 3;
+  }
+
+  if (options['update-baseline']) {
+    // Partial runs update their cases and keep the rest of the baseline
+    const next = toBaseline(results, options);
+    if (baseline && (options.service || options.case)) next.cases = { ...baseline.cases, ...next.cases };
+    fs.mkdirSync(BASELINES_DIR, { recursive: true });
+    fs.writeFileSync(baselineFile, `${JSON.stringify(next, null, 2)}\n`);
+    if (!options.json) console.log(`Baseline written to ${report.baselineFile}`);
+    return 0;
+  }
+
+  if (!report.comparison) return 3;
+  return report.comparison.regressions.length > 0 ? 1 : 0;
+};
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,25 @@
+// Practice languages. Codes are BCP 47 tags so they can go straight to the
+// browser recognizer; keep in sync with src/lib/languages.ts on the client.
+export const SUPPORTED_LANGUAGES = {
+  'en-US': 'English',
+  'es-ES': 'Spanish',
+  'fr-FR': 'French',
+  'de-DE': 'German'
+};
+
+export const DEFAULT_LANGUAGE = 'en-US';
+
+export const LANGUAGE_CODES = Object.keys(SUPPORTED_LANGUAGES);
+
+export const resolveLanguage = (language) =>
+  SUPPORTED_LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+
+export const getLanguageName = (language) => SUPPORTED_LANGUAGES[resolveLanguage(language)];
+
+// Appended to LLM prompts so generated text and feedback come back in the practice language.
+// English needs no instruction, which keeps the original prompts unchanged.
+export const languageInstruction = (language) => {
+  const resolved = resolveLanguage(language);
+  if (resolved === DEFAULT_LANGUAGE) return '';
+  return `\n\nWrite every piece of user-facing text (prompts, topics, words, feedback, suggestions) in ${getLanguageName(resolved)}. Keep JSON keys in English.`;
+};
@@ -0,0 +1,31 @@
+import { logger } from '../utils/logger.js';
+
+// The Socket.IO server is created in server.js; services reach it through here
+// instead of importing server.js (which would start the app).
+let io = null;
+
+export const setSocketServer = (server) => {
+  io = server;
+};
+
+export const getSocketServer = () => io;
+
+// Emit to a room, e.g. a game session id the client joined with 'join-game'
+export const emitToRoom = (room, event, payload) => {
+  if (!io) {
+    logger.warn(`Socket server not ready, dropping ${event} for ${room}`);
+    return;
+  }
+  io.to(String(room)).emit(event, payload);
+};
+
+// Every authenticated socket also joins its user's room, so all of a user's
+// tabs and devices can be reached at once
+export const userRoom = (userId) => `user:${userId}`;
+
+export const emitToUser = (userId, event, payload) => emitToRoom(userRoom(userId), event, payload);
+
+// Take every socket of a user out of a room, e.g. when their invitation is revoked
+export const removeUserFromRoom = (userId, room) => {
+  io?.in(userRoom(userId)).socketsLeave(String(room));
+};
@@ -0,0 +1,198 @@
+import { combineSources, collectPromptVersions } from '../services/ai/structuredResponse.js';
+import { getFallbackDeck } from '../services/ai/fallbackDecks.js';
+
+// Audience Q&A: the player names the topic of their talk and answers the audience's
+// follow-up questions, from friendly to hostile, each against a timer. Every answer
+// is scored for directness, bridging back to the talk's message and composure.
+
+const settings = {
+  questionCount: { type: Number, default: 5, min: 3, max: 10 },
+  answerTime: { type: Number, default: 45, min: 20, max: 120 } // seconds per answer
+};
+
+const TONES = ['friendly', 'skeptical', 'hostile'];
+
+const DIMENSIONS = {
+  directness: { label: 'Answering directly', tip: 'Give your answer in the first sentence, then the reasons' },
+  bridging: { label: 'Bridging to your message', tip: 'Finish each answer by linking back to the main point of your talk' },
+  composure: { label: 'Staying composed', tip: 'Take a breath before hard questions and answer the substance, not the tone' }
+};
+
+const averageOf = (values) => {
+  const present = values.filter(Number.isFinite);
+  return present.length > 0 ? Math.round(present.reduce((sum, value) => sum + value, 0) / present.length) : null;
+};
+
+const isAnswered = (answer) => Boolean(answer.answer?.trim());
+
+// Averages over the answered questions, overall and per tone
+const summarize = (answers) => {
+  const answered = answers.filter(isAnswered);
+  const summary = Object.fromEntries(
+    Object.keys(DIMENSIONS).map(dimension => [dimension, averageOf(answered.map(answer => answer[dimension]))])
+  );
+  summary.score = averageOf(answers.map(answer => answer.score ?? 0));
+  summary.byTone = Object.fromEntries(TONES.map(tone => [
+    tone,
+    averageOf(answers.filter(answer => answer.tone === tone).map(answer => answer.score ?? 0))
+  ]));
+
+  const ranked = Object.keys(DIMENSIONS).sort((a, b) => (summary[b] ?? 0) - (summary[a] ?? 0));
+  summary.strongest = ranked[0];
+  summary.weakest = ranked[ranked.length - 1];
+  return summary;
+};
+
+// Share of questions answered; the answers themselves are scored by the analysis
+const calculatePerformance = (performance, audienceQA) => {
+  const answers = audienceQA.answers || [];
+  const answered = answers.filter(isAnswered);
+
+  performance.totalPrompts = answers.length;
+  performance.completedPrompts = answered.length;
+  performance.accuracy = answers.length > 0 ? Math.round((answered.length / answers.length) * 100) : 0;
+  performance.speed = averageOf(answered.map(answer => answer.responseTime)) ?? 0;
+  performance.score = performance.accuracy;
+};
+
+export default {
+  id: 'audienceQA',
+  name: 'Audience Q&A',
+  description: 'Field follow-up questions about your talk, from friendly to hostile, against the clock',
+
+  settings,
+
+  dataSchema: {
+    topic: String,
+    answerTime: Number, // seconds allowed per answer
+    answers: [{
+      question: String,
+      tone: { type: String, enum: TONES },
+      answer: String,
+      responseTime: Number, // ms from the question appearing to the first words
+      answerDuration: Number, // seconds
+      // Filled in by the analysis (analyzeQuestionAnswer), 0-100
+      directness: Number,
+      bridging: Number,
+      composure: Number,
+      score: Number,
+      feedback: String
+    }],
+    // Filled in by the analysis
+    summary: {
+      directness: Number,
+      bridging: Number,
+      composure: Number,
+      score: Number,
+      byTone: {
+        friendly: Number, // average answer score, null when no question had the tone
+        skeptical: Number,
+        hostile: Number
+      },
+      strongest: String, // dimension, e.g. 'directness'
+      weakest: String
+    }
+  },
+
+  stats: {
+    averageComposure: sessions => averageOf(sessions.map(s => s.gameSpecificData?.audienceQA?.summary?.composure)) ?? 0,
+    hostileQuestionScore: sessions =>
+      averageOf(sessions.map(s => s.gameSpecificData?.audienceQA?.summary?.byTone?.hostile)) ?? 0
+  },
+
+  applyResults(gameSession, audienceQA) {
+    const answers = (Array.isArray(audienceQA.answers) ? audienceQA.answers : [])
+      .filter(answer => typeof answer?.question === 'string' && answer.question.trim())
+      .slice(0, settings.questionCount.max)
+      .map(answer => ({
+        question: answer.question.trim().slice(0, 300),
+        tone: TONES.includes(answer.tone) ? answer.tone : 'friendly',
+        answer: typeof answer.answer === 'string' ? answer.answer.trim().slice(0, 3000) : '',
+        responseTime: Math.max(0, Math.round(Number(answer.responseTime) || 0)),
+        answerDuration: Math.max(0, Math.round(Number(answer.answerDuration) || 0))
+      }));
+
+    gameSession.gameSpecificData.audienceQA = {
+      topic: typeof audienceQA.topic === 'string' ? audienceQA.topic.trim().slice(0, 150) : '',
+      answerTime: Math.min(settings.answerTime.max,
+        Math.max(settings.answerTime.min, Number(audienceQA.answerTime) || settings.answerTime.default)),
+      answers
+    };
+    calculatePerformance(gameSession.performance, gameSession.gameSpecificData.audienceQA);
+  },
+
+  calculatePerformance,
+
+  generatePrompts(promptGenerationService, { count, difficulty, theme, language }) {
+    // The questions are about the player's talk, so a topic is needed first
+    const topic = theme || getFallbackDeck(language).defaultTopic;
+    return promptGenerationService.generateAudienceQuestions(topic, count, difficulty, language);
+  },
+
+  async analyze(gameSession, { speechAnalysisService }) {
+    const { audienceQA } = gameSession.gameSpecificData;
+
+    if (!audienceQA?.answers?.some(isAnswered)) {
+      return null;
+    }
+
+    const { language } = gameSession.sessionData;
+
+    const analyses = [];
+    for (const answer of audienceQA.answers) {
+      if (!isAnswered(answer)) {
+        Object.assign(answer, { directness: 0, bridging: 0, composure: 0, score: 0, feedback: 'No answer was captured' });
+        continue;
+      }
+
+      const analysis = await speechAnalysisService.analyzeQuestionAnswer(answer.question, answer.answer, {
+        topic: audienceQA.topic,
+        tone: answer.tone,
+        responseTime: answer.responseTime,
+        language
+      });
+      analyses.push(analysis);
+
+      // Kept on each answer so the results can show how every question went
+      Object.assign(answer, {
+        directness: analysis.directness,
+        bridging: analysis.bridging,
+        composure: analysis.composure,
+        score: analysis.score,
+        feedback: analysis.feedback
+      });
+    }
+
+    const summary = summarize(audienceQA.answers);
+    audienceQA.summary = summary;
+
+    const strongest = DIMENSIONS[summary.strongest];
+    const weakest = DIMENSIONS[summary.weakest];
+    const feedback = [
+      { type: 'positive', message: `Strongest area: ${strongest.label.toLowerCase()} (${summary[summary.strongest]})` },
+      { type: 'improvement', message: `${weakest.label} (${summary[summary.weakest]}): ${weakest.tip}` }
+    ];
+    if (summary.byTone.hostile !== null && summary.score !== null) {
+      feedback.push({
+        type: summary.byTone.hostile >= summary.score ? 'positive' : 'suggestion',
+        message: summary.byTone.hostile >= summary.score
+          ? `You held up under hostile questions (${summary.byTone.hostile} against ${summary.score} overall)`
+          : `Hostile questions cost you points (${summary.byTone.hostile} against ${summary.score} overall). Acknowledge the concern, then answer the substance`
+      });
+    }
+
+    return {
+      speechClarity: summary.directness ?? 0,
+      energyLevel: 75,
+      coherence: summary.bridging ?? 0,
+      confidence: summary.composure ?? 0,
+      fluency: summary.composure ?? 0,
+      overallRating: summary.score ?? 0,
+      strengths: [strongest.label],
+      areasForImprovement: [weakest.label],
+      source: combineSources(analyses),
+      promptVersions: collectPromptVersions(analyses),
+      feedback
+    };
+  }
+};
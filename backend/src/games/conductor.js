@@ -0,0 +1,239 @@
+import { combineSources, collectPromptVersions } from '../services/ai/structuredResponse.js';
+
+// The client samples energy once a second and moves the target every 3 seconds, so
+// the longest session (settings.sessionDuration.max) can't produce more than this.
+// The analysis makes one model call per transition, so anything beyond is dropped.
+const MAX_TRACE_POINTS = 300;
+const MAX_ENERGY_TRANSITIONS = 100;
+
+// The Conductor: talk on a topic while matching the target energy level and pausing on breathe cues
+export default {
+  id: 'conductor',
+  name: 'The Conductor',
+  description: 'Follow the target energy level and pause when asked to breathe',
+
+  settings: {
+    sessionDuration: { type: Number, default: 60, min: 30, max: 300 },
+    energyChanges: { type: Number, default: 8, min: 5, max: 15 }
+  },
+
+  dataSchema: {
+    topic: String,
+    energyMatch: Number, // 0-100, measured vs target energy
+    energyTrace: [{
+      second: Number,
+      level: Number, // measured 1-9
+      target: Number
+    }],
+    energyTransitions: [{
+      fromLevel: Number,
+      toLevel: Number,
+      transitionTime: Number,
+      success: Boolean
+    }],
+    breatheCues: [{
+      timestamp: Date,
+      followed: Boolean, // a pause began within the response window
+      responseTime: Number, // ms from cue to pause
+      pauseDuration: Number, // ms
+      speechBefore: String,
+      speechAfter: String
+    }],
+    energyRange: {
+      min: Number,
+      max: Number,
+      average: Number
+    }
+  },
+
+  scoreWeights: { accuracy: 0.4, energyConsistency: 0.6 },
+
+  stats: {
+    energyConsistency: sessions => Math.round(
+      sessions.reduce((sum, s) => sum + (s.performance.energyConsistency || 0), 0) / sessions.length
+    )
+  },
+
+  applyResults(gameSession, conductor) {
+    const energyTrace = sanitizeEnergyTrace(conductor.energyTrace);
+    const energyMatch = energyTrace.length > 0
+      ? calculateEnergyMatch(energyTrace)
+      : Math.min(100, Math.max(0, Math.round(Number(conductor.consistency) || 0)));
+
+    gameSession.gameSpecificData.conductor = {
+      topic: typeof conductor.topic === 'string' ? conductor.topic.slice(0, 300) : '',
+      energyMatch,
+      energyTrace,
+      energyTransitions: sanitizeEnergyTransitions(conductor.energyTransitions),
+      breatheCues: sanitizeBreatheCues(conductor.breatheCues),
+      energyRange: calculateEnergyRange(energyTrace) || undefined
+    };
+    gameSession.performance.energyConsistency = energyMatch;
+  },
+
+  calculatePerformance(performance, conductor) {
+    performance.energyConsistency = conductor.energyMatch || 0;
+    performance.accuracy = conductor.energyMatch || 0;
+    performance.score = performance.accuracy;
+  },
+
+  generatePrompts(promptGenerationService, { count, difficulty, language }) {
+    return promptGenerationService.generateConductorTopics(count, difficulty, language);
+  },
+
+  async analyze(gameSession, { energyDetectionService }) {
+    const { conductor } = gameSession.gameSpecificData;
+
+    if (!conductor?.energyTransitions?.length) {
+      return null;
+    }
+
+    const { language } = gameSession.sessionData;
+
+    // Analyze energy transitions
+    const transitionAnalyses = [];
+    for (const transition of conductor.energyTransitions) {
+      const analysis = await energyDetectionService.analyzeEnergyTransition(
+        transition.fromLevel,
+        transition.toLevel,
+        transition.speechSegment || 'Energy transition',
+        transition.transitionTime,
+        language
+      );
+      transitionAnalyses.push(analysis);
+    }
+
+    // Measured transitions are authoritative; the model's verdict is only a fallback
+    const successfulTransitions = conductor.energyTransitions.filter((transition, index) =>
+      transition.success ?? transitionAnalyses[index]?.transitionSuccess ?? transitionAnalyses[index]?.success
+    ).length;
+    const transitionRate = Math.round((successfulTransitions / conductor.energyTransitions.length) * 100);
+    const energyConsistency = conductor.energyTrace?.length
+      ? Math.round((conductor.energyMatch + transitionRate) / 2)
+      : transitionRate;
+
+    // Analyze breathe cues
+    const breatheAnalyses = [];
+    for (const breathe of conductor.breatheCues || []) {
+      const analysis = await energyDetectionService.analyzeBreatheCueResponse(
+        'BREATHE',
+        breathe.speechBefore || '',
+        breathe.speechAfter || '',
+        breathe.responseTime || 0,
+        { followed: breathe.followed, pauseDuration: breathe.pauseDuration },
+        language
+      );
+      breatheAnalyses.push(analysis);
+    }
+
+    const breatheCues = conductor.breatheCues || [];
+    const followedCues = breatheCues.filter(cue => cue.followed).length;
+    const breathingScore = breatheAnalyses.length > 0
+      ? Math.round(breatheAnalyses.reduce((sum, a) => sum + (a.overallScore || 0), 0) / breatheAnalyses.length)
+      : 75;
+
+    const overallRating = Math.round((energyConsistency + breathingScore) / 2);
+
+    return {
+      speechClarity: overallRating,
+      energyLevel: energyConsistency,
+      coherence: 75,
+      confidence: overallRating,
+      fluency: overallRating,
+      overallRating,
+      strengths: ['Good energy awareness', 'Willingness to adapt'],
+      areasForImprovement: ['Energy consistency', 'Smooth transitions'],
+      source: combineSources([...transitionAnalyses, ...breatheAnalyses]),
+      promptVersions: collectPromptVersions([...transitionAnalyses, ...breatheAnalyses]),
+      feedback: [
+        {
+          type: 'positive',
+          message: 'Good energy modulation practice'
+        },
+        {
+          type: 'improvement',
+          message: 'Focus on smooth energy transitions'
+        },
+        ...(breatheCues.length > 0 ? [{
+          type: followedCues === breatheCues.length ? 'positive' : 'suggestion',
+          message: `You paused for ${followedCues} of ${breatheCues.length} breathe cues`
+        }] : [])
+      ]
+    };
+  }
+};
+
+const clampLevel = (level) => Math.min(9, Math.max(1, level));
+
+// Keep only well-formed per-second samples on the 1-9 scale
+function sanitizeEnergyTrace(trace) {
+  if (!Array.isArray(trace)) return [];
+
+  return trace
+    .slice(0, MAX_TRACE_POINTS)
+    .filter(point => Number.isFinite(point?.second) && Number.isFinite(point?.level) && Number.isFinite(point?.target))
+    .map(point => ({
+      second: point.second,
+      level: clampLevel(point.level),
+      target: clampLevel(point.target)
+    }));
+}
+
+// Keep only transitions between two levels on the 1-9 scale
+function sanitizeEnergyTransitions(transitions) {
+  if (!Array.isArray(transitions)) return [];
+
+  return transitions
+    .slice(0, MAX_ENERGY_TRANSITIONS)
+    .filter(transition => Number.isFinite(transition?.fromLevel) && Number.isFinite(transition?.toLevel))
+    .map(transition => ({
+      fromLevel: clampLevel(transition.fromLevel),
+      toLevel: clampLevel(transition.toLevel),
+      transitionTime: Math.max(0, Number(transition.transitionTime) || 0),
+      success: Boolean(transition.success)
+    }));
+}
+
+// Same scale as the client meter: 100 for an exact match, -20 per level of difference
+function calculateEnergyMatch(trace) {
+  const total = trace.reduce((sum, point) =>
+    sum + Math.max(0, 100 - Math.abs(point.level - point.target) * 20), 0);
+  return Math.round(total / trace.length);
+}
+
+// Longest speech context kept either side of a cue
+const MAX_CUE_CONTEXT = 500;
+// The client offers a cue at most every 8 seconds, and each one is a model call
+const MAX_BREATHE_CUES = 40;
+
+function sanitizeBreatheCues(cues) {
+  if (!Array.isArray(cues)) return [];
+
+  return cues
+    .slice(0, MAX_BREATHE_CUES)
+    .filter(cue => cue && typeof cue === 'object')
+    .map(cue => {
+      const timestamp = new Date(cue.timestamp);
+      const followed = Boolean(cue.followed);
+      return {
+        // A missing or unreadable time would fail to save the session
+        timestamp: Number.isNaN(timestamp.getTime()) ? new Date() : timestamp,
+        followed,
+        responseTime: followed ? Math.max(0, Number(cue.responseTime) || 0) : 0,
+        pauseDuration: Math.max(0, Number(cue.pauseDuration) || 0),
+        speechBefore: typeof cue.speechBefore === 'string' ? cue.speechBefore.slice(-MAX_CUE_CONTEXT) : '',
+        speechAfter: typeof cue.speechAfter === 'string' ? cue.speechAfter.slice(0, MAX_CUE_CONTEXT) : ''
+      };
+    });
+}
+
+function calculateEnergyRange(trace) {
+  if (trace.length === 0) return null;
+
+  const levels = trace.map(point => point.level);
+  return {
+    min: Math.min(...levels),
+    max: Math.max(...levels),
+    average: Math.round((levels.reduce((sum, level) => sum + level, 0) / levels.length) * 10) / 10
+  };
+}
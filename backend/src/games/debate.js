@@ -0,0 +1,209 @@
+import { combineSources, collectPromptVersions } from '../services/ai/structuredResponse.js';
+import { tokenize } from '../services/speech/fillerDetection.js';
+
+// Debate: the player argues for a motion for a fixed time, then has to switch and
+// argue against it. The session's transcript is split at the switch, and each half
+// is scored for its arguments, structure and staying on the motion; the second half
+// is also scored for how many of the first half's points it rebuts.
+
+const settings = {
+  sideDuration: { type: Number, default: 60, min: 30, max: 180 } // seconds per side
+};
+
+const SIDES = ['for', 'against'];
+
+// Distinct arguments per side for full marks
+const TARGET_ARGUMENTS = 3;
+
+const SCORE_WEIGHTS = { arguments: 0.3, rebuttal: 0.3, structure: 0.25, onMotion: 0.15 };
+
+const DIMENSIONS = {
+  arguments: { label: 'Arguments', tip: `Aim for ${TARGET_ARGUMENTS} distinct reasons per side, each with a "because" or an example` },
+  rebuttal: { label: 'Rebutting your own points', tip: 'After switching, take your earlier arguments one by one and answer them' },
+  structure: { label: 'Structure', tip: 'State your side, give your reasons in order, then sum up' },
+  onMotion: { label: 'Staying on the motion', tip: 'Tie every point back to the exact wording of the motion' }
+};
+
+const clampSetting = (value, { default: defaultValue, min, max }) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : defaultValue;
+};
+
+const averageOf = (values) => {
+  const present = values.filter(Number.isFinite);
+  return present.length > 0 ? Math.round(present.reduce((sum, value) => sum + value, 0) / present.length) : null;
+};
+
+// Transcript segments before the switch (ms from the start of the debate) are the
+// case for the motion, the rest the case against
+export const splitAtSwitch = (segments, switchAt) => ({
+  for: segments.filter(segment => segment.start < switchAt),
+  against: segments.filter(segment => segment.start >= switchAt)
+});
+
+const segmentsOf = (gameSession, side) => {
+  const { switchAt } = gameSession.gameSpecificData.debate;
+  return splitAtSwitch(gameSession.transcript?.segments || [], switchAt)[side];
+};
+
+// Both sides need to be argued; the arguments themselves are scored by the analysis
+const calculatePerformance = (performance, debate) => {
+  const argued = SIDES.filter(side => debate.sides?.[side]?.wordCount > 0).length;
+
+  performance.totalPrompts = SIDES.length;
+  performance.completedPrompts = argued;
+  performance.accuracy = Math.round((argued / SIDES.length) * 100);
+  performance.score = performance.accuracy;
+};
+
+export default {
+  id: 'debate',
+  name: 'Debate',
+  description: 'Argue for a motion, then switch sides and argue against it',
+
+  settings,
+
+  dataSchema: {
+    motion: String,
+    sideDuration: Number, // seconds per side
+    switchAt: Number, // ms from the start of the debate to the switch
+    sides: {
+      for: {
+        transcript: String,
+        wordCount: Number,
+        // Filled in by the analysis
+        arguments: [String],
+        structure: Number, // 0-100 (analyzeSpeechStructure)
+        onMotion: Number // 0-100 (analyzeTopicDeviation)
+      },
+      against: {
+        transcript: String,
+        wordCount: Number,
+        arguments: [String],
+        structure: Number,
+        onMotion: Number
+      }
+    },
+    // Filled in by the analysis: the for-side's arguments and whether the against-side answered them
+    rebuttals: [{
+      point: String,
+      rebutted: Boolean
+    }],
+    scores: {
+      arguments: Number, // 0-100
+      rebuttal: Number,
+      structure: Number,
+      onMotion: Number
+    }
+  },
+
+  stats: {
+    averageRebuttal: sessions => averageOf(sessions.map(s => s.gameSpecificData?.debate?.scores?.rebuttal)) ?? 0,
+    averageArguments: sessions => averageOf(sessions.map(s => s.gameSpecificData?.debate?.scores?.arguments)) ?? 0
+  },
+
+  applyResults(gameSession, debate) {
+    const sideDuration = clampSetting(debate.sideDuration, settings.sideDuration);
+    const switchAt = Math.max(0, Math.round(Number(debate.switchAt))) || sideDuration * 1000;
+    const halves = splitAtSwitch(gameSession.transcript?.segments || [], switchAt);
+
+    const sides = Object.fromEntries(SIDES.map(side => {
+      const transcript = halves[side].map(segment => segment.text).join(' ');
+      return [side, { transcript, wordCount: tokenize(transcript).length }];
+    }));
+
+    gameSession.gameSpecificData.debate = {
+      motion: typeof debate.motion === 'string' ? debate.motion.trim().slice(0, 300) : '',
+      sideDuration,
+      switchAt,
+      sides
+    };
+    calculatePerformance(gameSession.performance, gameSession.gameSpecificData.debate);
+  },
+
+  calculatePerformance,
+
+  generatePrompts(promptGenerationService, { count, difficulty, language }) {
+    return promptGenerationService.generateDebateMotions(count, difficulty, language);
+  },
+
+  async analyze(gameSession, { coherenceAnalysisService }) {
+    const { debate } = gameSession.gameSpecificData;
+
+    if (!debate?.motion || !debate.sides?.for?.transcript?.trim()) {
+      return null;
+    }
+
+    const { language } = gameSession.sessionData;
+    const { motion, sides } = debate;
+
+    const debateArguments = await coherenceAnalysisService.analyzeDebateArguments(
+      motion, sides.for.transcript, sides.against?.transcript || '', language
+    );
+
+    const analyses = [debateArguments];
+    for (const side of SIDES) {
+      const segments = segmentsOf(gameSession, side);
+      if (!sides[side]?.transcript?.trim() || segments.length === 0) continue;
+
+      const structure = await coherenceAnalysisService.analyzeSpeechStructure(sides[side].transcript, 'debate', language);
+      const deviation = await coherenceAnalysisService.analyzeTopicDeviation(
+        segments.map(segment => segment.text),
+        motion,
+        segments.map(segment => `${Math.round(segment.start / 1000)}s`)
+      );
+      analyses.push(structure, deviation);
+
+      // Kept on each side so the results can show both halves next to each other
+      sides[side].structure = structure.structureScore;
+      sides[side].onMotion = deviation.overallAdherence;
+    }
+    sides.for.arguments = debateArguments.forArguments;
+    sides.against.arguments = debateArguments.againstArguments;
+    debate.rebuttals = debateArguments.rebuttals;
+
+    const rebutted = debateArguments.rebuttals.filter(rebuttal => rebuttal.rebutted);
+    const scores = {
+      arguments: averageOf(SIDES.map(side =>
+        Math.min(1, (sides[side].arguments?.length || 0) / TARGET_ARGUMENTS) * 100
+      )),
+      rebuttal: debateArguments.rebuttals.length > 0
+        ? Math.round((rebutted.length / debateArguments.rebuttals.length) * 100)
+        : 0,
+      structure: averageOf(SIDES.map(side => sides[side].structure ?? 0)),
+      onMotion: averageOf(SIDES.map(side => sides[side].onMotion ?? 0))
+    };
+    debate.scores = scores;
+
+    const overallRating = Math.round(
+      Object.entries(SCORE_WEIGHTS).reduce((sum, [dimension, weight]) => sum + scores[dimension] * weight, 0)
+    );
+    const ranked = Object.keys(DIMENSIONS).sort((a, b) => scores[b] - scores[a]);
+    const strongest = DIMENSIONS[ranked[0]];
+    const weakest = DIMENSIONS[ranked[ranked.length - 1]];
+    const unanswered = debateArguments.rebuttals.filter(rebuttal => !rebuttal.rebutted);
+
+    return {
+      speechClarity: scores.structure,
+      energyLevel: 75,
+      coherence: scores.onMotion,
+      confidence: overallRating,
+      fluency: scores.structure,
+      overallRating,
+      strengths: [strongest.label],
+      areasForImprovement: [weakest.label],
+      source: combineSources(analyses),
+      promptVersions: collectPromptVersions(analyses),
+      feedback: [
+        {
+          type: scores.arguments >= 100 ? 'positive' : 'improvement',
+          message: `${sides.for.arguments.length} argument(s) for the motion and ${sides.against.arguments.length} against`
+        },
+        unanswered.length > 0
+          ? { type: 'improvement', message: `After switching you left these points standing: ${unanswered.slice(0, 2).map(rebuttal => rebuttal.point).join('; ')}` }
+          : { type: 'positive', message: 'You answered every argument you made for the motion' },
+        { type: 'suggestion', message: `${weakest.label} (${scores[ranked[ranked.length - 1]]}): ${weakest.tip}` }
+      ]
+    };
+  }
+};
@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import { combineSources, collectPromptVersions } from '../services/ai/structuredResponse.js';
+import { keywordOverlap } from '../services/ai/heuristic/textMetrics.js';
+import { measureSpeakingDuration } from '../services/speech/transcript.js';
+
+// Elevator Pitch: the player writes the key points of a pitch, then delivers it
+// inside a strict 30 or 60 second budget. Coverage and timing are measured
+// deterministically when the session ends, so attempts at the same pitch are
+// comparable; clarity comes from the AI analysis.
+
+const settings = {
+  duration: { type: Number, default: 60, enum: [30, 60] } // seconds
+};
+
+const MAX_KEY_POINTS = 5;
+
+// Share of a key point's words (by stem) the pitch has to mention to cover it
+const COVERAGE_THRESHOLD = 0.5;
+
+// Finishing between this share of the budget and the budget itself is on time
+const ON_TIME_FROM = 0.8;
+
+// Points lost per second spoken past the budget
+const OVERTIME_PENALTY = 5;
+
+// performance.score combines coverage and timing; the overall rating adds clarity
+const SCORE_WEIGHTS = { coverage: 0.6, timeAdherence: 0.4 };
+const CLARITY_WEIGHT = 0.3;
+
+// Attempts at the same pitch share an id derived from its title
+export const getPitchId = (title) => crypto.createHash('sha1')
+  .update(title.trim().toLowerCase().replace(/\s+/g, ' '))
+  .digest('hex')
+  .slice(0, 12);
+
+// Which key points the transcript mentions, with the share of each point's words it used
+export const checkKeyPoints = (keyPoints, transcript, language) => keyPoints.map(text => {
+  const overlap = keywordOverlap(transcript, text, language);
+  return { text, match: Math.round(overlap * 100), covered: overlap >= COVERAGE_THRESHOLD };
+});
+
+// 100 between ON_TIME_FROM of the budget and the budget; shorter pitches score their
+// share of that window, longer ones lose OVERTIME_PENALTY points per second
+export const calculateTimeAdherence = (seconds, budget) => {
+  const onTimeFrom = budget * ON_TIME_FROM;
+  if (seconds < onTimeFrom) return Math.round((seconds / onTimeFrom) * 100);
+  if (seconds <= budget) return 100;
+  return Math.max(0, Math.round(100 - (seconds - budget) * OVERTIME_PENALTY));
+};
+
+const sanitizeKeyPoints = (keyPoints) => (Array.isArray(keyPoints) ? keyPoints : [])
+  .filter(point => typeof point === 'string' && point.trim())
+  .map(point => point.trim().slice(0, 150))
+  .slice(0, MAX_KEY_POINTS);
+
+const calculatePerformance = (performance, { coverage = 0, timeAdherence = 0 }) => {
+  performance.accuracy = coverage;
+  performance.score = Math.round(coverage * SCORE_WEIGHTS.coverage + timeAdherence * SCORE_WEIGHTS.timeAdherence);
+};
+
+const timingFeedback = ({ speakingDuration, duration }) => {
+  if (speakingDuration > duration) {
+    return {
+      type: 'improvement',
+      message: `You ran ${Math.round(speakingDuration - duration)}s over your ${duration}s budget. Cut a supporting detail, not a key point`
+    };
+  }
+  if (speakingDuration < duration * ON_TIME_FROM) {
+    return {
+      type: 'suggestion',
+      message: `You used ${Math.round(speakingDuration)}s of ${duration}s. There is room for a proof point or a clearer ask`
+    };
+  }
+  return { type: 'positive', message: `You landed the pitch in ${Math.round(speakingDuration)}s of your ${duration}s budget` };
+};
+
+export default {
+  id: 'elevatorPitch',
+  name: 'Elevator Pitch',
+  description: 'Deliver your pitch inside 30 or 60 seconds and hit every key point you planned',
+
+  settings,
+
+  dataSchema: {
+    pitchId: String, // same title, same pitch (getPitchId)
+    title: String,
+    duration: Number, // time budget in seconds
+    speakingDuration: Number, // seconds, from the transcript when there is one
+    keyPoints: [{
+      text: String,
+      covered: Boolean,
+      match: Number // 0-100, share of the point's words the pitch used
+    }],
+    coverage: Number, // 0-100, share of key points covered
+    timeAdherence: Number, // 0-100
+    // Filled in by the analysis
+    clarity: Number // 0-100
+  },
+
+  stats: {
+    keyPointCoverage: sessions => Math.round(
+      sessions.reduce((sum, s) => sum + (s.gameSpecificData?.elevatorPitch?.coverage || 0), 0) / sessions.length
+    ),
+    // Share of pitches that ended inside their budget
+    onTimeRate: sessions => Math.round(
+      (sessions.filter(s => s.gameSpecificData?.elevatorPitch?.timeAdherence === 100).length / sessions.length) * 100
+    )
+  },
+
+  applyResults(gameSession, elevatorPitch) {
+    const title = typeof elevatorPitch.title === 'string' ? elevatorPitch.title.trim().slice(0, 100) : '';
+    const duration = settings.duration.enum.includes(Number(elevatorPitch.duration))
+      ? Number(elevatorPitch.duration)
+      : settings.duration.default;
+    const speakingDuration = measureSpeakingDuration(gameSession, elevatorPitch.speakingDuration);
+
+    const keyPoints = checkKeyPoints(
+      sanitizeKeyPoints(elevatorPitch.keyPoints),
+      gameSession.transcript?.fullText || '',
+      gameSession.sessionData.language
+    );
+    const coverage = keyPoints.length > 0
+      ? Math.round((keyPoints.filter(point => point.covered).length / keyPoints.length) * 100)
+      : 0;
+
+    gameSession.gameSpecificData.elevatorPitch = {
+      pitchId: title ? getPitchId(title) : undefined,
+      title,
+      duration,
+      speakingDuration,
+      keyPoints,
+      coverage,
+      timeAdherence: calculateTimeAdherence(speakingDuration, duration)
+    };
+    calculatePerformance(gameSession.performance, gameSession.gameSpecificData.elevatorPitch);
+  },
+
+  calculatePerformance,
+
+  generatePrompts() {
+    // Players bring their own pitch and key points
+    return [];
+  },
+
+  async analyze(gameSession, { speechAnalysisService }) {
+    const { elevatorPitch } = gameSession.gameSpecificData;
+    const speech = gameSession.transcript?.fullText;
+
+    if (!elevatorPitch?.keyPoints?.length || !speech?.trim()) {
+      return null;
+    }
+
+    const quality = await speechAnalysisService.analyzeSpeechQuality(speech, 'elevatorPitch', {
+      language: gameSession.sessionData.language,
+      mainTopic: [elevatorPitch.title, ...elevatorPitch.keyPoints.map(point => point.text)].join('. ')
+    });
+
+    // Kept on the session so attempts at the same pitch can be compared
+    elevatorPitch.clarity = quality.speechClarity;
+
+    const overallRating = Math.round(
+      gameSession.performance.score * (1 - CLARITY_WEIGHT) + quality.speechClarity * CLARITY_WEIGHT
+    );
+    const missed = elevatorPitch.keyPoints.filter(point => !point.covered);
+
+    return {
+      speechClarity: quality.speechClarity,
+      energyLevel: quality.energyLevel,
+      coherence: quality.coherence,
+      confidence: quality.confidence,
+      fluency: quality.fluency,
+      overallRating,
+      strengths: quality.strengths?.length ? quality.strengths : ['Delivered the pitch'],
+      areasForImprovement: quality.areasForImprovement?.length ? quality.areasForImprovement : ['Keep rehearsing the pitch'],
+      source: combineSources([quality]),
+      promptVersions: collectPromptVersions([quality]),
+      feedback: [
+        missed.length > 0
+          ? { type: 'improvement', message: `Missed key point${missed.length === 1 ? '' : 's'}: ${missed.map(point => point.text).join('; ')}` }
+          : { type: 'positive', message: 'You hit every key point' },
+        timingFeedback(elevatorPitch),
+        ...(quality.feedback || []).filter(item => item.type === 'suggestion').slice(0, 1)
+      ]
+    };
+  }
+};
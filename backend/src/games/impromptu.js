@@ -0,0 +1,179 @@
+import { combineSources, collectPromptVersions } from '../services/ai/structuredResponse.js';
+import { measureSpeakingDuration } from '../services/speech/transcript.js';
+
+// Impromptu Speech: Table Topics style. A random question, a short prep countdown,
+// then a 1-2 minute answer timed with green/yellow/red lights. The lights follow
+// the Toastmasters convention: green at the minimum time, yellow halfway to the
+// maximum and red at the maximum.
+
+const settings = {
+  prepDuration: { type: Number, default: 15, min: 5, max: 60 }, // seconds to prepare
+  minDuration: { type: Number, default: 60, min: 30, max: 180 }, // green light
+  maxDuration: { type: Number, default: 120, min: 60, max: 300 } // red light
+};
+
+// Points lost per second spoken past the red light
+const OVERTIME_PENALTY = 2;
+
+// Weight of the structure score against the timing score in the overall rating
+const STRUCTURE_WEIGHT = 0.6;
+
+const clampSetting = (value, { default: defaultValue, min, max }) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : defaultValue;
+};
+
+// Light thresholds in seconds from the client's settings, kept inside the allowed ranges
+export const getTimingThresholds = ({ minDuration, maxDuration } = {}) => {
+  const green = clampSetting(minDuration, settings.minDuration);
+  const red = Math.max(green + 30, clampSetting(maxDuration, settings.maxDuration));
+  return { green, yellow: Math.round((green + red) / 2), red };
+};
+
+// The last light shown at a given speaking time
+export const getTimingLight = (seconds, { green, yellow, red }) => {
+  if (seconds >= red) return 'red';
+  if (seconds >= yellow) return 'yellow';
+  if (seconds >= green) return 'green';
+  return 'none';
+};
+
+// 100 anywhere between green and red; short answers score their share of the
+// minimum, long ones lose OVERTIME_PENALTY points per second past red
+export const calculateTimingScore = (seconds, { green, red }) => {
+  if (seconds < green) return Math.round((seconds / green) * 100);
+  if (seconds <= red) return 100;
+  return Math.max(0, Math.round(100 - (seconds - red) * OVERTIME_PENALTY));
+};
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+
+const timingFeedback = ({ speakingDuration, timing, lightReached }) => {
+  if (lightReached === 'none') {
+    return {
+      type: 'improvement',
+      message: `You finished at ${formatTime(speakingDuration)}, before the green light at ${formatTime(timing.green)}. Add an example to fill the time`
+    };
+  }
+  if (speakingDuration > timing.red) {
+    return {
+      type: 'improvement',
+      message: `You ran ${Math.round(speakingDuration - timing.red)}s past the red light. Start your close when yellow comes on`
+    };
+  }
+  return {
+    type: 'positive',
+    message: `You finished at ${formatTime(speakingDuration)}, inside the ${formatTime(timing.green)}-${formatTime(timing.red)} window`
+  };
+};
+
+export default {
+  id: 'impromptu',
+  name: 'Impromptu Speech',
+  description: 'Answer a surprise question in one to two minutes with an opening, a body and a close',
+
+  settings,
+
+  dataSchema: {
+    question: String,
+    prepDuration: Number, // seconds allowed to prepare
+    prepUsed: Number, // seconds taken before starting to speak
+    speakingDuration: Number, // seconds, from the transcript when there is one
+    timing: {
+      green: Number, // seconds
+      yellow: Number,
+      red: Number
+    },
+    lightReached: { type: String, enum: ['none', 'green', 'yellow', 'red'] },
+    timingScore: Number, // 0-100
+    // Filled in by the analysis (analyzeSpeechStructure)
+    structure: {
+      score: Number, // 0-100
+      opening: String, // rating, e.g. 'good' or 'weak'
+      body: String,
+      close: String
+    }
+  },
+
+  stats: {
+    // Share of answers that ended between the green and red lights
+    onTimeRate: sessions => Math.round(
+      (sessions.filter(s => ['green', 'yellow'].includes(s.gameSpecificData?.impromptu?.lightReached)).length /
+       sessions.length) * 100
+    ),
+    averageStructure: sessions => {
+      const scores = sessions
+        .map(s => s.gameSpecificData?.impromptu?.structure?.score)
+        .filter(Number.isFinite);
+      return scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0;
+    }
+  },
+
+  applyResults(gameSession, impromptu) {
+    const timing = getTimingThresholds(impromptu);
+    const speakingDuration = measureSpeakingDuration(gameSession, impromptu.speakingDuration);
+    const timingScore = calculateTimingScore(speakingDuration, timing);
+
+    gameSession.gameSpecificData.impromptu = {
+      question: typeof impromptu.question === 'string' ? impromptu.question.slice(0, 300) : '',
+      prepDuration: clampSetting(impromptu.prepDuration, settings.prepDuration),
+      prepUsed: Math.max(0, Math.round(Number(impromptu.prepUsed) || 0)),
+      speakingDuration,
+      timing,
+      lightReached: getTimingLight(speakingDuration, timing),
+      timingScore
+    };
+    // Timing is measured here; structure is scored by the analysis once the session has ended
+    gameSession.performance.accuracy = timingScore;
+    gameSession.performance.score = timingScore;
+  },
+
+  calculatePerformance(performance, impromptu) {
+    performance.accuracy = impromptu.timingScore || 0;
+    performance.score = performance.accuracy;
+  },
+
+  generatePrompts(promptGenerationService, { count, difficulty, language }) {
+    return promptGenerationService.generateImpromptuQuestions(count, difficulty, language);
+  },
+
+  async analyze(gameSession, { coherenceAnalysisService }) {
+    const { impromptu } = gameSession.gameSpecificData;
+    const speech = gameSession.transcript?.fullText;
+
+    if (!impromptu?.question || !speech?.trim()) {
+      return null;
+    }
+
+    const { language } = gameSession.sessionData;
+    const structure = await coherenceAnalysisService.analyzeSpeechStructure(speech, 'impromptu', language);
+
+    // Kept on the session so results can show which parts of the answer landed
+    impromptu.structure = {
+      score: structure.structureScore,
+      opening: structure.introduction,
+      body: structure.body,
+      close: structure.conclusion
+    };
+
+    const timingScore = impromptu.timingScore || 0;
+    const overallRating = Math.round(structure.structureScore * STRUCTURE_WEIGHT + timingScore * (1 - STRUCTURE_WEIGHT));
+
+    return {
+      speechClarity: overallRating,
+      energyLevel: 75,
+      coherence: structure.structureScore,
+      confidence: overallRating,
+      fluency: overallRating,
+      overallRating,
+      strengths: structure.strengths?.length ? structure.strengths : ['Answered on the spot'],
+      areasForImprovement: structure.weaknesses?.length ? structure.weaknesses : ['Keep practicing with new questions'],
+      source: combineSources([structure]),
+      promptVersions: collectPromptVersions([structure]),
+      feedback: [
+        timingFeedback(impromptu),
+        ...(structure.improvements || []).slice(0, 2).map(message => ({ type: 'suggestion', message }))
+      ]
+    };
+  }
+};
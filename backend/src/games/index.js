@@ -0,0 +1,71 @@
+import rapidFire from './rapidFire.js';
+import conductor from './conductor.js';
+import tripleStep from './tripleStep.js';
+import impromptu from './impromptu.js';
+import elevatorPitch from './elevatorPitch.js';
+import audienceQA from './audienceQA.js';
+import storytelling from './storytelling.js';
+import debate from './debate.js';
+
+// Every game the server knows about. A game is one module exporting a definition:
+//
+//   id, name, description
+//   settings            mongoose fields for User.preferences.gameSettings.<id>
+//   dataSchema          mongoose fields for GameSession.gameSpecificData.<id>
+//   scoreWeights        performance fields weighted into the performanceScore virtual
+//   stats               { metric: sessions => number } added to the progress metrics
+//   applyResults(gameSession, data)          store the client's end-of-session data
+//                                            (the session's transcript is already set)
+//   calculatePerformance(performance, data)  derive performance from stored data; runs when the
+//                                            session ends and overrides the client's scores
+//   generatePrompts(promptGenerationService, { count, difficulty, theme, language })
+//   analyze(gameSession, services)           AI analysis hook; null when there is nothing to analyze.
+//                                            It may also record results on gameSpecificData,
+//                                            which is saved together with the analysis
+//
+// The models, validators and routes are built from this list, so adding a game
+// means writing its module and registering it here.
+const GAMES = [rapidFire, conductor, tripleStep, impromptu, elevatorPitch, audienceQA, storytelling, debate];
+
+const REQUIRED_HOOKS = ['applyResults', 'calculatePerformance', 'generatePrompts', 'analyze'];
+
+for (const game of GAMES) {
+  const missing = REQUIRED_HOOKS.filter(hook => typeof game[hook] !== 'function');
+  if (!game.id || missing.length > 0) {
+    throw new Error(`Game "${game.id}" is missing ${missing.join(', ') || 'an id'}`);
+  }
+}
+
+const registry = new Map(GAMES.map(game => [game.id, game]));
+
+export const GAME_TYPES = GAMES.map(game => game.id);
+
+export const getGame = (gameType) => registry.get(gameType);
+
+// Mongoose definitions keyed by game id
+export const buildGameSettingsSchema = () =>
+  Object.fromEntries(GAMES.map(game => [game.id, game.settings || {}]));
+
+export const buildGameDataSchema = () =>
+  Object.fromEntries(GAMES.map(game => [game.id, game.dataSchema || {}]));
+
+export const buildBestScoresSchema = () =>
+  Object.fromEntries(GAMES.map(game => [game.id, { type: Number, default: 0 }]));
+
+// Weighted performance score; games without weights score their accuracy
+export const calculatePerformanceScore = (gameType, performance) => {
+  const weights = getGame(gameType)?.scoreWeights;
+  if (!weights) return performance.accuracy;
+
+  return Math.round(Object.entries(weights)
+    .reduce((sum, [field, weight]) => sum + (performance[field] || 0) * weight, 0));
+};
+
+// What clients need to render the game picker and settings forms
+export const listGames = () => GAMES.map(game => ({
+  id: game.id,
+  name: game.name,
+  description: game.description,
+  settings: Object.fromEntries(Object.entries(game.settings || {}).map(([field, { default: defaultValue, min, max, enum: options }]) =>
+    [field, { default: defaultValue, min, max, options }]))
+}));
@@ -0,0 +1,157 @@
+import { combineSources, collectPromptVersions } from '../services/ai/structuredResponse.js';
+
+const isAnswered = (prompt) => Boolean(prompt.userResponse?.trim());
+
+// A multiplayer player who answered no prompt still gets a session; there is nothing to analyse
+const getUnansweredAnalysis = () => ({
+  speechClarity: 0,
+  energyLevel: 0,
+  coherence: 0,
+  confidence: 0,
+  fluency: 0,
+  overallRating: 0,
+  strengths: [],
+  areasForImprovement: ['Answer the prompts before time runs out'],
+  source: 'fallback',
+  promptVersions: [],
+  feedback: [
+    {
+      type: 'improvement',
+      message: 'No answers were captured in this match, so there was nothing to score'
+    }
+  ]
+});
+
+// Rapid Fire Analogies: a prompt appears and the player has a few seconds to answer with an analogy
+export default {
+  id: 'rapidFire',
+  name: 'Rapid Fire Analogies',
+  description: 'Answer each prompt with an analogy before the timer runs out',
+
+  settings: {
+    timerDuration: { type: Number, default: 5, min: 2, max: 10 },
+    promptsCount: { type: Number, default: 10, min: 5, max: 25 }
+  },
+
+  dataSchema: {
+    prompts: [{
+      text: String,
+      responseTime: Number,
+      responseQuality: Number,
+      userResponse: String
+    }],
+    averageResponseTime: Number,
+    responseRate: Number,
+    // Solo games only send totals; multiplayer matches store every prompt above
+    totalPrompts: Number,
+    completedResponses: Number
+  },
+
+  scoreWeights: { accuracy: 0.6, speed: 0.4 },
+
+  stats: {
+    responseRate: sessions => Math.round(
+      (sessions.reduce((sum, s) => sum + (s.performance.completedPrompts || 0), 0) /
+       sessions.reduce((sum, s) => sum + (s.performance.totalPrompts || 0), 0)) * 100
+    )
+  },
+
+  applyResults(gameSession, rapidFire) {
+    const totalPrompts = Math.max(0, Math.round(Number(rapidFire.totalPrompts) || 0));
+    const completedResponses = Math.min(totalPrompts, Math.max(0, Math.round(Number(rapidFire.completedResponses) || 0)));
+
+    gameSession.gameSpecificData.rapidFire = {
+      averageResponseTime: Math.max(0, Number(rapidFire.responseTime) || 0),
+      responseRate: totalPrompts > 0 ? Math.round((completedResponses / totalPrompts) * 100) : 0,
+      totalPrompts,
+      completedResponses
+    };
+  },
+
+  calculatePerformance(performance, rapidFire) {
+    const prompts = rapidFire.prompts || [];
+    const totalPrompts = prompts.length || rapidFire.totalPrompts || 0;
+    const completedPrompts = prompts.length > 0
+      ? prompts.filter(prompt => prompt.userResponse).length
+      : rapidFire.completedResponses || 0;
+
+    performance.totalPrompts = totalPrompts;
+    performance.completedPrompts = completedPrompts;
+    performance.accuracy = totalPrompts > 0 ? Math.round((completedPrompts / totalPrompts) * 100) : 0;
+    performance.speed = rapidFire.averageResponseTime || 0;
+    // Multiplayer prompts carry a quality score: average it over every prompt, unanswered ones scoring 0
+    performance.score = prompts.length > 0
+      ? Math.round(prompts.reduce((sum, prompt) => sum + (prompt.responseQuality || 0), 0) / prompts.length)
+      : performance.accuracy;
+  },
+
+  generatePrompts(promptGenerationService, { count, difficulty, theme, language }) {
+    return promptGenerationService.generateRapidFirePrompts(count, difficulty, theme, language);
+  },
+
+  async analyze(gameSession, { speechAnalysisService, coherenceAnalysisService }) {
+    const { rapidFire } = gameSession.gameSpecificData;
+
+    if (!rapidFire?.prompts?.length) {
+      return null;
+    }
+    if (!rapidFire.prompts.some(isAnswered)) {
+      return getUnansweredAnalysis();
+    }
+
+    const { language } = gameSession.sessionData;
+    const prompts = rapidFire.prompts.map(p => p.text);
+    const responses = rapidFire.prompts.map(p => p.userResponse);
+    const responseTimes = rapidFire.prompts.map(p => p.responseTime);
+
+    // Analyze coherence across all responses
+    const coherenceAnalysis = await coherenceAnalysisService.analyzeRapidFireCoherence(
+      prompts,
+      responses,
+      responseTimes,
+      language
+    );
+
+    // Analyze individual responses
+    const responseAnalyses = [];
+    for (let i = 0; i < prompts.length; i++) {
+      if (isAnswered(rapidFire.prompts[i])) {
+        const analysis = await speechAnalysisService.analyzeRapidFireResponse(
+          prompts[i],
+          responses[i],
+          responseTimes[i],
+          language
+        );
+        responseAnalyses.push(analysis);
+      }
+    }
+
+    // Calculate overall scores
+    const overallRating = Math.round(
+      responseAnalyses.reduce((sum, a) => sum + a.overallQuality, 0) / responseAnalyses.length
+    );
+
+    return {
+      speechClarity: overallRating,
+      energyLevel: overallRating,
+      coherence: coherenceAnalysis.overallCoherence,
+      confidence: overallRating,
+      fluency: overallRating,
+      overallRating,
+      strengths: coherenceAnalysis.strengths || ['Good effort'],
+      areasForImprovement: coherenceAnalysis.improvements || ['Continue practicing'],
+      source: combineSources([coherenceAnalysis, ...responseAnalyses]),
+      promptVersions: collectPromptVersions([coherenceAnalysis, ...responseAnalyses]),
+      feedback: [
+        {
+          type: 'positive',
+          message: 'Good completion of rapid-fire exercises'
+        },
+        {
+          type: 'improvement',
+          message: 'Focus on response clarity and speed'
+        }
+      ]
+    };
+  }
+};
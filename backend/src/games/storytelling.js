@@ -0,0 +1,169 @@
+import { combineSources, collectPromptVersions } from '../services/ai/structuredResponse.js';
+import { measureSpeakingDuration } from '../services/speech/transcript.js';
+
+// Storytelling: the player tells a short story from a prompt. The narrative analysis
+// splits it into setup, conflict and resolution and scores the arc, vivid detail and
+// pacing; the time against the target length is measured when the session ends.
+
+const settings = {
+  storyDuration: { type: Number, default: 120, min: 60, max: 180 } // target length in seconds
+};
+
+const ARC_STAGES = ['setup', 'conflict', 'resolution'];
+
+// Stories shorter than this share of the target score their share of it
+const ON_TIME_FROM = 0.5;
+
+// Points lost per second spoken past the target
+const OVERTIME_PENALTY = 2;
+
+// Weight of the timing score against the narrative score in the overall rating
+const TIMING_WEIGHT = 0.2;
+
+const clampSetting = (value, { default: defaultValue, min, max }) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : defaultValue;
+};
+
+// 100 between ON_TIME_FROM of the target and the target; shorter stories score their
+// share of that, longer ones lose OVERTIME_PENALTY points per second
+export const calculateTimingScore = (seconds, target) => {
+  const onTimeFrom = target * ON_TIME_FROM;
+  if (seconds < onTimeFrom) return Math.round((seconds / onTimeFrom) * 100);
+  if (seconds <= target) return 100;
+  return Math.max(0, Math.round(100 - (seconds - target) * OVERTIME_PENALTY));
+};
+
+const averageOf = (values) => {
+  const present = values.filter(Number.isFinite);
+  return present.length > 0 ? Math.round(present.reduce((sum, value) => sum + value, 0) / present.length) : 0;
+};
+
+const timingFeedback = ({ speakingDuration, storyDuration }) => {
+  if (speakingDuration > storyDuration) {
+    return {
+      type: 'improvement',
+      message: `You ran ${Math.round(speakingDuration - storyDuration)}s past your ${storyDuration}s target. Trim the setup and get to the conflict sooner`
+    };
+  }
+  if (speakingDuration < storyDuration * ON_TIME_FROM) {
+    return {
+      type: 'suggestion',
+      message: `The story took ${Math.round(speakingDuration)}s of ${storyDuration}s. Slow down at the turning point and let the audience see it`
+    };
+  }
+  return { type: 'positive', message: `You told the story in ${Math.round(speakingDuration)}s of your ${storyDuration}s target` };
+};
+
+export default {
+  id: 'storytelling',
+  name: 'Storytelling',
+  description: 'Tell a short story from a prompt with a clear setup, conflict and resolution',
+
+  settings,
+
+  dataSchema: {
+    prompt: String,
+    storyDuration: Number, // target length in seconds
+    speakingDuration: Number, // seconds, from the transcript when there is one
+    timingScore: Number, // 0-100
+    // Filled in by the analysis (analyzeStoryArc)
+    arc: {
+      segments: [{
+        stage: { type: String, enum: ARC_STAGES },
+        from: Number, // 1-based sentence numbers, inclusive
+        to: Number,
+        text: String,
+        wordShare: Number // 0-100, share of the story's words
+      }],
+      arcScore: Number, // 0-100
+      detailScore: Number,
+      pacingScore: Number,
+      score: Number
+    }
+  },
+
+  stats: {
+    averageArcScore: sessions => averageOf(sessions.map(s => s.gameSpecificData?.storytelling?.arc?.arcScore)),
+    // Share of analyzed stories with all three stages
+    completeArcRate: sessions => {
+      const analyzed = sessions.filter(s => s.gameSpecificData?.storytelling?.arc?.segments);
+      if (analyzed.length === 0) return 0;
+      const complete = analyzed.filter(s => ARC_STAGES.every(stage =>
+        s.gameSpecificData.storytelling.arc.segments.some(segment => segment.stage === stage)
+      ));
+      return Math.round((complete.length / analyzed.length) * 100);
+    }
+  },
+
+  applyResults(gameSession, storytelling) {
+    const storyDuration = clampSetting(storytelling.storyDuration, settings.storyDuration);
+    const speakingDuration = measureSpeakingDuration(gameSession, storytelling.speakingDuration);
+    const timingScore = calculateTimingScore(speakingDuration, storyDuration);
+
+    gameSession.gameSpecificData.storytelling = {
+      prompt: typeof storytelling.prompt === 'string' ? storytelling.prompt.trim().slice(0, 300) : '',
+      storyDuration,
+      speakingDuration,
+      timingScore
+    };
+    // Timing is measured here; the story itself is scored by the analysis once the session has ended
+    gameSession.performance.accuracy = timingScore;
+    gameSession.performance.score = timingScore;
+  },
+
+  calculatePerformance(performance, storytelling) {
+    performance.accuracy = storytelling.timingScore || 0;
+    performance.score = performance.accuracy;
+  },
+
+  generatePrompts(promptGenerationService, { count, difficulty, language }) {
+    return promptGenerationService.generateStoryPrompts(count, difficulty, language);
+  },
+
+  async analyze(gameSession, { narrativeAnalysisService }) {
+    const { storytelling } = gameSession.gameSpecificData;
+    const story = gameSession.transcript?.fullText;
+
+    if (!storytelling?.prompt || !story?.trim()) {
+      return null;
+    }
+
+    const arc = await narrativeAnalysisService.analyzeStoryArc(story, storytelling.prompt, {
+      language: gameSession.sessionData.language,
+      segments: gameSession.transcript.segments || []
+    });
+
+    // Kept on the session so the results can show where each stage starts and ends
+    storytelling.arc = {
+      segments: arc.segments,
+      arcScore: arc.arcScore,
+      detailScore: arc.detailScore,
+      pacingScore: arc.pacingScore,
+      score: arc.score
+    };
+
+    const overallRating = Math.round(arc.score * (1 - TIMING_WEIGHT) + (storytelling.timingScore || 0) * TIMING_WEIGHT);
+    const missing = ARC_STAGES.filter(stage => !arc.segments.some(segment => segment.stage === stage));
+
+    return {
+      speechClarity: arc.detailScore,
+      energyLevel: 75,
+      coherence: arc.arcScore,
+      confidence: overallRating,
+      fluency: arc.pacingScore,
+      overallRating,
+      strengths: arc.strengths?.length ? arc.strengths : ['Told a story from the prompt'],
+      areasForImprovement: arc.improvements?.length ? arc.improvements : ['Keep practicing with new prompts'],
+      source: combineSources([arc]),
+      promptVersions: collectPromptVersions([arc]),
+      feedback: [
+        missing.length > 0
+          ? { type: 'improvement', message: `No ${missing.join(' or ')} was detected. A story needs a setup, a conflict and a resolution` }
+          : { type: 'positive', message: 'Your story had a setup, a conflict and a resolution' },
+        timingFeedback(storytelling),
+        ...(arc.improvements || []).slice(0, 2).map(message => ({ type: 'suggestion', message }))
+      ]
+    };
+  }
+};
@@ -0,0 +1,7 @@
+import { runWithUsageContext } from '../services/ai/index.js';
+
+// Attribute every AI call made while handling this request to the signed-in user.
+// Mount after authMiddleware.
+export const aiUsageContext = (req, res, next) => {
+  runWithUsageContext({ userId: req.user?._id }, next);
+};
@@ -2,53 +2,63 @@ import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import { logger } from '../utils/logger.js';
 
-export const authMiddleware = async (req, res, next) => {
+// A rejected token, with the status and message the REST API answers with and a
+// code for Socket.IO clients
+export class AuthenticationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.statusCode = 401;
+    this.code = code;
+  }
+}
+
+// Resolve the active user a JWT belongs to; shared by the REST and Socket.IO middleware
+export const authenticateToken = async (token) => {
+  if (!token) {
+    throw new AuthenticationError('Access denied. No token provided.', 'NO_TOKEN');
+  }
+
+  let decoded;
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. No token provided.'
-      });
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthenticationError('Token expired.', 'TOKEN_EXPIRED');
     }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token. User not found.'
-      });
+    if (error.name === 'JsonWebTokenError') {
+      throw new AuthenticationError('Invalid token.', 'INVALID_TOKEN');
     }
+    throw error;
+  }
 
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Account is deactivated.'
-      });
-    }
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    throw new AuthenticationError('Invalid token. User not found.', 'USER_NOT_FOUND');
+  }
+
+  if (!user.isActive) {
+    throw new AuthenticationError('Account is deactivated.', 'ACCOUNT_DEACTIVATED');
+  }
 
-    req.user = user;
+  return user;
+};
+
+export const authMiddleware = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    req.user = await authenticateToken(token);
     next();
   } catch (error) {
-    logger.error('Authentication middleware error:', error);
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token.'
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
+    if (error instanceof AuthenticationError) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Token expired.'
+        message: error.message
       });
     }
-    
+
+    logger.error('Authentication middleware error:', error);
     return res.status(500).json({
       success: false,
       message: 'Internal server error during authentication.'
@@ -116,3 +126,26 @@ export const optionalAuth = async (req, res, next) => {
     next(); // Continue without authentication
   }
 };
+
+// Socket.IO handshake counterpart of authMiddleware: the client passes its JWT
+// as io(url, { auth: { token } }) (or an Authorization header) and the user is
+// kept on socket.data.user. Rejected connections get a connect_error whose
+// data is { code, message }.
+export const socketAuthMiddleware = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
+    socket.data.user = await authenticateToken(token);
+    next();
+  } catch (error) {
+    const rejection = new Error(error instanceof AuthenticationError ? error.message : 'Authentication failed');
+    rejection.data = {
+      code: error instanceof AuthenticationError ? error.code : 'AUTH_FAILED',
+      message: rejection.message
+    };
+
+    if (!(error instanceof AuthenticationError)) {
+      logger.error('Socket authentication error:', error);
+    }
+    next(rejection);
+  }
+};
@@ -0,0 +1,81 @@
+import multer from 'multer';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Recordings are streamed to their owner by GET /api/games/sessions/:sessionId/audio, never served statically
+export const UPLOAD_ROOT = path.join(__dirname, '../../uploads');
+
+const AUDIO_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav'
+};
+
+// MediaRecorder reports codecs too, e.g. "audio/webm;codecs=opus"
+const baseMimeType = (mimetype = '') => mimetype.split(';')[0].trim().toLowerCase();
+
+// Each user's recordings live in their own directory
+export const userAudioDir = (userId) => path.join(UPLOAD_ROOT, 'audio', userId.toString());
+
+const audioStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const userDir = userAudioDir(req.user._id);
+    fs.mkdir(userDir, { recursive: true }, (err) => cb(err, userDir));
+  },
+  filename: (req, file, cb) => {
+    const extension = AUDIO_EXTENSIONS[baseMimeType(file.mimetype)];
+    cb(null, `${req.params.sessionId}-${crypto.randomUUID()}.${extension}`);
+  }
+});
+
+const audioFileFilter = (req, file, cb) => {
+  if (!AUDIO_EXTENSIONS[baseMimeType(file.mimetype)]) {
+    const error = new Error(`Unsupported audio format: ${file.mimetype}`);
+    error.statusCode = 400;
+    return cb(error);
+  }
+  cb(null, true);
+};
+
+export const audioUpload = multer({
+  storage: audioStorage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+    files: 1
+  },
+  fileFilter: audioFileFilter
+});
+
+// Short recognizer chunks are transcribed and discarded, so keep them in memory
+export const audioChunkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB, several seconds of opus audio
+    files: 1
+  },
+  fileFilter: audioFileFilter
+});
+
+// Stored URL for a file under UPLOAD_ROOT; it names the file and isn't served as is
+export const toUploadUrl = (filePath) =>
+  `/uploads/${path.relative(UPLOAD_ROOT, filePath).split(path.sep).join('/')}`;
+
+// Resolve a stored /uploads URL back to its path on disk. Throws when the path
+// escapes baseDir, e.g. through "..", so a stored URL can't reach other files.
+export const fromUploadUrl = (url, baseDir = UPLOAD_ROOT) => {
+  const filePath = path.resolve(UPLOAD_ROOT, String(url).replace(/^\/uploads\//, ''));
+  if (!filePath.startsWith(path.resolve(baseDir) + path.sep)) {
+    const error = new Error('Upload URL points outside the upload directory');
+    error.statusCode = 400;
+    throw error;
+  }
+  return filePath;
+};
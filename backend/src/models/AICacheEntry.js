@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// Persisted AI response, see services/ai/cache/responseCache.js
+const aiCacheEntrySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  service: { type: String, required: true },
+  method: { type: String, required: true },
+  value: { type: mongoose.Schema.Types.Mixed, required: true },
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes entries once expiresAt passes
+aiCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('AICacheEntry', aiCacheEntrySchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// One LLM call, recorded by services/ai/usage/usageTracker.js
+const aiUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }, // missing for calls made outside a user's request (startup connection tests)
+  service: { type: String, required: true },
+  method: { type: String, default: 'unknown' },
+  provider: { type: String, required: true },
+  model: { type: String, required: true },
+  inputTokens: { type: Number, default: 0 },
+  outputTokens: { type: Number, default: 0 },
+  latencyMs: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 }, // estimated, in USD
+  success: { type: Boolean, default: true },
+  error: { type: String }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+aiUsageSchema.index({ createdAt: -1 });
+
+export default mongoose.model('AIUsage', aiUsageSchema);
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// A queued AI analysis of an ended game session, processed by services/analysis/analysisQueue.js
+const analysisJobSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GameSession',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  runAt: { type: Date, default: Date.now }, // not picked up before this time (retry backoff)
+  lockedUntil: { type: Date }, // a running job past this time is assumed abandoned
+  lastError: { type: String },
+  completedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+analysisJobSchema.index({ status: 1, runAt: 1 });
+analysisJobSchema.index({ sessionId: 1 });
+
+// Atomically claim the next due job so several workers never run the same one
+analysisJobSchema.statics.claimNext = function(lockMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedUntil: new Date(now.getTime() + lockMs) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+export default mongoose.model('AnalysisJob', analysisJobSchema);
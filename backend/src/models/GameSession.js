@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { LANGUAGE_CODES, DEFAULT_LANGUAGE } from '../config/languages.js';
+import { GAME_TYPES, getGame, buildGameDataSchema, calculatePerformanceScore } from '../games/index.js';
 
 const gameSessionSchema = new mongoose.Schema({
   userId: {
@@ -8,7 +10,7 @@ const gameSessionSchema = new mongoose.Schema({
   },
   gameType: {
     type: String,
-    enum: ['rapidFire', 'conductor', 'tripleStep'],
+    enum: GAME_TYPES,
     required: true
   },
   sessionData: {
@@ -19,6 +21,12 @@ const gameSessionSchema = new mongoose.Schema({
       type: String,
       enum: ['beginner', 'intermediate', 'advanced', 'expert'],
       default: 'beginner'
+    },
+    // Practice language the session was played in
+    language: {
+      type: String,
+      enum: LANGUAGE_CODES,
+      default: DEFAULT_LANGUAGE
     }
   },
   performance: {
@@ -27,6 +35,7 @@ const gameSessionSchema = new mongoose.Schema({
     speed: { type: Number, default: 0 }, // average response time
     energyConsistency: { type: Number, default: 0 }, // for conductor game
     wordIntegration: { type: Number, default: 0 }, // for triple step game
+    wordsPerMinute: { type: Number, default: 0 }, // average over speaking time
     totalPrompts: { type: Number, default: 0 },
     completedPrompts: { type: Number, default: 0 }
   },
@@ -43,52 +52,58 @@ const gameSessionSchema = new mongoose.Schema({
       timestamp: { type: Date, default: Date.now }
     }],
     strengths: [String],
-    areasForImprovement: [String]
+    areasForImprovement: [String],
+    // model: valid LLM output; repaired: valid after one repair request; fallback: defaults or heuristics
+    source: { type: String, enum: ['model', 'repaired', 'fallback'], default: 'fallback' },
+    // Prompt templates behind the analysis, e.g. 'coherenceAnalysis.rapidFire@v2' (services/ai/prompts)
+    promptVersions: [String],
+    // Analysis runs after the session ends (services/analysis/analysisQueue.js)
+    status: { type: String, enum: ['pending', 'complete', 'failed'] }
   },
-  gameSpecificData: {
-    // Rapid Fire specific data
-    rapidFire: {
-      prompts: [{
-        text: String,
-        responseTime: Number,
-        responseQuality: Number,
-        userResponse: String
-      }],
-      averageResponseTime: Number,
-      responseRate: Number
-    },
-    // Conductor specific data
-    conductor: {
-      topic: String,
-      energyTransitions: [{
-        fromLevel: Number,
-        toLevel: Number,
-        transitionTime: Number,
-        success: Boolean
-      }],
-      breatheCues: [{
-        timestamp: Date,
-        followed: Boolean,
-        responseTime: Number
-      }],
-      energyRange: {
-        min: Number,
-        max: Number,
-        average: Number
-      }
-    },
-    // Triple Step specific data
-    tripleStep: {
-      topic: String,
-      words: [{
+  // One entry per registered game, see games/
+  gameSpecificData: buildGameDataSchema(),
+  transcript: {
+    source: { type: String, enum: ['client', 'server', 'stub'], default: 'client' },
+    engine: String, // server transcription engine, when source is 'server'
+    language: String,
+    segments: [{
+      text: String,
+      start: Number, // ms from session start
+      end: Number
+    }],
+    words: [{
+      word: String,
+      start: Number, // ms from recording start
+      end: Number,
+      confidence: Number // 0-1, null when the engine doesn't report it
+    }],
+    fullText: String
+  },
+  speechMetrics: {
+    fillers: {
+      total: { type: Number, default: 0 },
+      repetitions: { type: Number, default: 0 },
+      rate: { type: Number, default: 0 }, // fillers per 100 words
+      perMinute: { type: Number, default: 0 },
+      totalWords: { type: Number, default: 0 },
+      counts: { type: Map, of: Number },
+      occurrences: [{
         word: String,
-        appearanceTime: Date,
-        integrationTime: Number,
-        successfullyIntegrated: Boolean,
-        context: String
-      }],
-      integrationSuccessRate: Number,
-      topicCoherence: Number
+        type: { type: String, enum: ['filler', 'repetition'] },
+        timestamp: Number // ms from session start
+      }]
+    },
+    pace: {
+      wordsPerMinute: { type: Number, default: 0 },
+      targetMin: Number,
+      targetMax: Number,
+      inBandPercent: { type: Number, default: 0 }, // share of speaking time inside the target band
+      segments: [{
+        start: Number, // ms from session start
+        end: Number,
+        words: Number,
+        wpm: Number
+      }]
     }
   },
   audioRecording: {
@@ -107,6 +122,27 @@ const gameSessionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set on Rapid Fire sessions played head-to-head in a multiplayer room
+  // (services/multiplayer); every participant's session shares the matchId
+  multiplayer: {
+    matchId: { type: mongoose.Schema.Types.ObjectId },
+    roomCode: String,
+    points: Number, // race points: response quality plus speed and first-answer bonuses
+    placement: Number, // 1 = winner, tied players share a placement
+    playerCount: Number,
+    opponents: [{
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      username: String,
+      sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'GameSession' },
+      points: Number,
+      placement: Number
+    }]
+  },
+  // Users the owner invited to follow the session live in its socket room
+  invitedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   tags: [String], // for categorization and search
   notes: String // user or instructor notes
 }, {
@@ -123,20 +159,9 @@ gameSessionSchema.virtual('sessionDuration').get(function() {
   return 0;
 });
 
-// Virtual for performance score
+// Virtual for performance score, weighted per game (games/<game>.js scoreWeights)
 gameSessionSchema.virtual('performanceScore').get(function() {
-  const { accuracy, speed, energyConsistency, wordIntegration } = this.performance;
-  
-  switch (this.gameType) {
-    case 'rapidFire':
-      return Math.round((accuracy * 0.6) + (speed * 0.4));
-    case 'conductor':
-      return Math.round((accuracy * 0.4) + (energyConsistency * 0.6));
-    case 'tripleStep':
-      return Math.round((accuracy * 0.5) + (wordIntegration * 0.5));
-    default:
-      return accuracy;
-  }
+  return calculatePerformanceScore(this.gameType, this.performance);
 });
 
 // Indexes for better query performance
@@ -145,47 +170,21 @@ gameSessionSchema.index({ 'sessionData.startTime': -1 });
 gameSessionSchema.index({ 'performance.score': -1 });
 gameSessionSchema.index({ 'aiAnalysis.overallRating': -1 });
 gameSessionSchema.index({ tags: 1 });
+gameSessionSchema.index({ 'aiAnalysis.promptVersions': 1 });
+gameSessionSchema.index({ invitedUsers: 1 });
+gameSessionSchema.index({ 'multiplayer.matchId': 1 }, { sparse: true });
+gameSessionSchema.index(
+  { userId: 1, 'gameSpecificData.elevatorPitch.pitchId': 1 },
+  { partialFilterExpression: { 'gameSpecificData.elevatorPitch.pitchId': { $exists: true } } }
+);
 
-// Method to calculate performance metrics
+// Method to calculate performance metrics. The game's hook owns its scores, so it
+// overrides whatever the client sent; other fields keep the client's values.
 gameSessionSchema.methods.calculatePerformance = function() {
-  // If performance data is already set, use it
-  if (this.performance.score !== undefined) {
-    return this;
-  }
-
-  switch (this.gameType) {
-    case 'rapidFire':
-      if (this.gameSpecificData.rapidFire) {
-        const rapidFire = this.gameSpecificData.rapidFire;
-        // Use the data structure we're actually sending
-        this.performance.totalPrompts = rapidFire.totalPrompts || 0;
-        this.performance.completedPrompts = rapidFire.completedResponses || 0;
-        this.performance.accuracy = rapidFire.totalPrompts > 0 ? 
-          Math.round((rapidFire.completedResponses / rapidFire.totalPrompts) * 100) : 0;
-        this.performance.speed = rapidFire.responseTime || 0;
-        this.performance.score = this.performance.accuracy;
-      }
-      break;
-      
-    case 'conductor':
-      if (this.gameSpecificData.conductor) {
-        const conductor = this.gameSpecificData.conductor;
-        this.performance.energyConsistency = conductor.consistency || 0;
-        this.performance.accuracy = conductor.consistency || 0;
-        this.performance.score = this.performance.accuracy;
-      }
-      break;
-      
-    case 'tripleStep':
-      if (this.gameSpecificData.tripleStep) {
-        const tripleStep = this.gameSpecificData.tripleStep;
-        this.performance.accuracy = tripleStep.wordsAttempted > 0 ? 
-          Math.round((tripleStep.successfulIntegrations / tripleStep.wordsAttempted) * 100) : 0;
-        this.performance.wordIntegration = this.performance.accuracy;
-        this.performance.speed = tripleStep.averageTime || 0;
-        this.performance.score = this.performance.accuracy;
-      }
-      break;
+  const game = getGame(this.gameType);
+  const gameData = this.gameSpecificData?.[this.gameType];
+  if (game && gameData) {
+    game.calculatePerformance(this.performance, gameData);
   }
   
   // Ensure we have default values
@@ -207,6 +206,12 @@ gameSessionSchema.methods.endSession = function() {
   return this.save();
 };
 
+// Method to check whether a user may join the session's socket room
+gameSessionSchema.methods.isAccessibleBy = function(userId) {
+  const id = String(userId);
+  return String(this.userId) === id || this.invitedUsers.some(invited => String(invited) === id);
+};
+
 // Static method to get user statistics
 gameSessionSchema.statics.getUserStats = async function(userId, gameType = null) {
   const matchStage = gameType ? { userId, gameType } : { userId };
@@ -1,6 +1,8 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import { logger } from '../utils/logger.js';
+import { LANGUAGE_CODES, DEFAULT_LANGUAGE } from '../config/languages.js';
+import { buildGameSettingsSchema, buildBestScoresSchema } from '../games/index.js';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -53,20 +55,20 @@ const userSchema = new mongoose.Schema({
       enum: ['beginner', 'intermediate', 'advanced', 'expert'],
       default: 'beginner'
     },
-    gameSettings: {
-      rapidFire: {
-        timerDuration: { type: Number, default: 5, min: 2, max: 10 },
-        promptsCount: { type: Number, default: 10, min: 5, max: 25 }
-      },
-      conductor: {
-        sessionDuration: { type: Number, default: 60, min: 30, max: 300 },
-        energyChanges: { type: Number, default: 8, min: 5, max: 15 }
-      },
-      tripleStep: {
-        sessionDuration: { type: Number, default: 90, min: 60, max: 300 },
-        wordFrequency: { type: Number, default: 10, min: 5, max: 20 }
-      }
+    // 'auto' uses the browser's Web Speech API when available and falls back to the server
+    speechEngine: {
+      type: String,
+      enum: ['auto', 'browser', 'server'],
+      default: 'auto'
+    },
+    // Drives the recognizer locale, generated prompts, filler lists and feedback language
+    language: {
+      type: String,
+      enum: LANGUAGE_CODES,
+      default: DEFAULT_LANGUAGE
     },
+    // Per-game settings, one entry per registered game (games/)
+    gameSettings: buildGameSettingsSchema(),
     notifications: {
       email: { type: Boolean, default: true },
       push: { type: Boolean, default: true }
@@ -76,11 +78,7 @@ const userSchema = new mongoose.Schema({
     totalGamesPlayed: { type: Number, default: 0 },
     totalTimeSpent: { type: Number, default: 0 }, // in seconds
     averageScore: { type: Number, default: 0 },
-    bestScores: {
-      rapidFire: { type: Number, default: 0 },
-      conductor: { type: Number, default: 0 },
-      tripleStep: { type: Number, default: 0 }
-    },
+    bestScores: buildBestScoresSchema(),
     streaks: {
       current: { type: Number, default: 0 },
       longest: { type: Number, default: 0 }
@@ -149,18 +147,13 @@ userSchema.methods.updateStats = function(gameType, score, duration) {
   this.stats.totalGamesPlayed += 1;
   this.stats.totalTimeSpent += duration;
   
-  // Map game types to stat keys
-  const gameTypeKey = gameType === 'rapidFire' ? 'rapidFire' : 
-                     gameType === 'conductor' ? 'conductor' : 
-                     gameType === 'tripleStep' ? 'tripleStep' : gameType;
-  
-  // Update best score for the game type
-  if (!this.stats.bestScores[gameTypeKey]) {
-    this.stats.bestScores[gameTypeKey] = 0;
+  // Update best score for the game type (bestScores has a key per registered game)
+  if (!this.stats.bestScores[gameType]) {
+    this.stats.bestScores[gameType] = 0;
   }
   
-  if (score > this.stats.bestScores[gameTypeKey]) {
-    this.stats.bestScores[gameTypeKey] = score;
+  if (score > this.stats.bestScores[gameType]) {
+    this.stats.bestScores[gameType] = score;
   }
   
   // Update average score
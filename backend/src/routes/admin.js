@@ -0,0 +1,141 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import GameSession from '../models/GameSession.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getUsageSummary, getQuotaStatus, USAGE_GROUPINGS, listPromptTemplates } from '../services/ai/index.js';
+import { getConnectedUsers } from '../socket/presence.js';
+
+const router = express.Router();
+
+// @route   GET /api/admin/ai-usage
+// @desc    Get AI token usage and estimated cost, grouped by service, method, model, user or day
+// @access  Admin
+router.get('/ai-usage', [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('days must be between 1 and 365'),
+  query('groupBy').optional().isIn(USAGE_GROUPINGS).withMessage(`groupBy must be one of ${USAGE_GROUPINGS.join(', ')}`),
+  query('userId').optional().isMongoId().withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { days = 30, groupBy = 'service', userId } = req.query;
+  const summary = await getUsageSummary({ days: parseInt(days), groupBy, userId });
+
+  res.json({
+    success: true,
+    data: summary
+  });
+}));
+
+// @route   GET /api/admin/ai-usage/users/:userId/quota
+// @desc    Get a user's AI usage today against the daily quota
+// @access  Admin
+router.get('/ai-usage/users/:userId/quota', [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: await getQuotaStatus(req.params.userId)
+  });
+}));
+
+// @route   GET /api/admin/prompts
+// @desc    List prompt templates with their versions and the active one
+// @access  Admin
+router.get('/prompts', (req, res) => {
+  res.json({
+    success: true,
+    data: listPromptTemplates()
+  });
+});
+
+// @route   GET /api/admin/prompts/scores
+// @desc    Compare AI rating distributions of analyzed sessions between prompt template versions
+// @access  Admin
+router.get('/prompts/scores', [
+  query('name').optional().matches(/^[\w.]+$/).withMessage('Invalid prompt template name'),
+  query('gameType').optional().isString(),
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('days must be between 1 and 365')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { name, gameType, days = 90 } = req.query;
+  const match = {
+    'aiAnalysis.status': 'complete',
+    createdAt: { $gte: new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000) }
+  };
+  if (gameType) match.gameType = gameType;
+
+  const versions = await GameSession.aggregate([
+    { $match: match },
+    { $unwind: '$aiAnalysis.promptVersions' },
+    // Only the versions of one template, e.g. name=coherenceAnalysis.rapidFire
+    ...(name ? [{ $match: { 'aiAnalysis.promptVersions': { $regex: `^${name.replace(/\./g, '\\.')}@v` } } }] : []),
+    {
+      $group: {
+        _id: '$aiAnalysis.promptVersions',
+        sessions: { $sum: 1 },
+        averageRating: { $avg: '$aiAnalysis.overallRating' },
+        ratingStdDev: { $stdDevPop: '$aiAnalysis.overallRating' },
+        averageScore: { $avg: '$performance.score' },
+        fallbackSessions: { $sum: { $cond: [{ $eq: ['$aiAnalysis.source', 'fallback'] }, 1, 0] } },
+        ratings: { $push: '$aiAnalysis.overallRating' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  res.json({
+    success: true,
+    data: versions.map(({ _id, ratings, averageRating, ratingStdDev, averageScore, ...stats }) => ({
+      promptVersion: _id,
+      ...stats,
+      averageRating: Math.round(averageRating || 0),
+      ratingStdDev: Math.round(ratingStdDev || 0),
+      averageScore: Math.round(averageScore || 0),
+      // Sessions per 10-point band of overallRating: [0-9, 10-19, ..., 90-100]
+      ratingHistogram: ratings.reduce((histogram, rating) => {
+        histogram[Math.min(9, Math.floor((rating || 0) / 10))]++;
+        return histogram;
+      }, new Array(10).fill(0))
+    }))
+  });
+}));
+
+// @route   GET /api/admin/connections
+// @desc    List users connected over Socket.IO to this server instance
+// @access  Admin
+router.get('/connections', (req, res) => {
+  const users = getConnectedUsers();
+  res.json({
+    success: true,
+    data: {
+      count: users.length,
+      users
+    }
+  });
+});
+
+export default router;
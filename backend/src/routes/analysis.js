@@ -6,8 +6,10 @@ import {
   getSpeechAnalysisService, 
   getFeedbackService,
   getEnergyDetectionService,
-  getCoherenceAnalysisService
+  getCoherenceAnalysisService,
+  getAICacheStats
 } from '../services/ai/index.js';
+import { GAME_TYPES } from '../games/index.js';
 
 const router = express.Router();
 
@@ -19,7 +21,7 @@ router.post('/speech-quality', [
     .notEmpty()
     .withMessage('Speech transcript is required'),
   body('gameType')
-    .isIn(['rapidFire', 'conductor', 'tripleStep'])
+    .isIn(GAME_TYPES)
     .withMessage('Invalid game type'),
   body('context')
     .optional()
@@ -42,7 +44,7 @@ router.post('/speech-quality', [
     const analysis = await speechAnalysisService.analyzeSpeechQuality(
       transcript,
       gameType,
-      context
+      { ...context, language: context?.language || req.user.preferences?.language }
     );
 
     res.json({
@@ -92,7 +94,8 @@ router.post('/rapid-fire', [
     const analysis = await speechAnalysisService.analyzeRapidFireResponse(
       prompt,
       response,
-      responseTime
+      responseTime,
+      req.user.preferences?.language
     );
 
     res.json({
@@ -148,7 +151,8 @@ router.post('/energy-transition', [
       fromLevel,
       toLevel,
       speechSegment,
-      transitionTime || 0
+      transitionTime || 0,
+      req.user.preferences?.language
     );
 
     res.json({
@@ -205,7 +209,8 @@ router.post('/word-integration', [
       mainTopic,
       targetWord,
       speechContext,
-      integrationTime || 0
+      integrationTime || 0,
+      req.user.preferences?.language
     );
 
     res.json({
@@ -258,7 +263,7 @@ router.post('/coherence', [
     const analysis = await coherenceAnalysisService.analyzeSpeechCoherence(
       speechTranscript,
       mainTopic,
-      context
+      { ...context, language: context?.language || req.user.preferences?.language }
     );
 
     res.json({
@@ -283,7 +288,7 @@ router.post('/coherence', [
 // @access  Private
 router.post('/feedback', [
   body('gameType')
-    .isIn(['rapidFire', 'conductor', 'tripleStep'])
+    .isIn(GAME_TYPES)
     .withMessage('Invalid game type'),
   body('performance')
     .isObject()
@@ -309,7 +314,8 @@ router.post('/feedback', [
     const feedback = await feedbackService.generateGameSpecificFeedback(
       gameType,
       performance,
-      context
+      context,
+      req.user.preferences?.language
     );
 
     res.json({
@@ -334,7 +340,7 @@ router.post('/feedback', [
 // @access  Private
 router.post('/personalized-feedback', [
   body('gameType')
-    .isIn(['rapidFire', 'conductor', 'tripleStep'])
+    .isIn(GAME_TYPES)
     .withMessage('Invalid game type'),
   body('recentPerformance')
     .isObject()
@@ -369,7 +375,8 @@ router.post('/personalized-feedback', [
       userStats,
       gameType,
       recentPerformance,
-      difficulty
+      difficulty,
+      req.user.preferences?.language
     );
 
     res.json({
@@ -503,7 +510,7 @@ router.post('/speech-structure', [
     .notEmpty()
     .withMessage('Speech transcript is required'),
   body('gameType')
-    .isIn(['rapidFire', 'conductor', 'tripleStep'])
+    .isIn(GAME_TYPES)
     .withMessage('Invalid game type')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -521,7 +528,8 @@ router.post('/speech-structure', [
     const coherenceAnalysisService = getCoherenceAnalysisService();
     const analysis = await coherenceAnalysisService.analyzeSpeechStructure(
       speechTranscript,
-      gameType
+      gameType,
+      req.user.preferences?.language
     );
 
     res.json({
@@ -591,4 +599,14 @@ router.get('/exercises/:type', asyncHandler(async (req, res) => {
   }
 }));
 
+// @route   GET /api/analysis/cache-stats
+// @desc    Get AI response cache hit/miss counts
+// @access  Private
+router.get('/cache-stats', (req, res) => {
+  res.json({
+    success: true,
+    data: getAICacheStats()
+  });
+});
+
 export default router;
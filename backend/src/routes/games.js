@@ -1,27 +1,40 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import fs from 'fs/promises';
+import { body, param, validationResult } from 'express-validator';
 import GameSession from '../models/GameSession.js';
 import User from '../models/User.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { audioUpload, toUploadUrl, fromUploadUrl, userAudioDir } from '../middleware/upload.js';
+import { analyzeFillerUsage } from '../services/speech/fillerDetection.js';
+import { analyzePace } from '../services/speech/paceAnalysis.js';
+import { LANGUAGE_CODES, resolveLanguage } from '../config/languages.js';
 import { 
   getSpeechAnalysisService, 
-  getPromptGenerationService,
-  getEnergyDetectionService,
-  getCoherenceAnalysisService
+  getPromptGenerationService
 } from '../services/ai/index.js';
+import { enqueueSessionAnalysis } from '../services/analysis/analysisQueue.js';
+import { stopLiveCoaching } from '../services/analysis/liveCoaching.js';
+import { updateUserStats } from '../services/analysis/userStats.js';
+import { emitToUser, removeUserFromRoom } from '../config/socket.js';
+import { isUserConnected } from '../socket/presence.js';
+import { GAME_TYPES, getGame, listGames } from '../games/index.js';
 
 const router = express.Router();
 
 // Validation middleware
 const validateGameSession = [
   body('gameType')
-    .isIn(['rapidFire', 'conductor', 'tripleStep'])
+    .isIn(GAME_TYPES)
     .withMessage('Invalid game type'),
   body('sessionData.difficulty')
     .optional()
     .isIn(['beginner', 'intermediate', 'advanced', 'expert'])
-    .withMessage('Invalid difficulty level')
+    .withMessage('Invalid difficulty level'),
+  body('sessionData.language')
+    .optional()
+    .isIn(LANGUAGE_CODES)
+    .withMessage('Unsupported practice language')
 ];
 
 // @route   GET /api/games/test
@@ -35,6 +48,18 @@ router.get('/test', (req, res) => {
   });
 });
 
+// @route   GET /api/games/types
+// @desc    List the registered game types and their settings
+// @access  Private
+router.get('/types', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      games: listGames()
+    }
+  });
+});
+
 // @route   POST /api/games/start-session
 // @desc    Start a new game session
 // @access  Private
@@ -60,6 +85,7 @@ router.post('/start-session', validateGameSession, asyncHandler(async (req, res)
       gameType,
       sessionData: {
         ...sessionData,
+        language: resolveLanguage(sessionData?.language || req.user.preferences?.language),
         startTime: new Date()
       },
       metadata: {
@@ -106,7 +132,7 @@ router.post('/start-session', validateGameSession, asyncHandler(async (req, res)
 // @access  Private
 router.post('/end-session/:sessionId', asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
-  const { performance, gameSpecificData, audioRecording } = req.body;
+  const { performance, gameSpecificData, transcript } = req.body;
 
   logger.info(`Ending game session ${sessionId} with data:`, { performance, gameSpecificData });
 
@@ -141,55 +167,49 @@ router.post('/end-session/:sessionId', asyncHandler(async (req, res) => {
       accuracy: performance.accuracy || 0,
       speed: performance.speed || 0,
       fluency: performance.fluency || 0,
-      confidence: performance.confidence || 0
+      confidence: performance.confidence || 0,
+      wordsPerMinute: performance.wordsPerMinute || 0
     };
 
     logger.info(`Performance data set:`, gameSession.performance);
 
-    // Update game-specific data based on game type
+    // Filler and pace detection are deterministic, so they run even when AI analysis is unavailable.
+    // A server transcript (from the uploaded recording) is preferred over the client's own.
+    const hasServerTranscript = gameSession.transcript?.source === 'server' && gameSession.transcript.segments.length > 0;
+    const segments = hasServerTranscript
+      ? gameSession.transcript.segments.map(({ text, start, end }) => ({ text, start, end }))
+      : sanitizeTranscriptSegments(transcript?.segments);
+    if (segments.length > 0) {
+      if (!hasServerTranscript) {
+        gameSession.transcript = {
+          source: 'client',
+          segments,
+          fullText: segments.map(s => s.text).join(' ')
+        };
+      }
+      const pace = analyzePace(segments, gameSession.sessionData.difficulty);
+      gameSession.speechMetrics = {
+        fillers: analyzeFillerUsage(segments, gameSession.sessionData.language),
+        pace
+      };
+      if (pace.wordsPerMinute > 0) {
+        gameSession.performance.wordsPerMinute = pace.wordsPerMinute;
+      }
+    }
+
+    // Update game-specific data based on game type, after the transcript so games can score it
     if (gameSpecificData) {
       logger.info(`Updating game-specific data for ${gameSession.gameType}:`, gameSpecificData);
       
-      switch (gameSession.gameType) {
-        case 'rapidFire':
-          if (gameSpecificData.rapidFire) {
-            gameSession.gameSpecificData.rapidFire = {
-              prompt: gameSpecificData.rapidFire.prompt || '',
-              responseTime: gameSpecificData.rapidFire.responseTime || 0,
-              analogyQuality: gameSpecificData.rapidFire.analogyQuality || 0,
-              totalPrompts: gameSpecificData.rapidFire.totalPrompts || 0,
-              completedResponses: gameSpecificData.rapidFire.completedResponses || 0
-            };
-          }
-          break;
-        
-        case 'tripleStep':
-          if (gameSpecificData.tripleStep) {
-            gameSession.gameSpecificData.tripleStep = {
-              topic: gameSpecificData.tripleStep.topic || '',
-              wordsAttempted: gameSpecificData.tripleStep.wordsAttempted || 0,
-              successfulIntegrations: gameSpecificData.tripleStep.successfulIntegrations || 0,
-              averageTime: gameSpecificData.tripleStep.averageTime || 0,
-              words: gameSpecificData.tripleStep.words || []
-            };
-          }
-          break;
-        
-        case 'conductor':
-          if (gameSpecificData.conductor) {
-            gameSession.gameSpecificData.conductor = {
-              topic: gameSpecificData.conductor.topic || '',
-              energyLevel: gameSpecificData.conductor.energyLevel || 0,
-              consistency: gameSpecificData.conductor.consistency || 0
-            };
-          }
-          break;
+      const gameData = gameSpecificData[gameSession.gameType];
+      if (gameData) {
+        getGame(gameSession.gameType).applyResults(gameSession, gameData);
       }
     }
 
-    if (audioRecording) {
-      gameSession.audioRecording = audioRecording;
-    }
+    // AI analysis makes one LLM call per prompt, word or cue, so it runs in the background.
+    // Clients join the session's socket room to receive 'analysis-complete' or 'analysis-failed'.
+    gameSession.aiAnalysis = { status: 'pending' };
 
     logger.info(`Calling endSession for game session ${sessionId}`);
     
@@ -198,38 +218,8 @@ router.post('/end-session/:sessionId', asyncHandler(async (req, res) => {
     
     logger.info(`Game session ${sessionId} ended successfully, performance:`, gameSession.performance);
 
-    // Try to get AI analysis, but don't fail if it doesn't work
-    let aiAnalysis = {};
-    
-    try {
-      const speechAnalysisService = getSpeechAnalysisService();
-      const energyDetectionService = getEnergyDetectionService();
-      const coherenceAnalysisService = getCoherenceAnalysisService();
-
-      switch (gameSession.gameType) {
-        case 'rapidFire':
-          aiAnalysis = await analyzeRapidFireSession(gameSession, speechAnalysisService, coherenceAnalysisService);
-          break;
-        case 'conductor':
-          aiAnalysis = await analyzeConductorSession(gameSession, speechAnalysisService, energyDetectionService);
-          break;
-        case 'tripleStep':
-          aiAnalysis = await analyzeTripleStepSession(gameSession, speechAnalysisService, coherenceAnalysisService);
-          break;
-      }
-
-      // Update session with AI analysis
-      gameSession.aiAnalysis = aiAnalysis;
-      await gameSession.save();
-      logger.info(`AI analysis completed for game session ${sessionId}`);
-
-    } catch (aiError) {
-      logger.warn('AI analysis failed, continuing without it:', aiError.message);
-      // Use default analysis
-      aiAnalysis = getDefaultAnalysis();
-      gameSession.aiAnalysis = aiAnalysis;
-      await gameSession.save();
-    }
+    const analysisJob = await enqueueSessionAnalysis(gameSession);
+    stopLiveCoaching(gameSession._id);
 
     logger.info(`Updating user stats for user ${req.user._id}`);
     
@@ -243,7 +233,8 @@ router.post('/end-session/:sessionId', asyncHandler(async (req, res) => {
       message: 'Game session completed successfully',
       data: {
         session: gameSession,
-        aiAnalysis
+        aiAnalysis: gameSession.aiAnalysis,
+        analysisJobId: analysisJob._id
       }
     });
 
@@ -316,46 +307,368 @@ router.get('/sessions/:sessionId', asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   GET /api/games/matches/:matchId
+// @desc    Get every player's session of a multiplayer match the user played in
+// @access  Private
+router.get('/matches/:matchId', [
+  param('matchId').isMongoId().withMessage('Invalid match ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const sessions = await GameSession.find({ 'multiplayer.matchId': req.params.matchId })
+    .select('userId sessionData performance multiplayer gameSpecificData.rapidFire aiAnalysis.overallRating aiAnalysis.status')
+    .sort({ 'multiplayer.placement': 1 })
+    .populate('userId', 'username');
+
+  if (!sessions.some(session => session.userId?._id.equals(req.user._id))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Match not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      matchId: req.params.matchId,
+      roomCode: sessions[0].multiplayer.roomCode,
+      playedAt: sessions[0].sessionData.startTime,
+      sessions
+    }
+  });
+}));
+
+// @route   GET /api/games/pitches
+// @desc    List the user's elevator pitches with their attempt counts and best scores
+// @access  Private
+router.get('/pitches', asyncHandler(async (req, res) => {
+  const pitches = await GameSession.aggregate([
+    {
+      $match: {
+        userId: req.user._id,
+        gameType: 'elevatorPitch',
+        isCompleted: true,
+        'gameSpecificData.elevatorPitch.pitchId': { $exists: true }
+      }
+    },
+    { $sort: { 'sessionData.startTime': 1 } },
+    {
+      $group: {
+        _id: '$gameSpecificData.elevatorPitch.pitchId',
+        title: { $last: '$gameSpecificData.elevatorPitch.title' },
+        keyPoints: { $last: '$gameSpecificData.elevatorPitch.keyPoints.text' },
+        duration: { $last: '$gameSpecificData.elevatorPitch.duration' },
+        attempts: { $sum: 1 },
+        bestScore: { $max: '$performance.score' },
+        lastScore: { $last: '$performance.score' },
+        lastPlayed: { $last: '$sessionData.startTime' }
+      }
+    },
+    { $sort: { lastPlayed: -1 } }
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      pitches: pitches.map(({ _id, ...pitch }) => ({ pitchId: _id, ...pitch }))
+    }
+  });
+}));
+
+// @route   GET /api/games/pitches/:pitchId
+// @desc    Get every attempt at one elevator pitch, oldest first, to compare them
+// @access  Private
+router.get('/pitches/:pitchId', [
+  param('pitchId').isHexadecimal().isLength({ min: 12, max: 12 }).withMessage('Invalid pitch ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const sessions = await GameSession.find({
+    userId: req.user._id,
+    gameType: 'elevatorPitch',
+    isCompleted: true,
+    'gameSpecificData.elevatorPitch.pitchId': req.params.pitchId
+  })
+    .select('sessionData.startTime performance.score gameSpecificData.elevatorPitch aiAnalysis.overallRating aiAnalysis.status')
+    .sort({ 'sessionData.startTime': 1 });
+
+  if (sessions.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pitch not found'
+    });
+  }
+
+  const attempts = sessions.map((session, index) => {
+    const pitch = session.gameSpecificData.elevatorPitch;
+    const previous = sessions[index - 1]?.performance.score;
+    return {
+      sessionId: session._id,
+      attempt: index + 1,
+      playedAt: session.sessionData.startTime,
+      duration: pitch.duration,
+      speakingDuration: pitch.speakingDuration,
+      keyPoints: pitch.keyPoints,
+      coverage: pitch.coverage,
+      timeAdherence: pitch.timeAdherence,
+      clarity: pitch.clarity ?? null, // null until the analysis has run
+      score: session.performance.score,
+      change: previous === undefined ? null : session.performance.score - previous,
+      overallRating: session.aiAnalysis?.status === 'complete' ? session.aiAnalysis.overallRating : null
+    };
+  });
+
+  const latest = sessions[sessions.length - 1].gameSpecificData.elevatorPitch;
+
+  res.json({
+    success: true,
+    data: {
+      pitchId: req.params.pitchId,
+      title: latest.title,
+      bestScore: Math.max(...attempts.map(attempt => attempt.score)),
+      attempts
+    }
+  });
+}));
+
+// @route   POST /api/games/sessions/:sessionId/invitations
+// @desc    Invite another user to follow a game session live (its socket room)
+// @access  Private
+router.post('/sessions/:sessionId/invitations', [
+  param('sessionId').isMongoId().withMessage('Invalid session ID'),
+  body('username').isString().trim().notEmpty().withMessage('Username is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const gameSession = await GameSession.findOne({
+    _id: req.params.sessionId,
+    userId: req.user._id
+  });
+
+  if (!gameSession) {
+    return res.status(404).json({
+      success: false,
+      message: 'Game session not found'
+    });
+  }
+
+  const invitee = await User.findOne({ username: req.body.username, isActive: true }).select('username');
+  if (!invitee) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (invitee._id.equals(req.user._id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot invite yourself'
+    });
+  }
+
+  gameSession.invitedUsers.addToSet(invitee._id);
+  await gameSession.save();
+
+  emitToUser(invitee._id, 'game-invitation', {
+    sessionId: gameSession._id,
+    gameType: gameSession.gameType,
+    invitedBy: req.user.username
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${invitee.username} can now join this game session`,
+    data: {
+      invitedUsers: gameSession.invitedUsers,
+      online: isUserConnected(invitee._id)
+    }
+  });
+}));
+
+// @route   DELETE /api/games/sessions/:sessionId/invitations/:userId
+// @desc    Revoke an invitation and remove the user from the session's socket room
+// @access  Private
+router.delete('/sessions/:sessionId/invitations/:userId', [
+  param('sessionId').isMongoId().withMessage('Invalid session ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const gameSession = await GameSession.findOneAndUpdate(
+    { _id: req.params.sessionId, userId: req.user._id },
+    { $pull: { invitedUsers: req.params.userId } },
+    { new: true }
+  );
+
+  if (!gameSession) {
+    return res.status(404).json({
+      success: false,
+      message: 'Game session not found'
+    });
+  }
+
+  removeUserFromRoom(req.params.userId, gameSession._id);
+
+  res.json({
+    success: true,
+    message: 'Invitation revoked',
+    data: {
+      invitedUsers: gameSession.invitedUsers
+    }
+  });
+}));
+
+// @route   POST /api/games/sessions/:sessionId/audio
+// @desc    Upload the audio recording for a game session
+// @access  Private
+router.post('/sessions/:sessionId/audio', asyncHandler(async (req, res, next) => {
+  // Look the session up before accepting the file so nothing is written for foreign sessions
+  const gameSession = await GameSession.findOne({
+    _id: req.params.sessionId,
+    userId: req.user._id
+  });
+
+  if (!gameSession) {
+    return res.status(404).json({
+      success: false,
+      message: 'Game session not found'
+    });
+  }
+
+  req.gameSession = gameSession;
+  next();
+}), audioUpload.single('audio'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'No audio file provided'
+    });
+  }
+
+  const gameSession = req.gameSession;
+  const previousUrl = gameSession.audioRecording?.url;
+
+  gameSession.audioRecording = {
+    url: toUploadUrl(req.file.path),
+    duration: Math.max(0, parseFloat(req.body.duration) || 0),
+    size: req.file.size,
+    format: req.file.mimetype
+  };
+  await gameSession.save();
+
+  // A re-upload replaces the earlier recording, which can only be in the user's own directory
+  if (previousUrl && previousUrl !== gameSession.audioRecording.url) {
+    try {
+      await fs.unlink(fromUploadUrl(previousUrl, userAudioDir(req.user._id)));
+    } catch (err) {
+      logger.warn(`Failed to remove previous recording ${previousUrl}:`, err.message);
+    }
+  }
+
+  logger.info(`Audio recording stored for game session ${gameSession._id}: ${req.file.size} bytes`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Audio recording uploaded successfully',
+    data: {
+      audioRecording: gameSession.audioRecording
+    }
+  });
+}));
+
+// @route   GET /api/games/sessions/:sessionId/audio
+// @desc    Stream the session's audio recording; recordings are never served statically
+// @access  Private (the session's owner)
+router.get('/sessions/:sessionId/audio', asyncHandler(async (req, res) => {
+  const gameSession = await GameSession.findOne({
+    _id: req.params.sessionId,
+    userId: req.user._id
+  }).select('audioRecording');
+
+  if (!gameSession?.audioRecording?.url) {
+    return res.status(404).json({
+      success: false,
+      message: 'Recording not found'
+    });
+  }
+
+  let recordingPath;
+  try {
+    recordingPath = fromUploadUrl(gameSession.audioRecording.url, userAudioDir(req.user._id));
+  } catch (error) {
+    logger.warn(`Refusing to serve ${gameSession.audioRecording.url} for game session ${gameSession._id}: ${error.message}`);
+    return res.status(404).json({
+      success: false,
+      message: 'Recording not found'
+    });
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.type(gameSession.audioRecording.format || 'audio/webm');
+  res.sendFile(recordingPath, (error) => {
+    if (error && !res.headersSent) {
+      logger.warn(`Failed to send recording for game session ${gameSession._id}:`, error.message);
+      res.status(404).json({
+        success: false,
+        message: 'Recording not found'
+      });
+    }
+  });
+}));
+
 // @route   GET /api/games/prompts/:gameType
 // @desc    Get AI-generated prompts for a game type
 // @access  Private
 router.get('/prompts/:gameType', asyncHandler(async (req, res) => {
   const { gameType } = req.params;
   const { count = 10, difficulty = 'beginner', theme } = req.query;
+  const language = resolveLanguage(req.query.language || req.user.preferences?.language);
+
+  const game = getGame(gameType);
+  if (!game) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid game type'
+    });
+  }
 
   try {
     const promptGenerationService = getPromptGenerationService();
-    let prompts = [];
-
-    switch (gameType) {
-      case 'rapidFire':
-        prompts = await promptGenerationService.generateRapidFirePrompts(
-          parseInt(count),
-          difficulty,
-          theme
-        );
-        break;
-      case 'conductor':
-        prompts = await promptGenerationService.generateConductorTopics(
-          parseInt(count),
-          difficulty
-        );
-        break;
-      case 'tripleStep':
-        // For triple step, we need a main topic first
-        const mainTopic = theme || "The importance of effective communication";
-        prompts = await promptGenerationService.generateTripleStepWords(
-          mainTopic,
-          parseInt(count),
-          difficulty
-        );
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid game type'
-        });
-    }
+    const prompts = await game.generatePrompts(promptGenerationService, {
+      count: parseInt(count),
+      difficulty,
+      theme,
+      language
+    });
 
     res.json({
       success: true,
@@ -363,6 +676,7 @@ router.get('/prompts/:gameType', asyncHandler(async (req, res) => {
         prompts,
         gameType,
         difficulty,
+        language,
         count: prompts.length
       }
     });
@@ -383,7 +697,7 @@ router.post('/analyze-speech', [
     .notEmpty()
     .withMessage('Speech transcript is required'),
   body('gameType')
-    .isIn(['rapidFire', 'conductor', 'tripleStep'])
+    .isIn(GAME_TYPES)
     .withMessage('Invalid game type'),
   body('context')
     .optional()
@@ -406,7 +720,7 @@ router.post('/analyze-speech', [
     const analysis = await speechAnalysisService.analyzeSpeechQuality(
       transcript,
       gameType,
-      context
+      { ...context, language: context?.language || req.user.preferences?.language }
     );
 
     res.json({
@@ -426,230 +740,19 @@ router.post('/analyze-speech', [
   }
 }));
 
-// Helper functions for AI analysis
-async function analyzeRapidFireSession(gameSession, speechAnalysisService, coherenceAnalysisService) {
-  const { rapidFire } = gameSession.gameSpecificData;
-  
-  if (!rapidFire?.prompts?.length) {
-    return getDefaultAnalysis();
-  }
-
-  const prompts = rapidFire.prompts.map(p => p.text);
-  const responses = rapidFire.prompts.map(p => p.userResponse);
-  const responseTimes = rapidFire.prompts.map(p => p.responseTime);
-
-  // Analyze coherence across all responses
-  const coherenceAnalysis = await coherenceAnalysisService.analyzeRapidFireCoherence(
-    prompts,
-    responses,
-    responseTimes
-  );
-
-  // Analyze individual responses
-  const responseAnalyses = [];
-  for (let i = 0; i < prompts.length; i++) {
-    if (responses[i]) {
-      const analysis = await speechAnalysisService.analyzeRapidFireResponse(
-        prompts[i],
-        responses[i],
-        responseTimes[i]
-      );
-      responseAnalyses.push(analysis);
-    }
-  }
-
-  // Calculate overall scores
-  const overallRating = Math.round(
-    responseAnalyses.reduce((sum, a) => sum + a.overallQuality, 0) / responseAnalyses.length
-  );
-
-  return {
-    speechClarity: overallRating,
-    energyLevel: overallRating,
-    coherence: coherenceAnalysis.overallCoherence,
-    confidence: overallRating,
-    fluency: overallRating,
-    overallRating,
-    strengths: coherenceAnalysis.strengths || ['Good effort'],
-    areasForImprovement: coherenceAnalysis.improvements || ['Continue practicing'],
-    feedback: [
-      {
-        type: 'positive',
-        message: 'Good completion of rapid-fire exercises'
-      },
-      {
-        type: 'improvement',
-        message: 'Focus on response clarity and speed'
-      }
-    ]
-  };
-}
-
-async function analyzeConductorSession(gameSession, speechAnalysisService, energyDetectionService) {
-  const { conductor } = gameSession.gameSpecificData;
-  
-  if (!conductor?.energyTransitions?.length) {
-    return getDefaultAnalysis();
-  }
-
-  // Analyze energy transitions
-  const transitionAnalyses = [];
-  for (const transition of conductor.energyTransitions) {
-    const analysis = await energyDetectionService.analyzeEnergyTransition(
-      transition.fromLevel,
-      transition.toLevel,
-      transition.speechSegment || 'Energy transition',
-      transition.transitionTime
-    );
-    transitionAnalyses.push(analysis);
-  }
-
-  // Calculate energy consistency
-  const successfulTransitions = transitionAnalyses.filter(t => t.success).length;
-  const energyConsistency = Math.round((successfulTransitions / transitionAnalyses.length) * 100);
-
-  // Analyze breathe cues
-  const breatheAnalyses = [];
-  for (const breathe of conductor.breatheCues || []) {
-    const analysis = await energyDetectionService.analyzeBreatheCueResponse(
-      'BREATHE',
-      breathe.speechBefore || '',
-      breathe.speechAfter || '',
-      breathe.responseTime || 0
-    );
-    breatheAnalyses.push(analysis);
-  }
-
-  const overallRating = Math.round((energyConsistency + 75) / 2);
-
-  return {
-    speechClarity: overallRating,
-    energyLevel: energyConsistency,
-    coherence: 75,
-    confidence: overallRating,
-    fluency: overallRating,
-    overallRating,
-    strengths: ['Good energy awareness', 'Willingness to adapt'],
-    areasForImprovement: ['Energy consistency', 'Smooth transitions'],
-    feedback: [
-      {
-        type: 'positive',
-        message: 'Good energy modulation practice'
-      },
-      {
-        type: 'improvement',
-        message: 'Focus on smooth energy transitions'
-      }
-    ]
-  };
-}
-
-async function analyzeTripleStepSession(gameSession, speechAnalysisService, coherenceAnalysisService) {
-  const { tripleStep } = gameSession.gameSpecificData;
-  
-  if (!tripleStep?.words?.length) {
-    return getDefaultAnalysis();
-  }
-
-  // Analyze word integrations
-  const integrationAnalyses = [];
-  for (const wordData of tripleStep.words) {
-    const analysis = await coherenceAnalysisService.analyzeWordIntegration(
-      tripleStep.topic,
-      wordData.word,
-      wordData.context || '',
-      wordData.integrationTime || 0
-    );
-    integrationAnalyses.push(analysis);
-  }
-
-  // Calculate integration success rate
-  const successfulIntegrations = integrationAnalyses.filter(a => a.success).length;
-  const integrationSuccess = Math.round((successfulIntegrations / integrationAnalyses.length) * 100);
-
-  // Analyze overall coherence
-  const coherenceAnalysis = await coherenceAnalysisService.analyzeSpeechCoherence(
-    tripleStep.speechTranscript || 'Word integration exercise',
-    tripleStep.topic,
-    { gameType: 'tripleStep' }
-  );
-
-  const overallRating = Math.round((integrationSuccess + coherenceAnalysis.coherenceScore) / 2);
-
-  return {
-    speechClarity: overallRating,
-    energyLevel: 75,
-    coherence: coherenceAnalysis.coherenceScore,
-    confidence: overallRating,
-    fluency: overallRating,
-    overallRating,
-    strengths: ['Good word integration', 'Topic focus'],
-    areasForImprovement: ['Natural integration', 'Flow preservation'],
-    feedback: [
-      {
-        type: 'positive',
-        message: 'Good word integration practice'
-      },
-      {
-        type: 'improvement',
-        message: 'Focus on natural word weaving'
-      }
-    ]
-  };
-}
-
-function getDefaultAnalysis() {
-  return {
-    speechClarity: 75,
-    energyLevel: 75,
-    coherence: 75,
-    confidence: 75,
-    fluency: 75,
-    overallRating: 75,
-    strengths: ['Good effort', 'Game completion'],
-    areasForImprovement: ['Continue practicing', 'Focus on improvement areas'],
-    feedback: [
-      {
-        type: 'positive',
-        message: 'Good effort in completing the exercise'
-      },
-      {
-        type: 'suggestion',
-        message: 'Continue practicing to improve your skills'
-      }
-    ]
-  };
-}
-
-async function updateUserStats(userId, gameSession) {
-  try {
-    const user = await User.findById(userId);
-    if (!user) return;
-
-    const score = gameSession.performance.score || 0;
-    
-    // Calculate duration in seconds
-    let duration = 0;
-    if (gameSession.sessionData.startTime && gameSession.sessionData.endTime) {
-      duration = Math.round((gameSession.sessionData.endTime - gameSession.sessionData.startTime) / 1000);
-    } else if (gameSession.sessionData.duration) {
-      duration = gameSession.sessionData.duration;
-    }
-
-    // Update user stats
-    await user.updateStats(gameSession.gameType, score, duration);
-    
-    // Check for new achievements
-    const newAchievements = user.checkAchievements();
-    if (newAchievements.length > 0) {
-      await user.save();
-      logger.info(`New achievements unlocked for user ${user.username}: ${newAchievements.map(a => a.type).join(', ')}`);
-    }
-
-    logger.info(`User stats updated for ${user.username}: Game ${gameSession.gameType}, Score ${score}, Duration ${duration}s`);
-  } catch (error) {
-    logger.error('Failed to update user stats:', error);
-  }
+function sanitizeTranscriptSegments(segments) {
+  if (!Array.isArray(segments)) return [];
+
+  return segments
+    .filter(segment => typeof segment?.text === 'string' && segment.text.trim())
+    .map(segment => {
+      const start = Math.max(0, Number(segment.start) || 0);
+      return {
+        text: segment.text.trim(),
+        start,
+        end: Math.max(start, Number(segment.end) || start)
+      };
+    });
 }
 
 export default router;
@@ -5,6 +5,7 @@ import User from '../models/User.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
 import { getFeedbackService } from '../services/ai/index.js';
+import { GAME_TYPES, getGame } from '../games/index.js';
 
 const router = express.Router();
 
@@ -56,6 +57,7 @@ router.get('/overview', asyncHandler(async (req, res) => {
     improvement: 0,
     gameTypeProgress: {},
     weeklyTrends: [],
+    paceTrend: [],
     achievements: []
   };
 
@@ -72,8 +74,7 @@ router.get('/overview', asyncHandler(async (req, res) => {
   }
 
   // Game type progress
-  const gameTypes = ['rapidFire', 'conductor', 'tripleStep'];
-  gameTypes.forEach(type => {
+  GAME_TYPES.forEach(type => {
     const typeSessions = sessions.filter(s => s.gameType === type);
     if (typeSessions.length > 0) {
       const scores = typeSessions.map(s => s.performance.score || 0);
@@ -107,6 +108,18 @@ router.get('/overview', asyncHandler(async (req, res) => {
   }
   progress.weeklyTrends = weeklyTrends;
 
+  // Speaking pace per session, for charting WPM against the target band over time
+  progress.paceTrend = sessions
+    .filter(s => s.performance.wordsPerMinute > 0)
+    .map(s => ({
+      date: s.sessionData.startTime,
+      gameType: s.gameType,
+      wordsPerMinute: s.performance.wordsPerMinute,
+      targetMin: s.speechMetrics?.pace?.targetMin,
+      targetMax: s.speechMetrics?.pace?.targetMax,
+      inBandPercent: s.speechMetrics?.pace?.inBandPercent || 0
+    }));
+
   // Get recent achievements
   progress.achievements = req.user.achievements || [];
 
@@ -124,7 +137,7 @@ router.get('/overview', asyncHandler(async (req, res) => {
 router.get('/analytics', [
   query('gameType')
     .optional()
-    .isIn(['rapidFire', 'conductor', 'tripleStep'])
+    .isIn(GAME_TYPES)
     .withMessage('Invalid game type'),
   query('timeRange')
     .optional()
@@ -210,6 +223,7 @@ router.get('/analytics', [
       weekly: calculateWeeklyTrends(sessions),
       monthly: calculateMonthlyTrends(sessions)
     },
+    fillerMetrics: calculateFillerMetrics(sessions),
     gameSpecificMetrics: gameType ? calculateGameSpecificMetrics(sessions, gameType) : null
   };
 
@@ -296,7 +310,8 @@ router.get('/insights', asyncHandler(async (req, res) => {
       userStats,
       'general', // General insights across all games
       recentPerformance,
-      req.user.preferences?.difficulty || 'beginner'
+      req.user.preferences?.difficulty || 'beginner',
+      req.user.preferences?.language
     );
 
     res.json({
@@ -338,7 +353,7 @@ router.get('/compare', [
     .withMessage('Period 2 must be week, month, quarter, or year'),
   query('gameType')
     .optional()
-    .isIn(['rapidFire', 'conductor', 'tripleStep'])
+    .isIn(GAME_TYPES)
     .withMessage('Invalid game type')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -534,6 +549,58 @@ function calculateMonthlyTrends(sessions) {
   }));
 }
 
+function calculateFillerMetrics(sessions) {
+  const measured = sessions.filter(s => s.speechMetrics?.fillers?.totalWords > 0);
+
+  if (measured.length === 0) {
+    return {
+      sessionsMeasured: 0,
+      averageRate: 0,
+      totalFillers: 0,
+      mostCommon: [],
+      trend: []
+    };
+  }
+
+  const wordCounts = {};
+  measured.forEach(session => {
+    const counts = session.speechMetrics.fillers.counts || new Map();
+    counts.forEach((count, word) => {
+      wordCounts[word] = (wordCounts[word] || 0) + count;
+    });
+  });
+
+  // Daily filler rate, weighted by words spoken that day
+  const dailyData = {};
+  measured.forEach(session => {
+    const date = session.sessionData.startTime.toISOString().split('T')[0];
+    if (!dailyData[date]) {
+      dailyData[date] = { sessions: 0, fillers: 0, words: 0 };
+    }
+    dailyData[date].sessions++;
+    dailyData[date].fillers += session.speechMetrics.fillers.total || 0;
+    dailyData[date].words += session.speechMetrics.fillers.totalWords;
+  });
+
+  const totalFillers = measured.reduce((sum, s) => sum + (s.speechMetrics.fillers.total || 0), 0);
+  const totalWords = measured.reduce((sum, s) => sum + s.speechMetrics.fillers.totalWords, 0);
+
+  return {
+    sessionsMeasured: measured.length,
+    averageRate: Math.round((totalFillers / totalWords) * 1000) / 10,
+    totalFillers,
+    mostCommon: Object.entries(wordCounts)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 5)
+      .map(([word, count]) => ({ word, count })),
+    trend: Object.entries(dailyData).map(([date, data]) => ({
+      date,
+      sessions: data.sessions,
+      rate: Math.round((data.fillers / data.words) * 1000) / 10
+    }))
+  };
+}
+
 function calculateGameSpecificMetrics(sessions, gameType) {
   const gameSessions = sessions.filter(s => s.gameType === gameType);
   
@@ -546,24 +613,9 @@ function calculateGameSpecificMetrics(sessions, gameType) {
     totalTime: gameSessions.reduce((sum, s) => sum + (s.sessionData.duration || 0), 0)
   };
   
-  // Add game-specific metrics based on game type
-  switch (gameType) {
-    case 'rapidFire':
-      metrics.responseRate = Math.round(
-        (gameSessions.reduce((sum, s) => sum + (s.performance.completedPrompts || 0), 0) / 
-         gameSessions.reduce((sum, s) => sum + (s.performance.totalPrompts || 0), 0)) * 100
-      );
-      break;
-    case 'conductor':
-      metrics.energyConsistency = Math.round(
-        gameSessions.reduce((sum, s) => sum + (s.performance.energyConsistency || 0), 0) / gameSessions.length
-      );
-      break;
-    case 'tripleStep':
-      metrics.wordIntegration = Math.round(
-        gameSessions.reduce((sum, s) => sum + (s.performance.wordIntegration || 0), 0) / gameSessions.length
-      );
-      break;
+  // Add the game's own metrics (games/<game>.js stats)
+  for (const [metric, calculate] of Object.entries(getGame(gameType)?.stats || {})) {
+    metrics[metric] = calculate(gameSessions);
   }
   
   return metrics;
@@ -0,0 +1,117 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import GameSession from '../models/GameSession.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { audioChunkUpload, fromUploadUrl, userAudioDir } from '../middleware/upload.js';
+import { logger } from '../utils/logger.js';
+import { getTranscriptionService } from '../services/ai/index.js';
+import { buildSegmentsFromWords } from '../services/speech/transcript.js';
+
+const router = express.Router();
+
+// The server recognizer posts a chunk every few seconds, so it gets its own budget
+// instead of counting against the global API limiter
+const chunkLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.TRANSCRIPTION_MAX_CHUNKS_PER_MINUTE) || 60,
+  message: 'Too many transcription requests, please slow down.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// @route   POST /api/transcription
+// @desc    Transcribe a short recorded audio chunk
+// @access  Private
+router.post('/', chunkLimiter, audioChunkUpload.single('audio'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'No audio chunk provided'
+    });
+  }
+
+  const transcriptionService = getTranscriptionService();
+  const result = await transcriptionService.transcribe(req.file.buffer, req.file.mimetype, {
+    language: req.body.language || req.user.preferences?.language
+  });
+
+  logger.debug(`Transcribed ${req.file.size} byte chunk for user ${req.user._id} with ${result.engine} engine`);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// @route   POST /api/transcription/sessions/:sessionId
+// @desc    Transcribe a session's uploaded recording with word timings and attach it to the session
+// @access  Private
+router.post('/sessions/:sessionId', asyncHandler(async (req, res) => {
+  const gameSession = await GameSession.findOne({
+    _id: req.params.sessionId,
+    userId: req.user._id
+  });
+
+  if (!gameSession) {
+    return res.status(404).json({
+      success: false,
+      message: 'Game session not found'
+    });
+  }
+
+  if (!gameSession.audioRecording?.url) {
+    return res.status(400).json({
+      success: false,
+      message: 'Upload a recording for this session before transcribing it'
+    });
+  }
+
+  let recordingPath;
+  try {
+    recordingPath = fromUploadUrl(gameSession.audioRecording.url, userAudioDir(req.user._id));
+  } catch (error) {
+    logger.warn(`Refusing to transcribe ${gameSession.audioRecording.url} for game session ${gameSession._id}: ${error.message}`);
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid recording for this session'
+    });
+  }
+
+  const transcriptionService = getTranscriptionService();
+  const result = await transcriptionService.transcribeFile(
+    recordingPath,
+    gameSession.audioRecording.format,
+    {
+      language: req.body.language || gameSession.sessionData.language,
+      // Only the stub engine reads this, and only under test; real engines transcribe the audio itself
+      referenceText: req.body.referenceText
+    }
+  );
+
+  // An engine that heard nothing leaves the client transcript in place. Stub output
+  // isn't a transcription of the recording, so ending the session doesn't prefer it.
+  if (result.words.length > 0) {
+    const segments = buildSegmentsFromWords(result.words);
+    gameSession.transcript = {
+      source: result.engine === 'stub' ? 'stub' : 'server',
+      engine: result.engine,
+      language: result.language,
+      segments,
+      words: result.words,
+      fullText: result.text
+    };
+    await gameSession.save();
+  }
+
+  logger.info(`Transcribed recording for game session ${gameSession._id}: ${result.words.length} words via ${result.engine}`);
+
+  res.json({
+    success: true,
+    data: {
+      transcript: gameSession.transcript,
+      attached: result.words.length > 0
+    }
+  });
+}));
+
+export default router;
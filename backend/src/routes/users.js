@@ -4,7 +4,9 @@ import User from '../models/User.js';
 import GameSession from '../models/GameSession.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
-import { getFeedbackService } from '../services/ai/index.js';
+import { getFeedbackService, getQuotaStatus } from '../services/ai/index.js';
+import { LANGUAGE_CODES } from '../config/languages.js';
+import { GAME_TYPES } from '../games/index.js';
 
 const router = express.Router();
 
@@ -38,6 +40,14 @@ router.put('/profile', [
     .optional()
     .isIn(['beginner', 'intermediate', 'advanced', 'expert'])
     .withMessage('Invalid difficulty level'),
+  body('preferences.speechEngine')
+    .optional()
+    .isIn(['auto', 'browser', 'server'])
+    .withMessage('Invalid speech engine'),
+  body('preferences.language')
+    .optional()
+    .isIn(LANGUAGE_CODES)
+    .withMessage('Unsupported practice language'),
   body('preferences.gameSettings')
     .optional()
     .isObject()
@@ -124,11 +134,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
     totalGamesPlayed: user.stats.totalGamesPlayed || 0,
     totalTimeSpent: user.stats.totalTimeSpent || 0, // in seconds
     averageScore: user.stats.averageScore || 0,
-    bestScores: user.stats.bestScores || {
-      rapidFire: 0,
-      conductor: 0,
-      tripleStep: 0
-    },
+    bestScores: user.stats.bestScores || Object.fromEntries(GAME_TYPES.map(type => [type, 0])),
     averageConfidence: user.stats.averageConfidence || 0,
     streaks: user.stats.streaks || { current: 0, longest: 0 },
     
@@ -147,8 +153,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
   };
 
   // Game type breakdown
-  const gameTypes = ['rapidFire', 'conductor', 'tripleStep'];
-  gameTypes.forEach(type => {
+  GAME_TYPES.forEach(type => {
     const typeSessions = sessions.filter(s => s.gameType === type);
     stats.gameTypeBreakdown[type] = {
       sessions: typeSessions.length,
@@ -293,7 +298,7 @@ router.get('/leaderboard', asyncHandler(async (req, res) => {
 // @access  Private
 router.post('/feedback-request', [
   body('gameType')
-    .isIn(['rapidFire', 'conductor', 'tripleStep'])
+    .isIn(GAME_TYPES)
     .withMessage('Invalid game type'),
   body('recentPerformance')
     .isObject()
@@ -328,7 +333,8 @@ router.post('/feedback-request', [
       userStats,
       gameType,
       recentPerformance,
-      difficulty
+      difficulty,
+      req.user.preferences?.language
     );
 
     res.json({
@@ -467,6 +473,16 @@ router.delete('/account', [
   });
 }));
 
+// @route   GET /api/users/ai-usage
+// @desc    Get today's AI usage against the daily quota
+// @access  Private
+router.get('/ai-usage', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await getQuotaStatus(req.user._id)
+  });
+}));
+
 // @route   GET /api/users/all
 // @desc    Get all users (for debugging - remove in production)
 // @access  Public
@@ -7,8 +7,6 @@ import rateLimit from 'express-rate-limit';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import dotenv from 'dotenv';
-import path from 'path';
-import { fileURLToPath } from 'url';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -16,10 +14,13 @@ import gameRoutes from './routes/games.js';
 import analysisRoutes from './routes/analysis.js';
 import userRoutes from './routes/users.js';
 import progressRoutes from './routes/progress.js';
+import transcriptionRoutes from './routes/transcription.js';
+import adminRoutes from './routes/admin.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
-import { authMiddleware } from './middleware/auth.js';
+import { authMiddleware, adminMiddleware } from './middleware/auth.js';
+import { aiUsageContext } from './middleware/aiUsage.js';
 import { logger } from './utils/logger.js';
 
 // Import database connection
@@ -27,9 +28,9 @@ import { connectDB } from './config/database.js';
 
 // Import AI services
 import { initializeAIServices } from './services/ai/index.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { startAnalysisWorker, stopAnalysisWorker } from './services/analysis/analysisQueue.js';
+import { setSocketServer } from './config/socket.js';
+import { registerSocketHandlers } from './socket/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -44,6 +45,7 @@ const io = new Server(server, {
     credentials: true
   }
 });
+setSocketServer(io);
 
 // Rate limiting
 const limiter = rateLimit({
@@ -52,6 +54,8 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // Transcription chunks are limited separately in routes/transcription.js
+  skip: (req) => req.path.startsWith('/api/transcription'),
 });
 
 // Middleware
@@ -66,9 +70,6 @@ app.use(morgan('combined', { stream: { write: message => logger.info(message.tri
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -81,30 +82,16 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/games', authMiddleware, gameRoutes);
+app.use('/api/games', authMiddleware, aiUsageContext, gameRoutes);
 app.use('/api/games/public', gameRoutes); // Public games endpoint for testing
-app.use('/api/analysis', authMiddleware, analysisRoutes);
-app.use('/api/users', authMiddleware, userRoutes);
-app.use('/api/progress', authMiddleware, progressRoutes);
-
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  logger.info(`User connected: ${socket.id}`);
-  
-  socket.on('join-game', (gameId) => {
-    socket.join(gameId);
-    logger.info(`User ${socket.id} joined game ${gameId}`);
-  });
-  
-  socket.on('leave-game', (gameId) => {
-    socket.leave(gameId);
-    logger.info(`User ${socket.id} left game ${gameId}`);
-  });
-  
-  socket.on('disconnect', () => {
-    logger.info(`User disconnected: ${socket.id}`);
-  });
-});
+app.use('/api/analysis', authMiddleware, aiUsageContext, analysisRoutes);
+app.use('/api/users', authMiddleware, aiUsageContext, userRoutes);
+app.use('/api/progress', authMiddleware, aiUsageContext, progressRoutes);
+app.use('/api/transcription', authMiddleware, transcriptionRoutes);
+app.use('/api/admin', authMiddleware, adminMiddleware, adminRoutes);
+
+// Socket.IO event handlers
+registerSocketHandlers(io);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -133,6 +120,9 @@ const startServer = async () => {
     } catch (aiError) {
       logger.warn('AI services failed to initialize, continuing without AI features:', aiError.message);
     }
+
+    // Process queued session analyses in the background
+    startAnalysisWorker();
     
     // Start the server
     server.listen(PORT, () => {
@@ -160,6 +150,7 @@ startServer();
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  stopAnalysisWorker();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -0,0 +1,57 @@
+// Which AI service methods are cached and for how long. Cache keys include the
+// active prompt template versions (../prompts/registry.js), so publishing a new
+// template version never serves answers from the old one.
+// Methods not listed here (connection tests, progress reports that depend on
+// the user's latest sessions, motivational messages meant to vary) always call the model.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const CACHE_POLICIES = {
+  // Short enough that decks still rotate during the day
+  promptGeneration: {
+    generateRapidFirePrompts: HOUR,
+    generateConductorTopics: HOUR,
+    generateTripleStepWords: HOUR,
+    generateImpromptuQuestions: HOUR,
+    generateAudienceQuestions: HOUR,
+    generateStoryPrompts: HOUR,
+    generateDebateMotions: HOUR
+  },
+
+  speechAnalysis: {
+    analyzeSpeechQuality: DAY,
+    analyzeRapidFireResponse: DAY,
+    analyzeEnergyTransition: DAY,
+    analyzeWordIntegration: DAY,
+    analyzeQuestionAnswer: DAY
+  },
+
+  coherenceAnalysis: {
+    analyzeSpeechCoherence: DAY,
+    analyzeWordIntegration: DAY,
+    analyzeTopicDeviation: DAY,
+    analyzeSpeechStructure: DAY,
+    analyzeRapidFireCoherence: DAY,
+    analyzeDebateArguments: DAY,
+    generateCoherenceExercises: 7 * DAY
+  },
+
+  narrativeAnalysis: {
+    analyzeStoryArc: DAY
+  },
+
+  energyDetection: {
+    analyzeVoiceEnergy: DAY,
+    analyzeEnergyTransition: DAY,
+    analyzeBreatheCueResponse: DAY,
+    analyzeEnergyPattern: DAY,
+    generateEnergyModulationExercises: 7 * DAY
+  },
+
+  feedback: {
+    generatePersonalizedFeedback: 30 * MINUTE,
+    generateGameSpecificFeedback: 30 * MINUTE
+  }
+};
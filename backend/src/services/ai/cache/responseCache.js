@@ -0,0 +1,204 @@
+import { createHash } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import mongoose from 'mongoose';
+import AICacheEntry from '../../../models/AICacheEntry.js';
+import { logger } from '../../../utils/logger.js';
+import { CACHE_POLICIES } from './policies.js';
+import { getServicePromptVersions } from '../prompts/registry.js';
+
+// Content-addressed cache shared by every LLM-backed service in services/ai/.
+// Entries live in memory (least recently used evicted first) and, with
+// AI_CACHE_PERSIST=true, in MongoDB so they survive restarts and are shared
+// between instances. Identical calls already in flight share one model request.
+
+// Read lazily: dotenv loads after this module is imported
+const cacheEnabled = () => process.env.AI_CACHE_ENABLED !== 'false';
+const persistEnabled = () => process.env.AI_CACHE_PERSIST === 'true';
+const maxEntries = () => parseInt(process.env.AI_CACHE_MAX_ENTRIES) || 500;
+
+// Tracks whether the call being cached fell back to defaults, see markUncacheable
+const callContext = new AsyncLocalStorage();
+
+// Called wherever a service substitutes defaults for a model answer, so the
+// fallback is returned to the caller but never cached in place of the real thing
+export const markUncacheable = () => {
+  const call = callContext.getStore();
+  if (call) call.cacheable = false;
+};
+
+// Make equivalent inputs hash the same: collapse whitespace, sort object keys,
+// drop undefined values and trailing undefined arguments
+const normalize = (value) => {
+  if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ');
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(item => normalize(item) ?? null);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      if (value[key] !== undefined) result[key] = normalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+const normalizeArgs = (args) => {
+  const trimmed = [...args];
+  while (trimmed.length > 0 && trimmed[trimmed.length - 1] === undefined) trimmed.pop();
+  return normalize(trimmed);
+};
+
+export const createCacheKey = ({ service, method, model, promptVersion, args }) =>
+  createHash('sha256')
+    .update(JSON.stringify([service, method, model, promptVersion, normalizeArgs(args)]))
+    .digest('hex');
+
+const emptyStats = () => ({ hits: 0, persistentHits: 0, misses: 0, deduplicated: 0, stored: 0 });
+
+class ResponseCache {
+  constructor() {
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.inFlight = new Map(); // key -> promise of the pending call
+    this.stats = {}; // 'service.method' -> counters
+  }
+
+  count(name, counter) {
+    const stats = this.stats[name] || (this.stats[name] = emptyStats());
+    stats[counter]++;
+  }
+
+  getMemory(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Re-insert so Map order stays least recently used first
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    // Copies, so a caller mutating its result can't change what others get
+    return structuredClone(entry.value);
+  }
+
+  setMemory(key, value, expiresAt) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), expiresAt });
+    while (this.entries.size > maxEntries()) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async getPersisted(key) {
+    if (!persistEnabled() || mongoose.connection.readyState !== 1) return undefined;
+    try {
+      const entry = await AICacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+      if (!entry) return undefined;
+      this.setMemory(key, entry.value, entry.expiresAt.getTime());
+      return entry.value;
+    } catch (error) {
+      logger.warn('AI cache lookup failed:', error.message);
+      return undefined;
+    }
+  }
+
+  async setPersisted(key, value, expiresAt, { service, method }) {
+    if (!persistEnabled() || mongoose.connection.readyState !== 1) return;
+    try {
+      await AICacheEntry.updateOne(
+        { key },
+        { $set: { service, method, value, expiresAt: new Date(expiresAt) } },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.warn('AI cache write failed:', error.message);
+    }
+  }
+
+  // Return the cached result for this call, or run fn once and cache what it returns
+  async wrap({ service, method, model, promptVersion, ttl, args }, fn) {
+    const name = `${service}.${method}`;
+    const key = createCacheKey({ service, method, model, promptVersion, args });
+
+    const cached = this.getMemory(key);
+    if (cached !== undefined) {
+      this.count(name, 'hits');
+      return cached;
+    }
+
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      this.count(name, 'deduplicated');
+      return pending.then(structuredClone);
+    }
+
+    const call = (async () => {
+      const persisted = await this.getPersisted(key);
+      if (persisted !== undefined) {
+        this.count(name, 'persistentHits');
+        return persisted;
+      }
+
+      this.count(name, 'misses');
+      const context = { cacheable: true };
+      const value = await callContext.run(context, fn);
+
+      if (context.cacheable && value !== undefined) {
+        const expiresAt = Date.now() + ttl;
+        this.setMemory(key, value, expiresAt);
+        await this.setPersisted(key, value, expiresAt, { service, method });
+        this.count(name, 'stored');
+      }
+      return value;
+    })();
+
+    this.inFlight.set(key, call);
+    try {
+      return await call;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  getStats() {
+    const totals = emptyStats();
+    for (const stats of Object.values(this.stats)) {
+      for (const counter of Object.keys(totals)) totals[counter] += stats[counter];
+    }
+    const lookups = totals.hits + totals.persistentHits + totals.deduplicated + totals.misses;
+
+    return {
+      enabled: cacheEnabled(),
+      persistent: persistEnabled(),
+      entries: this.entries.size,
+      maxEntries: maxEntries(),
+      hitRate: lookups > 0 ? Math.round(((lookups - totals.misses) / lookups) * 100) / 100 : 0,
+      totals,
+      methods: this.stats
+    };
+  }
+
+}
+
+export const responseCache = new ResponseCache();
+
+// Route the cacheable methods of an LLM service instance (see CACHE_POLICIES)
+// through the shared cache. Returns the same instance.
+export const withResponseCache = (instance, service) => {
+  const policy = CACHE_POLICIES[service];
+  if (!policy || !cacheEnabled()) return instance;
+
+  for (const [method, ttl] of Object.entries(policy)) {
+    const original = instance[method].bind(instance);
+    instance[method] = (...args) => responseCache.wrap({
+      service,
+      method,
+      model: `${instance.llm.provider}:${instance.llm.model}`,
+      promptVersion: getServicePromptVersions(service).join(','),
+      ttl,
+      args
+    }, () => original(...args));
+  }
+  return instance;
+};
+
+export const getAICacheStats = () => responseCache.getStats();
@@ -0,0 +1,800 @@
+import { resolveLanguage } from '../../config/languages.js';
+
+// Offline decks used when prompt generation is unavailable, per practice language and difficulty.
+// The client keeps a smaller deck per language in src/lib/gameDecks.ts.
+export const FALLBACK_DECKS = {
+  'en-US': {
+    defaultTopic: 'The importance of effective communication',
+    rapidFirePrompts: {
+      beginner: [
+        "Success is like",
+        "Friendship is like",
+        "Learning is like",
+        "Teamwork is like",
+        "Creativity is like",
+        "Patience is like",
+        "Growth is like",
+        "Communication is like",
+        "Trust is like",
+        "Change is like"
+      ],
+      intermediate: [
+        "Leadership is like",
+        "Innovation is like",
+        "Problem-solving is like",
+        "Adaptability is like",
+        "Collaboration is like",
+        "Resilience is like",
+        "Vision is like",
+        "Excellence is like",
+        "Balance is like",
+        "Progress is like"
+      ],
+      advanced: [
+        "Time is like",
+        "Truth is like",
+        "Wisdom is like",
+        "Freedom is like",
+        "Justice is like",
+        "Beauty is like",
+        "Love is like",
+        "Death is like",
+        "God is like",
+        "Infinity is like"
+      ],
+      expert: [
+        "Existence is like",
+        "Consciousness is like",
+        "Reality is like",
+        "Perception is like",
+        "Meaning is like",
+        "Chaos is like",
+        "Order is like",
+        "Duality is like",
+        "Unity is like",
+        "Transcendence is like"
+      ]
+    },
+    conductorTopics: {
+      beginner: [
+        "My favorite hobby and why I love it",
+        "A memorable vacation experience",
+        "The best meal I've ever had",
+        "My favorite movie and what makes it special",
+        "A person who has influenced my life"
+      ],
+      intermediate: [
+        "The importance of teamwork in modern business",
+        "How I overcame a significant challenge",
+        "The benefits of continuous learning",
+        "The impact of technology on daily life",
+        "Why effective communication matters"
+      ],
+      advanced: [
+        "The future of remote work and collaboration",
+        "Balancing personal and professional priorities",
+        "The role of creativity in problem-solving",
+        "Building resilience in uncertain times",
+        "The psychology of motivation and achievement"
+      ],
+      expert: [
+        "The nature of human consciousness and awareness",
+        "The balance between tradition and progress",
+        "The meaning of success in modern society",
+        "The relationship between technology and humanity",
+        "The pursuit of happiness and fulfillment"
+      ]
+    },
+    tripleStepWords: {
+      beginner: [
+        "book", "happy", "run", "blue", "tree", "smile",
+        "water", "friend", "home", "food", "music", "sun"
+      ],
+      intermediate: [
+        "adventure", "wisdom", "transform", "serendipity", "resilience", "synthesize",
+        "harmony", "innovation", "perspective", "authenticity", "momentum", "clarity"
+      ],
+      advanced: [
+        "serendipity", "resilience", "synthesize", "quintessential", "ephemeral", "metamorphosis",
+        "serendipity", "resilience", "synthesize", "quintessential", "ephemeral", "metamorphosis"
+      ],
+      expert: [
+        "ephemeral", "quintessential", "metamorphosis", "serendipity", "resilience", "synthesize",
+        "ephemeral", "quintessential", "metamorphosis", "serendipity", "resilience", "synthesize"
+      ]
+    },
+    impromptuQuestions: {
+      beginner: [
+        "What is the best advice you have ever received?",
+        "Describe your ideal weekend.",
+        "What skill would you like to learn and why?",
+        "Tell us about a place that feels like home.",
+        "What makes a good friend?"
+      ],
+      intermediate: [
+        "Should everyone learn to cook? Why or why not?",
+        "What is one change that would improve your city?",
+        "Is it better to be a specialist or a generalist?",
+        "What have you changed your mind about recently?",
+        "What does a great leader do differently?"
+      ],
+      advanced: [
+        "Is failure a better teacher than success?",
+        "Should work ever be about more than money?",
+        "What will people in fifty years find strange about us?",
+        "Is it ever right to break a promise?",
+        "What makes an idea worth spreading?"
+      ]
+    },
+    debateMotions: {
+      beginner: [
+        "Homework should be banned.",
+        "Every city should have free public transport.",
+        "Pets should be allowed in every office.",
+        "Schools should start later in the morning.",
+        "Cash should be replaced by digital payments."
+      ],
+      intermediate: [
+        "Social media does more harm than good.",
+        "Remote work is better than working in an office.",
+        "Voting should be compulsory.",
+        "University education should be free for everyone.",
+        "Zoos should be closed."
+      ],
+      advanced: [
+        "Artificial intelligence will create more jobs than it destroys.",
+        "Wealthy countries should open their borders.",
+        "Privacy matters more than security.",
+        "Space exploration is a waste of money.",
+        "Companies should be run for their employees, not their shareholders."
+      ]
+    },
+    storyPrompts: {
+      beginner: [
+        "Tell us about a time you got lost.",
+        "Tell the story of your first day at a new job or school.",
+        "Describe a meal you will never forget.",
+        "Tell us about a time the weather ruined your plans.",
+        "Tell the story of how you met a close friend."
+      ],
+      intermediate: [
+        "Tell us about a time you had to make a difficult choice.",
+        "Describe a moment when a plan went completely wrong.",
+        "Tell the story of a mistake that taught you something.",
+        "Tell us about a time a stranger helped you.",
+        "Describe the day you had to stand up for yourself."
+      ],
+      advanced: [
+        "Tell the story of a risk that changed your life.",
+        "Describe a time you changed someone's mind, or they changed yours.",
+        "Tell us about a failure you are now grateful for.",
+        "Tell the story of a moment you realized you were wrong.",
+        "Describe a time you had to lead when nobody else would."
+      ]
+    },
+    // Audience questions about the player's talk; {topic} is replaced with its topic
+    audienceQuestions: {
+      friendly: [
+        "What got you interested in {topic}?",
+        "What is the one thing you want us to remember about {topic}?",
+        "How can someone new to {topic} get started?",
+        "Can you give a real example of {topic} working well?"
+      ],
+      skeptical: [
+        "How do you know {topic} actually works outside of your examples?",
+        "What would it cost us to adopt {topic}, honestly?",
+        "Haven't we heard promises like this about {topic} before?",
+        "What is the biggest weakness of {topic}?"
+      ],
+      hostile: [
+        "Isn't {topic} just a buzzword for something we already do?",
+        "Why should anyone trust your numbers on {topic}?",
+        "With respect, this sounds like a sales pitch for {topic}. Where is the evidence?",
+        "If {topic} is so great, why has nobody here asked for it?"
+      ]
+    }
+  },
+
+  'es-ES': {
+    defaultTopic: 'La importancia de una comunicación eficaz',
+    rapidFirePrompts: {
+      beginner: [
+        "El éxito es como",
+        "La amistad es como",
+        "Aprender es como",
+        "El trabajo en equipo es como",
+        "La creatividad es como",
+        "La paciencia es como",
+        "Crecer es como",
+        "La comunicación es como",
+        "La confianza es como",
+        "El cambio es como"
+      ],
+      intermediate: [
+        "El liderazgo es como",
+        "La innovación es como",
+        "Resolver problemas es como",
+        "La adaptabilidad es como",
+        "La colaboración es como",
+        "La resiliencia es como",
+        "La visión es como",
+        "La excelencia es como",
+        "El equilibrio es como",
+        "El progreso es como"
+      ],
+      advanced: [
+        "El tiempo es como",
+        "La verdad es como",
+        "La sabiduría es como",
+        "La libertad es como",
+        "La justicia es como",
+        "La belleza es como",
+        "El amor es como",
+        "La memoria es como",
+        "El silencio es como",
+        "El infinito es como"
+      ],
+      expert: [
+        "La existencia es como",
+        "La conciencia es como",
+        "La realidad es como",
+        "La percepción es como",
+        "El sentido de la vida es como",
+        "El caos es como",
+        "El orden es como",
+        "La dualidad es como",
+        "La unidad es como",
+        "La trascendencia es como"
+      ]
+    },
+    conductorTopics: {
+      beginner: [
+        "Mi afición favorita y por qué me encanta",
+        "Un viaje que nunca olvidaré",
+        "La mejor comida que he probado",
+        "Mi película favorita y qué la hace especial",
+        "Una persona que ha influido en mi vida"
+      ],
+      intermediate: [
+        "La importancia del trabajo en equipo en la empresa moderna",
+        "Cómo superé un reto importante",
+        "Los beneficios de seguir aprendiendo",
+        "El impacto de la tecnología en la vida diaria",
+        "Por qué importa comunicar bien"
+      ],
+      advanced: [
+        "El futuro del teletrabajo y la colaboración",
+        "Equilibrar las prioridades personales y profesionales",
+        "El papel de la creatividad al resolver problemas",
+        "Crear resiliencia en tiempos de incertidumbre",
+        "La psicología de la motivación y el logro"
+      ],
+      expert: [
+        "La naturaleza de la conciencia humana",
+        "El equilibrio entre tradición y progreso",
+        "El significado del éxito en la sociedad actual",
+        "La relación entre la tecnología y la humanidad",
+        "La búsqueda de la felicidad y la plenitud"
+      ]
+    },
+    tripleStepWords: {
+      beginner: [
+        "libro", "feliz", "correr", "azul", "árbol", "sonrisa",
+        "agua", "amigo", "casa", "comida", "música", "sol"
+      ],
+      intermediate: [
+        "aventura", "sabiduría", "transformar", "armonía", "innovación", "perspectiva",
+        "impulso", "claridad", "curiosidad", "esfuerzo", "equilibrio", "confianza"
+      ],
+      advanced: [
+        "casualidad", "resiliencia", "sintetizar", "efímero", "metamorfosis", "paradoja",
+        "vértigo", "nostalgia", "horizonte", "ingenio", "matiz", "brújula"
+      ],
+      expert: [
+        "quintaesencia", "inefable", "entropía", "epifanía", "idiosincrasia", "dicotomía",
+        "serendipia", "paradigma", "alquimia", "catarsis", "ubicuo", "etéreo"
+      ]
+    },
+    impromptuQuestions: {
+      beginner: [
+        "¿Cuál es el mejor consejo que te han dado?",
+        "Describe tu fin de semana ideal.",
+        "¿Qué habilidad te gustaría aprender y por qué?",
+        "Háblanos de un lugar en el que te sientas como en casa.",
+        "¿Qué hace a un buen amigo?"
+      ],
+      intermediate: [
+        "¿Debería todo el mundo aprender a cocinar?",
+        "¿Qué cambio mejoraría tu ciudad?",
+        "¿Es mejor ser especialista o generalista?",
+        "¿Sobre qué has cambiado de opinión últimamente?",
+        "¿Qué hace diferente a un gran líder?"
+      ],
+      advanced: [
+        "¿Enseña más el fracaso que el éxito?",
+        "¿Debe el trabajo ser algo más que dinero?",
+        "¿Qué les parecerá extraño de nosotros a las personas dentro de cincuenta años?",
+        "¿Está bien alguna vez romper una promesa?",
+        "¿Qué hace que una idea merezca difundirse?"
+      ]
+    },
+    debateMotions: {
+      beginner: [
+        "Los deberes deberían prohibirse.",
+        "Todas las ciudades deberían tener transporte público gratuito.",
+        "Las mascotas deberían estar permitidas en todas las oficinas.",
+        "Las clases deberían empezar más tarde por la mañana.",
+        "El dinero en efectivo debería sustituirse por pagos digitales."
+      ],
+      intermediate: [
+        "Las redes sociales hacen más daño que bien.",
+        "Teletrabajar es mejor que trabajar en una oficina.",
+        "El voto debería ser obligatorio.",
+        "La universidad debería ser gratuita para todos.",
+        "Los zoológicos deberían cerrarse."
+      ],
+      advanced: [
+        "La inteligencia artificial creará más empleos de los que destruya.",
+        "Los países ricos deberían abrir sus fronteras.",
+        "La privacidad importa más que la seguridad.",
+        "La exploración espacial es un desperdicio de dinero.",
+        "Las empresas deberían gestionarse para sus empleados, no para sus accionistas."
+      ]
+    },
+    storyPrompts: {
+      beginner: [
+        "Cuéntanos una vez que te perdiste.",
+        "Cuenta la historia de tu primer día en un trabajo o escuela nuevos.",
+        "Describe una comida que nunca olvidarás.",
+        "Cuéntanos una vez que el tiempo arruinó tus planes.",
+        "Cuenta cómo conociste a un buen amigo."
+      ],
+      intermediate: [
+        "Cuéntanos una vez que tuviste que tomar una decisión difícil.",
+        "Describe un momento en que un plan salió totalmente mal.",
+        "Cuenta la historia de un error que te enseñó algo.",
+        "Cuéntanos una vez que un desconocido te ayudó.",
+        "Describe el día en que tuviste que defenderte."
+      ],
+      advanced: [
+        "Cuenta la historia de un riesgo que cambió tu vida.",
+        "Describe una vez que cambiaste la opinión de alguien, o alguien cambió la tuya.",
+        "Cuéntanos un fracaso que hoy agradeces.",
+        "Cuenta el momento en que te diste cuenta de que estabas equivocado.",
+        "Describe una vez que tuviste que liderar cuando nadie más quería."
+      ]
+    },
+    audienceQuestions: {
+      friendly: [
+        "¿Qué le llevó a interesarse por {topic}?",
+        "¿Qué es lo único que deberíamos recordar sobre {topic}?",
+        "¿Cómo puede empezar alguien nuevo en {topic}?",
+        "¿Puede dar un ejemplo real de {topic} funcionando bien?"
+      ],
+      skeptical: [
+        "¿Cómo sabe que {topic} funciona fuera de sus ejemplos?",
+        "Sinceramente, ¿cuánto nos costaría adoptar {topic}?",
+        "¿No hemos oído ya promesas así sobre {topic}?",
+        "¿Cuál es la mayor debilidad de {topic}?"
+      ],
+      hostile: [
+        "¿No es {topic} solo una palabra de moda para algo que ya hacemos?",
+        "¿Por qué deberíamos fiarnos de sus cifras sobre {topic}?",
+        "Con todo respeto, esto suena a una venta de {topic}. ¿Dónde están las pruebas?",
+        "Si {topic} es tan bueno, ¿por qué nadie aquí lo ha pedido?"
+      ]
+    }
+  },
+
+  'fr-FR': {
+    defaultTopic: "L'importance d'une communication efficace",
+    rapidFirePrompts: {
+      beginner: [
+        "Le succès, c'est comme",
+        "L'amitié, c'est comme",
+        "Apprendre, c'est comme",
+        "Le travail d'équipe, c'est comme",
+        "La créativité, c'est comme",
+        "La patience, c'est comme",
+        "Grandir, c'est comme",
+        "La communication, c'est comme",
+        "La confiance, c'est comme",
+        "Le changement, c'est comme"
+      ],
+      intermediate: [
+        "Le leadership, c'est comme",
+        "L'innovation, c'est comme",
+        "Résoudre un problème, c'est comme",
+        "L'adaptabilité, c'est comme",
+        "La collaboration, c'est comme",
+        "La résilience, c'est comme",
+        "La vision, c'est comme",
+        "L'excellence, c'est comme",
+        "L'équilibre, c'est comme",
+        "Le progrès, c'est comme"
+      ],
+      advanced: [
+        "Le temps, c'est comme",
+        "La vérité, c'est comme",
+        "La sagesse, c'est comme",
+        "La liberté, c'est comme",
+        "La justice, c'est comme",
+        "La beauté, c'est comme",
+        "L'amour, c'est comme",
+        "La mémoire, c'est comme",
+        "Le silence, c'est comme",
+        "L'infini, c'est comme"
+      ],
+      expert: [
+        "L'existence, c'est comme",
+        "La conscience, c'est comme",
+        "La réalité, c'est comme",
+        "La perception, c'est comme",
+        "Le sens de la vie, c'est comme",
+        "Le chaos, c'est comme",
+        "L'ordre, c'est comme",
+        "La dualité, c'est comme",
+        "L'unité, c'est comme",
+        "La transcendance, c'est comme"
+      ]
+    },
+    conductorTopics: {
+      beginner: [
+        "Mon loisir préféré et pourquoi je l'aime",
+        "Un voyage inoubliable",
+        "Le meilleur repas de ma vie",
+        "Mon film préféré et ce qui le rend spécial",
+        "Une personne qui a marqué ma vie"
+      ],
+      intermediate: [
+        "L'importance du travail d'équipe dans l'entreprise moderne",
+        "Comment j'ai surmonté un défi important",
+        "Les bienfaits de la formation continue",
+        "L'impact de la technologie sur notre quotidien",
+        "Pourquoi bien communiquer compte"
+      ],
+      advanced: [
+        "L'avenir du télétravail et de la collaboration",
+        "Concilier vie personnelle et vie professionnelle",
+        "Le rôle de la créativité dans la résolution de problèmes",
+        "Développer sa résilience dans un monde incertain",
+        "La psychologie de la motivation et de la réussite"
+      ],
+      expert: [
+        "La nature de la conscience humaine",
+        "L'équilibre entre tradition et progrès",
+        "Le sens de la réussite dans la société moderne",
+        "La relation entre la technologie et l'humanité",
+        "La quête du bonheur et de l'épanouissement"
+      ]
+    },
+    tripleStepWords: {
+      beginner: [
+        "livre", "heureux", "courir", "bleu", "arbre", "sourire",
+        "eau", "ami", "maison", "repas", "musique", "soleil"
+      ],
+      intermediate: [
+        "aventure", "sagesse", "transformer", "harmonie", "innovation", "perspective",
+        "élan", "clarté", "curiosité", "effort", "équilibre", "confiance"
+      ],
+      advanced: [
+        "hasard", "résilience", "synthétiser", "éphémère", "métamorphose", "paradoxe",
+        "vertige", "nostalgie", "horizon", "ingéniosité", "nuance", "boussole"
+      ],
+      expert: [
+        "quintessence", "ineffable", "entropie", "épiphanie", "idiosyncrasie", "dichotomie",
+        "sérendipité", "paradigme", "alchimie", "catharsis", "ubiquité", "éthéré"
+      ]
+    },
+    impromptuQuestions: {
+      beginner: [
+        "Quel est le meilleur conseil que vous ayez reçu ?",
+        "Décrivez votre week-end idéal.",
+        "Quelle compétence aimeriez-vous apprendre, et pourquoi ?",
+        "Parlez-nous d'un endroit où vous vous sentez chez vous.",
+        "Qu'est-ce qui fait un bon ami ?"
+      ],
+      intermediate: [
+        "Tout le monde devrait-il apprendre à cuisiner ?",
+        "Quel changement améliorerait votre ville ?",
+        "Vaut-il mieux être spécialiste ou généraliste ?",
+        "Sur quoi avez-vous changé d'avis récemment ?",
+        "Que fait un grand leader différemment ?"
+      ],
+      advanced: [
+        "L'échec enseigne-t-il mieux que le succès ?",
+        "Le travail doit-il être plus qu'une question d'argent ?",
+        "Qu'est-ce qui paraîtra étrange chez nous dans cinquante ans ?",
+        "Est-il parfois juste de rompre une promesse ?",
+        "Qu'est-ce qui fait qu'une idée mérite d'être partagée ?"
+      ]
+    },
+    debateMotions: {
+      beginner: [
+        "Les devoirs à la maison devraient être interdits.",
+        "Chaque ville devrait avoir des transports publics gratuits.",
+        "Les animaux devraient être autorisés dans tous les bureaux.",
+        "L'école devrait commencer plus tard le matin.",
+        "L'argent liquide devrait être remplacé par le paiement numérique."
+      ],
+      intermediate: [
+        "Les réseaux sociaux font plus de mal que de bien.",
+        "Le télétravail vaut mieux que le travail au bureau.",
+        "Le vote devrait être obligatoire.",
+        "L'université devrait être gratuite pour tous.",
+        "Les zoos devraient fermer."
+      ],
+      advanced: [
+        "L'intelligence artificielle créera plus d'emplois qu'elle n'en détruira.",
+        "Les pays riches devraient ouvrir leurs frontières.",
+        "La vie privée compte plus que la sécurité.",
+        "L'exploration spatiale est un gaspillage d'argent.",
+        "Les entreprises devraient être gérées pour leurs salariés, pas pour leurs actionnaires."
+      ]
+    },
+    storyPrompts: {
+      beginner: [
+        "Racontez-nous une fois où vous vous êtes perdu.",
+        "Racontez votre premier jour dans un nouveau travail ou une nouvelle école.",
+        "Décrivez un repas que vous n'oublierez jamais.",
+        "Racontez une fois où la météo a gâché vos projets.",
+        "Racontez comment vous avez rencontré un ami proche."
+      ],
+      intermediate: [
+        "Racontez une fois où vous avez dû faire un choix difficile.",
+        "Décrivez un moment où un plan a complètement mal tourné.",
+        "Racontez l'histoire d'une erreur qui vous a appris quelque chose.",
+        "Racontez une fois où un inconnu vous a aidé.",
+        "Décrivez le jour où vous avez dû vous défendre."
+      ],
+      advanced: [
+        "Racontez l'histoire d'un risque qui a changé votre vie.",
+        "Décrivez une fois où vous avez fait changer quelqu'un d'avis, ou l'inverse.",
+        "Racontez un échec dont vous êtes reconnaissant aujourd'hui.",
+        "Racontez le moment où vous avez compris que vous aviez tort.",
+        "Décrivez une fois où vous avez dû prendre la tête quand personne d'autre ne voulait."
+      ]
+    },
+    audienceQuestions: {
+      friendly: [
+        "Qu'est-ce qui vous a amené à vous intéresser à {topic} ?",
+        "Quelle est la seule chose à retenir sur {topic} ?",
+        "Comment quelqu'un qui découvre {topic} peut-il commencer ?",
+        "Pouvez-vous donner un exemple concret de {topic} qui fonctionne ?"
+      ],
+      skeptical: [
+        "Comment savez-vous que {topic} fonctionne en dehors de vos exemples ?",
+        "Honnêtement, combien nous coûterait {topic} ?",
+        "N'avons-nous pas déjà entendu ce genre de promesses sur {topic} ?",
+        "Quelle est la plus grande faiblesse de {topic} ?"
+      ],
+      hostile: [
+        "{topic}, ce n'est pas juste un mot à la mode pour ce que nous faisons déjà ?",
+        "Pourquoi devrait-on croire vos chiffres sur {topic} ?",
+        "Sauf votre respect, on dirait un argumentaire de vente pour {topic}. Où sont les preuves ?",
+        "Si {topic} est si formidable, pourquoi personne ici ne l'a demandé ?"
+      ]
+    }
+  },
+
+  'de-DE': {
+    defaultTopic: 'Die Bedeutung wirkungsvoller Kommunikation',
+    rapidFirePrompts: {
+      beginner: [
+        "Erfolg ist wie",
+        "Freundschaft ist wie",
+        "Lernen ist wie",
+        "Teamarbeit ist wie",
+        "Kreativität ist wie",
+        "Geduld ist wie",
+        "Wachstum ist wie",
+        "Kommunikation ist wie",
+        "Vertrauen ist wie",
+        "Veränderung ist wie"
+      ],
+      intermediate: [
+        "Führung ist wie",
+        "Innovation ist wie",
+        "Problemlösen ist wie",
+        "Anpassungsfähigkeit ist wie",
+        "Zusammenarbeit ist wie",
+        "Resilienz ist wie",
+        "Eine Vision ist wie",
+        "Exzellenz ist wie",
+        "Gleichgewicht ist wie",
+        "Fortschritt ist wie"
+      ],
+      advanced: [
+        "Zeit ist wie",
+        "Wahrheit ist wie",
+        "Weisheit ist wie",
+        "Freiheit ist wie",
+        "Gerechtigkeit ist wie",
+        "Schönheit ist wie",
+        "Liebe ist wie",
+        "Erinnerung ist wie",
+        "Stille ist wie",
+        "Unendlichkeit ist wie"
+      ],
+      expert: [
+        "Existenz ist wie",
+        "Bewusstsein ist wie",
+        "Realität ist wie",
+        "Wahrnehmung ist wie",
+        "Der Sinn des Lebens ist wie",
+        "Chaos ist wie",
+        "Ordnung ist wie",
+        "Dualität ist wie",
+        "Einheit ist wie",
+        "Transzendenz ist wie"
+      ]
+    },
+    conductorTopics: {
+      beginner: [
+        "Mein liebstes Hobby und warum ich es mag",
+        "Eine unvergessliche Reise",
+        "Das beste Essen, das ich je hatte",
+        "Mein Lieblingsfilm und was ihn besonders macht",
+        "Ein Mensch, der mein Leben geprägt hat"
+      ],
+      intermediate: [
+        "Die Bedeutung von Teamarbeit in modernen Unternehmen",
+        "Wie ich eine große Herausforderung gemeistert habe",
+        "Die Vorteile lebenslangen Lernens",
+        "Der Einfluss von Technologie auf unseren Alltag",
+        "Warum gute Kommunikation zählt"
+      ],
+      advanced: [
+        "Die Zukunft von Homeoffice und Zusammenarbeit",
+        "Private und berufliche Prioritäten in Einklang bringen",
+        "Die Rolle der Kreativität beim Lösen von Problemen",
+        "Resilienz in unsicheren Zeiten aufbauen",
+        "Die Psychologie von Motivation und Erfolg"
+      ],
+      expert: [
+        "Das Wesen des menschlichen Bewusstseins",
+        "Das Gleichgewicht zwischen Tradition und Fortschritt",
+        "Was Erfolg in der heutigen Gesellschaft bedeutet",
+        "Das Verhältnis von Technologie und Menschlichkeit",
+        "Die Suche nach Glück und Erfüllung"
+      ]
+    },
+    tripleStepWords: {
+      beginner: [
+        "Buch", "fröhlich", "laufen", "blau", "Baum", "Lächeln",
+        "Wasser", "Freund", "Zuhause", "Essen", "Musik", "Sonne"
+      ],
+      intermediate: [
+        "Abenteuer", "Weisheit", "verwandeln", "Harmonie", "Innovation", "Perspektive",
+        "Schwung", "Klarheit", "Neugier", "Anstrengung", "Gleichgewicht", "Vertrauen"
+      ],
+      advanced: [
+        "Zufall", "Resilienz", "verknüpfen", "vergänglich", "Verwandlung", "Widerspruch",
+        "Schwindel", "Sehnsucht", "Horizont", "Einfallsreichtum", "Nuance", "Kompass"
+      ],
+      expert: [
+        "Quintessenz", "unsagbar", "Entropie", "Erleuchtung", "Eigenart", "Dichotomie",
+        "Fernweh", "Paradigma", "Alchemie", "Katharsis", "allgegenwärtig", "Zeitgeist"
+      ]
+    },
+    impromptuQuestions: {
+      beginner: [
+        "Was ist der beste Rat, den Sie je bekommen haben?",
+        "Beschreiben Sie Ihr ideales Wochenende.",
+        "Welche Fähigkeit würden Sie gern lernen und warum?",
+        "Erzählen Sie von einem Ort, an dem Sie sich zu Hause fühlen.",
+        "Was macht einen guten Freund aus?"
+      ],
+      intermediate: [
+        "Sollte jeder kochen lernen?",
+        "Welche Veränderung würde Ihre Stadt verbessern?",
+        "Ist es besser, Spezialist oder Generalist zu sein?",
+        "Worüber haben Sie kürzlich Ihre Meinung geändert?",
+        "Was macht eine gute Führungskraft anders?"
+      ],
+      advanced: [
+        "Ist Scheitern ein besserer Lehrer als Erfolg?",
+        "Sollte Arbeit mehr sein als Geld verdienen?",
+        "Was wird Menschen in fünfzig Jahren an uns seltsam vorkommen?",
+        "Ist es jemals richtig, ein Versprechen zu brechen?",
+        "Was macht eine Idee verbreitungswürdig?"
+      ]
+    },
+    debateMotions: {
+      beginner: [
+        "Hausaufgaben sollten verboten werden.",
+        "Jede Stadt sollte kostenlosen Nahverkehr haben.",
+        "Haustiere sollten in jedem Büro erlaubt sein.",
+        "Die Schule sollte morgens später beginnen.",
+        "Bargeld sollte durch digitales Bezahlen ersetzt werden."
+      ],
+      intermediate: [
+        "Soziale Medien schaden mehr, als sie nützen.",
+        "Homeoffice ist besser als die Arbeit im Büro.",
+        "Es sollte eine Wahlpflicht geben.",
+        "Das Studium sollte für alle kostenlos sein.",
+        "Zoos sollten geschlossen werden."
+      ],
+      advanced: [
+        "Künstliche Intelligenz wird mehr Arbeitsplätze schaffen, als sie vernichtet.",
+        "Reiche Länder sollten ihre Grenzen öffnen.",
+        "Privatsphäre ist wichtiger als Sicherheit.",
+        "Raumfahrt ist Geldverschwendung.",
+        "Unternehmen sollten für ihre Beschäftigten geführt werden, nicht für ihre Aktionäre."
+      ]
+    },
+    storyPrompts: {
+      beginner: [
+        "Erzählen Sie von einem Mal, als Sie sich verlaufen haben.",
+        "Erzählen Sie von Ihrem ersten Tag in einem neuen Job oder einer neuen Schule.",
+        "Beschreiben Sie ein Essen, das Sie nie vergessen werden.",
+        "Erzählen Sie, wie das Wetter einmal Ihre Pläne ruiniert hat.",
+        "Erzählen Sie, wie Sie einen guten Freund kennengelernt haben."
+      ],
+      intermediate: [
+        "Erzählen Sie von einer schwierigen Entscheidung, die Sie treffen mussten.",
+        "Beschreiben Sie einen Moment, in dem ein Plan völlig schiefging.",
+        "Erzählen Sie von einem Fehler, aus dem Sie etwas gelernt haben.",
+        "Erzählen Sie, wie Ihnen einmal ein Fremder geholfen hat.",
+        "Beschreiben Sie den Tag, an dem Sie für sich selbst einstehen mussten."
+      ],
+      advanced: [
+        "Erzählen Sie von einem Risiko, das Ihr Leben verändert hat.",
+        "Beschreiben Sie, wie Sie jemanden umgestimmt haben, oder er Sie.",
+        "Erzählen Sie von einem Scheitern, für das Sie heute dankbar sind.",
+        "Erzählen Sie von dem Moment, in dem Sie merkten, dass Sie falschlagen.",
+        "Beschreiben Sie, wie Sie einmal die Führung übernehmen mussten, als es sonst niemand tat."
+      ]
+    },
+    audienceQuestions: {
+      friendly: [
+        "Wie sind Sie zu {topic} gekommen?",
+        "Was ist das Wichtigste, das wir uns zu {topic} merken sollten?",
+        "Wie kann jemand ohne Vorwissen mit {topic} anfangen?",
+        "Können Sie ein echtes Beispiel nennen, bei dem {topic} gut funktioniert hat?"
+      ],
+      skeptical: [
+        "Woher wissen Sie, dass {topic} auch außerhalb Ihrer Beispiele funktioniert?",
+        "Ehrlich gesagt: Was würde uns {topic} kosten?",
+        "Haben wir solche Versprechen zu {topic} nicht schon einmal gehört?",
+        "Was ist die größte Schwäche von {topic}?"
+      ],
+      hostile: [
+        "Ist {topic} nicht nur ein Schlagwort für etwas, das wir längst tun?",
+        "Warum sollte man Ihren Zahlen zu {topic} trauen?",
+        "Bei allem Respekt, das klingt nach einem Verkaufsgespräch für {topic}. Wo sind die Belege?",
+        "Wenn {topic} so großartig ist, warum hat hier noch niemand danach gefragt?"
+      ]
+    }
+  }
+};
+
+export const getFallbackDeck = (language) => FALLBACK_DECKS[resolveLanguage(language)];
+
+// First `count` items of a deck ('rapidFirePrompts', 'conductorTopics', 'tripleStepWords', 'impromptuQuestions', 'storyPrompts', 'debateMotions') at a difficulty
+export const getFallbackItems = (language, deck, difficulty, count) => {
+  const items = getFallbackDeck(language)[deck];
+  return (items[difficulty] || items.beginner).slice(0, count);
+};
+
+// Tone of each audience question by difficulty, repeated for longer rounds
+const AUDIENCE_TONE_MIX = {
+  beginner: ['friendly', 'friendly', 'skeptical', 'friendly'],
+  intermediate: ['friendly', 'skeptical', 'hostile', 'skeptical'],
+  advanced: ['skeptical', 'hostile', 'skeptical', 'hostile'],
+  expert: ['hostile', 'skeptical', 'hostile', 'hostile']
+};
+
+// `count` audience questions about a topic, mixing tones for the difficulty
+export const getFallbackAudienceQuestions = (language, topic, difficulty, count) => {
+  const deck = getFallbackDeck(language).audienceQuestions;
+  const tones = AUDIENCE_TONE_MIX[difficulty] || AUDIENCE_TONE_MIX.beginner;
+  const used = { friendly: 0, skeptical: 0, hostile: 0 };
+
+  return Array.from({ length: count }, (_, i) => {
+    const tone = tones[i % tones.length];
+    const templates = deck[tone];
+    const template = templates[used[tone]++ % templates.length];
+    return { question: template.replaceAll('{topic}', topic), tone };
+  });
+};
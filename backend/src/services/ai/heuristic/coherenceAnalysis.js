@@ -0,0 +1,301 @@
+import { tokenize } from '../../speech/fillerDetection.js';
+import {
+  average,
+  clampScore,
+  contentWords,
+  countOnTopicSentences,
+  keywordOverlap,
+  latencyScore,
+  measureText,
+  scale,
+  scoreDelivery,
+  splitSentences,
+  wordPosition
+} from './textMetrics.js';
+
+const rating = (score) => (score >= 80 ? 'good' : score >= 60 ? 'moderate' : 'weak');
+
+// Signposts that open and close a talk
+const OPENERS = ['first', 'firstly', 'today', 'start', 'primero', 'hoy', 'dabord', 'aujourdhui', 'zuerst', 'heute'];
+const CLOSERS = ['finally', 'conclusion', 'summary', 'overall', 'finalmente', 'conclusión', 'resumen', 'enfin', 'conclusion', 'bref', 'schließlich', 'fazit', 'zusammenfassend'];
+
+// Words below which a speech is too short to judge its coherence in full
+const MIN_COHERENT_WORDS = 25;
+
+// Reasoning markers: a sentence with one of these is counted as an argument
+const ARGUMENT_MARKERS = ['because', 'since', 'reason', 'first', 'second', 'third', 'another', 'also', 'example', 'therefore', 'evidence', 'means',
+  'porque', 'razón', 'primero', 'segundo', 'además', 'ejemplo', 'entonces', 'significa',
+  'parce', 'car', 'raison', 'dabord', 'deuxièmement', 'ensuite', 'exemple', 'donc', 'preuve', 'signifie',
+  'weil', 'denn', 'grund', 'zuerst', 'zweitens', 'außerdem', 'beispiel', 'deshalb', 'beweis', 'bedeutet'];
+
+// Share of an argument's own words (beyond the motion's) the other half has to
+// pick up for the argument to count as answered
+const REBUTTAL_OVERLAP = 0.3;
+
+const COHERENCE_EXERCISES = {
+  topicAdherence: [
+    'Speak for two minutes on one topic, repeating its key word at least once every three sentences',
+    'Write the topic on a card and glance at it whenever you start a new point'
+  ],
+  transitions: [
+    'Practice linking every sentence to the last with "because", "so" or "however"',
+    'Tell a three-step story using "first", "then" and "finally"'
+  ],
+  structure: [
+    'Open with a one-sentence preview and close with a one-sentence summary',
+    'Give a 60-second talk with exactly three points'
+  ],
+  messageClarity: [
+    'Say your main point in under 15 words before expanding on it',
+    'Record a talk and count the sentences longer than 25 words'
+  ]
+};
+
+// Rule-based stand-in for CoherenceAnalysisService, used when no LLM is reachable
+export class HeuristicCoherenceAnalysisService {
+  async testConnection() {
+    return true;
+  }
+
+  async analyzeSpeechCoherence(speechTranscript, mainTopic, context = {}) {
+    const metrics = measureText(speechTranscript, context.language);
+    const delivery = scoreDelivery(metrics);
+
+    // Topic adherence is the share of sentences on topic: one mention of the topic
+    // word doesn't make the rest of a ramble relevant
+    const { onTopic, total } = countOnTopicSentences(speechTranscript, mainTopic, context.language);
+    const topicAdherence = total > 0 ? scale(onTopic / total, 0, 1, 10, 95) : 0;
+    // A few words can't carry a line of thought, so short speech is scaled down
+    const substance = Math.min(1, metrics.wordCount / MIN_COHERENT_WORDS);
+    const coherenceScore = clampScore(
+      (topicAdherence * 0.5 + delivery.structure * 0.25 + delivery.speechClarity * 0.25) * substance
+    );
+
+    const strengths = [];
+    const weaknesses = [];
+    (topicAdherence >= 70 ? strengths : weaknesses).push(topicAdherence >= 70 ? 'Clear topic focus' : 'Drifts away from the topic');
+    (delivery.structure >= 70 ? strengths : weaknesses).push(delivery.structure >= 70 ? 'Ideas are linked together' : 'Few links between ideas');
+    (delivery.speechClarity >= 70 ? strengths : weaknesses).push(delivery.speechClarity >= 70 ? 'Sentences are easy to follow' : 'Sentences are hard to follow');
+
+    return {
+      coherenceScore,
+      topicAdherence,
+      logicalFlow: rating(delivery.structure),
+      transitions: metrics.connectorCount >= metrics.sentenceCount ? 'effective' : metrics.connectorCount > 0 ? 'adequate' : 'weak',
+      messageClarity: rating(delivery.speechClarity),
+      strengths,
+      weaknesses,
+      improvementAreas: weaknesses.length > 0 ? weaknesses.map(w => `Work on: ${w.toLowerCase()}`) : ['Keep the same focus at a higher difficulty'],
+      overallAssessment: `${onTopic} of ${total || 1} sentences stayed on the topic`
+    };
+  }
+
+  async analyzeWordIntegration(mainTopic, targetWord, speechContext, integrationTime, language) {
+    // Judge the word inside the sentence that uses it, not the whole context
+    const sentence = splitSentences(speechContext).find(candidate => wordPosition(targetWord, candidate) !== null) || speechContext;
+    const position = wordPosition(targetWord, sentence);
+    const used = position !== null;
+    const sentenceWords = tokenize(sentence).length;
+    const standalone = used && sentenceWords < 3;
+
+    // Woven in mid-sentence beats tacked on at either end, which beats saying it on its own
+    const seamlessness = !used ? 0 : standalone ? 10 : position > 0.1 && position < 0.9 ? 90 : 65;
+    const coherence = scale(keywordOverlap(speechContext, mainTopic, language), 0, 0.5, 45, 95);
+    const flow = !used ? 0 : scale(sentenceWords, 3, 15, 50, 90);
+    const creativityScore = !used ? 0 : scoreDelivery(measureText(speechContext, language)).vocabulary;
+    const speed = latencyScore(integrationTime, 3000, 12000);
+
+    const integrationScore = used ? clampScore(average([seamlessness, coherence, flow, creativityScore, speed])) : 0;
+
+    return {
+      integrationScore,
+      success: used && !standalone && integrationScore >= 60,
+      seamlessness,
+      coherence,
+      flow,
+      creativityScore,
+      naturalness: !used ? 'missing' : rating(seamlessness),
+      coherenceMaintained: coherence >= 60,
+      flowPreserved: flow >= 60,
+      creativity: rating(creativityScore),
+      feedback: !used
+        ? `"${targetWord}" was not heard in your speech`
+        : standalone
+          ? `"${targetWord}" was said on its own instead of inside a sentence`
+          : seamlessness >= 80
+            ? `"${targetWord}" was woven into the middle of a sentence`
+            : `"${targetWord}" was tacked on at the edge of a sentence`,
+      suggestions: [
+        ...(seamlessness < 80 ? ['Build a full sentence around the word instead of adding it at the end'] : []),
+        ...(coherence < 60 ? ['Connect the word back to the main topic'] : []),
+        ...(speed < 60 ? ['Start using the word sooner after it appears'] : [])
+      ]
+    };
+  }
+
+  async analyzeTopicDeviation(speechSegments, mainTopic, timeStamps = []) {
+    const overlaps = speechSegments.map(segment => keywordOverlap(segment, mainTopic));
+    const offTopic = overlaps
+      .map((overlap, index) => ({ overlap, label: `Segment ${index + 1}${timeStamps[index] !== undefined ? ` (${timeStamps[index]})` : ''}` }))
+      .filter(({ overlap }) => overlap === 0);
+
+    // Recovery: an off-topic segment followed by an on-topic one
+    const recoveries = overlaps.filter((overlap, index) => index > 0 && overlaps[index - 1] === 0 && overlap > 0).length;
+    const overallAdherence = speechSegments.length > 0
+      ? clampScore(((speechSegments.length - offTopic.length) / speechSegments.length) * 100)
+      : 0;
+
+    return {
+      overallAdherence,
+      deviationPatterns: offTopic.length === 0 ? ['No deviations detected'] : [`${offTopic.length} segment(s) without topic keywords`],
+      recoveryEffectiveness: offTopic.length === 0 ? 'not needed' : recoveries >= offTopic.length ? 'good' : recoveries > 0 ? 'moderate' : 'weak',
+      coherenceMaintained: overallAdherence >= 60,
+      deviationPoints: offTopic.map(({ label }) => label),
+      recommendations: overallAdherence >= 80
+        ? ['Keep anchoring each point to the topic']
+        : ['Repeat a topic keyword when you start a new point', 'Pause and restate the topic when you notice a tangent']
+    };
+  }
+
+  async analyzeSpeechStructure(speechTranscript, gameType, language) {
+    const tokens = tokenize(speechTranscript);
+    const opening = new Set(tokens.slice(0, Math.max(5, Math.round(tokens.length * 0.2))));
+    const closing = new Set(tokens.slice(-Math.max(5, Math.round(tokens.length * 0.2))));
+    const hasOpening = OPENERS.some(word => opening.has(word));
+    const hasClosing = CLOSERS.some(word => closing.has(word));
+    const body = scoreDelivery(measureText(speechTranscript, language)).structure;
+
+    const structureScore = clampScore(average([hasOpening ? 90 : 50, body, hasClosing ? 90 : 45]));
+
+    return {
+      structureScore,
+      introduction: hasOpening ? 'good' : 'weak',
+      body: rating(body),
+      conclusion: hasClosing ? 'good' : 'weak',
+      overallCoherence: rating(structureScore),
+      strengths: [
+        ...(hasOpening ? ['Signposted opening'] : []),
+        ...(body >= 70 ? ['Linked body sentences'] : []),
+        ...(hasClosing ? ['Clear conclusion'] : [])
+      ],
+      weaknesses: [
+        ...(!hasOpening ? ['No signposted opening'] : []),
+        ...(body < 70 ? ['Loosely connected body'] : []),
+        ...(!hasClosing ? ['No clear conclusion'] : [])
+      ],
+      improvements: [
+        ...(!hasOpening ? ['Open by telling the audience what you will cover'] : []),
+        ...(body < 70 ? ['Use linking words between points'] : []),
+        ...(!hasClosing ? ['Close with "finally" or "to sum up" and restate your point'] : [])
+      ]
+    };
+  }
+
+  async analyzeDebateArguments(motion, forSpeech, againstSpeech, language) {
+    const findArguments = (speech) => splitSentences(speech)
+      .filter(sentence => contentWords(sentence, language).length >= 3)
+      .filter(sentence => tokenize(sentence).some(token => ARGUMENT_MARKERS.includes(token)))
+      .map(sentence => sentence.slice(0, 200));
+
+    const forArguments = findArguments(forSpeech);
+    const againstArguments = findArguments(againstSpeech);
+
+    // Every argument mentions the motion, so only the words beyond it show the point was taken up
+    const motionStems = new Set(contentWords(motion, language).map(word => word.slice(0, 5)));
+    const againstSentences = splitSentences(againstSpeech);
+    const rebuttals = forArguments.map(point => {
+      const ownWords = contentWords(point, language).filter(word => !motionStems.has(word.slice(0, 5))).join(' ');
+      return {
+        point,
+        rebutted: ownWords.length > 0 &&
+          againstSentences.some(sentence => keywordOverlap(sentence, ownWords, language) >= REBUTTAL_OVERLAP)
+      };
+    });
+    const rebutted = rebuttals.filter(rebuttal => rebuttal.rebutted).length;
+
+    return {
+      forArguments,
+      againstArguments,
+      rebuttals,
+      feedback: forArguments.length === 0
+        ? 'No reasoned arguments were heard for the motion; give a reason with "because" or an example'
+        : `${forArguments.length} argument(s) for and ${againstArguments.length} against; ${rebutted} of your own points were answered after the switch`
+    };
+  }
+
+  async generateCoherenceExercises(coherenceScore, improvementAreas = [], difficulty = 'beginner') {
+    const areas = improvementAreas.join(' ').toLowerCase();
+    const focus = Object.keys(COHERENCE_EXERCISES).filter(key =>
+      areas.includes(key.toLowerCase()) || areas.includes(key.replace(/([A-Z])/g, ' $1').toLowerCase())
+    );
+    const selected = focus.length > 0 ? focus : coherenceScore < 60 ? ['topicAdherence', 'structure'] : ['transitions', 'messageClarity'];
+
+    return {
+      ...Object.fromEntries(selected.map(key => [key, COHERENCE_EXERCISES[key]])),
+      practiceScenarios: difficulty === 'beginner'
+        ? ['One-minute talks on familiar topics']
+        : ['Impromptu talks on unfamiliar topics', 'Topic switching on a timer']
+    };
+  }
+
+  async analyzeRapidFireCoherence(prompts, responses, responseTimes, language) {
+    const scored = prompts.map((prompt, index) => {
+      const response = responses[index] || '';
+      if (!response.trim()) return null;
+      const delivery = scoreDelivery(measureText(response, language));
+      return {
+        relevance: scale(tokenize(response).length, 2, 10, 40, 90),
+        clarity: delivery.speechClarity,
+        speed: latencyScore(responseTimes[index])
+      };
+    }).filter(Boolean);
+
+    if (scored.length === 0) {
+      return {
+        overallCoherence: 0,
+        responseRelevance: 'weak',
+        consistency: 'weak',
+        logicalConnections: 'weak',
+        creativity: 'weak',
+        pattern: 'no responses captured',
+        strengths: [],
+        improvements: ['Answer every prompt, even with a simple analogy'],
+        feedback: 'No responses were captured'
+      };
+    }
+
+    const perResponse = scored.map(s => average([s.relevance, s.clarity, s.speed]));
+    const mean = average(perResponse);
+    const spread = Math.sqrt(average(perResponse.map(score => (score - mean) ** 2)));
+    const consistency = scale(30 - spread, 0, 30);
+    const relevance = average(scored.map(s => s.relevance));
+    const speed = average(scored.map(s => s.speed));
+    const answeredShare = scored.length / Math.max(1, prompts.length);
+
+    // Later answers scoring higher than earlier ones means the user warmed up
+    const half = Math.floor(perResponse.length / 2);
+    const trend = half > 0 ? average(perResponse.slice(half)) - average(perResponse.slice(0, half)) : 0;
+
+    const overallCoherence = clampScore(average([mean, consistency]) * (0.6 + 0.4 * answeredShare));
+
+    return {
+      overallCoherence,
+      responseRelevance: rating(relevance),
+      consistency: rating(consistency),
+      logicalConnections: rating(mean),
+      creativity: rating(relevance),
+      pattern: trend > 5 ? 'warming up' : trend < -5 ? 'tiring towards the end' : 'steady',
+      strengths: [
+        ...(answeredShare >= 0.8 ? ['Answered nearly every prompt'] : []),
+        ...(speed >= 75 ? ['Quick starts'] : []),
+        ...(consistency >= 75 ? ['Consistent quality'] : [])
+      ],
+      improvements: [
+        ...(answeredShare < 0.8 ? ['Answer every prompt, even with a simple analogy'] : []),
+        ...(speed < 75 ? ['Start speaking sooner after each prompt'] : []),
+        ...(relevance < 70 ? ['Give each analogy a full explanation'] : [])
+      ],
+      feedback: `${scored.length} of ${prompts.length} prompts answered, average quality ${Math.round(mean)}`
+    };
+  }
+}
@@ -0,0 +1,216 @@
+import { average, clampScore, measureText, scale } from './textMetrics.js';
+
+const rating = (score) => (score >= 80 ? 'good' : score >= 60 ? 'moderate' : 'weak');
+
+// Estimate a 1-9 energy level from the words alone: intensifiers, exclamations and
+// short punchy sentences read as high energy, hedges and fillers as low. Without the
+// audio this is a rough proxy, so callers with measured levels should prefer those.
+export const estimateEnergyLevel = (text, language) => {
+  const metrics = measureText(text, language);
+  if (metrics.wordCount === 0) return { level: 1, metrics, indicators: ['no speech'] };
+
+  const per100 = (count) => (count / metrics.wordCount) * 100;
+  const indicators = [];
+  let level = 5;
+
+  const intensity = per100(metrics.intensifierCount);
+  if (intensity >= 3) indicators.push('emphatic word choice');
+  level += Math.min(2, intensity / 3);
+
+  const exclamations = metrics.sentenceCount > 0 ? metrics.exclamationCount / metrics.sentenceCount : 0;
+  if (exclamations > 0) indicators.push('exclamations');
+  level += Math.min(1.5, exclamations * 2);
+
+  if (metrics.averageSentenceLength > 0 && metrics.averageSentenceLength < 8) {
+    indicators.push('short, punchy sentences');
+    level += 0.5;
+  } else if (metrics.averageSentenceLength > 22) {
+    indicators.push('long, flowing sentences');
+    level -= 0.5;
+  }
+
+  const hesitation = per100(metrics.hedgeCount + metrics.fillerCount);
+  if (hesitation >= 4) indicators.push('hesitant phrasing');
+  level -= Math.min(2, hesitation / 4);
+
+  return {
+    level: Math.max(1, Math.min(9, Math.round(level))),
+    metrics,
+    indicators: indicators.length > 0 ? indicators : ['neutral word choice']
+  };
+};
+
+// Rule-based stand-in for EnergyDetectionService, used when no LLM is reachable
+export class HeuristicEnergyDetectionService {
+  async testConnection() {
+    return true;
+  }
+
+  async analyzeVoiceEnergy(audioTranscript, targetEnergyLevel, context = {}) {
+    const { level, indicators } = estimateEnergyLevel(audioTranscript, context.language);
+    const gap = Math.abs(level - targetEnergyLevel);
+    const energyMatch = clampScore(100 - gap * 15);
+
+    return {
+      detectedEnergyLevel: level,
+      energyMatch,
+      consistency: rating(energyMatch),
+      indicators,
+      adjustmentNeeded: gap === 0 ? 'none' : gap <= 2 ? 'minor' : 'major',
+      suggestions: level < targetEnergyLevel
+        ? ['Use more emphatic words and shorter sentences', 'Project your voice and lift your pitch']
+        : level > targetEnergyLevel
+          ? ['Slow down and lengthen your sentences', 'Drop the exclamations and lower your volume']
+          : ['Hold this energy for the whole segment'],
+      overallAssessment: gap === 0
+        ? `Energy matched level ${targetEnergyLevel}`
+        : `Estimated level ${level} against a target of ${targetEnergyLevel}`,
+      targetEnergyLevel,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async analyzeEnergyTransition(fromLevel, toLevel, speechSegment, transitionTime, language) {
+    const jump = Math.abs(toLevel - fromLevel);
+    const { level, metrics } = estimateEnergyLevel(speechSegment, language);
+
+    // The text can't show the full jump, so landing within two levels of the target counts;
+    // moving the right way without getting there earns part of the credit
+    const direction = Math.sign(toLevel - fromLevel);
+    const landed = Math.abs(level - toLevel) <= 2;
+    const movedRightWay = landed || direction === 0 || Math.sign(level - fromLevel) === direction;
+    const landing = landed ? 90 : movedRightWay ? 45 : 25;
+
+    // Bigger jumps get more time before they count as slow; twice the allowance scores lowest
+    const allowance = 2000 + jump * 500;
+    const smoothness = transitionTime ? scale(2 * allowance - transitionTime, 0, allowance) : 70;
+    const fluency = metrics.wordCount > 0 ? scale(10 - metrics.fillerRate, 0, 10) : 40;
+    // Reaching the new level is the point of the exercise, so it weighs most
+    const score = clampScore(landing * 0.5 + smoothness * 0.3 + fluency * 0.2);
+
+    return {
+      transitionSuccess: landed && score >= 60,
+      success: landed && score >= 60,
+      smoothness: score,
+      naturalness: rating(fluency),
+      effectiveness: landed ? 'effective' : movedRightWay ? 'partial' : 'ineffective',
+      feedback: !movedRightWay
+        ? `Your wording still sounded closer to level ${fromLevel} than ${toLevel}`
+        : !landed
+          ? `You moved towards level ${toLevel} but your wording stayed around level ${level}`
+          : smoothness < 60
+            ? `The shift from ${fromLevel} to ${toLevel} took a while to land`
+            : `Clean shift from ${fromLevel} to ${toLevel}`,
+      suggestions: [
+        ...(smoothness < 60 ? ['Change energy on the very next word after the cue'] : []),
+        ...(fluency < 70 ? ['Avoid fillers while you adjust your energy'] : []),
+        ...(!landed ? [toLevel > fromLevel ? 'Push harder: louder, faster, more emphatic' : 'Pull back: softer, slower, calmer'] : [])
+      ]
+    };
+  }
+
+  async analyzeBreatheCueResponse(breatheCue, speechBefore, speechAfter, responseTime, measurement = {}, language) {
+    const followed = measurement.followed !== false;
+
+    if (!followed) {
+      return {
+        cueFollowed: false,
+        pauseQuality: 'none',
+        resetEffectiveness: 'ineffective',
+        energyAdjustment: 'none',
+        overallScore: 25,
+        feedback: 'No pause was detected after the breathing cue',
+        suggestions: ['Stop speaking as soon as the cue appears', 'Take a full breath before continuing']
+      };
+    }
+
+    // A full breath takes 1.5-4s; shorter is a gasp, much longer loses momentum
+    const pause = measurement.pauseDuration || 0;
+    const pauseScore = !pause ? 65 : pause < 1500 ? scale(pause, 300, 1500, 45, 90) : pause > 4000 ? scale(8000 - pause, 0, 4000, 50, 90) : 95;
+    const reaction = responseTime ? scale(4000 - responseTime, 0, 3000, 50, 95) : 70;
+
+    // Calmer wording after the breath than before it shows the reset worked
+    const before = estimateEnergyLevel(speechBefore, language);
+    const after = estimateEnergyLevel(speechAfter, language);
+    const reset = after.metrics.wordCount === 0 ? 65 : after.metrics.fillerRate <= before.metrics.fillerRate ? 90 : 60;
+
+    const overallScore = clampScore(average([pauseScore, reaction, reset]));
+
+    return {
+      cueFollowed: true,
+      pauseQuality: rating(pauseScore),
+      resetEffectiveness: reset >= 80 ? 'effective' : 'partial',
+      energyAdjustment: after.metrics.wordCount === 0 ? 'unknown' : after.level <= before.level ? 'appropriate' : 'rising',
+      overallScore,
+      feedback: pause && pause < 1500
+        ? `You paused for ${(pause / 1000).toFixed(1)}s; let the breath fill out`
+        : pause > 4000
+          ? `You paused for ${(pause / 1000).toFixed(1)}s; come back in a little sooner`
+          : 'Good use of the breathing cue',
+      suggestions: [
+        ...(pauseScore < 80 ? ['Aim for a two to three second breath'] : []),
+        ...(reaction < 70 ? ['Pause as soon as the cue appears'] : []),
+        ...(reset < 80 ? ['Restart more deliberately after the breath'] : [])
+      ]
+    };
+  }
+
+  async generateEnergyModulationExercises(currentLevel, targetLevel, difficulty = 'beginner') {
+    const raising = targetLevel > currentLevel;
+    const steps = Math.abs(targetLevel - currentLevel);
+    const reps = difficulty === 'beginner' ? 3 : difficulty === 'intermediate' ? 5 : 8;
+
+    return {
+      exercises: [
+        `Count from 1 to 10, moving from level ${currentLevel} to ${targetLevel} one step every two numbers`,
+        `Repeat one sentence ${reps} times, ${raising ? 'adding' : 'removing'} energy each time`,
+        steps > 3 ? 'Jump straight between the two levels on a clap, then back' : 'Alternate between the two levels every sentence'
+      ],
+      breathingTechniques: raising
+        ? ['Quick energising breaths before speaking', 'Breathe from the diaphragm to support volume']
+        : ['Slow 4-second inhale, 6-second exhale', 'Pause for a full breath between sentences'],
+      physicalMovements: raising
+        ? ['Stand up and use open, wide gestures', 'Lean slightly forward']
+        : ['Sit back and keep your hands still', 'Relax your shoulders'],
+      mentalPrep: [raising ? 'Picture an audience at the back of a large hall' : 'Picture a one-to-one conversation'],
+      practiceScenarios: raising
+        ? ['Announce good news to a team', 'Open a keynote']
+        : ['Deliver difficult news calmly', 'Close a meeting']
+    };
+  }
+
+  async analyzeEnergyPattern(speechSegments, energyLevels) {
+    const estimated = speechSegments.map(segment => estimateEnergyLevel(segment).level);
+    const gaps = estimated.map((level, index) => Math.abs(level - energyLevels[index]));
+    const match = average(gaps.map(gap => 100 - gap * 15));
+
+    const changes = energyLevels.slice(1).map((level, index) => ({
+      target: Math.sign(level - energyLevels[index]),
+      actual: Math.sign(estimated[index + 1] - estimated[index])
+    })).filter(change => change.target !== 0);
+    const followedChanges = changes.filter(change => change.actual === change.target).length;
+    const transitionScore = changes.length > 0 ? (followedChanges / changes.length) * 100 : 70;
+
+    const range = estimated.length > 0 ? Math.max(...estimated) - Math.min(...estimated) : 0;
+    const targetRange = energyLevels.length > 0 ? Math.max(...energyLevels) - Math.min(...energyLevels) : 0;
+
+    return {
+      consistency: rating(match),
+      transitionEffectiveness: rating(transitionScore),
+      energyRange: range >= targetRange ? 'adequate' : range >= targetRange / 2 ? 'narrow' : 'flat',
+      improvementAreas: [
+        ...(match < 70 ? ['Matching the target level'] : []),
+        ...(transitionScore < 70 ? ['Following energy changes'] : []),
+        ...(range < targetRange / 2 ? ['Widening your energy range'] : [])
+      ],
+      strengths: [
+        ...(match >= 70 ? ['Matching the target level'] : []),
+        ...(transitionScore >= 70 ? ['Following energy changes'] : []),
+        ...(range >= targetRange && targetRange > 0 ? ['Full energy range'] : [])
+      ],
+      recommendations: transitionScore < 70
+        ? ['Practice exaggerated jumps between two levels']
+        : ['Try faster transitions at a higher difficulty']
+    };
+  }
+}
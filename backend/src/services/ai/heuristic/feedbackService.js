@@ -0,0 +1,164 @@
+import GameSession from '../../../models/GameSession.js';
+import { average, clampScore, latencyScore } from './textMetrics.js';
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+const RANGE_DAYS = { week: 7, month: 30, quarter: 90, year: 365 };
+
+const GAME_NAMES = {
+  rapidFire: 'Rapid Fire',
+  conductor: 'Conductor',
+  tripleStep: 'Triple Step',
+  general: 'your training'
+};
+
+// Each game's performance fields as 0-100 scores, with a label and a practice tip
+const GAME_DIMENSIONS = {
+  rapidFire: (p) => [
+    { label: 'Answering every prompt', score: p.responseRate, tip: 'Say the first analogy that comes to mind rather than skipping' },
+    { label: 'Quick starts', score: p.averageResponseTime ? latencyScore(p.averageResponseTime) : undefined, tip: 'Practice with a two-second countdown' },
+    { label: 'Finishing the round', score: p.totalPrompts ? ((p.completedResponses ?? 0) / p.totalPrompts) * 100 : undefined, tip: 'Keep going even after a weak answer' }
+  ],
+  conductor: (p) => [
+    { label: 'Energy transitions', score: p.energyTransitions, tip: 'Exaggerate each energy change until it is obvious' },
+    { label: 'Matching the target energy', score: p.averageEnergyMatch, tip: 'Say one sentence at each level from 1 to 9' },
+    { label: 'Following breathe cues', score: p.breatheCuesFollowed, tip: 'Stop mid-sentence when the cue appears and take a full breath' }
+  ],
+  tripleStep: (p) => [
+    { label: 'Integrating words', score: p.integrationSuccess ?? p.wordsIntegrated, tip: 'Build a whole sentence around each new word' },
+    { label: 'Quick integration', score: p.averageIntegrationTime ? latencyScore(p.averageIntegrationTime, 3000, 12000) : undefined, tip: 'Use the word within the next sentence' }
+  ],
+  general: (p) => [
+    { label: 'Overall score', score: p.score, tip: 'Replay your weakest game at the same difficulty' },
+    { label: 'Accuracy', score: p.accuracy, tip: 'Slow down slightly and finish each thought' }
+  ]
+};
+
+const rateDimensions = (gameType, performance = {}) =>
+  (GAME_DIMENSIONS[gameType] || GAME_DIMENSIONS.general)(performance)
+    .filter(dimension => typeof dimension.score === 'number' && !Number.isNaN(dimension.score))
+    .map(dimension => ({ ...dimension, score: clampScore(dimension.score) }));
+
+// Rule-based stand-in for FeedbackService, used when no LLM is reachable
+export class HeuristicFeedbackService {
+  async testConnection() {
+    return true;
+  }
+
+  async generatePersonalizedFeedback(userStats = {}, gameType, recentPerformance = {}, difficulty = 'beginner') {
+    const dimensions = rateDimensions(gameType, recentPerformance);
+    const score = dimensions.length > 0 ? clampScore(average(dimensions.map(d => d.score))) : clampScore(recentPerformance.score || 0);
+    const sorted = [...dimensions].sort((a, b) => b.score - a.score);
+    const weak = sorted.filter(d => d.score < 75).reverse();
+
+    // Step up after strong sessions, step down after struggling ones
+    const level = Math.max(0, DIFFICULTIES.indexOf(difficulty));
+    const recommendedDifficulty = score >= 85
+      ? DIFFICULTIES[Math.min(level + 1, DIFFICULTIES.length - 1)]
+      : score < 50
+        ? DIFFICULTIES[Math.max(level - 1, 0)]
+        : DIFFICULTIES[level];
+
+    const trend = userStats.averageScore ? score - userStats.averageScore : 0;
+
+    return {
+      overallAssessment: `You scored ${score} in ${GAME_NAMES[gameType] || GAME_NAMES.general}` +
+        (userStats.averageScore ? `, ${Math.abs(Math.round(trend))} points ${trend >= 0 ? 'above' : 'below'} your average` : ''),
+      strengths: sorted.filter(d => d.score >= 75).map(d => d.label).slice(0, 3),
+      improvementAreas: weak.slice(0, 2).map(d => ({
+        area: d.label,
+        description: `Scored ${d.score} this session`,
+        actionableSteps: [d.tip],
+        practiceExercises: [`Play ${GAME_NAMES[gameType] || 'a short round'} focusing only on ${d.label.toLowerCase()}`]
+      })),
+      nextSteps: recommendedDifficulty !== difficulty
+        ? [`Try ${recommendedDifficulty} difficulty next`]
+        : ['Repeat this difficulty until you score above 85'],
+      motivation: trend > 0
+        ? 'You are trending upwards. Keep the streak going!'
+        : userStats.totalGamesPlayed > 10
+          ? 'Plateaus are normal; steady practice breaks through them.'
+          : 'Every session builds the habit. Keep practicing!',
+      recommendedDifficulty
+    };
+  }
+
+  async generateGameSpecificFeedback(gameType, performance = {}) {
+    const dimensions = rateDimensions(gameType, performance);
+    const score = dimensions.length > 0 ? clampScore(average(dimensions.map(d => d.score))) : 0;
+    const weak = dimensions.filter(d => d.score < 75);
+
+    return {
+      assessment: dimensions.length > 0
+        ? `${GAME_NAMES[gameType] || GAME_NAMES.general}: ${score}/100 across ${dimensions.length} measures`
+        : `Not enough data from this ${GAME_NAMES[gameType] || ''} session to assess`,
+      strengths: dimensions.filter(d => d.score >= 75).map(d => d.label),
+      improvements: weak.map(d => d.label),
+      practiceTips: (weak.length > 0 ? weak : dimensions).map(d => d.tip)
+    };
+  }
+
+  async generateProgressReport(userId, timeRange = 'month') {
+    const since = new Date(Date.now() - (RANGE_DAYS[timeRange] || RANGE_DAYS.month) * 24 * 60 * 60 * 1000);
+    const sessions = await GameSession.find({
+      userId,
+      'sessionData.startTime': { $gte: since },
+      isCompleted: true
+    }).sort({ 'sessionData.startTime': 1 });
+
+    if (sessions.length === 0) {
+      return `Progress Report (${timeRange})\n\nNo completed sessions in this period yet. Play a game to start tracking your progress.`;
+    }
+
+    const scores = sessions.map(s => s.performance.score || 0);
+    const half = Math.floor(scores.length / 2);
+    const change = half > 0 ? Math.round(average(scores.slice(half)) - average(scores.slice(0, half))) : 0;
+
+    const byGame = {};
+    sessions.forEach(s => {
+      (byGame[s.gameType] = byGame[s.gameType] || []).push(s.performance.score || 0);
+    });
+    const gameAverages = Object.entries(byGame)
+      .map(([game, gameScores]) => ({ game, average: Math.round(average(gameScores)), count: gameScores.length }))
+      .sort((a, b) => b.average - a.average);
+    const best = gameAverages[0];
+    const weakest = gameAverages[gameAverages.length - 1];
+
+    const lines = [
+      `Progress Report (${timeRange})`,
+      '',
+      `${sessions.length} session${sessions.length === 1 ? '' : 's'} completed, averaging ${Math.round(average(scores))} with a best of ${Math.max(...scores)}.`,
+      half > 0
+        ? `Your later sessions scored ${Math.abs(change)} points ${change >= 0 ? 'higher' : 'lower'} than your earlier ones.`
+        : 'Play a few more sessions to see a trend.',
+      '',
+      'By game:',
+      ...gameAverages.map(g => `- ${GAME_NAMES[g.game] || g.game}: ${g.average} average over ${g.count} session${g.count === 1 ? '' : 's'}`),
+      '',
+      'Focus Areas:',
+      gameAverages.length > 1
+        ? `- ${GAME_NAMES[weakest.game] || weakest.game} is your weakest game; give it extra rounds`
+        : '- Try a second game type to round out your skills',
+      change < 0 ? '- Scores dipped recently; drop a difficulty level to rebuild confidence' : `- Build on your strength in ${GAME_NAMES[best.game] || best.game}`
+    ];
+
+    return lines.join('\n');
+  }
+
+  async generateMotivationalMessage(userStats = {}, recentPerformance = {}) {
+    const games = userStats.totalGamesPlayed || 0;
+    const recent = recentPerformance.score || 0;
+    const overall = userStats.averageScore || 0;
+
+    if (games === 0) {
+      return 'Your first session is the hardest one. Pick a game and give it a go!';
+    }
+    if (recent > overall) {
+      return `Your recent sessions average ${recent}, above your overall ${overall}. ${games} games in, the practice is paying off!`;
+    }
+    if (recent >= 80) {
+      return `Averaging ${recent} lately is strong work. Try a harder difficulty to keep growing.`;
+    }
+    return `${games} games played so far. Progress isn't always a straight line; keep showing up and the scores will follow.`;
+  }
+}
@@ -0,0 +1,8 @@
+// Rule-based implementations of the AI services. They share method names and
+// result shapes with the LLM-backed services so routes can use either.
+export { HeuristicSpeechAnalysisService } from './speechAnalysis.js';
+export { HeuristicPromptGenerationService } from './promptGeneration.js';
+export { HeuristicFeedbackService } from './feedbackService.js';
+export { HeuristicEnergyDetectionService } from './energyDetection.js';
+export { HeuristicCoherenceAnalysisService } from './coherenceAnalysis.js';
+export { HeuristicNarrativeAnalysisService } from './narrativeAnalysis.js';
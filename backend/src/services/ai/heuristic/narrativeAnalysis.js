@@ -0,0 +1,184 @@
+import { tokenize } from '../../speech/fillerDetection.js';
+import { average, clampScore, contentWords, measureText, scale, splitSentences } from './textMetrics.js';
+
+export const ARC_STAGES = ['setup', 'conflict', 'resolution'];
+
+// Share of the story's words each stage gets in a well-paced short story
+const TARGET_SHARES = { setup: 0.25, conflict: 0.5, resolution: 0.25 };
+
+// Words that tend to open, complicate and resolve a story
+const STAGE_CUES = {
+  en: {
+    setup: ['once', 'ago', 'remember', 'used', 'lived', 'morning', 'night', 'summer', 'when', 'years', 'back', 'first', 'was'],
+    conflict: ['but', 'suddenly', 'until', 'problem', 'however', 'wrong', 'lost', 'afraid', 'scared', 'worried', 'failed', 'broke', 'couldnt', 'nobody', 'instead', 'panic'],
+    resolution: ['finally', 'eventually', 'end', 'learned', 'lesson', 'since', 'now', 'today', 'ever', 'realized', 'relieved', 'made', 'solved', 'together']
+  },
+  es: {
+    setup: ['había', 'vez', 'hace', 'recuerdo', 'vivía', 'mañana', 'noche', 'verano', 'cuando', 'años', 'primero', 'era'],
+    conflict: ['pero', 'repente', 'hasta', 'problema', 'embargo', 'mal', 'perdí', 'miedo', 'preocupado', 'falló', 'rompió', 'nadie', 'pánico'],
+    resolution: ['finalmente', 'final', 'aprendí', 'lección', 'desde', 'ahora', 'hoy', 'nunca', 'comprendí', 'aliviado', 'logré', 'juntos']
+  },
+  fr: {
+    setup: ['fois', 'souviens', 'vivais', 'matin', 'soir', 'été', 'quand', 'ans', 'dabord', 'était'],
+    conflict: ['mais', 'soudain', 'jusquà', 'problème', 'cependant', 'mal', 'perdu', 'peur', 'inquiet', 'échoué', 'cassé', 'personne', 'panique'],
+    resolution: ['enfin', 'finalement', 'fin', 'appris', 'leçon', 'depuis', 'maintenant', 'aujourdhui', 'compris', 'soulagé', 'réussi', 'ensemble']
+  },
+  de: {
+    setup: ['einmal', 'vor', 'erinnere', 'lebte', 'morgen', 'nacht', 'sommer', 'als', 'jahren', 'zuerst', 'war'],
+    conflict: ['aber', 'plötzlich', 'bis', 'problem', 'jedoch', 'falsch', 'verloren', 'angst', 'sorgen', 'gescheitert', 'kaputt', 'niemand', 'panik'],
+    resolution: ['endlich', 'schließlich', 'ende', 'gelernt', 'lektion', 'seitdem', 'jetzt', 'heute', 'verstanden', 'erleichtert', 'geschafft', 'zusammen']
+  }
+};
+
+// Sensory and concrete words that make a scene vivid
+const DETAIL_WORDS = {
+  en: ['saw', 'heard', 'smell', 'smelled', 'taste', 'felt', 'cold', 'warm', 'hot', 'bright', 'dark', 'loud', 'quiet',
+    'red', 'blue', 'green', 'wet', 'rain', 'sun', 'voice', 'face', 'hands', 'door', 'window', 'street', 'kitchen'],
+  es: ['vi', 'oí', 'olor', 'sabor', 'sentí', 'frío', 'calor', 'brillante', 'oscuro', 'fuerte', 'silencio',
+    'rojo', 'azul', 'verde', 'mojado', 'lluvia', 'sol', 'voz', 'cara', 'manos', 'puerta', 'ventana', 'calle', 'cocina'],
+  fr: ['vu', 'entendu', 'odeur', 'goût', 'senti', 'froid', 'chaud', 'brillant', 'sombre', 'fort', 'silence',
+    'rouge', 'bleu', 'vert', 'mouillé', 'pluie', 'soleil', 'voix', 'visage', 'mains', 'porte', 'fenêtre', 'rue', 'cuisine'],
+  de: ['sah', 'hörte', 'geruch', 'geschmack', 'fühlte', 'kalt', 'warm', 'heiß', 'hell', 'dunkel', 'laut', 'still',
+    'rot', 'blau', 'grün', 'nass', 'regen', 'sonne', 'stimme', 'gesicht', 'hände', 'tür', 'fenster', 'straße', 'küche']
+};
+
+const STAGE_TIPS = {
+  setup: 'Open by setting the scene: who, where and when',
+  conflict: 'Give the story a turning point: something that goes wrong or gets in the way',
+  resolution: 'Close the story: how it ended and what changed or what you learned'
+};
+
+// 'setup', 'setup and conflict', 'setup, conflict and resolution'
+const listStages = (stages) => stages.length > 1
+  ? `${stages.slice(0, -1).join(', ')} and ${stages[stages.length - 1]}`
+  : stages.join('');
+
+const lexicon = (table, language = 'en') => table[language.split('-')[0].toLowerCase()] || table.en;
+
+// How strongly a sentence at relative position (0 = first, 1 = last) belongs to
+// each stage before looking at its words. Small enough that one cue word outweighs it.
+const positionPrior = (stage, position) => {
+  if (stage === 'setup') return 0.5 * (1 - position);
+  if (stage === 'resolution') return 0.5 * position;
+  return 0.5 * (1 - Math.abs(2 * position - 1));
+};
+
+// Turn sentence ranges into arc segments with their text and share of the words.
+// ranges are { stage, from, to } with 1-based, inclusive sentence numbers; out of
+// order, overlapping or out of range entries are dropped.
+export const buildArcSegments = (sentences, ranges) => {
+  const totalWords = sentences.reduce((sum, sentence) => sum + tokenize(sentence).length, 0) || 1;
+  let next = 1;
+
+  return [...ranges]
+    .filter(range => ARC_STAGES.includes(range.stage))
+    .sort((a, b) => ARC_STAGES.indexOf(a.stage) - ARC_STAGES.indexOf(b.stage))
+    .flatMap(({ stage, from, to }) => {
+      const start = Math.max(next, Math.round(from));
+      const end = Math.min(sentences.length, Math.round(to));
+      if (end < start) return [];
+      next = end + 1;
+
+      const text = sentences.slice(start - 1, end).join('. ');
+      return [{ stage, from: start, to: end, text, wordShare: Math.round((tokenize(text).length / totalWords) * 100) }];
+    });
+};
+
+// 95 when the word shares match TARGET_SHARES, falling as the story rushes or drags a stage
+export const scorePacing = (segments) => {
+  const deviation = ARC_STAGES.reduce((sum, stage) => {
+    const share = segments.find(segment => segment.stage === stage)?.wordShare ?? 0;
+    return sum + Math.abs(share / 100 - TARGET_SHARES[stage]);
+  }, 0);
+  return scale(1 - deviation, 0, 0.8, 30, 95);
+};
+
+// Missing stages cost the most; stages the model or cue words couldn't clearly mark cost less
+const scoreArc = (segments, signalled) => clampScore(average(ARC_STAGES.map(stage => {
+  if (!segments.some(segment => segment.stage === stage)) return 20;
+  return signalled.includes(stage) ? 95 : 65;
+})));
+
+// Rule-based stand-in for NarrativeAnalysisService, and its fallback when the model fails
+export class HeuristicNarrativeAnalysisService {
+  async testConnection() {
+    return true;
+  }
+
+  async analyzeStoryArc(story, prompt, context = {}) {
+    const { language, segments: transcriptSegments = [] } = context;
+    const sentences = splitSentences(story, transcriptSegments);
+    const cues = lexicon(STAGE_CUES, language);
+
+    // Cue words plus position for every sentence and stage
+    const fit = sentences.map((sentence, index) => {
+      const tokens = tokenize(sentence);
+      const position = sentences.length > 1 ? index / (sentences.length - 1) : 0.5;
+      return Object.fromEntries(ARC_STAGES.map(stage => [
+        stage,
+        tokens.filter(token => cues[stage].includes(token)).length + positionPrior(stage, position)
+      ]));
+    });
+
+    // Best split into setup, conflict and resolution, in that order (a stage may be empty)
+    let best = { total: -Infinity, a: 0, b: 0 };
+    for (let a = 0; a <= sentences.length; a++) {
+      for (let b = a; b <= sentences.length; b++) {
+        const total = fit.reduce((sum, scores, index) =>
+          sum + scores[index < a ? 'setup' : index < b ? 'conflict' : 'resolution'], 0);
+        if (total > best.total) best = { total, a, b };
+      }
+    }
+
+    const segments = buildArcSegments(sentences, [
+      { stage: 'setup', from: 1, to: best.a },
+      { stage: 'conflict', from: best.a + 1, to: best.b },
+      { stage: 'resolution', from: best.b + 1, to: sentences.length }
+    ]);
+    const signalled = segments
+      .filter(segment => tokenize(segment.text).some(token => cues[segment.stage].includes(token)))
+      .map(segment => segment.stage);
+
+    const metrics = measureText(story, language, transcriptSegments);
+    const detailWords = new Set(lexicon(DETAIL_WORDS, language));
+    const detailRate = metrics.wordCount > 0
+      ? (tokenize(story).filter(token => detailWords.has(token)).length / metrics.wordCount) * 100
+      : 0;
+    const contentShare = metrics.wordCount > 0 ? contentWords(story, language).length / metrics.wordCount : 0;
+    // Too little story to judge pulls the detail score towards the middle
+    const lengthFactor = Math.min(1, metrics.wordCount / 60);
+    const detailScore = clampScore(60 + (average([
+      scale(detailRate, 0, 4),
+      scale(metrics.lexicalDiversity, 0.35, 0.75),
+      scale(contentShare, 0.3, 0.55)
+    ]) - 60) * lengthFactor);
+
+    const arcScore = scoreArc(segments, signalled);
+    const pacingScore = scorePacing(segments);
+    const missing = ARC_STAGES.filter(stage => !segments.some(segment => segment.stage === stage));
+
+    const strengths = [
+      ...(missing.length === 0 ? ['Complete story arc'] : []),
+      ...(detailScore >= 70 ? ['Vivid, concrete details'] : []),
+      ...(pacingScore >= 70 ? ['Well-paced stages'] : [])
+    ];
+    const improvements = [
+      ...missing.map(stage => STAGE_TIPS[stage]),
+      ...(detailScore < 70 ? ['Add what you saw, heard or felt at the key moment'] : []),
+      ...(pacingScore < 70 ? ['Spend about half the story on the conflict and keep the setup short'] : [])
+    ];
+
+    return {
+      segments,
+      arcScore,
+      detailScore,
+      pacingScore,
+      score: clampScore(average([arcScore, detailScore, pacingScore])),
+      strengths: strengths.length > 0 ? strengths : ['Told a story from the prompt'],
+      improvements,
+      feedback: missing.length > 0
+        ? `The story is missing its ${listStages(missing)}`
+        : `Setup, conflict and resolution took ${segments.map(segment => `${segment.wordShare}%`).join(', ')} of the story`
+    };
+  }
+}
@@ -0,0 +1,36 @@
+import { getFallbackItems, getFallbackAudienceQuestions } from '../fallbackDecks.js';
+
+// Offline prompt source: samples the curated per-language decks in fallbackDecks.js
+export class HeuristicPromptGenerationService {
+  async testConnection() {
+    return true;
+  }
+
+  async generateRapidFirePrompts(count = 10, difficulty, theme, language) {
+    return getFallbackItems(language, 'rapidFirePrompts', difficulty, count);
+  }
+
+  async generateConductorTopics(count = 5, difficulty, language) {
+    return getFallbackItems(language, 'conductorTopics', difficulty, count);
+  }
+
+  async generateTripleStepWords(mainTopic, count = 6, difficulty, language) {
+    return getFallbackItems(language, 'tripleStepWords', difficulty, count);
+  }
+
+  async generateImpromptuQuestions(count = 5, difficulty, language) {
+    return getFallbackItems(language, 'impromptuQuestions', difficulty, count);
+  }
+
+  async generateStoryPrompts(count = 5, difficulty, language) {
+    return getFallbackItems(language, 'storyPrompts', difficulty, count);
+  }
+
+  async generateDebateMotions(count = 5, difficulty, language) {
+    return getFallbackItems(language, 'debateMotions', difficulty, count);
+  }
+
+  async generateAudienceQuestions(topic, count = 5, difficulty, language) {
+    return getFallbackAudienceQuestions(language, topic, difficulty, count);
+  }
+}
@@ -0,0 +1,215 @@
+import {
+  average,
+  clampScore,
+  contentWords,
+  keywordOverlap,
+  latencyScore,
+  measureText,
+  scale,
+  scoreDelivery,
+  splitSentences
+} from './textMetrics.js';
+import { tokenize } from '../../speech/fillerDetection.js';
+import { HeuristicCoherenceAnalysisService } from './coherenceAnalysis.js';
+import { HeuristicEnergyDetectionService } from './energyDetection.js';
+
+const DIMENSION_LABELS = {
+  speechClarity: 'Clear sentences',
+  fluency: 'Smooth, filler-free delivery',
+  confidence: 'Confident phrasing',
+  coherence: 'Staying on topic',
+  vocabulary: 'Varied vocabulary',
+  energyLevel: 'Energy matching'
+};
+
+const DIMENSION_TIPS = {
+  speechClarity: 'Aim for sentences of 8-20 words: finish one thought before starting the next',
+  fluency: 'Replace filler words with a short silent pause',
+  confidence: 'Drop hedges like "maybe" and "I think" and state your point directly',
+  coherence: 'Tie each sentence back to the topic with one of its key words',
+  vocabulary: 'Reach for a more specific word instead of repeating the same one',
+  energyLevel: 'Exaggerate the energy shift until it is clearly audible'
+};
+
+// Words that explain an analogy ("X is like Y because...")
+const EXPLANATION_WORDS = ['because', 'since', 'means', 'porque', 'significa', 'parce', 'car', 'weil', 'denn'];
+
+// Answers up to this long can simply complete the prompt ("a river")
+const SHORT_ANSWER_WORDS = 6;
+
+// Phrases that steer an answer back to the speaker's message, in any practice language
+const BRIDGE_PHRASES = ['what matters', 'the real question', 'the key', 'bottom line', "that's why", 'that is why',
+  'which is why', 'coming back to', 'back to', 'my point', 'lo importante', 'la clave', 'por eso', 'volviendo a',
+  "l'essentiel", 'la clé', "c'est pourquoi", 'pour revenir', 'worauf es ankommt', 'entscheidend', 'deshalb',
+  'zurück zu'];
+
+const ANSWER_TIPS = {
+  directness: 'Answer in your first sentence, then explain',
+  bridging: 'After answering, link back to the main message of your talk',
+  composure: 'Pause before answering and drop fillers and hedges, even when the question is hostile'
+};
+
+// Rank scored dimensions into strengths and areas for improvement
+export const rankDimensions = (scores) => {
+  const ranked = Object.entries(scores)
+    .filter(([key]) => DIMENSION_LABELS[key])
+    .sort(([, a], [, b]) => b - a);
+
+  return {
+    strengths: ranked.filter(([, score]) => score >= 70).slice(0, 2).map(([key]) => DIMENSION_LABELS[key]),
+    weakest: ranked.slice(-2).reverse().filter(([, score]) => score < 80).map(([key]) => key)
+  };
+};
+
+// Rule-based stand-in for SpeechAnalysisService, used when no LLM is reachable
+export class HeuristicSpeechAnalysisService {
+  constructor() {
+    this.coherence = new HeuristicCoherenceAnalysisService();
+    this.energy = new HeuristicEnergyDetectionService();
+  }
+
+  async testConnection() {
+    return true;
+  }
+
+  async analyzeSpeechQuality(transcript, gameType, context = {}) {
+    const metrics = measureText(transcript, context.language);
+    const delivery = scoreDelivery(metrics);
+    const coherence = context.mainTopic
+      ? clampScore(average([delivery.structure, scale(keywordOverlap(transcript, context.mainTopic, context.language), 0, 0.6)]))
+      : delivery.structure;
+    const energyLevel = typeof context.energyMatch === 'number'
+      ? clampScore(context.energyMatch)
+      : clampScore(average([delivery.confidence, delivery.vocabulary]));
+
+    const scores = {
+      speechClarity: delivery.speechClarity,
+      energyLevel,
+      coherence,
+      confidence: delivery.confidence,
+      fluency: delivery.fluency,
+      vocabulary: delivery.vocabulary
+    };
+    const overallRating = clampScore(average(Object.values(scores)));
+    const { strengths, weakest } = rankDimensions(scores);
+
+    const feedback = [];
+    if (strengths.length > 0) {
+      feedback.push({ type: 'positive', message: `Strongest area this session: ${strengths[0].toLowerCase()}` });
+    }
+    if (metrics.fillerCount > 0) {
+      feedback.push({
+        type: 'improvement',
+        message: `You used ${metrics.fillerCount} filler word${metrics.fillerCount === 1 ? '' : 's'} (${metrics.fillerRate.toFixed(1)} per 100 words)`
+      });
+    }
+    weakest.forEach(key => feedback.push({ type: 'suggestion', message: DIMENSION_TIPS[key] }));
+
+    return {
+      overallRating,
+      ...scores,
+      strengths: strengths.length > 0 ? strengths : ['Completing the exercise'],
+      areasForImprovement: weakest.map(key => DIMENSION_LABELS[key]),
+      feedback,
+      score: overallRating,
+      detailedAnalysis: `${metrics.wordCount} words in ${metrics.sentenceCount || 1} sentence(s), ` +
+        `${Math.round(metrics.averageSentenceLength)} words per sentence on average, ` +
+        `${Math.round(metrics.lexicalDiversity * 100)}% distinct words and ${metrics.fillerCount} filler(s).`
+    };
+  }
+
+  async analyzeRapidFireResponse(prompt, response, responseTime, language) {
+    const metrics = measureText(response, language);
+    const delivery = scoreDelivery(metrics);
+
+    // Fresh content words beyond the prompt's own read as a more original completion
+    const promptWords = new Set(contentWords(prompt, language));
+    const newWords = contentWords(response, language).filter(word => !promptWords.has(word));
+    // Fillers aren't part of the answer: their share of it comes off the content scores
+    const substance = metrics.wordCount > 0 ? 1 - metrics.fillerCount / metrics.wordCount : 0;
+    const creativity = clampScore(average([scale(newWords.length, 0, 8), delivery.vocabulary]) * substance);
+
+    // A short answer completes the prompt's "X is like..."; a longer one has to come back to
+    // the prompt's subject, or it is a sentence about something else
+    const responseTokens = new Set(tokenize(response));
+    const explains = EXPLANATION_WORDS.some(word => responseTokens.has(word));
+    const onPrompt = metrics.wordCount <= SHORT_ANSWER_WORDS || keywordOverlap(response, prompt, language) > 0;
+    const relevance = metrics.wordCount === 0
+      ? 0
+      : clampScore((scale(newWords.length, 0, 4, 40, 85) + (explains ? 10 : 0)) * substance * (onPrompt ? 1 : 0.5));
+    const clarity = metrics.wordCount === 0 ? 0 : clampScore(delivery.speechClarity * substance);
+    const speed = latencyScore(responseTime);
+
+    return {
+      creativity,
+      relevance,
+      clarity,
+      speed,
+      overallQuality: clampScore(average([creativity, relevance, clarity, speed])),
+      feedback: metrics.wordCount === 0
+        ? 'No response was captured for this prompt'
+        : speed < 60
+          ? 'Start speaking sooner; a rough analogy beats a late one'
+          : explains
+            ? 'Good: you explained why the comparison works'
+            : 'Add "because..." to explain why the comparison works'
+    };
+  }
+
+  async analyzeQuestionAnswer(question, answer, context = {}) {
+    const { topic = '', responseTime, language } = context;
+    const metrics = measureText(answer, language);
+
+    if (metrics.wordCount === 0) {
+      return { directness: 0, bridging: 0, composure: 0, score: 0, feedback: 'No answer was captured for this question' };
+    }
+
+    const delivery = scoreDelivery(metrics);
+    const [opening = '', ...rest] = splitSentences(answer);
+
+    // A direct answer takes up the question's own words early and doesn't ramble into it
+    const openingLength = measureText(opening, language).wordCount;
+    const directness = clampScore(
+      scale(keywordOverlap(opening, question, language), 0, 0.5, 45, 95) - (openingLength > 25 ? 15 : 0)
+    );
+
+    const lowerAnswer = answer.toLowerCase();
+    const bridges = BRIDGE_PHRASES.some(phrase => lowerAnswer.includes(phrase));
+    const bridging = clampScore(
+      scale(keywordOverlap(rest.join(' ') || opening, topic, language), 0, 0.6, 40, 85) + (bridges ? 10 : 0)
+    );
+
+    const composure = clampScore(average([delivery.confidence, delivery.fluency, latencyScore(responseTime, 1500, 6000)]));
+
+    const scores = { directness, bridging, composure };
+    const weakest = Object.entries(scores).sort(([, a], [, b]) => a - b)[0][0];
+
+    return {
+      ...scores,
+      score: clampScore(average(Object.values(scores))),
+      feedback: scores[weakest] >= 80 ? 'Direct, on message and composed' : ANSWER_TIPS[weakest]
+    };
+  }
+
+  async analyzeEnergyTransition(fromLevel, toLevel, speechSegment) {
+    const analysis = await this.energy.analyzeEnergyTransition(fromLevel, toLevel, speechSegment, 0);
+    return {
+      success: analysis.transitionSuccess,
+      score: analysis.smoothness,
+      feedback: analysis.feedback
+    };
+  }
+
+  async analyzeWordIntegration(mainTopic, word, speechContext) {
+    const analysis = await this.coherence.analyzeWordIntegration(mainTopic, word, speechContext, 0);
+    return {
+      success: analysis.success,
+      score: analysis.integrationScore,
+      seamlessness: analysis.seamlessness,
+      coherence: analysis.coherence,
+      flow: analysis.flow,
+      creativity: analysis.creativityScore,
+      feedback: analysis.feedback
+    };
+  }
+}
@@ -0,0 +1,205 @@
+import { tokenize, detectFillers } from '../../speech/fillerDetection.js';
+
+// Shared measurements for the heuristic analyzers. Everything here is pure and
+// deterministic so the same transcript always scores the same.
+
+const STOPWORDS = {
+  en: ['the', 'a', 'an', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by', 'from',
+    'is', 'are', 'was', 'were', 'be', 'it', 'its', 'this', 'that', 'my', 'our', 'your', 'their', 'we',
+    'i', 'you', 'they', 'he', 'she', 'how', 'why', 'what', 'about', 'into', 'than', 'as', 'so', 'do'],
+  es: ['el', 'la', 'los', 'las', 'un', 'una', 'y', 'o', 'pero', 'de', 'del', 'a', 'al', 'en', 'con',
+    'por', 'para', 'es', 'son', 'que', 'mi', 'su', 'sus', 'lo', 'se', 'como', 'qué', 'cómo', 'yo', 'tu'],
+  fr: ['le', 'la', 'les', 'un', 'une', 'des', 'et', 'ou', 'mais', 'de', 'du', 'à', 'au', 'aux', 'en',
+    'dans', 'sur', 'pour', 'avec', 'par', 'est', 'sont', 'que', 'qui', 'mon', 'ma', 'mes', 'son', 'sa',
+    'ses', 'ce', 'cest', 'je', 'tu', 'il', 'elle', 'nous', 'vous', 'comment', 'pourquoi'],
+  de: ['der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'und', 'oder', 'aber', 'von',
+    'zu', 'im', 'in', 'an', 'auf', 'für', 'mit', 'bei', 'ist', 'sind', 'war', 'dass', 'mein', 'meine',
+    'sein', 'seine', 'ich', 'du', 'wir', 'sie', 'es', 'wie', 'warum', 'was']
+};
+
+// Words that link ideas; more of them per sentence reads as more structured speech
+const CONNECTORS = {
+  en: ['because', 'therefore', 'however', 'so', 'then', 'first', 'second', 'finally', 'also', 'but',
+    'although', 'instead', 'example', 'means', 'which', 'since', 'while'],
+  es: ['porque', 'entonces', 'además', 'sin', 'embargo', 'primero', 'segundo', 'finalmente', 'también',
+    'pero', 'aunque', 'ejemplo', 'significa', 'mientras', 'luego'],
+  fr: ['parce', 'donc', 'cependant', 'ensuite', 'dabord', 'enfin', 'aussi', 'mais', 'bien', 'exemple',
+    'signifie', 'pendant', 'puis', 'car', 'alors'],
+  de: ['weil', 'deshalb', 'jedoch', 'dann', 'zuerst', 'zweitens', 'schließlich', 'auch', 'aber',
+    'obwohl', 'stattdessen', 'beispiel', 'bedeutet', 'während', 'denn']
+};
+
+const HEDGES = {
+  en: ['maybe', 'probably', 'perhaps', 'guess', 'think', 'hopefully', 'might'],
+  es: ['quizás', 'quizá', 'tal', 'vez', 'creo', 'supongo', 'probablemente'],
+  fr: ['peut', 'être', 'probablement', 'crois', 'suppose', 'pense'],
+  de: ['vielleicht', 'wahrscheinlich', 'glaube', 'denke', 'eventuell', 'vermutlich']
+};
+
+// "so" is left out: it links ideas ("and so") far more often than it intensifies
+const INTENSIFIERS = {
+  en: ['amazing', 'incredible', 'absolutely', 'really', 'very', 'love', 'huge', 'never', 'always'],
+  es: ['increíble', 'absolutamente', 'realmente', 'muy', 'encanta', 'enorme', 'nunca', 'siempre'],
+  fr: ['incroyable', 'absolument', 'vraiment', 'très', 'adore', 'énorme', 'jamais', 'toujours'],
+  de: ['unglaublich', 'absolut', 'wirklich', 'sehr', 'liebe', 'riesig', 'nie', 'immer']
+};
+
+const lexicon = (table, language = 'en') => table[language.split('-')[0].toLowerCase()] || table.en;
+
+export const clampScore = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+export const average = (values) => {
+  const present = values.filter(value => typeof value === 'number' && !Number.isNaN(value));
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : 0;
+};
+
+// Linear map of value from [from, to] onto [low, high] score points, clamped
+export const scale = (value, from, to, low = 40, high = 95) => {
+  const ratio = Math.max(0, Math.min(1, (value - from) / (to - from)));
+  return clampScore(low + ratio * (high - low));
+};
+
+// Crude stem so "communicate" matches "communication": compare the first five letters
+const stem = (word) => word.slice(0, 5);
+
+export const contentWords = (text, language) => {
+  const stopwords = new Set(lexicon(STOPWORDS, language));
+  return tokenize(text).filter(word => word.length > 2 && !stopwords.has(word));
+};
+
+// Moving-average type/token ratio over 25-word windows, so long answers aren't penalised
+export const lexicalDiversity = (tokens, window = 25) => {
+  if (tokens.length === 0) return 0;
+  if (tokens.length <= window) return new Set(tokens).size / tokens.length;
+
+  const ratios = [];
+  for (let i = 0; i + window <= tokens.length; i++) {
+    ratios.push(new Set(tokens.slice(i, i + window)).size / window);
+  }
+  return average(ratios);
+};
+
+// Sentences from punctuation, falling back to one per transcript segment when
+// the recognizer left none
+export const splitSentences = (text, segments = []) => {
+  const sentences = text.split(/[.!?…]+/).map(s => s.trim()).filter(Boolean);
+  if (sentences.length > 1 || segments.length === 0) return sentences;
+  return segments.map(segment => (segment.text || segment).trim()).filter(Boolean);
+};
+
+// Share of topic keywords (by stem) that the speech mentions
+export const keywordOverlap = (text, topic, language) => {
+  const topicStems = new Set(contentWords(topic, language).map(stem));
+  if (topicStems.size === 0) return 0;
+
+  const spokenStems = new Set(contentWords(text, language).map(stem));
+  const matched = [...topicStems].filter(s => spokenStems.has(s)).length;
+  return matched / topicStems.size;
+};
+
+// Two words share a stem when the shorter one's stem starts the longer ("team", "teamwork")
+const sharesStem = (a, b) => {
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  return shorter === longer || (shorter.length >= 4 && longer.startsWith(stem(shorter)));
+};
+
+// How many sentences stay on the topic. A sentence is on topic when it mentions one of
+// the topic's keywords, or picks up a word from an earlier on-topic sentence, as an
+// example or a reason developing the point does. A sentence without either, including
+// fillers like "Um." on their own, is off topic.
+export const countOnTopicSentences = (text, topic, language, segments = []) => {
+  const sentences = splitSentences(text, segments);
+  const connectors = new Set(lexicon(CONNECTORS, language));
+  const thread = contentWords(topic, language);
+
+  let onTopic = 0;
+  for (const sentence of sentences) {
+    const words = contentWords(sentence, language);
+    if (words.some(word => thread.some(keyword => sharesStem(word, keyword)))) {
+      onTopic++;
+      // Only distinctive words carry the thread on; short and linking words would match anything
+      thread.push(...words.filter(word => word.length >= 5 && !connectors.has(word)));
+    }
+  }
+
+  return { onTopic, total: sentences.length };
+};
+
+// Where a target word sits in its context: 0 at the start, 1 at the end, null if absent.
+// A word dropped in as the first or last token usually wasn't woven into a sentence.
+export const wordPosition = (word, text) => {
+  const tokens = tokenize(text);
+  const target = tokenize(word)[0];
+  if (!target || tokens.length === 0) return null;
+
+  const index = tokens.findIndex(token => token === target || token.startsWith(stem(target)));
+  if (index === -1) return null;
+  return tokens.length === 1 ? 0 : index / (tokens.length - 1);
+};
+
+// 95 for an answer inside fastMs, falling to 40 at slowMs
+export const latencyScore = (responseTime, fastMs = 2000, slowMs = 8000) => {
+  if (!responseTime || responseTime < 0) return 60;
+  return scale(slowMs - responseTime, 0, slowMs - fastMs);
+};
+
+// One pass over a transcript with every measurement the analyzers combine
+export const measureText = (text = '', language, segments = []) => {
+  const tokens = tokenize(text);
+  const sentences = splitSentences(text, segments);
+  const sentenceLengths = sentences.map(sentence => tokenize(sentence).length).filter(n => n > 0);
+  const fillers = detectFillers(text, language).occurrences;
+  const fillerCount = fillers.filter(o => o.type === 'filler').length;
+  const repetitionCount = fillers.filter(o => o.type === 'repetition').length;
+
+  const count = (table) => {
+    const words = new Set(lexicon(table, language));
+    return tokens.filter(token => words.has(token)).length;
+  };
+
+  return {
+    wordCount: tokens.length,
+    sentenceCount: sentenceLengths.length,
+    averageSentenceLength: average(sentenceLengths),
+    lexicalDiversity: lexicalDiversity(tokens),
+    fillerCount,
+    repetitionCount,
+    fillerRate: tokens.length > 0 ? (fillerCount / tokens.length) * 100 : 0, // per 100 words
+    connectorCount: count(CONNECTORS),
+    hedgeCount: count(HEDGES),
+    intensifierCount: count(INTENSIFIERS),
+    exclamationCount: (text.match(/!/g) || []).length
+  };
+};
+
+// Score a transcript's core delivery dimensions from its measurements
+export const scoreDelivery = (metrics) => {
+  const { wordCount, averageSentenceLength, lexicalDiversity: diversity, fillerRate, repetitionCount, hedgeCount, connectorCount, sentenceCount } = metrics;
+
+  // Very short or run-on sentences are both harder to follow; 8-20 words reads well
+  const sentenceScore = averageSentenceLength === 0
+    ? 40
+    : averageSentenceLength < 8
+      ? scale(averageSentenceLength, 2, 8, 50, 90)
+      : averageSentenceLength > 20
+        ? scale(40 - averageSentenceLength, 0, 20, 45, 90)
+        : 90;
+
+  const fillerScore = scale(10 - fillerRate, 0, 10); // 0 per 100 words -> 95, 10+ -> 40
+  const repetitionScore = scale(5 - (wordCount > 0 ? (repetitionCount / wordCount) * 100 : 0), 0, 5);
+  const diversityScore = scale(diversity, 0.35, 0.75);
+  const hedgeScore = scale(5 - (wordCount > 0 ? (hedgeCount / wordCount) * 100 : 0), 0, 5, 50, 95);
+  const connectorScore = scale(sentenceCount > 0 ? connectorCount / sentenceCount : 0, 0, 1, 50, 95);
+  // Too little speech to judge pulls every score towards the middle
+  const lengthFactor = Math.min(1, wordCount / 30);
+
+  const damp = (score) => clampScore(60 + (score - 60) * lengthFactor);
+
+  return {
+    speechClarity: damp(average([sentenceScore, fillerScore])),
+    fluency: damp(average([fillerScore, repetitionScore])),
+    confidence: damp(average([fillerScore, hedgeScore])),
+    vocabulary: damp(diversityScore),
+    structure: damp(average([sentenceScore, connectorScore]))
+  };
+};
@@ -0,0 +1,48 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Chat client for Google Gemini. System messages become the system instruction
+// and assistant turns are sent with Gemini's "model" role.
+export class GeminiChatClient {
+  constructor({ apiKey, model, maxTokens }) {
+    this.provider = 'gemini';
+    this.model = model;
+    this.maxTokens = maxTokens;
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  async chat({ messages, maxTokens = this.maxTokens, temperature }) {
+    const systemInstruction = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    const generativeModel = this.client.getGenerativeModel({
+      model: this.model,
+      ...(systemInstruction ? { systemInstruction } : {})
+    });
+
+    const result = await generativeModel.generateContent({
+      contents: messages
+        .filter(message => message.role !== 'system')
+        .map(message => ({
+          role: message.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: message.content }]
+        })),
+      generationConfig: {
+        maxOutputTokens: maxTokens,
+        temperature
+      }
+    });
+
+    const usage = result.response.usageMetadata;
+    return {
+      content: result.response.text(),
+      usage: {
+        inputTokens: usage?.promptTokenCount || 0,
+        outputTokens: usage?.candidatesTokenCount || 0
+      },
+      provider: this.provider,
+      model: this.model
+    };
+  }
+}
@@ -0,0 +1,67 @@
+import { OpenAIChatClient } from './openaiClient.js';
+import { GeminiChatClient } from './geminiClient.js';
+import { trackLLMUsage } from '../usage/usageTracker.js';
+
+// 'heuristic' skips the LLM entirely and uses the rule-based engines in ../heuristic
+export const LLM_PROVIDERS = ['openai', 'gemini', 'local', 'heuristic'];
+
+// Env prefix for per-service overrides, e.g. FEEDBACK_LLM_PROVIDER=local
+const SERVICE_ENV_PREFIXES = {
+  speechAnalysis: 'SPEECH_ANALYSIS',
+  promptGeneration: 'PROMPT_GENERATION',
+  feedback: 'FEEDBACK',
+  energyDetection: 'ENERGY_DETECTION',
+  coherenceAnalysis: 'COHERENCE_ANALYSIS',
+  narrativeAnalysis: 'NARRATIVE_ANALYSIS'
+};
+
+const PROVIDER_DEFAULTS = {
+  openai: {
+    apiKey: () => process.env.OPENAI_API_KEY,
+    model: () => process.env.OPENAI_MODEL || 'gpt-4',
+    maxTokens: () => process.env.OPENAI_MAX_TOKENS
+  },
+  gemini: {
+    apiKey: () => process.env.GEMINI_API_KEY,
+    model: () => process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+    maxTokens: () => process.env.GEMINI_MAX_TOKENS
+  },
+  // Any OpenAI-compatible chat server; the defaults match Ollama
+  local: {
+    apiKey: () => process.env.LOCAL_LLM_API_KEY || 'local',
+    baseURL: () => process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    model: () => process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    maxTokens: () => process.env.LOCAL_LLM_MAX_TOKENS
+  }
+};
+
+// Provider for a service: <SERVICE>_LLM_PROVIDER, then LLM_PROVIDER, then openai
+export const getProviderForService = (service) => {
+  const prefix = SERVICE_ENV_PREFIXES[service];
+  const provider = (prefix && process.env[`${prefix}_LLM_PROVIDER`]) || process.env.LLM_PROVIDER || 'openai';
+
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM provider "${provider}" for ${service}. Use one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+  return provider;
+};
+
+// Build the chat client a service should use. Every client exposes
+// chat({ messages, maxTokens, temperature }) => { content, usage, provider, model },
+// and every call is recorded for usage accounting.
+export const createLLMClient = (service, { maxTokens: defaultMaxTokens = 1000 } = {}) => {
+  const provider = getProviderForService(service);
+  const defaults = PROVIDER_DEFAULTS[provider];
+  const prefix = SERVICE_ENV_PREFIXES[service];
+
+  const config = {
+    provider,
+    apiKey: defaults.apiKey(),
+    baseURL: defaults.baseURL?.(),
+    model: (prefix && process.env[`${prefix}_LLM_MODEL`]) || defaults.model(),
+    maxTokens: parseInt(defaults.maxTokens()) || defaultMaxTokens
+  };
+
+  const client = provider === 'gemini' ? new GeminiChatClient(config) : new OpenAIChatClient(config);
+  return trackLLMUsage(client, service);
+};
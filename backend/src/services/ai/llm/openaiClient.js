@@ -0,0 +1,31 @@
+import OpenAI from 'openai';
+
+// Chat client for OpenAI and any OpenAI-compatible server (llama.cpp, Ollama, LocalAI, vLLM)
+export class OpenAIChatClient {
+  constructor({ provider = 'openai', apiKey, baseURL, model, maxTokens }) {
+    this.provider = provider;
+    this.model = model;
+    this.maxTokens = maxTokens;
+    this.client = new OpenAI({ apiKey, baseURL });
+  }
+
+  // messages: [{ role: 'system' | 'user' | 'assistant', content }]
+  async chat({ messages, maxTokens = this.maxTokens, temperature }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    });
+
+    return {
+      content: response.choices[0]?.message?.content || '',
+      usage: {
+        inputTokens: response.usage?.prompt_tokens || 0,
+        outputTokens: response.usage?.completion_tokens || 0
+      },
+      provider: this.provider,
+      model: this.model
+    };
+  }
+}
@@ -0,0 +1,66 @@
+import { logger } from '../../utils/logger.js';
+import { createLLMClient } from './llm/index.js';
+import { requestAnalysis, asFallback } from './structuredResponse.js';
+import { renderPrompt } from './prompts/registry.js';
+import { splitSentences } from './heuristic/textMetrics.js';
+import { HeuristicNarrativeAnalysisService, buildArcSegments } from './heuristic/narrativeAnalysis.js';
+
+// Scores a spoken story on its arc (setup, conflict, resolution), vivid detail and
+// pacing. The model marks which numbered sentences belong to each stage; anything
+// it can't answer falls back to the rule-based analysis, which is deterministic.
+export class NarrativeAnalysisService {
+  constructor() {
+    this.llm = createLLMClient('narrativeAnalysis', { maxTokens: 600 });
+    this.maxTokens = this.llm.maxTokens;
+    this.fallback = new HeuristicNarrativeAnalysisService();
+  }
+
+  async testConnection() {
+    try {
+      await this.llm.chat({
+        messages: [{ role: 'user', content: 'Hello' }],
+        maxTokens: 5
+      });
+      logger.info(`${this.llm.provider} connection test successful for narrative analysis`);
+      return true;
+    } catch (error) {
+      logger.error(`${this.llm.provider} connection test failed for narrative analysis:`, error);
+      throw error;
+    }
+  }
+
+  // context: { language, segments } where segments are the transcript's segments,
+  // used to split the story when the recognizer left no punctuation
+  async analyzeStoryArc(story, prompt, context = {}) {
+    try {
+      const sentences = splitSentences(story, context.segments);
+
+      const analysis = await requestAnalysis(this.llm, {
+        ...renderPrompt('narrativeAnalysis.storyArc', {
+          prompt,
+          sentenceCount: sentences.length,
+          sentences: sentences.map((sentence, index) => `${index + 1}. ${sentence}`).join('\n')
+        }, { language: context.language }),
+        maxTokens: this.maxTokens,
+        temperature: 0.3
+      }, 'storyArc');
+
+      const segments = buildArcSegments(sentences, analysis.segments);
+      if (segments.length === 0) {
+        throw new Error('Story arc response marked no usable sentence ranges');
+      }
+
+      return {
+        ...analysis,
+        segments,
+        score: Math.round((analysis.arcScore + analysis.detailScore + analysis.pacingScore) / 3),
+        strengths: analysis.strengths || [],
+        improvements: analysis.improvements || [],
+        feedback: analysis.feedback || `Detected ${segments.map(segment => segment.stage).join(', ')}`
+      };
+    } catch (error) {
+      logger.error('Story arc analysis failed:', error);
+      return asFallback(await this.fallback.analyzeStoryArc(story, prompt, context));
+    }
+  }
+}
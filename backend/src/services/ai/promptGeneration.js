@@ -1,222 +1,169 @@
-import OpenAI from 'openai';
 import { logger } from '../../utils/logger.js';
+import { createLLMClient } from './llm/index.js';
+import { getFallbackItems, getFallbackAudienceQuestions } from './fallbackDecks.js';
+import { markUncacheable } from './cache/responseCache.js';
+import { renderPrompt } from './prompts/registry.js';
+
+const AUDIENCE_TONES = ['friendly', 'skeptical', 'hostile'];
 
 export class PromptGenerationService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    
-    this.model = process.env.OPENAI_MODEL || 'gpt-4';
-    this.maxTokens = parseInt(process.env.OPENAI_MAX_TOKENS) || 1000;
+    this.llm = createLLMClient('promptGeneration');
+    this.maxTokens = this.llm.maxTokens;
   }
 
   async testConnection() {
     try {
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
+      const response = await this.llm.chat({
         messages: [{ role: 'user', content: 'Hello' }],
-        max_tokens: 5
+        maxTokens: 5
       });
-      logger.info('OpenAI connection test successful for prompt generation');
+      logger.info(`${this.llm.provider} connection test successful for prompt generation`);
       return true;
     } catch (error) {
-      logger.error('OpenAI connection test failed for prompt generation:', error);
+      logger.error(`${this.llm.provider} connection test failed for prompt generation:`, error);
       throw error;
     }
   }
 
-  async generateRapidFirePrompts(count = 10, difficulty = 'beginner', theme = null) {
+  async generateRapidFirePrompts(count = 10, difficulty = 'beginner', theme = null, language) {
     try {
-      const prompt = `Generate ${count} creative analogy prompts for a public speaking training game.
-
-Difficulty: ${difficulty}
-${theme ? `Theme: ${theme}` : 'Theme: General business and life concepts'}
-
-Requirements:
-- Each prompt should be an incomplete analogy that starts with "X is like"
-- Prompts should be appropriate for the difficulty level
-- Vary between abstract and concrete concepts
-- Make them engaging and thought-provoking
-- Avoid overly complex or controversial topics
-
-Difficulty guidelines:
-- Beginner: Simple, everyday concepts (e.g., "Success is like", "Friendship is like")
-- Intermediate: Business and personal development concepts (e.g., "Leadership is like", "Innovation is like")
-- Advanced: Abstract and complex concepts (e.g., "Time is like", "Change is like")
-- Expert: Philosophical and challenging concepts (e.g., "Truth is like", "Existence is like")
-
-Please provide the prompts in this exact format:
-[
-  "Success is like",
-  "Leadership is like",
-  "Innovation is like"
-]`;
-
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a creative writing expert specializing in analogy prompts for public speaking training.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: this.maxTokens,
+      const response = await this.llm.chat({
+        ...renderPrompt('promptGeneration.rapidFirePrompts', {
+          count,
+          difficulty,
+          theme: theme || 'General business and life concepts'
+        }, { language }),
+        maxTokens: this.maxTokens,
         temperature: 0.8
       });
 
-      const prompts = this.parsePromptsResponse(response.choices[0].message.content);
+      const prompts = this.parsePromptsResponse(response.content, language);
       return prompts.slice(0, count);
     } catch (error) {
       logger.error('Failed to generate rapid fire prompts:', error);
-      return this.getFallbackRapidFirePrompts(count, difficulty);
+      return this.getFallbackRapidFirePrompts(count, difficulty, language);
     }
   }
 
-  async generateConductorTopics(count = 5, difficulty = 'beginner') {
+  async generateConductorTopics(count = 5, difficulty = 'beginner', language) {
     try {
-      const prompt = `Generate ${count} engaging speaking topics for an energy modulation training game.
-
-Difficulty: ${difficulty}
-Game Purpose: Users must speak about these topics while adapting their energy levels on command.
-
-Requirements:
-- Topics should be engaging and relatable
-- Appropriate for the difficulty level
-- Allow for natural energy variation
-- Not too controversial or sensitive
-- Encourage personal reflection and storytelling
-
-Difficulty guidelines:
-- Beginner: Simple, everyday topics (e.g., "My favorite hobby", "A memorable vacation")
-- Intermediate: Personal development topics (e.g., "The importance of teamwork", "How I overcame a challenge")
-- Advanced: Complex, thought-provoking topics (e.g., "The future of technology", "Balancing work and life")
-- Expert: Philosophical or abstract topics (e.g., "The meaning of success", "Human nature and society")
-
-Please provide the topics in this exact format:
-[
-  "My favorite hobby and why I love it",
-  "A memorable vacation experience",
-  "The importance of teamwork in my life"
-]`;
-
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a public speaking coach creating engaging topics for energy modulation training.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: this.maxTokens,
+      const response = await this.llm.chat({
+        ...renderPrompt('promptGeneration.conductorTopics', { count, difficulty }, { language }),
+        maxTokens: this.maxTokens,
         temperature: 0.7
       });
 
-      const topics = this.parseTopicsResponse(response.choices[0].message.content);
+      const topics = this.parseTopicsResponse(response.content, language);
       return topics.slice(0, count);
     } catch (error) {
       logger.error('Failed to generate conductor topics:', error);
-      return this.getFallbackConductorTopics(count, difficulty);
+      return this.getFallbackConductorTopics(count, difficulty, language);
     }
   }
 
-  async generateTripleStepWords(mainTopic, count = 6, difficulty = 'beginner') {
+  async generateTripleStepWords(mainTopic, count = 6, difficulty = 'beginner', language) {
     try {
-      const prompt = `Generate ${count} random words for a word integration speaking game.
-
-Main Topic: "${mainTopic}"
-Difficulty: ${difficulty}
-Game Purpose: Users must naturally integrate these words into their speech about the main topic.
-
-Requirements:
-- Words should be diverse in type (nouns, adjectives, verbs)
-- Mix concrete and abstract concepts
-- Appropriate difficulty level
-- Not too obscure or technical
-- Allow for creative integration
-
-Difficulty guidelines:
-- Beginner: Simple, everyday words (e.g., "book", "happy", "run")
-- Intermediate: Common but varied words (e.g., "adventure", "wisdom", "transform")
-- Advanced: More complex or abstract words (e.g., "serendipity", "resilience", "synthesize")
-- Expert: Challenging or specialized words (e.g., "ephemeral", "quintessential", "metamorphosis")
-
-Please provide the words in this exact format:
-[
-  "adventure",
-  "wisdom",
-  "transform",
-  "serendipity",
-  "resilience",
-  "synthesize"
-]`;
-
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a vocabulary expert creating word lists for public speaking integration exercises.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: this.maxTokens,
+      const response = await this.llm.chat({
+        ...renderPrompt('promptGeneration.tripleStepWords', { mainTopic, count, difficulty }, { language }),
+        maxTokens: this.maxTokens,
         temperature: 0.8
       });
 
-      const words = this.parseWordsResponse(response.choices[0].message.content);
+      const words = this.parseWordsResponse(response.content, language);
       return words.slice(0, count);
     } catch (error) {
       logger.error('Failed to generate triple step words:', error);
-      return this.getFallbackTripleStepWords(count, difficulty);
+      return this.getFallbackTripleStepWords(count, difficulty, language);
+    }
+  }
+
+  async generateImpromptuQuestions(count = 5, difficulty = 'beginner', language) {
+    try {
+      const response = await this.llm.chat({
+        ...renderPrompt('promptGeneration.impromptuQuestions', { count, difficulty }, { language }),
+        maxTokens: this.maxTokens,
+        temperature: 0.8
+      });
+
+      const questions = this.parseQuestionsResponse(response.content, language);
+      return questions.slice(0, count);
+    } catch (error) {
+      logger.error('Failed to generate impromptu questions:', error);
+      return this.getFallbackImpromptuQuestions(count, difficulty, language);
+    }
+  }
+
+  async generateStoryPrompts(count = 5, difficulty = 'beginner', language) {
+    try {
+      const response = await this.llm.chat({
+        ...renderPrompt('promptGeneration.storyPrompts', { count, difficulty }, { language }),
+        maxTokens: this.maxTokens,
+        temperature: 0.8
+      });
+
+      const prompts = this.parseStoryPromptsResponse(response.content, language);
+      return prompts.slice(0, count);
+    } catch (error) {
+      logger.error('Failed to generate story prompts:', error);
+      return this.getFallbackStoryPrompts(count, difficulty, language);
+    }
+  }
+
+  async generateDebateMotions(count = 5, difficulty = 'beginner', language) {
+    try {
+      const response = await this.llm.chat({
+        ...renderPrompt('promptGeneration.debateMotions', { count, difficulty }, { language }),
+        maxTokens: this.maxTokens,
+        temperature: 0.8
+      });
+
+      const motions = this.parseDebateMotionsResponse(response.content, language);
+      return motions.slice(0, count);
+    } catch (error) {
+      logger.error('Failed to generate debate motions:', error);
+      return this.getFallbackDebateMotions(count, difficulty, language);
+    }
+  }
+
+  // Questions an audience might ask after a talk on topic, each { question, tone }
+  // with tone 'friendly', 'skeptical' or 'hostile'
+  async generateAudienceQuestions(topic, count = 5, difficulty = 'beginner', language) {
+    try {
+      const response = await this.llm.chat({
+        ...renderPrompt('promptGeneration.audienceQuestions', { topic, count, difficulty }, { language }),
+        maxTokens: this.maxTokens,
+        temperature: 0.8
+      });
+
+      const questions = this.parseAudienceQuestionsResponse(response.content, topic, difficulty, language);
+      return questions.slice(0, count);
+    } catch (error) {
+      logger.error('Failed to generate audience questions:', error);
+      return this.getFallbackAudienceQuestions(topic, count, difficulty, language);
     }
   }
 
   async generateCustomPrompt(category, difficulty, specificRequest = null) {
     try {
-      let prompt = `Generate a custom ${category} prompt for public speaking training.
-
-Category: ${category}
-Difficulty: ${difficulty}
-${specificRequest ? `Specific Request: ${specificRequest}` : ''}
-
-Please provide a creative, engaging prompt that fits the category and difficulty level.`;
-
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a creative writing expert specializing in public speaking prompts and exercises.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 300,
+      const response = await this.llm.chat({
+        ...renderPrompt('promptGeneration.customPrompt', {
+          category,
+          difficulty,
+          specificRequest: specificRequest ? `Specific Request: ${specificRequest}` : ''
+        }),
+        maxTokens: 300,
         temperature: 0.7
       });
 
-      return response.choices[0].message.content.trim();
+      return response.content.trim();
     } catch (error) {
       logger.error('Failed to generate custom prompt:', error);
       return this.getFallbackCustomPrompt(category, difficulty);
     }
   }
 
-  parsePromptsResponse(responseText) {
+  parsePromptsResponse(responseText, language) {
     try {
       // Try to extract JSON array from the response
       const jsonMatch = responseText.match(/\[[\s\S]*\]/);
@@ -233,14 +180,14 @@ Please provide a creative, engaging prompt that fits the category and difficulty
         return promptMatches.map(match => match.replace(/"/g, ''));
       }
       
-      return this.getFallbackRapidFirePrompts(10, 'beginner');
+      return this.getFallbackRapidFirePrompts(10, 'beginner', language);
     } catch (error) {
       logger.warn('Failed to parse prompts response, using fallback:', error);
-      return this.getFallbackRapidFirePrompts(10, 'beginner');
+      return this.getFallbackRapidFirePrompts(10, 'beginner', language);
     }
   }
 
-  parseTopicsResponse(responseText) {
+  parseTopicsResponse(responseText, language) {
     try {
       const jsonMatch = responseText.match(/\[[\s\S]*\]/);
       if (jsonMatch) {
@@ -250,14 +197,14 @@ Please provide a creative, engaging prompt that fits the category and difficulty
         }
       }
       
-      return this.getFallbackConductorTopics(5, 'beginner');
+      return this.getFallbackConductorTopics(5, 'beginner', language);
     } catch (error) {
       logger.warn('Failed to parse topics response, using fallback:', error);
-      return this.getFallbackConductorTopics(5, 'beginner');
+      return this.getFallbackConductorTopics(5, 'beginner', language);
     }
   }
 
-  parseWordsResponse(responseText) {
+  parseWordsResponse(responseText, language) {
     try {
       const jsonMatch = responseText.match(/\[[\s\S]*\]/);
       if (jsonMatch) {
@@ -267,127 +214,120 @@ Please provide a creative, engaging prompt that fits the category and difficulty
         }
       }
       
-      return this.getFallbackTripleStepWords(6, 'beginner');
+      return this.getFallbackTripleStepWords(6, 'beginner', language);
     } catch (error) {
       logger.warn('Failed to parse words response, using fallback:', error);
-      return this.getFallbackTripleStepWords(6, 'beginner');
+      return this.getFallbackTripleStepWords(6, 'beginner', language);
     }
   }
 
-  getFallbackRapidFirePrompts(count, difficulty) {
-    const prompts = {
-      beginner: [
-        "Success is like",
-        "Friendship is like",
-        "Learning is like",
-        "Teamwork is like",
-        "Creativity is like",
-        "Patience is like",
-        "Growth is like",
-        "Communication is like",
-        "Trust is like",
-        "Change is like"
-      ],
-      intermediate: [
-        "Leadership is like",
-        "Innovation is like",
-        "Problem-solving is like",
-        "Adaptability is like",
-        "Collaboration is like",
-        "Resilience is like",
-        "Vision is like",
-        "Excellence is like",
-        "Balance is like",
-        "Progress is like"
-      ],
-      advanced: [
-        "Time is like",
-        "Truth is like",
-        "Wisdom is like",
-        "Freedom is like",
-        "Justice is like",
-        "Beauty is like",
-        "Love is like",
-        "Death is like",
-        "God is like",
-        "Infinity is like"
-      ],
-      expert: [
-        "Existence is like",
-        "Consciousness is like",
-        "Reality is like",
-        "Perception is like",
-        "Meaning is like",
-        "Chaos is like",
-        "Order is like",
-        "Duality is like",
-        "Unity is like",
-        "Transcendence is like"
-      ]
-    };
+  parseQuestionsResponse(responseText, language) {
+    try {
+      const jsonMatch = responseText.match(/\[[\s\S]*\]/);
+      if (jsonMatch) {
+        const questions = JSON.parse(jsonMatch[0]);
+        if (Array.isArray(questions)) {
+          return questions;
+        }
+      }
+      
+      return this.getFallbackImpromptuQuestions(5, 'beginner', language);
+    } catch (error) {
+      logger.warn('Failed to parse questions response, using fallback:', error);
+      return this.getFallbackImpromptuQuestions(5, 'beginner', language);
+    }
+  }
 
-    const selectedPrompts = prompts[difficulty] || prompts.beginner;
-    return selectedPrompts.slice(0, count);
+  parseStoryPromptsResponse(responseText, language) {
+    try {
+      const jsonMatch = responseText.match(/\[[\s\S]*\]/);
+      if (jsonMatch) {
+        const prompts = JSON.parse(jsonMatch[0]);
+        if (Array.isArray(prompts)) {
+          return prompts;
+        }
+      }
+      
+      return this.getFallbackStoryPrompts(5, 'beginner', language);
+    } catch (error) {
+      logger.warn('Failed to parse story prompts response, using fallback:', error);
+      return this.getFallbackStoryPrompts(5, 'beginner', language);
+    }
   }
 
-  getFallbackConductorTopics(count, difficulty) {
-    const topics = {
-      beginner: [
-        "My favorite hobby and why I love it",
-        "A memorable vacation experience",
-        "The best meal I've ever had",
-        "My favorite movie and what makes it special",
-        "A person who has influenced my life"
-      ],
-      intermediate: [
-        "The importance of teamwork in modern business",
-        "How I overcame a significant challenge",
-        "The benefits of continuous learning",
-        "The impact of technology on daily life",
-        "Why effective communication matters"
-      ],
-      advanced: [
-        "The future of remote work and collaboration",
-        "Balancing personal and professional priorities",
-        "The role of creativity in problem-solving",
-        "Building resilience in uncertain times",
-        "The psychology of motivation and achievement"
-      ],
-      expert: [
-        "The nature of human consciousness and awareness",
-        "The balance between tradition and progress",
-        "The meaning of success in modern society",
-        "The relationship between technology and humanity",
-        "The pursuit of happiness and fulfillment"
-      ]
-    };
+  parseDebateMotionsResponse(responseText, language) {
+    try {
+      const jsonMatch = responseText.match(/\[[\s\S]*\]/);
+      if (jsonMatch) {
+        const motions = JSON.parse(jsonMatch[0]);
+        if (Array.isArray(motions)) {
+          return motions;
+        }
+      }
+      
+      return this.getFallbackDebateMotions(5, 'beginner', language);
+    } catch (error) {
+      logger.warn('Failed to parse debate motions response, using fallback:', error);
+      return this.getFallbackDebateMotions(5, 'beginner', language);
+    }
+  }
 
-    const selectedTopics = topics[difficulty] || topics.beginner;
-    return selectedTopics.slice(0, count);
+  parseAudienceQuestionsResponse(responseText, topic, difficulty, language) {
+    try {
+      const jsonMatch = responseText.match(/\[[\s\S]*\]/);
+      if (jsonMatch) {
+        const questions = JSON.parse(jsonMatch[0])
+          .map(item => (typeof item === 'string' ? { question: item, tone: 'friendly' } : item))
+          .filter(item => typeof item?.question === 'string' && item.question.trim())
+          .map(({ question, tone }) => ({
+            question: question.trim(),
+            tone: AUDIENCE_TONES.includes(tone) ? tone : 'skeptical'
+          }));
+        if (questions.length > 0) {
+          return questions;
+        }
+      }
+      
+      return this.getFallbackAudienceQuestions(topic, 5, difficulty, language);
+    } catch (error) {
+      logger.warn('Failed to parse audience questions response, using fallback:', error);
+      return this.getFallbackAudienceQuestions(topic, 5, difficulty, language);
+    }
   }
 
-  getFallbackTripleStepWords(count, difficulty) {
-    const words = {
-      beginner: [
-        "book", "happy", "run", "blue", "tree", "smile",
-        "water", "friend", "home", "food", "music", "sun"
-      ],
-      intermediate: [
-        "adventure", "wisdom", "transform", "serendipity", "resilience", "synthesize",
-        "harmony", "innovation", "perspective", "authenticity", "momentum", "clarity"
-      ],
-      advanced: [
-        "serendipity", "resilience", "synthesize", "quintessential", "ephemeral", "metamorphosis",
-        "serendipity", "resilience", "synthesize", "quintessential", "ephemeral", "metamorphosis"
-      ],
-      expert: [
-        "ephemeral", "quintessential", "metamorphosis", "serendipity", "resilience", "synthesize",
-        "ephemeral", "quintessential", "metamorphosis", "serendipity", "resilience", "synthesize"
-      ]
-    };
+  getFallbackRapidFirePrompts(count, difficulty, language) {
+    markUncacheable();
+    return getFallbackItems(language, 'rapidFirePrompts', difficulty, count);
+  }
+
+  getFallbackConductorTopics(count, difficulty, language) {
+    markUncacheable();
+    return getFallbackItems(language, 'conductorTopics', difficulty, count);
+  }
+
+  getFallbackTripleStepWords(count, difficulty, language) {
+    markUncacheable();
+    return getFallbackItems(language, 'tripleStepWords', difficulty, count);
+  }
+
+  getFallbackImpromptuQuestions(count, difficulty, language) {
+    markUncacheable();
+    return getFallbackItems(language, 'impromptuQuestions', difficulty, count);
+  }
+
+  getFallbackStoryPrompts(count, difficulty, language) {
+    markUncacheable();
+    return getFallbackItems(language, 'storyPrompts', difficulty, count);
+  }
+
+  getFallbackDebateMotions(count, difficulty, language) {
+    markUncacheable();
+    return getFallbackItems(language, 'debateMotions', difficulty, count);
+  }
 
-    const selectedWords = words[difficulty] || words.beginner;
-    return selectedWords.slice(0, count);
+  getFallbackAudienceQuestions(topic, count, difficulty, language) {
+    markUncacheable();
+    return getFallbackAudienceQuestions(language, topic, difficulty, count);
   }
 
   getFallbackCustomPrompt(category, difficulty) {
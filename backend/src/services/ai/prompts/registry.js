@@ -0,0 +1,163 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../../../utils/logger.js';
+import { languageInstruction } from '../../../config/languages.js';
+
+// Named, versioned prompt templates loaded from files. A template lives at
+// templates/<service>/<key>.v<version>.prompt and is registered as
+// "<service>.<key>", e.g. templates/coherenceAnalysis/topicDeviation.v2.prompt
+// is version 2 of "coherenceAnalysis.topicDeviation". The file has an optional
+// "@system" section and an "@user" section; {{name}} placeholders are filled
+// from the variables passed to renderPrompt.
+//
+// The highest version is used unless PROMPT_VERSIONS pins another, e.g.
+// PROMPT_VERSIONS='{"coherenceAnalysis.topicDeviation":1}'. Files in
+// PROMPT_TEMPLATES_DIR (same layout) are loaded after the built-in ones and
+// replace a built-in template with the same name and version.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUILT_IN_DIR = path.join(__dirname, 'templates');
+
+const FILE_PATTERN = /^(.+)\.v(\d+)\.prompt$/;
+const SECTION_PATTERN = /^@(system|user)\s*$/;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+export class PromptTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptTemplateError';
+  }
+}
+
+// name -> Map(version -> template)
+let templates = null;
+
+const parseTemplate = (text, file) => {
+  const sections = {};
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const marker = line.match(SECTION_PATTERN);
+    if (marker) {
+      current = marker[1];
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  }
+
+  if (!sections.user) {
+    throw new PromptTemplateError(`Prompt template ${file} has no @user section`);
+  }
+
+  const system = sections.system?.join('\n').trim();
+  const user = sections.user.join('\n').trim();
+  const variables = [...new Set([...`${system || ''}\n${user}`.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+
+  return { system, user, variables };
+};
+
+const loadDirectory = (registry, root) => {
+  if (!fs.existsSync(root)) {
+    logger.warn(`Prompt template directory ${root} does not exist`);
+    return;
+  }
+
+  for (const service of fs.readdirSync(root, { withFileTypes: true })) {
+    if (!service.isDirectory()) continue;
+
+    for (const file of fs.readdirSync(path.join(root, service.name))) {
+      const match = file.match(FILE_PATTERN);
+      if (!match) continue;
+
+      const filePath = path.join(root, service.name, file);
+      const name = `${service.name}.${match[1]}`;
+      const version = parseInt(match[2]);
+      const template = parseTemplate(fs.readFileSync(filePath, 'utf8'), filePath);
+
+      if (!registry.has(name)) registry.set(name, new Map());
+      registry.get(name).set(version, { name, version, file: filePath, ...template });
+    }
+  }
+};
+
+// (Re)load every template; called lazily on first use
+export const loadPromptTemplates = () => {
+  const registry = new Map();
+  loadDirectory(registry, BUILT_IN_DIR);
+  if (process.env.PROMPT_TEMPLATES_DIR) {
+    loadDirectory(registry, path.resolve(process.env.PROMPT_TEMPLATES_DIR));
+  }
+
+  templates = registry;
+  logger.info(`Loaded ${registry.size} prompt templates`);
+  return registry;
+};
+
+const getTemplates = () => templates || loadPromptTemplates();
+
+const pinnedVersions = () => {
+  if (!process.env.PROMPT_VERSIONS) return {};
+  try {
+    return JSON.parse(process.env.PROMPT_VERSIONS);
+  } catch (error) {
+    logger.warn('Ignoring PROMPT_VERSIONS, it is not valid JSON:', error.message);
+    return {};
+  }
+};
+
+export const getActiveVersion = (name) => {
+  const versions = getTemplates().get(name);
+  if (!versions) throw new PromptTemplateError(`Unknown prompt template "${name}"`);
+
+  const pinned = pinnedVersions()[name];
+  if (pinned !== undefined) {
+    if (!versions.has(Number(pinned))) {
+      throw new PromptTemplateError(`PROMPT_VERSIONS pins "${name}" to v${pinned}, which does not exist`);
+    }
+    return Number(pinned);
+  }
+  return Math.max(...versions.keys());
+};
+
+const fill = (text, variables, name) =>
+  text.replace(VARIABLE_PATTERN, (placeholder, variable) => {
+    if (!(variable in variables)) {
+      throw new PromptTemplateError(`Missing variable "${variable}" for prompt template "${name}"`);
+    }
+    return String(variables[variable]);
+  });
+
+// Render the active version of a template into chat messages. The practice
+// language instruction is appended to the user message. Returns
+// { messages, promptVersion } where promptVersion is e.g. "feedback.personalized@v2".
+export const renderPrompt = (name, variables = {}, { language } = {}) => {
+  const version = getActiveVersion(name);
+  const template = getTemplates().get(name).get(version);
+
+  const messages = [];
+  if (template.system) {
+    messages.push({ role: 'system', content: fill(template.system, variables, name) });
+  }
+  messages.push({ role: 'user', content: fill(template.user, variables, name) + languageInstruction(language) });
+
+  return { messages, promptVersion: `${name}@v${version}` };
+};
+
+// Active "<name>@v<version>" of every template of a service, for cache keys
+export const getServicePromptVersions = (service) =>
+  [...getTemplates().keys()]
+    .filter(name => name.startsWith(`${service}.`))
+    .sort()
+    .map(name => `${name}@v${getActiveVersion(name)}`);
+
+export const listPromptTemplates = () =>
+  [...getTemplates().entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, versions]) => ({
+      name,
+      activeVersion: getActiveVersion(name),
+      versions: [...versions.keys()].sort((a, b) => a - b),
+      variables: versions.get(getActiveVersion(name)).variables
+    }));
@@ -0,0 +1,374 @@
+// JSON schemas for every structured LLM response, checked by validateSchema below.
+// Only the subset of JSON Schema we need is supported: type, properties, required,
+// items, enum, minimum and maximum. Numbers outside minimum/maximum are clamped
+// rather than rejected, since a score of 105 is still a usable answer.
+
+const score = { type: 'number', minimum: 0, maximum: 100 };
+const energyLevel = { type: 'number', minimum: 1, maximum: 9 };
+const text = { type: 'string' };
+const flag = { type: 'boolean' };
+const textList = { type: 'array', items: text };
+
+export const ANALYSIS_SCHEMAS = {
+  speechQuality: {
+    type: 'object',
+    required: ['overallRating', 'speechClarity', 'energyLevel', 'coherence', 'confidence', 'fluency', 'strengths', 'areasForImprovement', 'feedback'],
+    properties: {
+      overallRating: score,
+      speechClarity: score,
+      energyLevel: score,
+      coherence: score,
+      confidence: score,
+      fluency: score,
+      strengths: textList,
+      areasForImprovement: textList,
+      feedback: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type', 'message'],
+          properties: {
+            type: { type: 'string', enum: ['positive', 'improvement', 'suggestion'] },
+            message: text
+          }
+        }
+      },
+      score,
+      detailedAnalysis: text
+    }
+  },
+
+  rapidFireResponse: {
+    type: 'object',
+    required: ['creativity', 'relevance', 'clarity', 'speed'],
+    properties: {
+      creativity: score,
+      relevance: score,
+      clarity: score,
+      speed: score,
+      overallQuality: score,
+      feedback: text
+    }
+  },
+
+  questionAnswer: {
+    type: 'object',
+    required: ['directness', 'bridging', 'composure'],
+    properties: {
+      directness: score,
+      bridging: score,
+      composure: score,
+      score,
+      feedback: text
+    }
+  },
+
+  storyArc: {
+    type: 'object',
+    required: ['segments', 'arcScore', 'detailScore', 'pacingScore'],
+    properties: {
+      segments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['stage', 'from', 'to'],
+          properties: {
+            stage: { type: 'string', enum: ['setup', 'conflict', 'resolution'] },
+            from: { type: 'number', minimum: 1 }, // sentence numbers, inclusive
+            to: { type: 'number', minimum: 1 }
+          }
+        }
+      },
+      arcScore: score,
+      detailScore: score,
+      pacingScore: score,
+      strengths: textList,
+      improvements: textList,
+      feedback: text
+    }
+  },
+
+  speechEnergyTransition: {
+    type: 'object',
+    required: ['success', 'score'],
+    properties: {
+      success: flag,
+      score,
+      feedback: text
+    }
+  },
+
+  speechWordIntegration: {
+    type: 'object',
+    required: ['seamlessness', 'coherence', 'flow', 'creativity'],
+    properties: {
+      seamlessness: score,
+      coherence: score,
+      flow: score,
+      creativity: score,
+      feedback: text
+    }
+  },
+
+  coherence: {
+    type: 'object',
+    required: ['coherenceScore', 'topicAdherence', 'strengths', 'weaknesses', 'improvementAreas'],
+    properties: {
+      coherenceScore: score,
+      topicAdherence: score,
+      logicalFlow: text,
+      transitions: text,
+      messageClarity: text,
+      strengths: textList,
+      weaknesses: textList,
+      improvementAreas: textList,
+      overallAssessment: text
+    }
+  },
+
+  wordIntegration: {
+    type: 'object',
+    required: ['integrationScore', 'coherenceMaintained', 'flowPreserved'],
+    properties: {
+      integrationScore: score,
+      naturalness: text,
+      coherenceMaintained: flag,
+      flowPreserved: flag,
+      creativity: text,
+      feedback: text,
+      suggestions: textList
+    }
+  },
+
+  topicDeviation: {
+    type: 'object',
+    required: ['overallAdherence', 'deviationPatterns', 'coherenceMaintained'],
+    properties: {
+      overallAdherence: score,
+      deviationPatterns: textList,
+      recoveryEffectiveness: text,
+      coherenceMaintained: flag,
+      deviationPoints: textList,
+      recommendations: textList
+    }
+  },
+
+  debateArguments: {
+    type: 'object',
+    required: ['forArguments', 'againstArguments', 'rebuttals'],
+    properties: {
+      forArguments: textList,
+      againstArguments: textList,
+      rebuttals: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['point', 'rebutted'],
+          properties: {
+            point: text, // an argument from the first half
+            rebutted: flag
+          }
+        }
+      },
+      feedback: text
+    }
+  },
+
+  speechStructure: {
+    type: 'object',
+    required: ['structureScore', 'strengths', 'weaknesses', 'improvements'],
+    properties: {
+      structureScore: score,
+      introduction: text,
+      body: text,
+      conclusion: text,
+      overallCoherence: text,
+      strengths: textList,
+      weaknesses: textList,
+      improvements: textList
+    }
+  },
+
+  coherenceExercises: {
+    type: 'object',
+    required: ['practiceScenarios'],
+    properties: {
+      topicAdherence: textList,
+      logicalFlow: textList,
+      transitions: textList,
+      messageClarity: textList,
+      structure: textList,
+      practiceScenarios: textList
+    }
+  },
+
+  rapidFireCoherence: {
+    type: 'object',
+    required: ['overallCoherence', 'strengths', 'improvements'],
+    properties: {
+      overallCoherence: score,
+      responseRelevance: text,
+      consistency: text,
+      logicalConnections: text,
+      creativity: text,
+      pattern: text,
+      strengths: textList,
+      improvements: textList,
+      feedback: text
+    }
+  },
+
+  voiceEnergy: {
+    type: 'object',
+    required: ['detectedEnergyLevel', 'energyMatch'],
+    properties: {
+      detectedEnergyLevel: energyLevel,
+      energyMatch: score,
+      consistency: text,
+      indicators: textList,
+      adjustmentNeeded: text,
+      suggestions: textList,
+      overallAssessment: text
+    }
+  },
+
+  energyTransition: {
+    type: 'object',
+    required: ['transitionSuccess', 'smoothness'],
+    properties: {
+      transitionSuccess: flag,
+      smoothness: score,
+      naturalness: text,
+      effectiveness: text,
+      feedback: text,
+      suggestions: textList
+    }
+  },
+
+  breatheCue: {
+    type: 'object',
+    required: ['cueFollowed', 'overallScore'],
+    properties: {
+      cueFollowed: flag,
+      pauseQuality: text,
+      resetEffectiveness: text,
+      energyAdjustment: text,
+      overallScore: score,
+      feedback: text,
+      suggestions: textList
+    }
+  },
+
+  energyExercises: {
+    type: 'object',
+    required: ['exercises'],
+    properties: {
+      exercises: textList,
+      breathingTechniques: textList,
+      physicalMovements: textList,
+      mentalPrep: textList,
+      practiceScenarios: textList
+    }
+  },
+
+  energyPattern: {
+    type: 'object',
+    required: ['consistency', 'strengths', 'improvementAreas'],
+    properties: {
+      consistency: text,
+      transitionEffectiveness: text,
+      energyRange: text,
+      improvementAreas: textList,
+      strengths: textList,
+      recommendations: textList
+    }
+  },
+
+  personalizedFeedback: {
+    type: 'object',
+    required: ['overallAssessment', 'strengths', 'improvementAreas', 'nextSteps'],
+    properties: {
+      overallAssessment: text,
+      strengths: textList,
+      improvementAreas: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['area', 'description'],
+          properties: {
+            area: text,
+            description: text,
+            actionableSteps: textList,
+            practiceExercises: textList
+          }
+        }
+      },
+      nextSteps: textList,
+      motivation: text,
+      recommendedDifficulty: { type: 'string', enum: ['beginner', 'intermediate', 'advanced', 'expert'] }
+    }
+  },
+
+  gameFeedback: {
+    type: 'object',
+    required: ['assessment', 'strengths', 'improvements', 'practiceTips'],
+    properties: {
+      assessment: text,
+      strengths: textList,
+      improvements: textList,
+      practiceTips: textList
+    }
+  }
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+// Validate value against schema. Returns { value, errors }: value is a copy with
+// out-of-range numbers clamped, errors lists every violation as "path: problem".
+export const validateSchema = (schema, value, path = '$') => {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type === 'number' ? actual !== 'number' || !Number.isFinite(value) : actual !== schema.type) {
+    return { value, errors: [`${path}: expected ${schema.type}, got ${actual}`] };
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { value, errors: [`${path}: must be one of ${schema.enum.join(', ')}`] };
+  }
+
+  if (schema.type === 'number') {
+    const min = schema.minimum ?? -Infinity;
+    const max = schema.maximum ?? Infinity;
+    return { value: Math.min(max, Math.max(min, value)), errors };
+  }
+
+  if (schema.type === 'array') {
+    const items = value.map((item, index) => {
+      const result = validateSchema(schema.items, item, `${path}[${index}]`);
+      errors.push(...result.errors);
+      return result.value;
+    });
+    return { value: items, errors };
+  }
+
+  if (schema.type === 'object') {
+    const result = { ...value };
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      const property = validateSchema(propertySchema, value[key], `${path}.${key}`);
+      errors.push(...property.errors);
+      result[key] = property.value;
+    }
+    return { value: result, errors };
+  }
+
+  return { value, errors };
+};
@@ -0,0 +1,92 @@
+import { logger } from '../../utils/logger.js';
+import { ANALYSIS_SCHEMAS, validateSchema } from './schemas.js';
+import { markUncacheable } from './cache/responseCache.js';
+
+// Where an analysis came from: straight from the model, from the model after one
+// repair round-trip, or from built-in defaults / heuristics
+export const ANALYSIS_SOURCES = ['model', 'repaired', 'fallback'];
+
+export class InvalidModelResponseError extends Error {
+  constructor(schemaName, errors) {
+    super(`Model response did not match the ${schemaName} schema: ${errors.slice(0, 5).join('; ')}`);
+    this.name = 'InvalidModelResponseError';
+    this.schemaName = schemaName;
+    this.errors = errors;
+  }
+}
+
+// Pull the JSON object out of a reply, tolerating code fences and prose around it
+export const extractJson = (text = '') => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return { errors: ['$: no JSON object found in the reply'] };
+
+  try {
+    return { value: JSON.parse(text.slice(start, end + 1)), errors: [] };
+  } catch (error) {
+    return { errors: [`$: invalid JSON (${error.message})`] };
+  }
+};
+
+const check = (schema, text) => {
+  const parsed = extractJson(text);
+  return parsed.errors.length > 0 ? parsed : validateSchema(schema, parsed.value);
+};
+
+const repairMessage = (schema, errors) => `Your reply was not valid for the required format:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Reply again with only a single JSON object matching this JSON schema, with no other text:
+${JSON.stringify(schema)}`;
+
+// Ask the model for a JSON analysis and validate it against ANALYSIS_SCHEMAS[schemaName].
+// An invalid reply gets exactly one repair request quoting the problems; if that also
+// fails, InvalidModelResponseError is thrown so the caller can fall back.
+// Resolves to the validated (and clamped) object with source 'model' or 'repaired',
+// tagged with the promptVersion of the template that produced the messages.
+export const requestAnalysis = async (llm, { messages, maxTokens, temperature, promptVersion }, schemaName) => {
+  const schema = ANALYSIS_SCHEMAS[schemaName];
+  const response = await llm.chat({ messages, maxTokens, temperature });
+
+  const first = check(schema, response.content);
+  if (first.errors.length === 0) {
+    return { ...first.value, source: 'model', promptVersion };
+  }
+
+  logger.warn(`Invalid ${schemaName} response from ${llm.provider}, requesting a repair: ${first.errors.join('; ')}`);
+
+  const repair = await llm.chat({
+    messages: [
+      ...messages,
+      { role: 'assistant', content: response.content },
+      { role: 'user', content: repairMessage(schema, first.errors) }
+    ],
+    maxTokens,
+    temperature: 0
+  });
+
+  const second = check(schema, repair.content);
+  if (second.errors.length > 0) {
+    throw new InvalidModelResponseError(schemaName, second.errors);
+  }
+  return { ...second.value, source: 'repaired', promptVersion };
+};
+
+// Mark a default or heuristic result as not coming from the model (and keep it out of the cache)
+export const asFallback = (analysis) => {
+  markUncacheable();
+  return { ...analysis, source: 'fallback' };
+};
+
+// Overall source for a session built from several analyses: any fallback wins,
+// then any repair, otherwise the model
+export const combineSources = (analyses) => {
+  const sources = analyses.filter(Boolean).map(analysis => analysis.source || 'fallback');
+  if (sources.length === 0 || sources.includes('fallback')) return 'fallback';
+  return sources.includes('repaired') ? 'repaired' : 'model';
+};
+
+// Distinct prompt template versions behind a session's analyses, e.g.
+// ['coherenceAnalysis.rapidFire@v1', 'speechAnalysis.rapidFireResponse@v2']
+export const collectPromptVersions = (analyses) =>
+  [...new Set(analyses.filter(Boolean).map(analysis => analysis.promptVersion).filter(Boolean))].sort();
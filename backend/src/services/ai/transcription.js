@@ -0,0 +1,202 @@
+import OpenAI, { toFile } from 'openai';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { logger } from '../../utils/logger.js';
+import { tokenize } from '../speech/fillerDetection.js';
+
+const execFileAsync = promisify(execFile);
+
+// Spacing used by the stub when it lays reference words out on a timeline
+const STUB_MS_PER_WORD = 400;
+
+const extensionFor = (mimeType = '') =>
+  mimeType.includes('ogg') ? 'ogg' : mimeType.includes('mp4') ? 'm4a' : mimeType.includes('wav') ? 'wav' : 'webm';
+
+// Whisper expects ISO-639-1 codes, the browser sends BCP 47 tags like en-US
+const toWhisperLanguage = (language) => (language ? language.split('-')[0] : undefined);
+
+// Server-side speech-to-text with per-word timing. Engines:
+//   local       - any OpenAI-compatible /audio/transcriptions server (whisper.cpp server, faster-whisper-server, LocalAI)
+//   whisper-cpp - a local whisper.cpp binary, with ffmpeg converting the upload to 16kHz WAV
+//   stub        - deterministic; returns nothing, or under test lays out options.referenceText at a fixed pace
+// All times are ms from the start of the audio.
+export class TranscriptionService {
+  constructor() {
+    this.engine = process.env.TRANSCRIPTION_ENGINE || 'stub';
+    this.model = process.env.TRANSCRIPTION_MODEL || 'whisper-1';
+
+    if (this.engine === 'local') {
+      this.client = new OpenAI({
+        apiKey: process.env.TRANSCRIPTION_API_KEY || 'local',
+        baseURL: process.env.TRANSCRIPTION_BASE_URL || 'http://localhost:8080/v1'
+      });
+    }
+
+    if (this.engine === 'whisper-cpp') {
+      this.binaryPath = process.env.WHISPER_BINARY_PATH || 'whisper-cli';
+      this.modelPath = process.env.WHISPER_MODEL_PATH;
+      this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    }
+  }
+
+  async testConnection() {
+    try {
+      if (this.engine === 'local') {
+        await this.client.models.list();
+        logger.info('Local transcription server connection test successful');
+      } else if (this.engine === 'whisper-cpp') {
+        await fs.access(this.modelPath);
+        await execFileAsync(this.ffmpegPath, ['-version']);
+        logger.info('whisper.cpp model and ffmpeg found');
+      } else {
+        logger.info(`Transcription engine "${this.engine}" needs no connection test`);
+      }
+      return true;
+    } catch (error) {
+      logger.error(`Transcription engine "${this.engine}" connection test failed:`, error);
+      throw error;
+    }
+  }
+
+  async transcribe(buffer, mimeType, options = {}) {
+    try {
+      switch (this.engine) {
+        case 'local':
+          return await this.transcribeWithServer(buffer, mimeType, options);
+        case 'whisper-cpp':
+          return await this.transcribeWithBinary(buffer, mimeType, options);
+        default:
+          return this.getDefaultTranscription(options);
+      }
+    } catch (error) {
+      logger.error('Error transcribing audio:', error);
+      throw error;
+    }
+  }
+
+  async transcribeFile(filePath, mimeType, options = {}) {
+    const buffer = await fs.readFile(filePath);
+    return this.transcribe(buffer, mimeType, options);
+  }
+
+  async transcribeWithServer(buffer, mimeType, options) {
+    const file = await toFile(buffer, `audio.${extensionFor(mimeType)}`, { type: mimeType });
+
+    const response = await this.client.audio.transcriptions.create({
+      file,
+      model: this.model,
+      language: toWhisperLanguage(options.language),
+      response_format: 'verbose_json',
+      timestamp_granularities: ['word']
+    });
+
+    // The OpenAI response format carries no per-word confidence
+    const words = (response.words || []).map(word => ({
+      word: word.word.trim(),
+      start: Math.round(word.start * 1000),
+      end: Math.round(word.end * 1000),
+      confidence: null
+    }));
+
+    return {
+      text: (response.text || '').trim(),
+      words,
+      duration: response.duration ? Math.round(response.duration * 1000) : this.getDurationFromWords(words),
+      language: response.language || options.language,
+      engine: this.engine
+    };
+  }
+
+  async transcribeWithBinary(buffer, mimeType, options) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'speakace-whisper-'));
+
+    try {
+      const inputPath = path.join(workDir, `input.${extensionFor(mimeType)}`);
+      const wavPath = path.join(workDir, 'input.wav');
+      const outputBase = path.join(workDir, 'output');
+      await fs.writeFile(inputPath, buffer);
+
+      await execFileAsync(this.ffmpegPath, ['-y', '-i', inputPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath]);
+
+      const args = ['-m', this.modelPath, '-f', wavPath, '-ojf', '-of', outputBase, '-np'];
+      const language = toWhisperLanguage(options.language);
+      if (language) {
+        args.push('-l', language);
+      }
+      await execFileAsync(this.binaryPath, args, { timeout: 120000 });
+
+      const output = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+      return this.parseWhisperCppOutput(output, options);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // whisper.cpp full JSON: segments of sub-word tokens; a leading space starts a new word
+  parseWhisperCppOutput(output, options = {}) {
+    const words = [];
+
+    for (const segment of output.transcription || []) {
+      for (const token of segment.tokens || []) {
+        const text = token.text || '';
+        // Skip special tokens such as [_BEG_] and [_TT_150]
+        if (!text.trim() || text.trim().startsWith('[_')) continue;
+
+        const current = words[words.length - 1];
+        if (current && !text.startsWith(' ')) {
+          current.word += text;
+          current.end = token.offsets.to;
+          current.probabilities.push(token.p);
+        } else {
+          words.push({
+            word: text.trim(),
+            start: token.offsets.from,
+            end: token.offsets.to,
+            probabilities: [token.p]
+          });
+        }
+      }
+    }
+
+    const timedWords = words.map(({ probabilities, ...word }) => ({
+      ...word,
+      confidence: Math.round((probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length) * 100) / 100
+    }));
+
+    return {
+      text: (output.transcription || []).map(segment => segment.text.trim()).join(' ').trim(),
+      words: timedWords,
+      duration: this.getDurationFromWords(timedWords),
+      language: output.result?.language || options.language,
+      engine: this.engine
+    };
+  }
+
+  getDurationFromWords(words) {
+    return words.length > 0 ? words[words.length - 1].end : 0;
+  }
+
+  // The reference text comes from the client, so outside tests the stub hears nothing
+  // rather than passing client-written text off as a transcription of the audio
+  getDefaultTranscription(options = {}) {
+    const referenceText = process.env.NODE_ENV === 'test' ? options.referenceText : '';
+    const tokens = tokenize(referenceText || '');
+    const words = tokens.map((word, index) => ({
+      word,
+      start: index * STUB_MS_PER_WORD,
+      end: (index + 1) * STUB_MS_PER_WORD - 50,
+      confidence: 1
+    }));
+
+    return {
+      text: tokens.join(' '),
+      words,
+      duration: this.getDurationFromWords(words),
+      language: options.language,
+      engine: 'stub'
+    };
+  }
+}
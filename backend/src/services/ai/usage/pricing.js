@@ -0,0 +1,54 @@
+import { logger } from '../../../utils/logger.js';
+
+// Estimated USD per million input/output tokens. Models are matched by the
+// longest prefix, so dated snapshots such as gpt-4o-mini-2024-07-18 resolve too.
+// Add or override entries with AI_MODEL_PRICES='{"my-model":[input, output]}'.
+const MODEL_PRICES = {
+  'gpt-4': [30, 60],
+  'gpt-4-turbo': [10, 30],
+  'gpt-4o': [2.5, 10],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4.1': [2, 8],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'gemini-1.5-flash': [0.075, 0.3],
+  'gemini-1.5-pro': [1.25, 5],
+  'gemini-2.0-flash': [0.1, 0.4]
+};
+
+const configuredPrices = () => {
+  if (!process.env.AI_MODEL_PRICES) return {};
+  try {
+    return JSON.parse(process.env.AI_MODEL_PRICES);
+  } catch (error) {
+    logger.warn('Ignoring AI_MODEL_PRICES, it is not valid JSON:', error.message);
+    return {};
+  }
+};
+
+const findPrice = (model) => {
+  const prices = { ...MODEL_PRICES, ...configuredPrices() };
+  const match = Object.keys(prices)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+};
+
+const unpricedModels = new Set();
+
+// Self-hosted models cost nothing per token; unknown hosted models are counted as free
+// (with a warning) rather than guessed at
+export const estimateCost = ({ provider, model, inputTokens, outputTokens }) => {
+  if (provider === 'local') return 0;
+
+  const price = findPrice(model);
+  if (!price) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      logger.warn(`No price known for model ${model}, recording its cost as 0 (set AI_MODEL_PRICES)`);
+    }
+    return 0;
+  }
+  const [inputPrice, outputPrice] = price;
+  return (inputTokens * inputPrice + outputTokens * outputPrice) / 1e6;
+};
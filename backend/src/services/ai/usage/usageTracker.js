@@ -0,0 +1,214 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import mongoose from 'mongoose';
+import AIUsage from '../../../models/AIUsage.js';
+import { logger } from '../../../utils/logger.js';
+import { asFallback } from '../structuredResponse.js';
+import { markUncacheable } from '../cache/responseCache.js';
+import { estimateCost } from './pricing.js';
+
+// Records tokens, latency and estimated cost of every LLM call, attributed to
+// the user whose request (or queued job) made it and the service method that
+// asked. Users over their daily quota are served by the heuristic analyzers.
+
+// Read lazily: dotenv loads after this module is imported. 0 means unlimited.
+const dailyTokenQuota = () => parseInt(process.env.AI_DAILY_TOKEN_QUOTA) || 0;
+const dailyCostQuota = () => parseFloat(process.env.AI_DAILY_COST_QUOTA) || 0;
+
+// { userId, method } of the call in progress
+const usageContext = new AsyncLocalStorage();
+
+// Run fn with context merged into the current usage context
+export const runWithUsageContext = (context, fn) =>
+  usageContext.run({ ...usageContext.getStore(), ...context }, fn);
+
+export const getUsageContext = () => usageContext.getStore() || {};
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+// Quotas reset at midnight UTC
+const today = () => new Date().toISOString().slice(0, 10);
+const startOfToday = () => new Date(`${today()}T00:00:00.000Z`);
+
+// userId -> today's { day, tokens, cost, calls }, seeded from MongoDB on first use each day
+const dailyTotals = new Map();
+
+export const getDailyUsage = async (userId) => {
+  const key = String(userId);
+  const day = today();
+  const known = dailyTotals.get(key);
+  if (known?.day === day) return known;
+
+  const totals = { day, tokens: 0, cost: 0, calls: 0 };
+  if (isConnected()) {
+    const [row] = await AIUsage.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(key), createdAt: { $gte: startOfToday() } } },
+      {
+        $group: {
+          _id: null,
+          tokens: { $sum: { $add: ['$inputTokens', '$outputTokens'] } },
+          cost: { $sum: '$cost' },
+          calls: { $sum: 1 }
+        }
+      }
+    ]);
+    if (row) Object.assign(totals, { tokens: row.tokens, cost: row.cost, calls: row.calls });
+  }
+
+  dailyTotals.set(key, totals);
+  return totals;
+};
+
+export const getQuotaStatus = async (userId) => {
+  const usage = await getDailyUsage(userId);
+  const tokenQuota = dailyTokenQuota();
+  const costQuota = dailyCostQuota();
+
+  return {
+    ...usage,
+    tokenQuota,
+    costQuota,
+    exceeded: (tokenQuota > 0 && usage.tokens >= tokenQuota) || (costQuota > 0 && usage.cost >= costQuota)
+  };
+};
+
+const isOverQuota = async (userId) => {
+  if (!dailyTokenQuota() && !dailyCostQuota()) return false;
+  try {
+    return (await getQuotaStatus(userId)).exceeded;
+  } catch (error) {
+    // Never block analysis because the usage store is unreachable
+    logger.warn('AI quota check failed:', error.message);
+    return false;
+  }
+};
+
+const recordUsage = (record) => {
+  const cost = record.success ? estimateCost(record) : 0;
+  const entry = { ...record, cost };
+
+  if (record.userId) {
+    const totals = dailyTotals.get(String(record.userId));
+    if (totals?.day === today()) {
+      totals.tokens += record.inputTokens + record.outputTokens;
+      totals.cost += cost;
+      totals.calls++;
+    }
+  }
+
+  if (!isConnected()) return;
+  AIUsage.create(entry).catch(error => {
+    logger.warn('Failed to record AI usage:', error.message);
+  });
+};
+
+// Wrap an LLM client's chat() so every call is recorded for the given service
+export const trackLLMUsage = (client, service) => {
+  const chat = client.chat.bind(client);
+
+  client.chat = async (request) => {
+    const { userId, method } = getUsageContext();
+    const started = Date.now();
+    const base = { userId, service, method, provider: client.provider, model: client.model };
+
+    try {
+      const response = await chat(request);
+      recordUsage({
+        ...base,
+        inputTokens: response.usage?.inputTokens || 0,
+        outputTokens: response.usage?.outputTokens || 0,
+        latencyMs: Date.now() - started,
+        success: true
+      });
+      return response;
+    } catch (error) {
+      recordUsage({
+        ...base,
+        inputTokens: 0,
+        outputTokens: 0,
+        latencyMs: Date.now() - started,
+        success: false,
+        error: error.message
+      });
+      throw error;
+    }
+  };
+
+  return client;
+};
+
+// Label calls made by an LLM service's analyze*/generate* methods with the method
+// name, and hand them to the matching heuristic method once the user is over quota.
+// Returns the same instance.
+export const withUsageTracking = (instance, service, heuristicService) => {
+  const methods = Object.getOwnPropertyNames(Object.getPrototypeOf(instance))
+    .filter(name => /^(analyze|generate)/.test(name));
+
+  for (const method of methods) {
+    const original = instance[method].bind(instance);
+
+    instance[method] = async (...args) => {
+      const { userId } = getUsageContext();
+      if (userId && heuristicService?.[method] && await isOverQuota(userId)) {
+        logger.info(`User ${userId} is over the daily AI quota, using heuristic ${service}.${method}`);
+        markUncacheable();
+        const result = await heuristicService[method](...args);
+        return result && typeof result === 'object' && !Array.isArray(result) ? asFallback(result) : result;
+      }
+      return runWithUsageContext({ method }, () => original(...args));
+    };
+  }
+
+  return instance;
+};
+
+const GROUPINGS = {
+  service: '$service',
+  method: { service: '$service', method: '$method' },
+  model: { provider: '$provider', model: '$model' },
+  user: '$userId',
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+};
+
+export const USAGE_GROUPINGS = Object.keys(GROUPINGS);
+
+// Admin report: calls, tokens, cost and latency over the last `days` days,
+// grouped by service, method, model, user or day
+export const getUsageSummary = async ({ days = 30, groupBy = 'service', userId } = {}) => {
+  const match = { createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } };
+  if (userId) match.userId = new mongoose.Types.ObjectId(String(userId));
+
+  const groups = await AIUsage.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: GROUPINGS[groupBy],
+        calls: { $sum: 1 },
+        failures: { $sum: { $cond: ['$success', 0, 1] } },
+        inputTokens: { $sum: '$inputTokens' },
+        outputTokens: { $sum: '$outputTokens' },
+        cost: { $sum: '$cost' },
+        averageLatencyMs: { $avg: '$latencyMs' }
+      }
+    },
+    { $sort: groupBy === 'day' ? { _id: 1 } : { cost: -1, calls: -1 } }
+  ]);
+
+  const totals = groups.reduce((sum, group) => ({
+    calls: sum.calls + group.calls,
+    failures: sum.failures + group.failures,
+    inputTokens: sum.inputTokens + group.inputTokens,
+    outputTokens: sum.outputTokens + group.outputTokens,
+    cost: sum.cost + group.cost
+  }), { calls: 0, failures: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+
+  return {
+    days,
+    groupBy,
+    totals,
+    groups: groups.map(({ _id, averageLatencyMs, ...group }) => ({
+      key: _id,
+      ...group,
+      averageLatencyMs: Math.round(averageLatencyMs || 0)
+    }))
+  };
+};
@@ -0,0 +1,131 @@
+import AnalysisJob from '../../models/AnalysisJob.js';
+import GameSession from '../../models/GameSession.js';
+import { logger } from '../../utils/logger.js';
+import { emitToRoom } from '../../config/socket.js';
+import { runWithUsageContext } from '../ai/index.js';
+import { analyzeSession, getDefaultAnalysis } from './sessionAnalysis.js';
+
+// Mongo-backed queue for session analysis. end-session enqueues a job and returns;
+// the worker below picks jobs up, retries failures with exponential backoff and
+// pushes the result to the session's Socket.IO room.
+
+// A claimed job not finished within this time is assumed abandoned and picked up again
+const LOCK_MS = 5 * 60 * 1000;
+
+// Read lazily: dotenv loads after this module is imported
+const pollInterval = () => parseInt(process.env.ANALYSIS_POLL_INTERVAL_MS) || 2000;
+const retryBaseDelay = () => parseInt(process.env.ANALYSIS_RETRY_BASE_MS) || 5000;
+const maxAttempts = () => parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 3;
+
+let timer = null;
+let running = false;
+
+export const enqueueSessionAnalysis = (gameSession) =>
+  AnalysisJob.create({
+    sessionId: gameSession._id,
+    userId: gameSession.userId,
+    maxAttempts: maxAttempts()
+  });
+
+const completeJob = async (job, gameSession) => {
+  const aiAnalysis = await analyzeSession(gameSession);
+
+  gameSession.aiAnalysis = { ...aiAnalysis, status: 'complete' };
+  await gameSession.save();
+
+  job.status = 'completed';
+  job.completedAt = new Date();
+  job.lockedUntil = undefined;
+  await job.save();
+
+  logger.info(`AI analysis completed for game session ${gameSession._id} (attempt ${job.attempts})`);
+  emitToRoom(gameSession._id, 'analysis-complete', {
+    sessionId: gameSession._id,
+    aiAnalysis: gameSession.aiAnalysis
+  });
+};
+
+const failJob = async (job, gameSession, error) => {
+  job.status = 'failed';
+  job.lastError = error.message;
+  job.lockedUntil = undefined;
+  await job.save();
+
+  logger.error(`AI analysis failed for game session ${job.sessionId} after ${job.attempts} attempts:`, error);
+  if (!gameSession) return;
+
+  // Keep the defaults so the session still has something to show
+  gameSession.aiAnalysis = { ...getDefaultAnalysis(), status: 'failed' };
+  await gameSession.save();
+
+  emitToRoom(gameSession._id, 'analysis-failed', {
+    sessionId: gameSession._id,
+    aiAnalysis: gameSession.aiAnalysis,
+    message: 'AI analysis could not be completed'
+  });
+};
+
+const retryJob = async (job, error) => {
+  // 5s, 10s, 20s, ... after the first, second, third failure
+  const delay = retryBaseDelay() * 2 ** (job.attempts - 1);
+  job.status = 'queued';
+  job.lastError = error.message;
+  job.runAt = new Date(Date.now() + delay);
+  job.lockedUntil = undefined;
+  await job.save();
+
+  logger.warn(`AI analysis attempt ${job.attempts} failed for game session ${job.sessionId}, retrying in ${delay}ms:`, error.message);
+};
+
+const processJob = async (job) => {
+  const gameSession = await GameSession.findById(job.sessionId);
+  if (!gameSession) {
+    return failJob(job, null, new Error('Game session not found'));
+  }
+  // A job abandoned by a crashed worker can come back with its attempts used up
+  if (job.attempts > job.maxAttempts) {
+    return failJob(job, gameSession, new Error(job.lastError || 'Worker stopped before the analysis finished'));
+  }
+
+  try {
+    // Bill the model calls to the session's player
+    await runWithUsageContext({ userId: job.userId }, () => completeJob(job, gameSession));
+  } catch (error) {
+    if (job.attempts >= job.maxAttempts) {
+      await failJob(job, gameSession, error);
+    } else {
+      await retryJob(job, error);
+    }
+  }
+};
+
+// Drain every due job, then wait for the next poll
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    let job;
+    while (timer && (job = await AnalysisJob.claimNext(LOCK_MS))) {
+      await processJob(job);
+    }
+  } catch (error) {
+    logger.error('Analysis queue poll failed:', error);
+  } finally {
+    running = false;
+    if (timer) {
+      timer = setTimeout(tick, pollInterval());
+    }
+  }
+};
+
+export const startAnalysisWorker = () => {
+  if (timer) return;
+  logger.info('Starting AI analysis worker');
+  timer = setTimeout(tick, 0);
+};
+
+export const stopAnalysisWorker = () => {
+  clearTimeout(timer);
+  timer = null;
+};
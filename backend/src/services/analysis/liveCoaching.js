@@ -0,0 +1,202 @@
+import { logger } from '../../utils/logger.js';
+import { emitToRoom } from '../../config/socket.js';
+import { detectFillers, tokenize } from '../speech/fillerDetection.js';
+import { analyzePace } from '../speech/paceAnalysis.js';
+import { getCoherenceAnalysisService, runWithUsageContext } from '../ai/index.js';
+
+// Coaching while a game is being played. The client streams transcript chunks
+// ({ text, start, end } in ms from session start) over the socket; each chunk is
+// checked for pace and fillers on the spot, and every few sentences the recent
+// speech is sent to analyzeTopicDeviation. Warnings go to the session's room as
+// 'pace-warning', 'filler-alert' and 'off-topic-warning'.
+
+// Pace is measured over the last 15s of transcript and needs 5s of speech to say anything
+const PACE_WINDOW_MS = 15000;
+const PACE_MIN_SPEECH_MS = 5000;
+// Words per minute outside the difficulty band before warning
+const PACE_TOLERANCE_WPM = 10;
+
+// Check topic adherence once this many new words have arrived, over at most this many chunks
+const TOPIC_CHECK_WORDS = 40;
+const TOPIC_CHECK_CHUNKS = 6;
+const OFF_TOPIC_ADHERENCE = 60;
+
+// Minimum transcript time between two warnings of the same kind
+const COOLDOWN_MS = {
+  pace: 15000,
+  filler: 10000,
+  offTopic: 30000
+};
+
+// Only the recent chunks are kept; running totals cover the rest
+const MAX_CHUNKS = 50;
+
+// sessionId -> LiveCoachingSession
+const sessions = new Map();
+
+class LiveCoachingSession {
+  constructor({ sessionId, userId, difficulty, language, topic }) {
+    this.sessionId = String(sessionId);
+    this.userId = userId;
+    this.difficulty = difficulty;
+    this.language = language;
+    this.topic = topic;
+    this.chunks = [];
+    this.totalWords = 0;
+    this.totalFillers = 0;
+    this.wordsSinceTopicCheck = 0;
+    this.topicCheckRunning = false;
+    this.lastWarning = {}; // kind -> transcript time of the last warning
+  }
+
+  canWarn(kind, at) {
+    const last = this.lastWarning[kind];
+    return last === undefined || at - last >= COOLDOWN_MS[kind];
+  }
+
+  warn(kind, event, at, payload) {
+    this.lastWarning[kind] = at;
+    emitToRoom(this.sessionId, event, { sessionId: this.sessionId, at, ...payload });
+  }
+
+  addChunk({ text, start, end, topic }) {
+    if (topic) this.topic = topic;
+
+    const chunk = { text, start, end };
+    this.chunks.push(chunk);
+    if (this.chunks.length > MAX_CHUNKS) this.chunks.shift();
+
+    const { occurrences, wordCount } = detectFillers(text, this.language);
+    const fillers = occurrences.filter(occurrence => occurrence.type === 'filler');
+    this.totalWords += wordCount;
+    this.totalFillers += fillers.length;
+    this.wordsSinceTopicCheck += wordCount;
+
+    this.checkPace(end);
+    this.checkFillers(fillers, end);
+    this.checkTopic(end);
+  }
+
+  checkPace(at) {
+    if (!this.canWarn('pace', at)) return;
+
+    const recent = this.chunks.filter(chunk => chunk.end > at - PACE_WINDOW_MS);
+    const pace = analyzePace(recent, this.difficulty);
+    const speakingMs = pace.segments.reduce((sum, segment) => sum + (segment.end - segment.start), 0);
+    if (speakingMs < PACE_MIN_SPEECH_MS) return;
+
+    const direction = pace.wordsPerMinute > pace.targetMax + PACE_TOLERANCE_WPM
+      ? 'fast'
+      : pace.wordsPerMinute < pace.targetMin - PACE_TOLERANCE_WPM ? 'slow' : null;
+    if (!direction) return;
+
+    this.warn('pace', 'pace-warning', at, {
+      direction,
+      wordsPerMinute: pace.wordsPerMinute,
+      targetMin: pace.targetMin,
+      targetMax: pace.targetMax,
+      message: direction === 'fast' ? 'Slow down a little' : 'Pick up the pace a little'
+    });
+  }
+
+  checkFillers(fillers, at) {
+    if (fillers.length === 0 || !this.canWarn('filler', at)) return;
+
+    this.warn('filler', 'filler-alert', at, {
+      fillers: fillers.map(filler => filler.word),
+      total: this.totalFillers,
+      rate: Math.round((this.totalFillers / this.totalWords) * 1000) / 10, // per 100 words
+      message: `Filler words: ${[...new Set(fillers.map(filler => filler.word))].join(', ')}`
+    });
+  }
+
+  // Runs in the background; a slow model never holds up the next chunk
+  checkTopic(at) {
+    if (!this.topic || this.topicCheckRunning || this.wordsSinceTopicCheck < TOPIC_CHECK_WORDS) return;
+
+    const recent = this.chunks.slice(-TOPIC_CHECK_CHUNKS);
+    this.wordsSinceTopicCheck = 0;
+    this.topicCheckRunning = true;
+
+    runWithUsageContext({ userId: this.userId }, () =>
+      getCoherenceAnalysisService().analyzeTopicDeviation(
+        recent.map(chunk => chunk.text),
+        this.topic,
+        recent.map(chunk => `${Math.round(chunk.start / 1000)}s`)
+      ))
+      .then(deviation => {
+        const offTopic = deviation.overallAdherence < OFF_TOPIC_ADHERENCE || deviation.coherenceMaintained === false;
+        // The session may have been stopped while the model was answering
+        if (!offTopic || sessions.get(this.sessionId) !== this || !this.canWarn('offTopic', at)) return;
+
+        this.warn('offTopic', 'off-topic-warning', at, {
+          topic: this.topic,
+          adherence: deviation.overallAdherence,
+          deviationPoints: deviation.deviationPoints || [],
+          recommendations: deviation.recommendations || [],
+          message: `Bring it back to "${this.topic}"`
+        });
+      })
+      .catch(error => {
+        logger.warn(`Live topic check failed for game session ${this.sessionId}:`, error.message);
+      })
+      .finally(() => {
+        this.topicCheckRunning = false;
+      });
+  }
+
+  getSummary() {
+    return {
+      sessionId: this.sessionId,
+      topic: this.topic,
+      chunks: this.chunks.length,
+      totalWords: this.totalWords,
+      totalFillers: this.totalFillers
+    };
+  }
+}
+
+// Start coaching a game session, or pick up where a reconnecting client left off
+export const startLiveCoaching = (gameSession, { topic } = {}) => {
+  const sessionId = String(gameSession._id);
+  const existing = sessions.get(sessionId);
+  if (existing) {
+    if (topic) existing.topic = topic;
+    return existing;
+  }
+
+  const session = new LiveCoachingSession({
+    sessionId,
+    userId: gameSession.userId,
+    difficulty: gameSession.sessionData?.difficulty,
+    language: gameSession.sessionData?.language,
+    topic
+  });
+  sessions.set(sessionId, session);
+  logger.info(`Live coaching started for game session ${sessionId}`);
+  return session;
+};
+
+export const getLiveCoaching = (sessionId) => sessions.get(String(sessionId));
+
+export const stopLiveCoaching = (sessionId) => {
+  const session = sessions.get(String(sessionId));
+  if (!session) return null;
+  sessions.delete(String(sessionId));
+  logger.info(`Live coaching stopped for game session ${sessionId}`);
+  return session.getSummary();
+};
+
+// Shape check for a streamed chunk; returns an error message or null
+export const validateTranscriptChunk = (chunk) => {
+  if (!chunk || typeof chunk !== 'object') return 'Chunk must be an object';
+  if (typeof chunk.text !== 'string' || tokenize(chunk.text).length === 0) return 'Chunk text is required';
+  if (chunk.text.length > 2000) return 'Chunk text must be at most 2000 characters';
+  if (!Number.isFinite(chunk.start) || !Number.isFinite(chunk.end) || chunk.start < 0 || chunk.end < chunk.start) {
+    return 'Chunk start and end must be ms from session start, with end >= start';
+  }
+  if (chunk.topic !== undefined && (typeof chunk.topic !== 'string' || chunk.topic.length > 200)) {
+    return 'Chunk topic must be a string of at most 200 characters';
+  }
+  return null;
+};
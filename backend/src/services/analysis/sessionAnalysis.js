@@ -0,0 +1,50 @@
+import {
+  getSpeechAnalysisService,
+  getEnergyDetectionService,
+  getCoherenceAnalysisService,
+  getNarrativeAnalysisService
+} from '../ai/index.js';
+import { getGame } from '../../games/index.js';
+
+// Run the game-specific AI analysis of an ended session (the game's analyze
+// hook, see games/). Returns the aiAnalysis fields to store on the session
+// (without status).
+export async function analyzeSession(gameSession) {
+  const game = getGame(gameSession.gameType);
+  if (!game) {
+    return getDefaultAnalysis();
+  }
+
+  const analysis = await game.analyze(gameSession, {
+    speechAnalysisService: getSpeechAnalysisService(),
+    energyDetectionService: getEnergyDetectionService(),
+    coherenceAnalysisService: getCoherenceAnalysisService(),
+    narrativeAnalysisService: getNarrativeAnalysisService()
+  });
+  return analysis || getDefaultAnalysis();
+}
+
+export function getDefaultAnalysis() {
+  return {
+    speechClarity: 75,
+    energyLevel: 75,
+    coherence: 75,
+    confidence: 75,
+    fluency: 75,
+    overallRating: 75,
+    strengths: ['Good effort', 'Game completion'],
+    areasForImprovement: ['Continue practicing', 'Focus on improvement areas'],
+    source: 'fallback',
+    promptVersions: [],
+    feedback: [
+      {
+        type: 'positive',
+        message: 'Good effort in completing the exercise'
+      },
+      {
+        type: 'suggestion',
+        message: 'Continue practicing to improve your skills'
+      }
+    ]
+  };
+}
@@ -0,0 +1,35 @@
+import User from '../../models/User.js';
+import { logger } from '../../utils/logger.js';
+
+// Fold an ended game session into the player's stats and achievements. Never
+// throws: a stats failure shouldn't fail the request that ended the session.
+export async function updateUserStats(userId, gameSession) {
+  try {
+    const user = await User.findById(userId);
+    if (!user) return;
+
+    const score = gameSession.performance.score || 0;
+    
+    // Calculate duration in seconds
+    let duration = 0;
+    if (gameSession.sessionData.startTime && gameSession.sessionData.endTime) {
+      duration = Math.round((gameSession.sessionData.endTime - gameSession.sessionData.startTime) / 1000);
+    } else if (gameSession.sessionData.duration) {
+      duration = gameSession.sessionData.duration;
+    }
+
+    // Update user stats
+    await user.updateStats(gameSession.gameType, score, duration);
+    
+    // Check for new achievements
+    const newAchievements = user.checkAchievements();
+    if (newAchievements.length > 0) {
+      await user.save();
+      logger.info(`New achievements unlocked for user ${user.username}: ${newAchievements.map(a => a.type).join(', ')}`);
+    }
+
+    logger.info(`User stats updated for ${user.username}: Game ${gameSession.gameType}, Score ${score}, Duration ${duration}s`);
+  } catch (error) {
+    logger.error('Failed to update user stats:', error);
+  }
+}
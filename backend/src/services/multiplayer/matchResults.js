@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import GameSession from '../../models/GameSession.js';
+import { enqueueSessionAnalysis } from '../analysis/analysisQueue.js';
+import { updateUserStats } from '../analysis/userStats.js';
+
+// Save a finished multiplayer match as one Rapid Fire GameSession per player.
+// The sessions share a matchId and list each other as opponents; each one then
+// goes through the same analysis queue and stats update as a solo session.
+// Resolves to { matchId, sessions: { userId: sessionId } }.
+export const saveMatchResults = async (room, scoreboard) => {
+  const matchId = new mongoose.Types.ObjectId();
+  const { difficulty, language } = room.settings;
+
+  const entries = scoreboard.map(row => {
+    const player = room.players.get(row.userId);
+    const prompts = room.prompts.map((text, index) => {
+      const response = player.responses.find(answer => answer.promptIndex === index && answer.points !== undefined);
+      return {
+        text,
+        responseTime: response?.responseTime,
+        responseQuality: response?.quality ?? 0,
+        userResponse: response?.text || ''
+      };
+    });
+    const answered = prompts.filter(prompt => prompt.userResponse);
+
+    const session = new GameSession({
+      userId: row.userId,
+      gameType: 'rapidFire',
+      sessionData: { startTime: room.startedAt, difficulty, language },
+      // Performance is scored from the prompts by the Rapid Fire game when the session ends
+      gameSpecificData: {
+        rapidFire: {
+          prompts,
+          averageResponseTime: row.averageResponseTime || 0,
+          responseRate: Math.round((answered.length / prompts.length) * 100)
+        }
+      },
+      transcript: {
+        source: 'client',
+        fullText: answered.map(prompt => prompt.userResponse).join(' ')
+      },
+      aiAnalysis: { status: 'pending' },
+      tags: ['multiplayer']
+    });
+
+    return { row, session };
+  });
+
+  for (const { row, session } of entries) {
+    session.multiplayer = {
+      matchId,
+      roomCode: room.code,
+      points: row.points,
+      placement: row.placement,
+      playerCount: entries.length,
+      opponents: entries
+        .filter(other => other.row.userId !== row.userId)
+        .map(other => ({
+          userId: other.row.userId,
+          username: other.row.username,
+          sessionId: other.session._id,
+          points: other.row.points,
+          placement: other.row.placement
+        }))
+    };
+  }
+
+  const sessions = {};
+  for (const { row, session } of entries) {
+    await session.endSession();
+    await enqueueSessionAnalysis(session);
+    await updateUserStats(row.userId, session);
+    sessions[row.userId] = session._id;
+  }
+
+  return { matchId, sessions };
+};
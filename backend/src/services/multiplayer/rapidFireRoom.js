@@ -0,0 +1,428 @@
+import { randomInt } from 'crypto';
+import { logger } from '../../utils/logger.js';
+import { emitToRoom } from '../../config/socket.js';
+import { LANGUAGE_CODES, resolveLanguage } from '../../config/languages.js';
+import { getPromptGenerationService, runWithUsageContext } from '../ai/index.js';
+import { HeuristicSpeechAnalysisService } from '../ai/heuristic/index.js';
+import { tokenize } from '../speech/fillerDetection.js';
+import { saveMatchResults } from './matchResults.js';
+
+// Head-to-head Rapid Fire. A host opens a room, two to eight players join with
+// its code, and once the host starts the match the server owns the clock: every
+// player gets the same prompt at the same moment, responses are timed on
+// arrival, and the prompt closes when everyone has answered or time runs out.
+// Rooms live in memory on the instance that created them; finished matches are
+// saved as one GameSession per player (see matchResults.js).
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 8;
+
+export const MATCH_LIMITS = {
+  promptCount: { min: 3, max: 20, default: 10 },
+  responseWindowMs: { min: 3000, max: 30000, default: 10000 }
+};
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// Before the first prompt, and between one prompt's results and the next prompt
+const COUNTDOWN_MS = 3000;
+const RESULTS_PAUSE_MS = 3000;
+
+// Race points on top of the 0-100 response quality
+const MAX_SPEED_BONUS = 20; // answering instantly, falling to 0 at the deadline
+const FIRST_ANSWER_BONUS = 10;
+
+// No 0/O or 1/I, so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// Responses are scored on arrival by the heuristic analyzer: it is instant and
+// deterministic, so every player is judged alike mid-race. The AI analysis runs
+// on each player's saved session after the match.
+const scorer = new HeuristicSpeechAnalysisService();
+
+// A refused room action; code is sent to the client along with the message
+export class MatchError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'MatchError';
+    this.code = code;
+  }
+}
+
+// code -> RapidFireRoom
+const rooms = new Map();
+// userId -> code of the room the user is in; a user plays one match at a time
+const playerRooms = new Map();
+
+const createCode = () => {
+  let code;
+  do {
+    code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+  } while (rooms.has(code));
+  return code;
+};
+
+const clampSetting = (value, { min, max, default: fallback }, name) => {
+  if (value === undefined) return fallback;
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new MatchError('INVALID_SETTINGS', `${name} must be a whole number between ${min} and ${max}`);
+  }
+  return value;
+};
+
+// Validate the host's settings, filling in defaults
+export const normalizeSettings = (settings = {}, host) => {
+  if (settings.difficulty !== undefined && !DIFFICULTIES.includes(settings.difficulty)) {
+    throw new MatchError('INVALID_SETTINGS', `difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+  }
+  if (settings.language !== undefined && !LANGUAGE_CODES.includes(settings.language)) {
+    throw new MatchError('INVALID_SETTINGS', 'Unsupported practice language');
+  }
+  if (settings.theme !== undefined && (typeof settings.theme !== 'string' || settings.theme.length > 100)) {
+    throw new MatchError('INVALID_SETTINGS', 'theme must be a string of at most 100 characters');
+  }
+
+  return {
+    promptCount: clampSetting(settings.promptCount, MATCH_LIMITS.promptCount, 'promptCount'),
+    responseWindowMs: clampSetting(settings.responseWindowMs, MATCH_LIMITS.responseWindowMs, 'responseWindowMs'),
+    difficulty: settings.difficulty || 'beginner',
+    language: resolveLanguage(settings.language || host.preferences?.language),
+    theme: settings.theme?.trim() || undefined
+  };
+};
+
+class RapidFireRoom {
+  constructor({ code, host, settings }) {
+    this.code = code;
+    this.hostId = String(host._id);
+    this.settings = settings;
+    this.status = 'lobby'; // lobby -> starting -> playing -> finished (or cancelled)
+    this.players = new Map(); // userId -> player, in join order
+    this.prompts = [];
+    this.current = null; // { index, startedAt, deadline, firstUserId, closed }
+    this.timer = null;
+    this.createdAt = new Date();
+    this.startedAt = null;
+  }
+
+  // Socket.IO room every player's sockets join
+  get channel() {
+    return `match:${this.code}`;
+  }
+
+  emit(event, payload = {}) {
+    emitToRoom(this.channel, event, { code: this.code, serverTime: Date.now(), ...payload });
+  }
+
+  isActive() {
+    return this.status === 'starting' || this.status === 'playing';
+  }
+
+  connectedPlayers() {
+    return [...this.players.values()].filter(player => player.sockets.size > 0);
+  }
+
+  addSocket(user, socketId) {
+    const userId = String(user._id);
+    let player = this.players.get(userId);
+
+    if (!player) {
+      if (this.status !== 'lobby') throw new MatchError('MATCH_IN_PROGRESS', 'This match has already started');
+      if (this.players.size >= MAX_PLAYERS) throw new MatchError('ROOM_FULL', `Rooms hold at most ${MAX_PLAYERS} players`);
+
+      player = { userId, username: user.username, sockets: new Set(), responses: [], points: 0, joinedAt: new Date() };
+      this.players.set(userId, player);
+    }
+
+    playerRooms.set(userId, this.code);
+    player.sockets.add(socketId);
+    this.emit('room-updated', { room: this.getState() });
+    return player;
+  }
+
+  // A socket went away. In the lobby a player without sockets leaves the room;
+  // during a match they stay on the scoreboard and can reconnect.
+  removeSocket(userId, socketId) {
+    const player = this.players.get(String(userId));
+    if (!player) return;
+    player.sockets.delete(socketId);
+
+    if (player.sockets.size === 0 && this.status === 'lobby') {
+      this.removePlayer(userId);
+    } else {
+      this.emit('room-updated', { room: this.getState() });
+      if (this.isActive() && this.connectedPlayers().length === 0) this.cancel('Every player left the match');
+    }
+  }
+
+  removePlayer(userId) {
+    const id = String(userId);
+    if (!this.players.has(id)) return;
+
+    if (this.isActive()) {
+      // Keep their answers so far; they still get a session when the match ends
+      this.players.get(id).sockets.clear();
+      playerRooms.delete(id);
+      this.emit('room-updated', { room: this.getState() });
+      if (this.connectedPlayers().length === 0) this.cancel('Every player left the match');
+      return;
+    }
+
+    this.players.delete(id);
+    playerRooms.delete(id);
+
+    if (this.players.size === 0) {
+      closeRoom(this);
+      return;
+    }
+    if (this.hostId === id) {
+      this.hostId = this.players.keys().next().value;
+    }
+    this.emit('room-updated', { room: this.getState() });
+  }
+
+  async start(userId) {
+    if (String(userId) !== this.hostId) throw new MatchError('NOT_HOST', 'Only the host can start the match');
+    if (this.status !== 'lobby') throw new MatchError('MATCH_IN_PROGRESS', 'This match has already started');
+    if (this.connectedPlayers().length < MIN_PLAYERS) {
+      throw new MatchError('NOT_ENOUGH_PLAYERS', `At least ${MIN_PLAYERS} players are needed to start`);
+    }
+
+    this.status = 'starting';
+    this.emit('room-updated', { room: this.getState() });
+
+    const { promptCount, difficulty, theme, language } = this.settings;
+    let prompts;
+    try {
+      prompts = await runWithUsageContext({ userId: this.hostId }, () =>
+        getPromptGenerationService().generateRapidFirePrompts(promptCount, difficulty, theme, language));
+    } catch (error) {
+      logger.error(`Prompt generation failed for multiplayer match ${this.code}:`, error);
+      // Back to the lobby so the host can try again; the host is refused with the error below
+      if (this.status === 'starting') {
+        this.status = 'lobby';
+        this.emit('room-updated', { room: this.getState() });
+      }
+      throw new MatchError('PROMPTS_UNAVAILABLE', 'The prompts could not be generated, please try again');
+    }
+    this.prompts = (prompts || []).filter(prompt => typeof prompt === 'string' && prompt.trim()).slice(0, promptCount);
+
+    // Everyone may have left while the prompts were being generated
+    if (this.status !== 'starting') return;
+    if (this.prompts.length === 0) {
+      this.cancel('No prompts could be generated');
+      return;
+    }
+
+    this.startedAt = new Date();
+    this.emit('match-starting', { startsAt: Date.now() + COUNTDOWN_MS, promptCount: this.prompts.length });
+    this.timer = setTimeout(() => this.openPrompt(0), COUNTDOWN_MS);
+    logger.info(`Multiplayer match ${this.code} started with ${this.players.size} players`);
+  }
+
+  openPrompt(index) {
+    const startedAt = Date.now();
+    const { responseWindowMs } = this.settings;
+
+    this.status = 'playing';
+    this.current = { index, startedAt, deadline: startedAt + responseWindowMs, firstUserId: null, closed: false };
+    this.emit('match-prompt', {
+      index,
+      total: this.prompts.length,
+      text: this.prompts[index],
+      startedAt,
+      deadline: this.current.deadline,
+      durationMs: responseWindowMs
+    });
+    this.timer = setTimeout(() => this.closePrompt(), responseWindowMs);
+  }
+
+  async submitResponse(userId, { promptIndex, text }) {
+    const player = this.players.get(String(userId));
+    const current = this.current;
+    const receivedAt = Date.now();
+
+    if (!player || player.sockets.size === 0) throw new MatchError('NOT_IN_ROOM', 'You are not a player in this room');
+    if (this.status !== 'playing' || !current || current.closed) {
+      throw new MatchError('NO_OPEN_PROMPT', 'There is no prompt to answer right now');
+    }
+    if (promptIndex !== current.index) throw new MatchError('STALE_PROMPT', 'That prompt is already closed');
+    if (receivedAt > current.deadline) throw new MatchError('TOO_LATE', 'Time ran out for this prompt');
+    if (player.responses.some(response => response.promptIndex === current.index)) {
+      throw new MatchError('ALREADY_ANSWERED', 'You already answered this prompt');
+    }
+    if (typeof text !== 'string' || tokenize(text).length === 0 || text.length > 500) {
+      throw new MatchError('INVALID_RESPONSE', 'Response must be 1-500 characters of speech');
+    }
+
+    // Claimed before scoring, so simultaneous answers can't both be first
+    const first = !current.firstUserId;
+    if (first) current.firstUserId = player.userId;
+    const response = { promptIndex: current.index, text: text.trim(), responseTime: receivedAt - current.startedAt, first };
+    player.responses.push(response);
+
+    const analysis = await scorer.analyzeRapidFireResponse(this.prompts[current.index], response.text, response.responseTime, this.settings.language);
+    const speedBonus = Math.round(MAX_SPEED_BONUS * (1 - response.responseTime / this.settings.responseWindowMs));
+    response.quality = analysis.overallQuality;
+    response.points = analysis.overallQuality + speedBonus + (first ? FIRST_ANSWER_BONUS : 0);
+    player.points += response.points;
+
+    this.emit('match-response', {
+      promptIndex: current.index,
+      userId: player.userId,
+      username: player.username,
+      responseTime: response.responseTime,
+      points: response.points,
+      first
+    });
+    this.emit('match-scoreboard', { scoreboard: this.getScoreboard() });
+
+    const everyoneAnswered = this.connectedPlayers()
+      .every(candidate => candidate.responses.some(answer => answer.promptIndex === current.index));
+    if (everyoneAnswered) this.closePrompt();
+
+    return response;
+  }
+
+  closePrompt() {
+    const current = this.current;
+    if (!current || current.closed || this.status !== 'playing') return;
+    current.closed = true;
+    clearTimeout(this.timer);
+
+    const responses = [...this.players.values()]
+      .map(player => ({ player, response: player.responses.find(answer => answer.promptIndex === current.index) }))
+      .filter(({ response }) => response)
+      .sort((a, b) => a.response.responseTime - b.response.responseTime)
+      .map(({ player, response }) => ({ userId: player.userId, username: player.username, ...response }));
+
+    this.emit('match-prompt-results', {
+      index: current.index,
+      text: this.prompts[current.index],
+      responses,
+      scoreboard: this.getScoreboard()
+    });
+
+    const next = current.index + 1;
+    this.timer = setTimeout(() => (next < this.prompts.length ? this.openPrompt(next) : this.finish()), RESULTS_PAUSE_MS);
+  }
+
+  async finish() {
+    this.status = 'finished';
+    const scoreboard = this.getScoreboard();
+
+    try {
+      const { matchId, sessions } = await saveMatchResults(this, scoreboard);
+      this.emit('match-complete', { matchId, scoreboard, sessions });
+      logger.info(`Multiplayer match ${this.code} finished and saved as match ${matchId}`);
+    } catch (error) {
+      logger.error(`Failed to save multiplayer match ${this.code}:`, error);
+      this.emit('match-complete', { matchId: null, scoreboard, sessions: {}, message: 'The results could not be saved' });
+    } finally {
+      closeRoom(this);
+    }
+  }
+
+  cancel(reason) {
+    if (this.status === 'finished' || this.status === 'cancelled') return;
+    this.status = 'cancelled';
+    this.emit('match-cancelled', { reason });
+    logger.info(`Multiplayer match ${this.code} cancelled: ${reason}`);
+    closeRoom(this);
+  }
+
+  // Ranked by points, then by total response time; tied points share a placement
+  getScoreboard() {
+    const rows = [...this.players.values()].map(player => {
+      const answered = player.responses.filter(response => response.points !== undefined);
+      return {
+        userId: player.userId,
+        username: player.username,
+        points: player.points,
+        answered: answered.length,
+        firstAnswers: answered.filter(response => response.first).length,
+        averageResponseTime: answered.length > 0
+          ? Math.round(answered.reduce((sum, response) => sum + response.responseTime, 0) / answered.length)
+          : null,
+        connected: player.sockets.size > 0
+      };
+    });
+
+    rows.sort((a, b) => b.points - a.points || (a.averageResponseTime ?? Infinity) - (b.averageResponseTime ?? Infinity));
+    rows.forEach((row, index) => {
+      row.placement = index > 0 && row.points === rows[index - 1].points ? rows[index - 1].placement : index + 1;
+    });
+    return rows;
+  }
+
+  getState() {
+    return {
+      code: this.code,
+      status: this.status,
+      hostId: this.hostId,
+      settings: this.settings,
+      minPlayers: MIN_PLAYERS,
+      maxPlayers: MAX_PLAYERS,
+      players: [...this.players.values()].map(player => ({
+        userId: player.userId,
+        username: player.username,
+        connected: player.sockets.size > 0,
+        isHost: player.userId === this.hostId
+      })),
+      promptCount: this.prompts.length || this.settings.promptCount,
+      // Lets a reconnecting player pick up the prompt in progress
+      currentPrompt: this.status === 'playing' && this.current && !this.current.closed
+        ? {
+          index: this.current.index,
+          text: this.prompts[this.current.index],
+          startedAt: this.current.startedAt,
+          deadline: this.current.deadline
+        }
+        : null,
+      scoreboard: this.isActive() ? this.getScoreboard() : undefined
+    };
+  }
+}
+
+function closeRoom(room) {
+  clearTimeout(room.timer);
+  rooms.delete(room.code);
+  for (const userId of room.players.keys()) {
+    if (playerRooms.get(userId) === room.code) playerRooms.delete(userId);
+  }
+}
+
+const ensureNotInOtherRoom = (userId, code) => {
+  const current = playerRooms.get(String(userId));
+  if (current && current !== code) {
+    throw new MatchError('ALREADY_IN_ROOM', `You are already in room ${current}; leave it first`);
+  }
+};
+
+export const createRoom = (host, settings, socketId) => {
+  ensureNotInOtherRoom(host._id);
+  const room = new RapidFireRoom({ code: createCode(), host, settings: normalizeSettings(settings, host) });
+  rooms.set(room.code, room);
+  room.addSocket(host, socketId);
+  logger.info(`Multiplayer room ${room.code} created by ${host.username}`);
+  return room;
+};
+
+export const getRoom = (code) => {
+  const room = typeof code === 'string' ? rooms.get(code.trim().toUpperCase()) : undefined;
+  if (!room) throw new MatchError('ROOM_NOT_FOUND', 'No room with that code');
+  return room;
+};
+
+export const joinRoom = (code, user, socketId) => {
+  const room = getRoom(code);
+  ensureNotInOtherRoom(user._id, room.code);
+  room.addSocket(user, socketId);
+  return room;
+};
+
+export const getRoomForUser = (userId) => {
+  const code = playerRooms.get(String(userId));
+  return code ? rooms.get(code) : undefined;
+};
@@ -0,0 +1,135 @@
+// Rule-based filler-word and repetition detection.
+// Runs without any AI service so it is available even when the LLM-backed
+// analyzers fall back. Keep in sync with src/lib/fillerWords.ts on the client.
+
+// Per-language lexicons, keyed by the primary subtag of the practice language.
+// Phrases are matched as bigrams. Lists stay conservative: words that are just as
+// often doing grammatical work (Spanish "este", German "also") are left out.
+const FILLER_LEXICONS = {
+  en: {
+    phrases: ['you know', 'i mean', 'sort of', 'kind of'],
+    words: new Set([
+      'um', 'umm', 'uh', 'uhh', 'er', 'erm', 'ah', 'hmm', 'mm',
+      'basically', 'actually', 'literally', 'so', 'like'
+    ])
+  },
+  es: {
+    phrases: ['o sea', 'en plan', 'pues nada'],
+    words: new Set(['eh', 'ehm', 'em', 'emm', 'mm', 'mmm', 'digamos', 'osea'])
+  },
+  fr: {
+    phrases: ['en fait', 'du coup', 'tu vois', 'tu sais', 'enfin bref'],
+    words: new Set(['euh', 'heu', 'hum', 'bah', 'ben', 'genre', 'bref'])
+  },
+  de: {
+    phrases: ['na ja', 'weißt du', 'oder so'],
+    words: new Set(['äh', 'ähm', 'öhm', 'hm', 'hmm', 'halt', 'quasi', 'sozusagen', 'irgendwie', 'naja'])
+  }
+};
+
+const getLexicon = (language = 'en') => FILLER_LEXICONS[language.split('-')[0].toLowerCase()] || FILLER_LEXICONS.en;
+
+// English "like" and "so" are only fillers when they are not doing grammatical work
+const LIKE_GRAMMATICAL_PREDECESSORS = new Set([
+  'is', 'are', 'was', 'were', 'be', 'been', 'am', 'being', 'not', 'would', 'i', 'you',
+  'we', 'they', 'do', 'does', 'did', 'dont', 'didnt', 'look', 'looks', 'looked',
+  'feel', 'feels', 'felt', 'sound', 'sounds', 'seem', 'seems', 'just', 'much', 'more'
+]);
+
+const SO_GRAMMATICAL_SUCCESSORS = new Set([
+  'much', 'many', 'far', 'that', 'good', 'bad', 'long', 'few', 'little'
+]);
+
+export const tokenize = (text = '') =>
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+    .replace(/'/g, '')
+    .split(/\s+/)
+    .filter(Boolean);
+
+const isFillerToken = (tokens, index, lexicon) => {
+  const word = tokens[index];
+  if (!lexicon.words.has(word)) return false;
+
+  if (word === 'like') {
+    const previous = tokens[index - 1];
+    return !previous || !LIKE_GRAMMATICAL_PREDECESSORS.has(previous);
+  }
+
+  if (word === 'so') {
+    const next = tokens[index + 1];
+    return index === 0 && (!next || !SO_GRAMMATICAL_SUCCESSORS.has(next));
+  }
+
+  return true;
+};
+
+export const detectFillers = (text, language) => {
+  const lexicon = getLexicon(language);
+  const tokens = tokenize(text);
+  const occurrences = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const bigram = tokens[i + 1] ? `${tokens[i]} ${tokens[i + 1]}` : '';
+
+    if (bigram && lexicon.phrases.includes(bigram)) {
+      occurrences.push({ word: bigram, type: 'filler', index: i });
+      i += 1;
+      continue;
+    }
+
+    if (isFillerToken(tokens, i, lexicon)) {
+      occurrences.push({ word: tokens[i], type: 'filler', index: i });
+      continue;
+    }
+
+    if (i > 0 && tokens[i] === tokens[i - 1]) {
+      occurrences.push({ word: tokens[i], type: 'repetition', index: i });
+    }
+  }
+
+  return { occurrences, wordCount: tokens.length };
+};
+
+// Summarise filler usage across transcript segments ({ text, start, end } in ms from session start)
+export const analyzeFillerUsage = (segments = [], language) => {
+  const counts = {};
+  const occurrences = [];
+  let totalWords = 0;
+  let totalFillers = 0;
+  let repetitions = 0;
+
+  for (const segment of segments) {
+    const { occurrences: found, wordCount } = detectFillers(segment.text, language);
+    totalWords += wordCount;
+
+    for (const occurrence of found) {
+      // Spread occurrences across the segment by word position
+      const span = Math.max(0, (segment.end || 0) - (segment.start || 0));
+      const timestamp = Math.round((segment.start || 0) + (wordCount > 0 ? span * (occurrence.index / wordCount) : 0));
+
+      occurrences.push({ word: occurrence.word, type: occurrence.type, timestamp });
+      if (occurrence.type === 'filler') {
+        totalFillers += 1;
+        counts[occurrence.word] = (counts[occurrence.word] || 0) + 1;
+      } else {
+        repetitions += 1;
+      }
+    }
+  }
+
+  const speakingMs = segments.length > 0
+    ? Math.max(...segments.map(s => s.end || 0)) - Math.min(...segments.map(s => s.start || 0))
+    : 0;
+
+  return {
+    total: totalFillers,
+    repetitions,
+    rate: totalWords > 0 ? Math.round((totalFillers / totalWords) * 1000) / 10 : 0, // per 100 words
+    perMinute: speakingMs > 0 ? Math.round((totalFillers / (speakingMs / 60000)) * 10) / 10 : 0,
+    totalWords,
+    counts,
+    occurrences
+  };
+};
@@ -0,0 +1,59 @@
+// Speaking-pace (words per minute) analysis over timed transcript segments.
+// Target bands are keyed by session difficulty. Keep in sync with src/lib/pace.ts on the client.
+
+import { tokenize } from './fillerDetection.js';
+
+export const PACE_BANDS = {
+  beginner: { min: 110, max: 150 },
+  intermediate: { min: 120, max: 160 },
+  advanced: { min: 130, max: 170 },
+  expert: { min: 140, max: 180 }
+};
+
+// Segments shorter than this give meaningless per-segment rates
+const MIN_SEGMENT_MS = 1000;
+
+export const getPaceBand = (difficulty) => PACE_BANDS[difficulty] || PACE_BANDS.beginner;
+
+const toWordsPerMinute = (words, ms) => Math.round(words / (ms / 60000));
+
+export const analyzePace = (segments = [], difficulty = 'beginner') => {
+  const band = getPaceBand(difficulty);
+
+  const timed = segments
+    .map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      words: tokenize(segment.text).length
+    }))
+    .filter(segment => segment.end - segment.start >= MIN_SEGMENT_MS && segment.words > 0)
+    .map(segment => ({
+      ...segment,
+      wpm: toWordsPerMinute(segment.words, segment.end - segment.start)
+    }));
+
+  if (timed.length === 0) {
+    return {
+      wordsPerMinute: 0,
+      targetMin: band.min,
+      targetMax: band.max,
+      inBandPercent: 0,
+      segments: []
+    };
+  }
+
+  // Average over time actually spent speaking, so pauses between answers don't drag it down
+  const speakingMs = timed.reduce((sum, s) => sum + (s.end - s.start), 0);
+  const totalWords = timed.reduce((sum, s) => sum + s.words, 0);
+  const inBandMs = timed
+    .filter(s => s.wpm >= band.min && s.wpm <= band.max)
+    .reduce((sum, s) => sum + (s.end - s.start), 0);
+
+  return {
+    wordsPerMinute: toWordsPerMinute(totalWords, speakingMs),
+    targetMin: band.min,
+    targetMax: band.max,
+    inBandPercent: Math.round((inBandMs / speakingMs) * 100),
+    segments: timed
+  };
+};
@@ -0,0 +1,33 @@
+// Helpers for turning word-timed transcripts into the segment shape analyzers consume
+
+// A silence longer than this between words starts a new segment
+const SEGMENT_GAP_MS = 700;
+
+export const buildSegmentsFromWords = (words = [], gapMs = SEGMENT_GAP_MS) => {
+  const segments = [];
+
+  for (const word of words) {
+    const current = segments[segments.length - 1];
+    if (current && word.start - current.end <= gapMs) {
+      current.text += ` ${word.word}`;
+      current.end = word.end;
+    } else {
+      segments.push({ text: word.word, start: word.start, end: word.end });
+    }
+  }
+
+  return segments;
+};
+
+// Speaking time in whole seconds. Transcript times run from when the player started
+// speaking, so the end of the last segment is the measured duration; the client's own
+// figure is only used without a transcript. Either way it is capped at the session's age.
+export const measureSpeakingDuration = (gameSession, claimedSeconds) => {
+  const segments = gameSession.transcript?.segments || [];
+  const lastEnd = segments.reduce((latest, segment) => Math.max(latest, Number(segment.end) || 0), 0);
+  const seconds = lastEnd > 0 ? lastEnd / 1000 : Math.max(0, Number(claimedSeconds) || 0);
+
+  const startTime = gameSession.sessionData?.startTime;
+  const sessionAge = startTime ? Math.max(0, (Date.now() - new Date(startTime).getTime()) / 1000) : Infinity;
+  return Math.round(Math.min(seconds, sessionAge));
+};
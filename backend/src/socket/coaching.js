@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import GameSession from '../models/GameSession.js';
+import { logger } from '../utils/logger.js';
+import {
+  startLiveCoaching,
+  getLiveCoaching,
+  stopLiveCoaching,
+  validateTranscriptChunk
+} from '../services/analysis/liveCoaching.js';
+
+// Live coaching events. Every handler takes an optional acknowledgement callback
+// and answers it like the REST API: { success, message, data }.
+
+const reply = (ack, body) => {
+  if (typeof ack === 'function') ack(body);
+};
+
+const INVALID_PAYLOAD = { success: false, message: 'The request must be an object' };
+
+// Payloads are checked inside each handler, so a null or non-object payload is
+// refused instead of throwing inside Socket.IO's dispatch
+const isPayload = (payload) => payload !== null && typeof payload === 'object' && !Array.isArray(payload);
+
+export const registerCoachingHandlers = (socket) => {
+  // Game sessions this socket is streaming, stopped when it disconnects
+  const coached = new Set();
+
+  // 'start-coaching' { sessionId, topic? }: the signed-in owner of an active
+  // session joins its room and starts receiving coaching events
+  socket.on('start-coaching', async (payload, ack) => {
+    try {
+      if (!isPayload(payload)) return reply(ack, INVALID_PAYLOAD);
+      const { sessionId, topic } = payload;
+      const user = socket.data.user;
+      if (!mongoose.isValidObjectId(sessionId)) {
+        return reply(ack, { success: false, message: 'Invalid session id' });
+      }
+      if (topic !== undefined && (typeof topic !== 'string' || topic.length > 200)) {
+        return reply(ack, { success: false, message: 'Topic must be a string of at most 200 characters' });
+      }
+
+      const gameSession = await GameSession.findOne({ _id: sessionId, userId: user._id });
+      if (!gameSession) {
+        return reply(ack, { success: false, message: 'Game session not found' });
+      }
+      if (gameSession.sessionData.endTime) {
+        return reply(ack, { success: false, message: 'Game session has already ended' });
+      }
+
+      const coaching = startLiveCoaching(gameSession, { topic });
+      socket.join(String(gameSession._id));
+      coached.add(String(gameSession._id));
+
+      reply(ack, { success: true, message: 'Live coaching started', data: coaching.getSummary() });
+    } catch (error) {
+      logger.error('Failed to start live coaching:', error);
+      reply(ack, { success: false, message: 'Failed to start live coaching' });
+    }
+  });
+
+  // 'transcript-chunk' { sessionId, text, start, end, topic? }
+  socket.on('transcript-chunk', (chunk, ack) => {
+    try {
+      if (!isPayload(chunk)) return reply(ack, INVALID_PAYLOAD);
+
+      const sessionId = String(chunk.sessionId);
+      const coaching = getLiveCoaching(sessionId);
+      if (!coached.has(sessionId) || !coaching) {
+        return reply(ack, { success: false, message: 'Live coaching is not running for this session' });
+      }
+
+      const error = validateTranscriptChunk(chunk);
+      if (error) {
+        return reply(ack, { success: false, message: error });
+      }
+
+      coaching.addChunk(chunk);
+      reply(ack, { success: true });
+    } catch (error) {
+      logger.error('Failed to add a live coaching chunk:', error);
+      reply(ack, { success: false, message: 'Failed to add the transcript chunk' });
+    }
+  });
+
+  // 'stop-coaching' { sessionId }: the summary comes back in the acknowledgement
+  socket.on('stop-coaching', (payload, ack) => {
+    try {
+      if (!isPayload(payload)) return reply(ack, INVALID_PAYLOAD);
+
+      const { sessionId } = payload;
+      if (!coached.delete(String(sessionId))) {
+        return reply(ack, { success: false, message: 'Live coaching is not running for this session' });
+      }
+      reply(ack, { success: true, message: 'Live coaching stopped', data: stopLiveCoaching(sessionId) });
+    } catch (error) {
+      logger.error('Failed to stop live coaching:', error);
+      reply(ack, { success: false, message: 'Failed to stop live coaching' });
+    }
+  });
+
+  socket.on('disconnect', () => {
+    for (const sessionId of coached) stopLiveCoaching(sessionId);
+  });
+};
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import GameSession from '../models/GameSession.js';
+import { logger } from '../utils/logger.js';
+import { socketAuthMiddleware } from '../middleware/auth.js';
+import { userRoom } from '../config/socket.js';
+import { trackConnection, untrackConnection } from './presence.js';
+import { registerCoachingHandlers } from './coaching.js';
+import { registerMultiplayerHandlers } from './multiplayer.js';
+
+// Socket.IO event handlers; the server itself is created in server.js.
+// Only authenticated users connect (see socketAuthMiddleware).
+
+// A refused join is answered through the acknowledgement, when the client
+// passed one, and always as a 'join-error' event: { success, code, message, room }
+const rejectJoin = (socket, ack, room, code, message) => {
+  const error = { success: false, code, message, room };
+  logger.warn(`User ${socket.data.user.username} could not join game ${room}: ${code}`);
+  socket.emit('join-error', error);
+  if (typeof ack === 'function') ack(error);
+};
+
+const joinGame = async (socket, sessionId, ack) => {
+  const room = String(sessionId);
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return rejectJoin(socket, ack, room, 'INVALID_SESSION_ID', 'Invalid session id');
+  }
+
+  const gameSession = await GameSession.findById(sessionId).select('userId invitedUsers');
+  if (!gameSession) {
+    return rejectJoin(socket, ack, room, 'SESSION_NOT_FOUND', 'Game session not found');
+  }
+  if (!gameSession.isAccessibleBy(socket.data.user._id)) {
+    return rejectJoin(socket, ack, room, 'FORBIDDEN', 'You are not the owner of this game session and were not invited to it');
+  }
+
+  socket.join(room);
+  logger.info(`User ${socket.data.user.username} joined game ${room}`);
+  if (typeof ack === 'function') ack({ success: true, room });
+};
+
+export const registerSocketHandlers = (io) => {
+  io.use(socketAuthMiddleware);
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    logger.info(`User connected: ${socket.id} (${user.username})`);
+
+    trackConnection(socket);
+    socket.join(userRoom(user._id));
+
+    // 'join-game' sessionId: follow a game session owned by or shared with the user
+    socket.on('join-game', (sessionId, ack) => {
+      joinGame(socket, sessionId, ack).catch(error => {
+        logger.error(`Failed to join game ${sessionId}:`, error);
+        rejectJoin(socket, ack, String(sessionId), 'SERVER_ERROR', 'Could not join the game session');
+      });
+    });
+
+    socket.on('leave-game', (sessionId) => {
+      socket.leave(String(sessionId));
+      logger.info(`User ${user.username} left game ${sessionId}`);
+    });
+
+    registerCoachingHandlers(socket);
+    registerMultiplayerHandlers(socket);
+
+    socket.on('disconnect', () => {
+      untrackConnection(socket);
+      logger.info(`User disconnected: ${socket.id} (${user.username})`);
+    });
+  });
+};
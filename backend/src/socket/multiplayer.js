@@ -0,0 +1,116 @@
+import { logger } from '../utils/logger.js';
+import {
+  MatchError,
+  createRoom,
+  joinRoom,
+  getRoom,
+  getRoomForUser
+} from '../services/multiplayer/rapidFireRoom.js';
+
+// Multiplayer Rapid Fire rooms. Acknowledgements are { success, data } or, for a
+// refused action, { success: false, code, message }; refusals are also emitted
+// to the socket as 'room-error'. Everything else arrives as room events, see
+// services/multiplayer/rapidFireRoom.js.
+
+const reply = (ack, body) => {
+  if (typeof ack === 'function') ack(body);
+};
+
+const refuse = (socket, ack, action, error) => {
+  const known = error instanceof MatchError;
+  if (!known) logger.error(`Multiplayer ${action} failed:`, error);
+
+  const body = {
+    success: false,
+    code: known ? error.code : 'SERVER_ERROR',
+    message: known ? error.message : `Could not ${action}`
+  };
+  socket.emit('room-error', { action, ...body });
+  reply(ack, body);
+};
+
+// Payloads are read inside each handler's try, so a null or non-object payload is
+// refused instead of throwing inside Socket.IO's dispatch
+const readPayload = (payload) => {
+  if (payload === undefined) return {};
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new MatchError('INVALID_PAYLOAD', 'The request must be an object');
+  }
+  return payload;
+};
+
+// The room the socket's user is in, checked against the code the client sent
+const getOwnRoom = (socket, code) => {
+  const room = getRoom(code);
+  if (!room.players.has(String(socket.data.user._id))) {
+    throw new MatchError('NOT_IN_ROOM', 'You are not a player in this room');
+  }
+  return room;
+};
+
+export const registerMultiplayerHandlers = (socket) => {
+  const { user } = socket.data;
+
+  // 'create-room' { promptCount?, responseWindowMs?, difficulty?, language?, theme? }
+  socket.on('create-room', (payload, ack) => {
+    try {
+      const room = createRoom(user, readPayload(payload), socket.id);
+      socket.join(room.channel);
+      reply(ack, { success: true, data: room.getState() });
+    } catch (error) {
+      refuse(socket, ack, 'create the room', error);
+    }
+  });
+
+  // 'join-room' { code }: also how a player gets back into a match after reconnecting
+  socket.on('join-room', (payload, ack) => {
+    try {
+      const { code } = readPayload(payload);
+      const room = joinRoom(code, user, socket.id);
+      socket.join(room.channel);
+      reply(ack, { success: true, data: room.getState() });
+    } catch (error) {
+      refuse(socket, ack, 'join the room', error);
+    }
+  });
+
+  socket.on('leave-room', (payload, ack) => {
+    try {
+      const { code } = readPayload(payload);
+      const room = getOwnRoom(socket, code);
+      socket.leave(room.channel);
+      room.removePlayer(user._id);
+      reply(ack, { success: true });
+    } catch (error) {
+      refuse(socket, ack, 'leave the room', error);
+    }
+  });
+
+  // 'start-match' { code }: host only, with at least two connected players
+  socket.on('start-match', async (payload, ack) => {
+    try {
+      const { code } = readPayload(payload);
+      const room = getOwnRoom(socket, code);
+      await room.start(user._id);
+      reply(ack, { success: true, data: room.getState() });
+    } catch (error) {
+      refuse(socket, ack, 'start the match', error);
+    }
+  });
+
+  // 'submit-response' { code, promptIndex, text }: timed on arrival by the server
+  socket.on('submit-response', async (payload, ack) => {
+    try {
+      const { code, promptIndex, text } = readPayload(payload);
+      const room = getOwnRoom(socket, code);
+      const response = await room.submitResponse(user._id, { promptIndex, text });
+      reply(ack, { success: true, data: response });
+    } catch (error) {
+      refuse(socket, ack, 'submit the response', error);
+    }
+  });
+
+  socket.on('disconnect', () => {
+    getRoomForUser(user._id)?.removeSocket(user._id, socket.id);
+  });
+};
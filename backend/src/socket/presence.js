@@ -0,0 +1,28 @@
+// Which users are connected right now, and with how many sockets. In memory, so
+// with several server instances each one only knows its own connections.
+
+// userId -> { userId, username, sockets: Set of socket ids, connectedAt }
+const connections = new Map();
+
+export const trackConnection = (socket) => {
+  const { _id, username } = socket.data.user;
+  const userId = String(_id);
+  const entry = connections.get(userId) || { userId, username, sockets: new Set(), connectedAt: new Date() };
+  entry.sockets.add(socket.id);
+  connections.set(userId, entry);
+};
+
+export const untrackConnection = (socket) => {
+  const userId = String(socket.data.user._id);
+  const entry = connections.get(userId);
+  if (!entry) return;
+  entry.sockets.delete(socket.id);
+  if (entry.sockets.size === 0) connections.delete(userId);
+};
+
+export const isUserConnected = (userId) => connections.has(String(userId));
+
+export const getConnectedUsers = () =>
+  [...connections.values()]
+    .sort((a, b) => a.connectedAt - b.connectedAt)
+    .map(({ sockets, ...entry }) => ({ ...entry, sockets: sockets.size }));
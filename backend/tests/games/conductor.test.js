@@ -0,0 +1,34 @@
+import GameSession from '../../src/models/GameSession.js';
+import conductor from '../../src/games/conductor.js';
+
+const createSession = () => new GameSession({
+  userId: '65a000000000000000000001',
+  gameType: 'conductor',
+  sessionData: { startTime: new Date() }
+});
+
+const applyResults = (data) => {
+  const session = createSession();
+  conductor.applyResults(session, data);
+  return session.gameSpecificData.conductor;
+};
+
+describe('conductor.applyResults', () => {
+  it('keeps at most one energy sample a second of the longest session', () => {
+    const energyTrace = Array.from({ length: 5000 }, (_, second) => ({ second, level: 5, target: 5 }));
+
+    expect(applyResults({ energyTrace }).energyTrace).toHaveLength(300);
+  });
+
+  it('caps the energy transitions the analysis scores one by one', () => {
+    const energyTransitions = Array.from({ length: 5000 }, () => ({ fromLevel: 2, toLevel: 8, transitionTime: 900, success: true }));
+
+    expect(applyResults({ energyTransitions }).energyTransitions).toHaveLength(100);
+  });
+
+  it('caps the breathe cues the analysis scores one by one', () => {
+    const breatheCues = Array.from({ length: 5000 }, () => ({ timestamp: new Date().toISOString(), followed: true, responseTime: 800 }));
+
+    expect(applyResults({ breatheCues }).breatheCues).toHaveLength(40);
+  });
+});
@@ -0,0 +1,37 @@
+import GameSession from '../../src/models/GameSession.js';
+import elevatorPitch from '../../src/games/elevatorPitch.js';
+import { SpeechAnalysisService } from '../../src/services/ai/speechAnalysis.js';
+
+// The client only needs a key to be built; its requests are replaced with failures below
+process.env.OPENAI_API_KEY ||= 'test-key';
+
+// A finished pitch with its key points, as the end-session route stores it
+const createSession = () => {
+  const session = new GameSession({
+    userId: '65a000000000000000000001',
+    gameType: 'elevatorPitch',
+    sessionData: { startTime: new Date(Date.now() - 60 * 1000), language: 'en' },
+    transcript: {
+      segments: [{ text: 'SpeakAce makes public speaking practice a daily habit with instant feedback.', start: 0, end: 55000 }],
+      fullText: 'SpeakAce makes public speaking practice a daily habit with instant feedback.'
+    }
+  });
+  elevatorPitch.applyResults(session, { title: 'SpeakAce', duration: 60, keyPoints: ['public speaking practice', 'instant feedback'] });
+  session.calculatePerformance();
+  return session;
+};
+
+describe('elevatorPitch.analyze', () => {
+  it('still scores the pitch when the speech quality request fails', async () => {
+    const speechAnalysisService = new SpeechAnalysisService();
+    speechAnalysisService.llm = { provider: 'fake', chat: async () => { throw new Error('Provider unavailable'); } };
+    const session = createSession();
+
+    const analysis = await elevatorPitch.analyze(session, { speechAnalysisService });
+
+    expect(analysis.source).toBe('fallback');
+    expect(analysis.speechClarity).toEqual(expect.any(Number));
+    expect(analysis.overallRating).toEqual(expect.any(Number));
+    expect(session.gameSpecificData.elevatorPitch.clarity).toBe(analysis.speechClarity);
+  });
+});
@@ -0,0 +1,130 @@
+import GameSession from '../../src/models/GameSession.js';
+import { calculatePerformanceScore, GAME_TYPES, getGame, listGames } from '../../src/games/index.js';
+
+const USER_ID = '65a000000000000000000001';
+
+// A session started five minutes ago with the given transcript, as the end-session route builds it
+const createSession = (gameType, segments = []) => new GameSession({
+  userId: USER_ID,
+  gameType,
+  sessionData: { startTime: new Date(Date.now() - 5 * 60 * 1000) },
+  transcript: { segments, fullText: segments.map(segment => segment.text).join(' ') }
+});
+
+// Store the client's data and score the session the way the end-session route does
+const endSession = (gameType, data, segments) => {
+  const session = createSession(gameType, segments);
+  getGame(gameType).applyResults(session, data);
+  session.calculatePerformance();
+  return session;
+};
+
+const speech = (text, start, end) => ({ text, start, end });
+
+// End-of-session data for every game, with the score each should get
+const RESULTS = {
+  rapidFire: {
+    data: { totalPrompts: 10, completedResponses: 8, responseTime: 2500 },
+    score: 80
+  },
+  conductor: {
+    data: {
+      topic: 'Climate action',
+      energyTrace: [{ second: 0, level: 5, target: 5 }, { second: 1, level: 6, target: 5 }]
+    },
+    score: 90
+  },
+  tripleStep: {
+    data: { topic: 'Travel', wordsAttempted: 3, successfulIntegrations: 2, words: [{ word: 'anchor', success: true }] },
+    score: 67
+  },
+  impromptu: {
+    data: { question: 'What makes a good leader?', speakingDuration: 300 },
+    segments: [speech('A good leader listens first.', 0, 45000), speech('Then they decide.', 45000, 90000)],
+    score: 100
+  },
+  elevatorPitch: {
+    data: { title: 'SpeakAce', duration: 60, keyPoints: ['public speaking practice', 'instant feedback'] },
+    segments: [speech('SpeakAce makes public speaking practice a daily habit with instant feedback.', 0, 55000)],
+    score: 100
+  },
+  audienceQA: {
+    data: {
+      topic: 'Remote work',
+      answers: [
+        { question: 'Does it hurt culture?', tone: 'skeptical', answer: 'No, we meet every quarter.', responseTime: 1200 },
+        { question: 'What about juniors?', tone: 'friendly', answer: '' }
+      ]
+    },
+    score: 50
+  },
+  storytelling: {
+    data: { prompt: 'A journey that went wrong', storyDuration: 120, speakingDuration: 10 },
+    segments: [speech('It started on a rainy Tuesday.', 0, 60000), speech('And it ended at sea.', 60000, 110000)],
+    score: 100
+  },
+  debate: {
+    data: { motion: 'Homework should be banned', sideDuration: 60, switchAt: 60000 },
+    segments: [speech('Homework takes time from play.', 0, 50000), speech('Homework builds discipline.', 61000, 110000)],
+    score: 100
+  }
+};
+
+describe('game registry', () => {
+  it('registers every game with its hooks', () => {
+    expect(GAME_TYPES).toEqual(Object.keys(RESULTS));
+    expect(listGames().map(game => game.id)).toEqual(GAME_TYPES);
+    for (const gameType of GAME_TYPES) {
+      expect(getGame(gameType)).toMatchObject({
+        applyResults: expect.any(Function),
+        calculatePerformance: expect.any(Function)
+      });
+    }
+  });
+
+  it('returns undefined for an unknown game', () => {
+    expect(getGame('chess')).toBeUndefined();
+  });
+
+  describe.each(GAME_TYPES)('%s', (gameType) => {
+    const { data, segments, score } = RESULTS[gameType];
+
+    it('sets a score from the results', () => {
+      expect(endSession(gameType, data, segments).performance.score).toBe(score);
+    });
+
+    it('overrides the score the client sent', () => {
+      const session = createSession(gameType, segments);
+      session.performance.score = 1;
+      getGame(gameType).applyResults(session, data);
+      session.calculatePerformance();
+      expect(session.performance.score).toBe(score);
+    });
+
+    it('scores zero for empty results', () => {
+      expect(endSession(gameType, {}).performance.score).toBe(0);
+    });
+  });
+
+  it('measures speaking time from the transcript, not the client', () => {
+    expect(endSession('impromptu', RESULTS.impromptu.data, RESULTS.impromptu.segments)
+      .gameSpecificData.impromptu.speakingDuration).toBe(90);
+    expect(endSession('storytelling', RESULTS.storytelling.data, RESULTS.storytelling.segments)
+      .gameSpecificData.storytelling.speakingDuration).toBe(110);
+  });
+
+  it('keeps the scores computed from fields the session schema stores', () => {
+    const session = endSession('rapidFire', RESULTS.rapidFire.data);
+    expect(session.gameSpecificData.rapidFire).toMatchObject({ totalPrompts: 10, completedResponses: 8 });
+  });
+});
+
+describe('calculatePerformanceScore', () => {
+  it('weights the fields of games with score weights', () => {
+    expect(calculatePerformanceScore('conductor', { accuracy: 50, energyConsistency: 100 })).toBe(80);
+  });
+
+  it('uses the accuracy for games without weights', () => {
+    expect(calculatePerformanceScore('debate', { accuracy: 70 })).toBe(70);
+  });
+});
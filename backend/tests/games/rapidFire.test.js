@@ -0,0 +1,58 @@
+import GameSession from '../../src/models/GameSession.js';
+import rapidFire from '../../src/games/rapidFire.js';
+
+// Services that score every answer 80 and record how often they were called
+const createServices = () => {
+  const calls = { coherence: 0, responses: 0 };
+  return {
+    calls,
+    coherenceAnalysisService: {
+      analyzeRapidFireCoherence: async () => {
+        calls.coherence++;
+        return { overallCoherence: 70, strengths: ['Quick'], improvements: ['Vary'], source: 'model' };
+      }
+    },
+    speechAnalysisService: {
+      analyzeRapidFireResponse: async () => {
+        calls.responses++;
+        return { overallQuality: 80, source: 'model' };
+      }
+    }
+  };
+};
+
+// A multiplayer session as matchResults.js saves it
+const createSession = (answers) => new GameSession({
+  userId: '65a000000000000000000001',
+  gameType: 'rapidFire',
+  sessionData: { startTime: new Date() },
+  gameSpecificData: {
+    rapidFire: {
+      prompts: answers.map((answer, index) => ({ text: `Prompt ${index}`, responseTime: 2000, userResponse: answer }))
+    }
+  }
+});
+
+describe('rapidFire.analyze', () => {
+  it('scores a player who answered nothing without calling the model', async () => {
+    const session = createSession(['', '', '  ']);
+    const services = createServices();
+
+    const analysis = await rapidFire.analyze(session, services);
+
+    expect(analysis.overallRating).toBe(0);
+    expect(services.calls).toEqual({ coherence: 0, responses: 0 });
+
+    session.aiAnalysis = { ...analysis, status: 'complete' };
+    expect(session.validateSync()).toBeUndefined();
+  });
+
+  it('averages only the answered prompts', async () => {
+    const services = createServices();
+
+    const analysis = await rapidFire.analyze(createSession(['like a river', '', 'as a map']), services);
+
+    expect(analysis.overallRating).toBe(80);
+    expect(services.calls.responses).toBe(2);
+  });
+});
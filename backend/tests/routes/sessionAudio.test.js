@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import GameSession from '../../src/models/GameSession.js';
+import gameRoutes from '../../src/routes/games.js';
+import { userAudioDir } from '../../src/middleware/upload.js';
+
+const OWNER_ID = '65a000000000000000000001';
+const SESSION_ID = '65a0000000000000000000aa';
+const FILE_NAME = `${SESSION_ID}-test.webm`;
+
+// The games router behind a stand-in for authMiddleware
+const createApp = (userId) => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { _id: userId, username: 'ada' };
+    next();
+  });
+  app.use('/api/games', gameRoutes);
+  return app;
+};
+
+// findOne filters by owner, so a stored session is only found for its owner
+const mockSession = (audioRecording) => {
+  jest.spyOn(GameSession, 'findOne').mockImplementation(({ userId }) => ({
+    select: async () => (String(userId) === OWNER_ID ? { _id: SESSION_ID, audioRecording } : null)
+  }));
+};
+
+describe('GET /api/games/sessions/:sessionId/audio', () => {
+  const filePath = path.join(userAudioDir(OWNER_ID), FILE_NAME);
+
+  beforeAll(() => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, 'webm-bytes');
+  });
+
+  afterAll(() => {
+    fs.rmSync(userAudioDir(OWNER_ID), { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('streams the recording to its owner', async () => {
+    mockSession({ url: `/uploads/audio/${OWNER_ID}/${FILE_NAME}`, format: 'audio/webm' });
+
+    const response = await request(createApp(OWNER_ID)).get(`/api/games/sessions/${SESSION_ID}/audio`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^audio\/webm/);
+    expect(response.headers['cache-control']).toBe('private, no-store');
+    expect(Buffer.from(response.body).toString()).toBe('webm-bytes');
+  });
+
+  it('does not stream another user\'s recording', async () => {
+    mockSession({ url: `/uploads/audio/${OWNER_ID}/${FILE_NAME}`, format: 'audio/webm' });
+
+    const response = await request(createApp('65a000000000000000000002')).get(`/api/games/sessions/${SESSION_ID}/audio`);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('refuses a stored URL outside the owner\'s directory', async () => {
+    mockSession({ url: '/uploads/audio/65a000000000000000000002/other.webm', format: 'audio/webm' });
+
+    const response = await request(createApp(OWNER_ID)).get(`/api/games/sessions/${SESSION_ID}/audio`);
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import {
+  createCacheKey,
+  markUncacheable,
+  responseCache,
+  withResponseCache
+} from '../../../../src/services/ai/cache/responseCache.js';
+import { CACHE_POLICIES } from '../../../../src/services/ai/cache/policies.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const call = { service: 'speechAnalysis', method: 'analyzeSpeechQuality', model: 'openai:gpt-4', promptVersion: 'v1' };
+
+// Each test uses its own service name so the shared cache and its stats start clean
+let testCount = 0;
+const nextService = () => `test${++testCount}`;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createCacheKey', () => {
+  it('hashes equivalent arguments the same', () => {
+    const a = createCacheKey({ ...call, args: ['  Hello   world ', { b: 1, a: 2 }] });
+    const b = createCacheKey({ ...call, args: ['Hello world', { a: 2, b: 1, c: undefined }, undefined] });
+    expect(a).toBe(b);
+    expect(a).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('serializes dates by their time', () => {
+    expect(createCacheKey({ ...call, args: [new Date('2024-01-01T00:00:00Z')] }))
+      .toBe(createCacheKey({ ...call, args: ['2024-01-01T00:00:00.000Z'] }));
+  });
+
+  it('keeps a missing argument in the middle distinct from a shorter call', () => {
+    expect(createCacheKey({ ...call, args: ['a', undefined, 'b'] }))
+      .not.toBe(createCacheKey({ ...call, args: ['a', 'b'] }));
+  });
+
+  it.each(['service', 'method', 'model', 'promptVersion'])('changes with the %s', (field) => {
+    expect(createCacheKey({ ...call, [field]: 'other', args: ['text'] }))
+      .not.toBe(createCacheKey({ ...call, args: ['text'] }));
+  });
+});
+
+describe('responseCache.wrap', () => {
+  it('calls the model once and serves copies from memory', async () => {
+    const service = nextService();
+    const fn = jest.fn(async () => ({ score: 80 }));
+    const options = { ...call, service, ttl: HOUR, args: ['text'] };
+
+    const first = await responseCache.wrap(options, fn);
+    first.score = 0;
+    const second = await responseCache.wrap(options, fn);
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(second).toEqual({ score: 80 });
+    expect(responseCache.getStats().methods[`${service}.analyzeSpeechQuality`]).toMatchObject({ hits: 1, misses: 1, stored: 1 });
+  });
+
+  it('calls the model again once the TTL has passed', async () => {
+    const fn = jest.fn(async () => ({ score: 80 }));
+    const options = { ...call, service: nextService(), ttl: HOUR, args: ['text'] };
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await responseCache.wrap(options, fn);
+    clock.mockReturnValue(now + HOUR - 1);
+    await responseCache.wrap(options, fn);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    clock.mockReturnValue(now + HOUR);
+    await responseCache.wrap(options, fn);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('shares one model request between identical calls in flight', async () => {
+    const service = nextService();
+    let resolve;
+    const fn = jest.fn(() => new Promise(r => { resolve = r; }));
+    const options = { ...call, service, ttl: HOUR, args: ['text'] };
+
+    const pending = [responseCache.wrap(options, fn), responseCache.wrap(options, fn)];
+    await new Promise(setImmediate);
+    resolve({ score: 70 });
+
+    expect(await Promise.all(pending)).toEqual([{ score: 70 }, { score: 70 }]);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(responseCache.getStats().methods[`${service}.analyzeSpeechQuality`].deduplicated).toBe(1);
+  });
+
+  it('returns but never caches a fallback', async () => {
+    const fn = jest.fn(async () => {
+      markUncacheable();
+      return { score: 50, source: 'fallback' };
+    });
+    const options = { ...call, service: nextService(), ttl: HOUR, args: ['text'] };
+
+    expect(await responseCache.wrap(options, fn)).toEqual({ score: 50, source: 'fallback' });
+    await responseCache.wrap(options, fn);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('withResponseCache', () => {
+  // A service with every method the speechAnalysis policy caches, plus one it doesn't
+  const createService = () => ({
+    llm: { provider: 'openai', model: 'gpt-4' },
+    ...Object.fromEntries(Object.keys(CACHE_POLICIES.speechAnalysis).map(method => [method, jest.fn(async () => ({ score: 80 }))])),
+    testConnection: jest.fn(async () => true)
+  });
+
+  it('caches the methods in the policy with their TTL', async () => {
+    const instance = withResponseCache(createService(), 'speechAnalysis');
+    const wrap = jest.spyOn(responseCache, 'wrap');
+
+    await instance.analyzeSpeechQuality('A transcript only this test uses');
+
+    expect(wrap).toHaveBeenCalledWith(expect.objectContaining({
+      service: 'speechAnalysis',
+      method: 'analyzeSpeechQuality',
+      model: 'openai:gpt-4',
+      ttl: CACHE_POLICIES.speechAnalysis.analyzeSpeechQuality
+    }), expect.any(Function));
+  });
+
+  it('leaves methods outside the policy uncached', async () => {
+    const service = createService();
+    const testConnection = service.testConnection;
+    expect(withResponseCache(service, 'speechAnalysis').testConnection).toBe(testConnection);
+  });
+
+  it('leaves services without a policy untouched', () => {
+    const service = createService();
+    const analyze = service.analyzeSpeechQuality;
+    expect(withResponseCache(service, 'unknownService').analyzeSpeechQuality).toBe(analyze);
+  });
+});
+
+describe('CACHE_POLICIES', () => {
+  it('rotates generated prompts within the day and keeps analyses for a day', () => {
+    expect(Object.values(CACHE_POLICIES.promptGeneration).every(ttl => ttl <= HOUR)).toBe(true);
+    expect(CACHE_POLICIES.speechAnalysis.analyzeSpeechQuality).toBe(DAY);
+  });
+
+  it('keeps personalized feedback short-lived', () => {
+    expect(Object.values(CACHE_POLICIES.feedback).every(ttl => ttl < HOUR)).toBe(true);
+  });
+});
@@ -0,0 +1,19 @@
+import { CoherenceAnalysisService } from '../../../src/services/ai/coherenceAnalysis.js';
+import { HeuristicCoherenceAnalysisService } from '../../../src/services/ai/heuristic/coherenceAnalysis.js';
+
+// The client only needs a key to be built; its requests are replaced with failures below
+process.env.OPENAI_API_KEY ||= 'test-key';
+
+const service = new CoherenceAnalysisService();
+service.llm = { provider: 'fake', chat: async () => { throw new Error('Provider unavailable'); } };
+const heuristic = new HeuristicCoherenceAnalysisService();
+
+describe('CoherenceAnalysisService fallbacks', () => {
+  it('measures topic adherence with the heuristics when the request fails', async () => {
+    const speech = 'Coffee wakes me up. Coffee also tastes great. My cat sleeps all day.';
+    const result = await service.analyzeSpeechCoherence(speech, 'coffee');
+
+    expect(result).toEqual({ ...await heuristic.analyzeSpeechCoherence(speech, 'coffee'), source: 'fallback' });
+    expect(result.overallAssessment).toBe('2 of 3 sentences stayed on the topic');
+  });
+});
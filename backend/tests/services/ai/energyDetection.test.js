@@ -0,0 +1,28 @@
+import { EnergyDetectionService } from '../../../src/services/ai/energyDetection.js';
+import { HeuristicEnergyDetectionService } from '../../../src/services/ai/heuristic/energyDetection.js';
+
+// The client only needs a key to be built; its requests are replaced with failures below
+process.env.OPENAI_API_KEY ||= 'test-key';
+
+const service = new EnergyDetectionService();
+service.llm = { provider: 'fake', chat: async () => { throw new Error('Provider unavailable'); } };
+const heuristic = new HeuristicEnergyDetectionService();
+
+describe('EnergyDetectionService fallbacks', () => {
+  it('scores a breathe cue from the measured pause when the request fails', async () => {
+    const args = ['Breathe', 'We grew fast, um, really fast', 'And then we slowed down', 900, { followed: true, pauseDuration: 2500 }, 'en'];
+    const result = await service.analyzeBreatheCueResponse(...args);
+
+    expect(result).toEqual({ ...await heuristic.analyzeBreatheCueResponse(...args), source: 'fallback' });
+  });
+
+  it('estimates the energy level from the transcript when the request fails', async () => {
+    const result = await service.analyzeVoiceEnergy('This is incredible! We did it! Absolutely amazing!', 8);
+
+    expect(result).toEqual({
+      ...await heuristic.analyzeVoiceEnergy('This is incredible! We did it! Absolutely amazing!', 8),
+      timestamp: expect.any(String),
+      source: 'fallback'
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { HeuristicCoherenceAnalysisService } from '../../../../src/services/ai/heuristic/coherenceAnalysis.js';
+
+const service = new HeuristicCoherenceAnalysisService();
+
+describe('HeuristicCoherenceAnalysisService', () => {
+  describe('analyzeSpeechCoherence', () => {
+    const topic = 'Why cities should invest in public transport';
+    const focused = 'Cities should invest in public transport because buses and trains move more people. ' +
+      'Public transport also cuts traffic and pollution in the centre. ' +
+      'Finally, cheaper transport gives everyone access to jobs across the city.';
+    const rambling = 'Cities should invest in public transport. ' +
+      'Last summer I went camping with my cousins near the lake. ' +
+      'We cooked sausages and told ghost stories until midnight. ' +
+      'My cousin is afraid of spiders and screamed all night.';
+
+    it('scores topic adherence by the share of sentences on topic', async () => {
+      const good = await service.analyzeSpeechCoherence(focused, topic);
+      const poor = await service.analyzeSpeechCoherence(rambling, topic);
+      expect(good.topicAdherence).toBe(95);
+      expect(poor.topicAdherence).toBeLessThan(40);
+      expect(poor.overallAssessment).toBe('1 of 4 sentences stayed on the topic');
+    });
+
+    it('scores a focused speech above a ramble', async () => {
+      const good = await service.analyzeSpeechCoherence(focused, topic);
+      const poor = await service.analyzeSpeechCoherence(rambling, topic);
+      expect(good.coherenceScore).toBeGreaterThan(poor.coherenceScore);
+      expect(good.strengths).toContain('Clear topic focus');
+      expect(poor.weaknesses).toContain('Drifts away from the topic');
+    });
+
+    it('scales down a speech too short to judge', async () => {
+      const short = await service.analyzeSpeechCoherence('Public transport matters.', topic);
+      expect(short.topicAdherence).toBe(95);
+      expect(short.coherenceScore).toBeLessThan(30);
+    });
+
+    it('returns zero for an empty speech', async () => {
+      const result = await service.analyzeSpeechCoherence('', topic);
+      expect(result.topicAdherence).toBe(0);
+      expect(result.coherenceScore).toBe(0);
+    });
+  });
+
+  describe('analyzeWordIntegration', () => {
+    const topic = 'Teamwork';
+
+    it('rewards a word woven into the middle of a sentence', async () => {
+      const result = await service.analyzeWordIntegration(topic, 'bridge', 'Good teamwork is a bridge between different skills and people', 2000);
+      expect(result.seamlessness).toBe(90);
+      expect(result.success).toBe(true);
+    });
+
+    it('marks a word tacked on at the edge of a sentence', async () => {
+      const result = await service.analyzeWordIntegration(topic, 'bridge', 'Teamwork needs people who trust each other, bridge', 2000);
+      expect(result.seamlessness).toBe(65);
+      expect(result.feedback).toMatch(/edge of a sentence/);
+    });
+
+    it('fails a word said on its own', async () => {
+      const result = await service.analyzeWordIntegration(topic, 'bridge', 'Teamwork needs people who trust each other. Bridge.', 2000);
+      expect(result.seamlessness).toBe(10);
+      expect(result.success).toBe(false);
+      expect(result.feedback).toMatch(/on its own/);
+    });
+
+    it('scores zero when the word is missing', async () => {
+      const result = await service.analyzeWordIntegration(topic, 'bridge', 'Teamwork needs trust', 2000);
+      expect(result.integrationScore).toBe(0);
+      expect(result.naturalness).toBe('missing');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import {
+  estimateEnergyLevel,
+  HeuristicEnergyDetectionService
+} from '../../../../src/services/ai/heuristic/energyDetection.js';
+
+const service = new HeuristicEnergyDetectionService();
+
+const HIGH = 'This is amazing! We absolutely love it! Really incredible work! Huge win!';
+const FLAT = 'The meeting covers the budget for the next quarter and the plan for hiring.';
+const LOW = 'Um, I think, maybe, we could, uh, probably look at it. I guess.';
+
+describe('estimateEnergyLevel', () => {
+  it('orders emphatic, neutral and hesitant wording', () => {
+    const high = estimateEnergyLevel(HIGH).level;
+    const flat = estimateEnergyLevel(FLAT).level;
+    const low = estimateEnergyLevel(LOW).level;
+    expect(high).toBeGreaterThan(flat);
+    expect(flat).toBeGreaterThan(low);
+  });
+
+  it('reads neutral wording as the middle level', () => {
+    expect(estimateEnergyLevel(FLAT)).toMatchObject({ level: 5, indicators: ['neutral word choice'] });
+  });
+
+  it('returns the lowest level for no speech', () => {
+    expect(estimateEnergyLevel('').level).toBe(1);
+  });
+});
+
+describe('HeuristicEnergyDetectionService', () => {
+  it('matches energy by the gap to the target level', async () => {
+    const matched = await service.analyzeVoiceEnergy(FLAT, 5);
+    const missed = await service.analyzeVoiceEnergy(FLAT, 9);
+    expect(matched).toMatchObject({ detectedEnergyLevel: 5, energyMatch: 100, adjustmentNeeded: 'none' });
+    expect(missed).toMatchObject({ energyMatch: 40, adjustmentNeeded: 'major' });
+  });
+
+  describe('analyzeEnergyTransition', () => {
+    it('succeeds when the wording lands near the new level', async () => {
+      const result = await service.analyzeEnergyTransition(3, 8, HIGH, 1500);
+      expect(result.success).toBe(true);
+      expect(result.effectiveness).toBe('effective');
+    });
+
+    it('gives partial credit for moving the right way without landing', async () => {
+      const result = await service.analyzeEnergyTransition(1, 9, FLAT, 1500);
+      expect(result.success).toBe(false);
+      expect(result.effectiveness).toBe('partial');
+    });
+
+    it('fails a transition that goes the wrong way', async () => {
+      const result = await service.analyzeEnergyTransition(6, 9, LOW, 1500);
+      expect(result.success).toBe(false);
+      expect(result.effectiveness).toBe('ineffective');
+      expect(result.smoothness).toBeLessThan(60);
+    });
+
+    it('scores a slow transition below a quick one', async () => {
+      const quick = await service.analyzeEnergyTransition(3, 8, HIGH, 1500);
+      const slow = await service.analyzeEnergyTransition(3, 8, HIGH, 9000);
+      expect(slow.smoothness).toBeLessThan(quick.smoothness);
+    });
+  });
+
+  it('scores an ignored breathing cue low', async () => {
+    const result = await service.analyzeBreatheCueResponse({}, FLAT, FLAT, 1000, { followed: false });
+    expect(result).toMatchObject({ cueFollowed: false, overallScore: 25 });
+  });
+});
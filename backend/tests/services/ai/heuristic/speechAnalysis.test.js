@@ -0,0 +1,63 @@
+import { HeuristicSpeechAnalysisService, rankDimensions } from '../../../../src/services/ai/heuristic/speechAnalysis.js';
+
+const service = new HeuristicSpeechAnalysisService();
+
+describe('rankDimensions', () => {
+  it('lists strong dimensions and the weakest ones below 80', () => {
+    const { strengths, weakest } = rankDimensions({ fluency: 90, confidence: 85, vocabulary: 50, coherence: 65, unknown: 10 });
+    expect(strengths).toEqual(['Smooth, filler-free delivery', 'Confident phrasing']);
+    expect(weakest).toEqual(['vocabulary', 'coherence']);
+  });
+});
+
+describe('HeuristicSpeechAnalysisService', () => {
+  it('reports the filler count in the quality feedback', async () => {
+    const result = await service.analyzeSpeechQuality('Um, the plan is, uh, simple. We ship every week.', 'impromptu');
+    expect(result.feedback).toContainEqual(expect.objectContaining({ type: 'improvement', message: expect.stringMatching(/^You used 2 filler words/) }));
+    expect(result.score).toBe(result.overallRating);
+  });
+
+  describe('analyzeRapidFireResponse', () => {
+    const prompt = 'Leadership is like...';
+
+    it('scores an explained analogy above a bare one', async () => {
+      const explained = await service.analyzeRapidFireResponse(prompt, 'Leadership is a lighthouse because it guides ships through storms', 1500);
+      const bare = await service.analyzeRapidFireResponse(prompt, 'A lighthouse', 1500);
+      expect(explained.relevance).toBeGreaterThan(bare.relevance);
+      expect(explained.feedback).toMatch(/explained why/);
+    });
+
+    it('takes fillers off the content scores', async () => {
+      const clean = await service.analyzeRapidFireResponse(prompt, 'A lighthouse in the dark', 1500);
+      const padded = await service.analyzeRapidFireResponse(prompt, 'Um uh a lighthouse um in the dark uh', 1500);
+      expect(padded.creativity).toBeLessThan(clean.creativity);
+      expect(padded.clarity).toBeLessThan(clean.clarity);
+    });
+
+    it('halves the relevance of a long answer about something else', async () => {
+      const onPrompt = await service.analyzeRapidFireResponse(prompt, 'Leadership is a lighthouse that guides the crew home through every storm', 1500);
+      const offPrompt = await service.analyzeRapidFireResponse(prompt, 'My favourite breakfast is pancakes with maple syrup and fresh berries', 1500);
+      expect(offPrompt.relevance).toBeLessThan(onPrompt.relevance / 1.5);
+    });
+
+    it('scores a missing answer zero', async () => {
+      const result = await service.analyzeRapidFireResponse(prompt, '', 1500);
+      expect(result).toMatchObject({ creativity: 0, relevance: 0, clarity: 0 });
+    });
+  });
+
+  describe('analyzeQuestionAnswer', () => {
+    it('scores a direct answer above an evasive one', async () => {
+      const question = 'How much will the project cost?';
+      const context = { topic: 'Our new recycling project', responseTime: 1000 };
+      const direct = await service.analyzeQuestionAnswer(question, 'The project will cost two million. That is why the recycling savings matter.', context);
+      const evasive = await service.analyzeQuestionAnswer(question, 'Well, um, there are many things to consider here, I guess.', context);
+      expect(direct.directness).toBeGreaterThan(evasive.directness);
+      expect(direct.score).toBeGreaterThan(evasive.score);
+    });
+
+    it('scores a missing answer zero', async () => {
+      expect(await service.analyzeQuestionAnswer('Why?', '')).toMatchObject({ score: 0, directness: 0 });
+    });
+  });
+});
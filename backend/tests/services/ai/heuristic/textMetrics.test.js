@@ -0,0 +1,109 @@
+import {
+  clampScore,
+  countOnTopicSentences,
+  keywordOverlap,
+  latencyScore,
+  measureText,
+  scale,
+  scoreDelivery,
+  splitSentences,
+  wordPosition
+} from '../../../../src/services/ai/heuristic/textMetrics.js';
+
+describe('scale', () => {
+  it('maps the range linearly onto score points and clamps', () => {
+    expect(scale(5, 0, 10)).toBe(68);
+    expect(scale(-3, 0, 10)).toBe(40);
+    expect(scale(30, 0, 10, 10, 95)).toBe(95);
+  });
+
+  it('clampScore keeps scores within 0-100', () => {
+    expect(clampScore(-5)).toBe(0);
+    expect(clampScore(140)).toBe(100);
+    expect(clampScore(61.6)).toBe(62);
+  });
+});
+
+describe('splitSentences', () => {
+  it('splits on sentence punctuation', () => {
+    expect(splitSentences('One. Two! Three?')).toEqual(['One', 'Two', 'Three']);
+  });
+
+  it('falls back to transcript segments when there is no punctuation', () => {
+    expect(splitSentences('one two three four', [{ text: 'one two' }, { text: 'three four' }])).toEqual(['one two', 'three four']);
+  });
+});
+
+describe('keywordOverlap', () => {
+  it('matches topic keywords by stem', () => {
+    expect(keywordOverlap('Good communication builds trust', 'How to communicate trust')).toBe(1);
+    expect(keywordOverlap('I like pizza', 'How to communicate trust')).toBe(0);
+  });
+
+  it('is zero for a topic of only stopwords', () => {
+    expect(keywordOverlap('anything at all', 'how to do it')).toBe(0);
+  });
+});
+
+describe('countOnTopicSentences', () => {
+  const topic = 'Remote work';
+
+  it('counts sentences that mention the topic', () => {
+    expect(countOnTopicSentences('Remote work saves time. I had cereal today.', topic)).toEqual({ onTopic: 1, total: 2 });
+  });
+
+  it('follows the thread through sentences that develop the point', () => {
+    const text = 'Remote work gives people flexibility. That flexibility lets parents collect their children.';
+    expect(countOnTopicSentences(text, topic)).toEqual({ onTopic: 2, total: 2 });
+  });
+
+  it('counts a lone filler sentence as off topic', () => {
+    expect(countOnTopicSentences('Um. Remote work is great.', topic)).toEqual({ onTopic: 1, total: 2 });
+  });
+});
+
+describe('wordPosition', () => {
+  it('locates the word relative to the start and end of the text', () => {
+    expect(wordPosition('bridge', 'bridge over water')).toBe(0);
+    expect(wordPosition('bridge', 'we built a bridge')).toBe(1);
+    expect(wordPosition('bridge', 'a bridge between us')).toBeCloseTo(1 / 3);
+  });
+
+  it('returns null when the word is missing', () => {
+    expect(wordPosition('bridge', 'nothing here')).toBeNull();
+  });
+});
+
+describe('latencyScore', () => {
+  it('rewards fast answers and defaults when the time is unknown', () => {
+    expect(latencyScore(1000)).toBe(95);
+    expect(latencyScore(9000)).toBe(40);
+    expect(latencyScore(0)).toBe(60);
+  });
+});
+
+describe('measureText and scoreDelivery', () => {
+  const clean = 'Our team ships every week because small releases are easier to test. ' +
+    'However, we also review each change carefully before it goes out to customers.';
+  const hesitant = 'Um, so, I think, uh, maybe we, like, ship, um, sometimes. I guess, uh, probably.';
+
+  it('counts fillers, hedges and connectors', () => {
+    const metrics = measureText(hesitant);
+    expect(metrics.fillerCount).toBe(4);
+    expect(metrics.hedgeCount).toBe(4);
+    expect(measureText(clean).connectorCount).toBe(3);
+  });
+
+  it('scores clean speech above hesitant speech', () => {
+    const good = scoreDelivery(measureText(clean));
+    const poor = scoreDelivery(measureText(hesitant));
+    expect(good.fluency).toBeGreaterThan(poor.fluency);
+    expect(good.confidence).toBeGreaterThan(poor.confidence);
+  });
+
+  it('pulls every score to the middle when there is no speech', () => {
+    expect(scoreDelivery(measureText(''))).toEqual({
+      speechClarity: 60, fluency: 60, confidence: 60, vocabulary: 60, structure: 60
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import { ANALYSIS_SCHEMAS, validateSchema } from '../../../src/services/ai/schemas.js';
+
+const rapidFire = ANALYSIS_SCHEMAS.rapidFireResponse;
+
+describe('validateSchema', () => {
+  it('accepts a valid object unchanged', () => {
+    const reply = { creativity: 80, relevance: 70, clarity: 75, speed: 90, feedback: 'Nice' };
+    expect(validateSchema(rapidFire, reply)).toEqual({ value: reply, errors: [] });
+  });
+
+  it('clamps numbers outside the range instead of rejecting them', () => {
+    const { value, errors } = validateSchema(rapidFire, { creativity: 105, relevance: -3, clarity: 50, speed: 50 });
+    expect(errors).toEqual([]);
+    expect(value).toMatchObject({ creativity: 100, relevance: 0 });
+  });
+
+  it('reports missing required fields and wrong types by path', () => {
+    const { errors } = validateSchema(rapidFire, { creativity: '80', relevance: 70, clarity: 75 });
+    expect(errors).toEqual(['$.speed: is required', '$.creativity: expected number, got string']);
+  });
+
+  it('rejects NaN and non-finite numbers', () => {
+    expect(validateSchema({ type: 'number' }, NaN).errors).toEqual(['$: expected number, got number']);
+    expect(validateSchema({ type: 'number' }, Infinity).errors).toHaveLength(1);
+  });
+
+  it('tells arrays and null apart from objects', () => {
+    expect(validateSchema(rapidFire, []).errors).toEqual(['$: expected object, got array']);
+    expect(validateSchema(rapidFire, null).errors).toEqual(['$: expected object, got null']);
+  });
+
+  it('checks enums and array items with their index in the path', () => {
+    const feedback = ANALYSIS_SCHEMAS.speechQuality.properties.feedback;
+    const { errors } = validateSchema(feedback, [
+      { type: 'positive', message: 'Good' },
+      { type: 'praise', message: 'Great' },
+      { type: 'suggestion' }
+    ]);
+    expect(errors).toEqual([
+      '$[1].type: must be one of positive, improvement, suggestion',
+      '$[2].message: is required'
+    ]);
+  });
+
+  it('keeps properties the schema does not list', () => {
+    const { value } = validateSchema(rapidFire, { creativity: 1, relevance: 1, clarity: 1, speed: 1, extra: true });
+    expect(value.extra).toBe(true);
+  });
+});
@@ -0,0 +1,44 @@
+import { SpeechAnalysisService } from '../../../src/services/ai/speechAnalysis.js';
+import { HeuristicSpeechAnalysisService } from '../../../src/services/ai/heuristic/speechAnalysis.js';
+
+// The client only needs a key to be built; its requests are replaced with failures below
+process.env.OPENAI_API_KEY ||= 'test-key';
+
+// An LLM service whose provider is down, next to the rule-based engine it falls back to
+const service = new SpeechAnalysisService();
+service.llm = { provider: 'fake', chat: async () => { throw new Error('Provider unavailable'); } };
+const heuristic = new HeuristicSpeechAnalysisService();
+
+describe('SpeechAnalysisService fallbacks', () => {
+  it('rates speech quality with the heuristics instead of throwing when the request fails', async () => {
+    const transcript = 'Um, the plan is, uh, simple. We ship every week.';
+    const result = await service.analyzeSpeechQuality(transcript, 'elevatorPitch', { language: 'en' });
+
+    expect(result).toEqual({ ...await heuristic.analyzeSpeechQuality(transcript, 'elevatorPitch', { language: 'en' }), source: 'fallback' });
+    expect(result.score).toBe(result.overallRating);
+  });
+
+  it('scores a rapid fire answer with the heuristics when the request fails', async () => {
+    const args = ['Leadership is like...', 'A lighthouse because it guides ships through storms', 1500, 'en'];
+    const result = await service.analyzeRapidFireResponse(...args);
+
+    expect(result).toEqual({ ...await heuristic.analyzeRapidFireResponse(...args), source: 'fallback' });
+  });
+
+  it('gives different answers different fallback scores', async () => {
+    const strong = await service.analyzeRapidFireResponse('Leadership is like...', 'A lighthouse because it guides ships through storms', 1200);
+    const empty = await service.analyzeRapidFireResponse('Leadership is like...', 'um', 6000);
+
+    expect(strong.overallQuality).toBeGreaterThan(empty.overallQuality);
+  });
+
+  it('scores a question answer with the heuristics when the request fails', async () => {
+    const context = { topic: 'Remote work', tone: 'hostile', responseTime: 2000 };
+    const result = await service.analyzeQuestionAnswer('Isn\'t remote work lazy?', 'No. What matters is output, and our output went up.', context);
+
+    expect(result).toEqual({
+      ...await heuristic.analyzeQuestionAnswer('Isn\'t remote work lazy?', 'No. What matters is output, and our output went up.', context),
+      source: 'fallback'
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import {
+  collectPromptVersions,
+  combineSources,
+  extractJson,
+  InvalidModelResponseError,
+  requestAnalysis
+} from '../../../src/services/ai/structuredResponse.js';
+
+// Stand-in for an llm client that answers with the given replies in turn
+const fakeLlm = (...replies) => {
+  const calls = [];
+  return {
+    provider: 'fake',
+    calls,
+    chat: async (request) => {
+      calls.push(request);
+      return { content: replies[calls.length - 1] };
+    }
+  };
+};
+
+const request = {
+  messages: [{ role: 'user', content: 'Score this answer' }],
+  maxTokens: 200,
+  temperature: 0.7,
+  promptVersion: 'speechAnalysis.rapidFireResponse@v1'
+};
+
+const VALID = JSON.stringify({ creativity: 80, relevance: 70, clarity: 75, speed: 90 });
+
+describe('extractJson', () => {
+  it('finds the object inside code fences and prose', () => {
+    expect(extractJson('Here you go:\n```json\n{"a": 1}\n```')).toEqual({ value: { a: 1 }, errors: [] });
+  });
+
+  it('reports a reply without an object or with broken JSON', () => {
+    expect(extractJson('No idea').errors).toEqual(['$: no JSON object found in the reply']);
+    expect(extractJson('{"a": }').errors[0]).toMatch(/^\$: invalid JSON/);
+  });
+});
+
+describe('requestAnalysis', () => {
+  it('returns a valid reply from the first call', async () => {
+    const llm = fakeLlm(VALID);
+    const result = await requestAnalysis(llm, request, 'rapidFireResponse');
+
+    expect(result).toEqual({
+      creativity: 80, relevance: 70, clarity: 75, speed: 90,
+      source: 'model',
+      promptVersion: 'speechAnalysis.rapidFireResponse@v1'
+    });
+    expect(llm.calls).toHaveLength(1);
+  });
+
+  it('clamps out-of-range scores without a repair', async () => {
+    const llm = fakeLlm(JSON.stringify({ creativity: 120, relevance: 70, clarity: 75, speed: 90 }));
+    const result = await requestAnalysis(llm, request, 'rapidFireResponse');
+
+    expect(result.creativity).toBe(100);
+    expect(llm.calls).toHaveLength(1);
+  });
+
+  it('asks for one repair quoting the errors and marks the result repaired', async () => {
+    const llm = fakeLlm('{"creativity": 80}', VALID);
+    const result = await requestAnalysis(llm, request, 'rapidFireResponse');
+
+    expect(result.source).toBe('repaired');
+    expect(llm.calls).toHaveLength(2);
+
+    const repair = llm.calls[1];
+    expect(repair.temperature).toBe(0);
+    expect(repair.messages.slice(0, 2)).toEqual([
+      request.messages[0],
+      { role: 'assistant', content: '{"creativity": 80}' }
+    ]);
+    expect(repair.messages[2].content).toContain('- $.relevance: is required');
+  });
+
+  it('throws InvalidModelResponseError when the repair is invalid too', async () => {
+    const llm = fakeLlm('not json', '{"creativity": "high"}');
+    const error = await requestAnalysis(llm, request, 'rapidFireResponse').catch(e => e);
+
+    expect(error).toBeInstanceOf(InvalidModelResponseError);
+    expect(error.schemaName).toBe('rapidFireResponse');
+    expect(error.errors).toContain('$.creativity: expected number, got string');
+    expect(llm.calls).toHaveLength(2);
+  });
+});
+
+describe('combineSources', () => {
+  it('lets any fallback win, then any repair', () => {
+    expect(combineSources([{ source: 'model' }, { source: 'repaired' }])).toBe('repaired');
+    expect(combineSources([{ source: 'repaired' }, { source: 'fallback' }])).toBe('fallback');
+    expect(combineSources([{ source: 'model' }, null])).toBe('model');
+  });
+
+  it('treats no analyses, or ones without a source, as fallback', () => {
+    expect(combineSources([])).toBe('fallback');
+    expect(combineSources([{}])).toBe('fallback');
+  });
+});
+
+describe('collectPromptVersions', () => {
+  it('lists the distinct versions in order', () => {
+    expect(collectPromptVersions([
+      { promptVersion: 'b@v1' }, { promptVersion: 'a@v2' }, { promptVersion: 'b@v1' }, {}, null
+    ])).toEqual(['a@v2', 'b@v1']);
+  });
+});
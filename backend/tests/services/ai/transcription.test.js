@@ -0,0 +1,32 @@
+import { TranscriptionService } from '../../../src/services/ai/transcription.js';
+
+describe('TranscriptionService stub engine', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.TRANSCRIPTION_ENGINE;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('lays out the reference text at a fixed pace under test', async () => {
+    const result = await new TranscriptionService().transcribe(Buffer.alloc(0), 'audio/webm', {
+      referenceText: 'one two three'
+    });
+
+    expect(result.engine).toBe('stub');
+    expect(result.words.map(word => [word.word, word.start])).toEqual([['one', 0], ['two', 400], ['three', 800]]);
+  });
+
+  it('ignores client reference text outside tests', async () => {
+    process.env.NODE_ENV = 'production';
+
+    const result = await new TranscriptionService().transcribe(Buffer.alloc(0), 'audio/webm', {
+      referenceText: 'words the client made up'
+    });
+
+    expect(result).toMatchObject({ text: '', words: [], engine: 'stub' });
+  });
+});
@@ -0,0 +1,130 @@
+import {
+  getQuotaStatus,
+  getUsageContext,
+  runWithUsageContext,
+  trackLLMUsage,
+  withUsageTracking
+} from '../../../../src/services/ai/usage/usageTracker.js';
+import { estimateCost } from '../../../../src/services/ai/usage/pricing.js';
+
+// Runs without MongoDB: today's totals start at zero and are kept in memory
+
+let userCount = 0;
+const nextUserId = () => `65a0000000000000000000${String(++userCount).padStart(2, '0')}`;
+
+const fakeClient = (usage = { inputTokens: 1000, outputTokens: 500 }) => ({
+  provider: 'openai',
+  model: 'gpt-4o-mini',
+  chat: async () => ({ content: '{}', usage })
+});
+
+class FakeAnalysisService {
+  constructor(llm) {
+    this.llm = llm;
+  }
+
+  async analyzeSpeechQuality() {
+    await this.llm.chat({ messages: [] });
+    return { score: 90, method: getUsageContext().method };
+  }
+}
+
+const heuristic = { analyzeSpeechQuality: async () => ({ score: 55 }) };
+
+afterEach(() => {
+  delete process.env.AI_DAILY_TOKEN_QUOTA;
+  delete process.env.AI_DAILY_COST_QUOTA;
+  delete process.env.AI_MODEL_PRICES;
+});
+
+describe('estimateCost', () => {
+  it('prices tokens per million, matching dated snapshots by prefix', () => {
+    expect(estimateCost({ provider: 'openai', model: 'gpt-4o-mini-2024-07-18', inputTokens: 1e6, outputTokens: 1e6 })).toBeCloseTo(0.75);
+    expect(estimateCost({ provider: 'openai', model: 'gpt-4o', inputTokens: 1e6, outputTokens: 0 })).toBeCloseTo(2.5);
+  });
+
+  it('counts self-hosted and unknown models as free', () => {
+    expect(estimateCost({ provider: 'local', model: 'gpt-4', inputTokens: 1e6, outputTokens: 1e6 })).toBe(0);
+    expect(estimateCost({ provider: 'openai', model: 'mystery-model', inputTokens: 1e6, outputTokens: 1e6 })).toBe(0);
+  });
+
+  it('takes prices from AI_MODEL_PRICES', () => {
+    process.env.AI_MODEL_PRICES = '{"my-model": [1, 2]}';
+    expect(estimateCost({ provider: 'openai', model: 'my-model', inputTokens: 1e6, outputTokens: 1e6 })).toBe(3);
+  });
+});
+
+describe('runWithUsageContext', () => {
+  it('merges the context into the one already running', () => {
+    const context = runWithUsageContext({ userId: 'u1' }, () => runWithUsageContext({ method: 'm' }, getUsageContext));
+    expect(context).toEqual({ userId: 'u1', method: 'm' });
+  });
+});
+
+describe('quota accounting', () => {
+  it('adds each call to the user\'s daily totals', async () => {
+    const userId = nextUserId();
+    await getQuotaStatus(userId); // seed today's totals
+    const client = trackLLMUsage(fakeClient(), 'speechAnalysis');
+
+    await runWithUsageContext({ userId }, () => client.chat({ messages: [] }));
+    await runWithUsageContext({ userId }, () => client.chat({ messages: [] }));
+
+    const status = await getQuotaStatus(userId);
+    expect(status).toMatchObject({ tokens: 3000, calls: 2, exceeded: false });
+    expect(status.cost).toBeCloseTo(2 * (1000 * 0.15 + 500 * 0.6) / 1e6);
+  });
+
+  it('counts a failed call without tokens or cost', async () => {
+    const userId = nextUserId();
+    await getQuotaStatus(userId);
+    const client = trackLLMUsage({ provider: 'openai', model: 'gpt-4', chat: async () => { throw new Error('timeout'); } }, 'speechAnalysis');
+
+    await expect(runWithUsageContext({ userId }, () => client.chat({}))).rejects.toThrow('timeout');
+    expect(await getQuotaStatus(userId)).toMatchObject({ tokens: 0, cost: 0, calls: 1 });
+  });
+
+  it('is exceeded once the token or cost quota is reached', async () => {
+    const userId = nextUserId();
+    await getQuotaStatus(userId);
+    await runWithUsageContext({ userId }, () => trackLLMUsage(fakeClient(), 'speechAnalysis').chat({}));
+
+    process.env.AI_DAILY_TOKEN_QUOTA = '1500';
+    expect((await getQuotaStatus(userId)).exceeded).toBe(true);
+
+    process.env.AI_DAILY_TOKEN_QUOTA = '1501';
+    expect((await getQuotaStatus(userId)).exceeded).toBe(false);
+
+    delete process.env.AI_DAILY_TOKEN_QUOTA;
+    process.env.AI_DAILY_COST_QUOTA = '0.0001';
+    expect((await getQuotaStatus(userId)).exceeded).toBe(true);
+  });
+});
+
+describe('withUsageTracking', () => {
+  it('labels the model calls with the service method', async () => {
+    const service = withUsageTracking(new FakeAnalysisService(fakeClient()), 'speechAnalysis', heuristic);
+    const result = await runWithUsageContext({ userId: nextUserId() }, () => service.analyzeSpeechQuality());
+    expect(result).toEqual({ score: 90, method: 'analyzeSpeechQuality' });
+  });
+
+  it('hands a user over quota to the heuristic analyzer', async () => {
+    const userId = nextUserId();
+    const service = withUsageTracking(new FakeAnalysisService(trackLLMUsage(fakeClient(), 'speechAnalysis')), 'speechAnalysis', heuristic);
+
+    await getQuotaStatus(userId);
+    process.env.AI_DAILY_TOKEN_QUOTA = '1000';
+    const first = await runWithUsageContext({ userId }, () => service.analyzeSpeechQuality());
+    const second = await runWithUsageContext({ userId }, () => service.analyzeSpeechQuality());
+
+    expect(first.score).toBe(90);
+    expect(second).toEqual({ score: 55, source: 'fallback' });
+    expect(await getQuotaStatus(userId)).toMatchObject({ tokens: 1500, calls: 1 });
+  });
+
+  it('never limits calls without a user', async () => {
+    process.env.AI_DAILY_TOKEN_QUOTA = '1';
+    const service = withUsageTracking(new FakeAnalysisService(fakeClient()), 'speechAnalysis', heuristic);
+    expect((await service.analyzeSpeechQuality()).score).toBe(90);
+  });
+});
@@ -0,0 +1,84 @@
+import { tokenize, detectFillers, analyzeFillerUsage } from '../../../src/services/speech/fillerDetection.js';
+
+const fillerWords = (text, language) =>
+  detectFillers(text, language).occurrences.filter(o => o.type === 'filler').map(o => o.word);
+
+describe('tokenize', () => {
+  it('lowercases, drops punctuation and joins contractions', () => {
+    expect(tokenize("Well, I don't know... Really!")).toEqual(['well', 'i', 'dont', 'know', 'really']);
+  });
+
+  it('returns no tokens for empty text', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize()).toEqual([]);
+  });
+});
+
+describe('detectFillers', () => {
+  it('finds single-word and phrase fillers', () => {
+    expect(fillerWords('Um, I mean, it was basically fine, you know')).toEqual(['um', 'i mean', 'basically', 'you know']);
+  });
+
+  it('counts a phrase once and skips its second word', () => {
+    const { occurrences, wordCount } = detectFillers('kind of kind of');
+    expect(occurrences.map(o => o.word)).toEqual(['kind of', 'kind of']);
+    expect(wordCount).toBe(4);
+  });
+
+  it('ignores "like" when it is doing grammatical work', () => {
+    expect(fillerWords('It looks like rain and I like it')).toEqual([]);
+    expect(fillerWords('And then, like, everyone left')).toEqual(['like']);
+  });
+
+  it('only treats "so" as a filler when it opens the answer', () => {
+    expect(fillerWords('So, the plan is simple')).toEqual(['so']);
+    expect(fillerWords('So much happened')).toEqual([]);
+    expect(fillerWords('It was so good')).toEqual([]);
+  });
+
+  it('reports immediate repetitions', () => {
+    const { occurrences } = detectFillers('the the plan');
+    expect(occurrences).toEqual([{ word: 'the', type: 'repetition', index: 1 }]);
+  });
+
+  it('uses the lexicon of the primary language subtag', () => {
+    expect(fillerWords('Euh, en fait, je pense', 'fr-FR')).toEqual(['euh', 'en fait']);
+    expect(fillerWords('Äh, das ist halt so', 'de')).toEqual(['äh', 'halt']);
+  });
+
+  it('falls back to English for unknown languages', () => {
+    expect(fillerWords('um hello', 'xx')).toEqual(['um']);
+  });
+});
+
+describe('analyzeFillerUsage', () => {
+  const segments = [
+    { text: 'Um, this is my first point', start: 0, end: 3000 },
+    { text: 'and uh, this is my second second point', start: 3000, end: 6000 }
+  ];
+
+  it('totals fillers and repetitions across segments', () => {
+    const usage = analyzeFillerUsage(segments);
+    expect(usage.total).toBe(2);
+    expect(usage.repetitions).toBe(1);
+    expect(usage.totalWords).toBe(14);
+    expect(usage.counts).toEqual({ um: 1, uh: 1 });
+  });
+
+  it('reports rates per 100 words and per minute of speech', () => {
+    const usage = analyzeFillerUsage(segments);
+    expect(usage.rate).toBe(14.3);
+    expect(usage.perMinute).toBe(20);
+  });
+
+  it('spreads occurrence timestamps across their segment', () => {
+    const { occurrences } = analyzeFillerUsage(segments);
+    expect(occurrences[0]).toEqual({ word: 'um', type: 'filler', timestamp: 0 });
+    expect(occurrences[1].timestamp).toBeGreaterThan(3000);
+    expect(occurrences[1].timestamp).toBeLessThan(6000);
+  });
+
+  it('returns zeroes for no segments', () => {
+    expect(analyzeFillerUsage([])).toMatchObject({ total: 0, repetitions: 0, rate: 0, perMinute: 0, totalWords: 0 });
+  });
+});
@@ -0,0 +1,58 @@
+import { analyzePace, getPaceBand, PACE_BANDS } from '../../../src/services/speech/paceAnalysis.js';
+
+// n words spoken over the given milliseconds
+const segment = (words, start, end) => ({ text: Array(words).fill('word').join(' '), start, end });
+
+describe('getPaceBand', () => {
+  it('returns the band for the difficulty', () => {
+    expect(getPaceBand('expert')).toEqual(PACE_BANDS.expert);
+  });
+
+  it('falls back to the beginner band', () => {
+    expect(getPaceBand('unknown')).toEqual(PACE_BANDS.beginner);
+    expect(getPaceBand()).toEqual(PACE_BANDS.beginner);
+  });
+});
+
+describe('analyzePace', () => {
+  it('computes words per minute for each segment', () => {
+    const result = analyzePace([segment(65, 0, 30000)]);
+    expect(result.wordsPerMinute).toBe(130);
+    expect(result.segments).toEqual([{ start: 0, end: 30000, words: 65, wpm: 130 }]);
+  });
+
+  it('averages over speaking time, ignoring pauses between segments', () => {
+    const result = analyzePace([segment(60, 0, 30000), segment(60, 90000, 120000)]);
+    expect(result.wordsPerMinute).toBe(120);
+  });
+
+  it('reports the share of speaking time inside the target band', () => {
+    // 30s at 130 wpm (in band), 10s at 240 wpm (too fast)
+    const result = analyzePace([segment(65, 0, 30000), segment(40, 30000, 40000)], 'beginner');
+    expect(result.targetMin).toBe(110);
+    expect(result.targetMax).toBe(150);
+    expect(result.inBandPercent).toBe(75);
+  });
+
+  it('judges the same pace against the difficulty band', () => {
+    const segments = [segment(60, 0, 30000)];
+    expect(analyzePace(segments, 'beginner').inBandPercent).toBe(100);
+    expect(analyzePace(segments, 'expert').inBandPercent).toBe(0);
+  });
+
+  it('skips segments that are too short or silent', () => {
+    const result = analyzePace([segment(5, 0, 500), { text: '', start: 1000, end: 5000 }, segment(65, 5000, 35000)]);
+    expect(result.segments).toHaveLength(1);
+    expect(result.wordsPerMinute).toBe(130);
+  });
+
+  it('returns zeroes with the target band when nothing is timed', () => {
+    expect(analyzePace([], 'advanced')).toEqual({
+      wordsPerMinute: 0,
+      targetMin: 130,
+      targetMax: 170,
+      inBandPercent: 0,
+      segments: []
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import { registerCoachingHandlers } from '../../src/socket/coaching.js';
+
+// Just enough of a Socket.IO socket to call the registered handlers directly
+const createSocket = () => {
+  const handlers = {};
+  return {
+    id: 'socket-1',
+    data: { user: { _id: 'user-1', username: 'ada' } },
+    handlers,
+    on: (event, handler) => { handlers[event] = handler; },
+    emit: () => {},
+    join: () => {}
+  };
+};
+
+describe('coaching socket handlers', () => {
+  describe.each(['start-coaching', 'transcript-chunk', 'stop-coaching'])('%s', (event) => {
+    it.each([null, 'abc', 42, []])('refuses a %p payload through the acknowledgement', async (payload) => {
+      const socket = createSocket();
+      registerCoachingHandlers(socket);
+      const ack = [];
+
+      await socket.handlers[event](payload, body => ack.push(body));
+
+      expect(ack).toEqual([{ success: false, message: 'The request must be an object' }]);
+    });
+
+    it('does not throw without an acknowledgement', async () => {
+      const socket = createSocket();
+      registerCoachingHandlers(socket);
+
+      await expect(Promise.resolve(socket.handlers[event](null))).resolves.toBeUndefined();
+    });
+  });
+
+  it('refuses a chunk for a session that is not being coached', () => {
+    const socket = createSocket();
+    registerCoachingHandlers(socket);
+    const ack = [];
+
+    socket.handlers['transcript-chunk']({ sessionId: 'nope', text: 'hello', start: 0, end: 500 }, body => ack.push(body));
+
+    expect(ack[0]).toEqual({ success: false, message: 'Live coaching is not running for this session' });
+  });
+});
@@ -0,0 +1,42 @@
+import { registerMultiplayerHandlers } from '../../src/socket/multiplayer.js';
+
+// Just enough of a Socket.IO socket to call the registered handlers directly
+const createSocket = () => {
+  const handlers = {};
+  const emitted = [];
+  return {
+    id: 'socket-1',
+    data: { user: { _id: 'user-1', username: 'ada' } },
+    handlers,
+    emitted,
+    on: (event, handler) => { handlers[event] = handler; },
+    emit: (event, payload) => emitted.push({ event, payload }),
+    join: () => {},
+    leave: () => {}
+  };
+};
+
+describe('multiplayer socket handlers', () => {
+  describe.each(['create-room', 'join-room', 'leave-room', 'start-match', 'submit-response'])('%s', (event) => {
+    it.each([null, 'ABCDEF', 42, ['ABCDEF']])('refuses a %p payload with INVALID_PAYLOAD', async (payload) => {
+      const socket = createSocket();
+      registerMultiplayerHandlers(socket);
+      const ack = [];
+
+      await socket.handlers[event](payload, body => ack.push(body));
+
+      expect(ack).toEqual([expect.objectContaining({ success: false, code: 'INVALID_PAYLOAD' })]);
+      expect(socket.emitted[0]).toMatchObject({ event: 'room-error', payload: { code: 'INVALID_PAYLOAD' } });
+    });
+  });
+
+  it('still refuses a missing payload with the action\'s own error', async () => {
+    const socket = createSocket();
+    registerMultiplayerHandlers(socket);
+    const ack = [];
+
+    await socket.handlers['join-room'](undefined, body => ack.push(body));
+
+    expect(ack[0]).toMatchObject({ success: false, code: 'ROOM_NOT_FOUND' });
+  });
+});
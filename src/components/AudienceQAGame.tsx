@@ -0,0 +1,554 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Progress } from "@/components/ui/progress";
+import { ArrowLeft, Mic, MicOff, Play, RotateCcw, SkipForward, Trophy } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import { useSpeechRecognition } from "@/hooks/useSpeechRecognition";
+import { useSpeechMetrics } from "@/hooks/useSpeechMetrics";
+import { useAudioRecorder } from "@/hooks/useAudioRecorder";
+import { useSessionAnalysis } from "@/hooks/useSessionAnalysis";
+import { FillerCounter } from "@/components/FillerCounter";
+import { PaceIndicator } from "@/components/PaceIndicator";
+import { PACE_BANDS, type Difficulty } from "@/lib/pace";
+import apiService from "@/services/api";
+
+// Defaults of the backend's audienceQA game settings
+const QUESTION_COUNT = 5;
+const ANSWER_SECONDS = 45;
+
+// The audience's mood picks the difficulty, which sets the share of skeptical and hostile questions
+const AUDIENCES: { difficulty: Difficulty; label: string; description: string }[] = [
+  { difficulty: "beginner", label: "Friendly", description: "Curious questions, the odd doubt" },
+  { difficulty: "intermediate", label: "Mixed", description: "Friendly, skeptical and hostile" },
+  { difficulty: "advanced", label: "Tough", description: "Mostly skeptical and hostile" },
+  { difficulty: "expert", label: "Hostile", description: "Loaded questions and challenges" },
+];
+
+type Phase = "setup" | "answering" | "results";
+type Tone = "friendly" | "skeptical" | "hostile";
+
+interface AudienceQAGameProps {
+  onBack: () => void;
+}
+
+interface AudienceQuestion {
+  question: string;
+  tone: Tone;
+}
+
+interface Answer extends AudienceQuestion {
+  answer: string;
+  responseTime: number; // ms
+  answerDuration: number; // seconds
+  directness?: number;
+  bridging?: number;
+  composure?: number;
+  score?: number;
+  feedback?: string;
+}
+
+interface QASummary {
+  directness: number | null;
+  bridging: number | null;
+  composure: number | null;
+  score: number | null;
+  byTone: Record<Tone, number | null>;
+}
+
+// Stored on the session; the answer scores and summary are filled in by the analysis
+interface AudienceQAData {
+  answers?: Answer[];
+  summary?: QASummary;
+}
+
+const TONE_STYLES: Record<Tone, string> = {
+  friendly: "bg-green-100 text-green-800",
+  skeptical: "bg-yellow-100 text-yellow-800",
+  hostile: "bg-red-100 text-red-800",
+};
+
+export const AudienceQAGame = ({ onBack }: AudienceQAGameProps) => {
+  const [phase, setPhase] = useState<Phase>("setup");
+  const [topic, setTopic] = useState("");
+  const [difficulty, setDifficulty] = useState<Difficulty>("intermediate");
+  const [loadingQuestions, setLoadingQuestions] = useState(false);
+  const [questions, setQuestions] = useState<AudienceQuestion[]>([]);
+  const [questionIndex, setQuestionIndex] = useState(0);
+  const [elapsed, setElapsed] = useState(0);
+  const [currentAnswer, setCurrentAnswer] = useState("");
+  const [answers, setAnswers] = useState<Answer[]>([]);
+  const [sessionId, setSessionId] = useState<string | null>(null);
+
+  const { toast } = useToast();
+  const phaseRef = useRef<Phase>("setup");
+  const questionStartRef = useRef<number>(0);
+  const firstSpeechRef = useRef<number | null>(null);
+  const answerTextRef = useRef<string[]>([]);
+  const answersRef = useRef<Answer[]>([]);
+  phaseRef.current = phase;
+
+  const {
+    fillerCount,
+    repetitionCount,
+    lastFiller,
+    wordCount,
+    wordsPerMinute,
+    currentWpm,
+    addSegment,
+    reset: resetSpeechMetrics,
+    getTranscript
+  } = useSpeechMetrics();
+
+  const { start: startAudioRecording, stop: stopAudioRecording } = useAudioRecorder();
+
+  // Each answer is scored in the background after the session ends
+  const {
+    status: analysisStatus,
+    analysis,
+    gameData,
+    error: analysisError,
+    submit: submitSession,
+    reset: resetAnalysis
+  } = useSessionAnalysis<AudienceQAData>('audienceQA');
+
+  const {
+    isListening,
+    microphoneAvailable,
+    isInitialized,
+    start: startSpeechRecognition,
+    stop: stopSpeechRecognition,
+    testMicrophone
+  } = useSpeechRecognition({
+    onResult: (transcript, isFinal, timing) => {
+      if (phaseRef.current !== "answering" || !transcript.trim()) return;
+
+      // Interim results arrive as soon as the player starts talking, so they time the response
+      if (firstSpeechRef.current === null) {
+        firstSpeechRef.current = timing?.start ?? Date.now();
+      }
+      if (isFinal) {
+        addSegment(transcript, timing);
+        answerTextRef.current.push(transcript.trim());
+        setCurrentAnswer(answerTextRef.current.join(" "));
+      }
+    },
+    onEnd: () => {
+      // Recognition stops on silence; keep listening until the last answer
+      if (phaseRef.current === "answering") {
+        setTimeout(() => startSpeechRecognition(), 100);
+      }
+    },
+    onError: (error) => {
+      console.error('Audience Q&A speech recognition error:', error);
+      if (phaseRef.current === "answering") {
+        setTimeout(() => startSpeechRecognition(), 1000);
+      }
+    }
+  });
+
+  useEffect(() => {
+    if (phase !== "answering") return;
+
+    const interval = setInterval(() => {
+      setElapsed(Math.floor((Date.now() - questionStartRef.current) / 1000));
+    }, 250);
+    return () => clearInterval(interval);
+  }, [phase]);
+
+  const beginQuestion = useCallback(() => {
+    questionStartRef.current = Date.now();
+    firstSpeechRef.current = null;
+    answerTextRef.current = [];
+    setCurrentAnswer("");
+    setElapsed(0);
+  }, []);
+
+  const startGame = async () => {
+    if (!topic.trim()) {
+      toast({
+        title: "Name Your Talk",
+        description: "Enter the topic of your talk so the audience has something to ask about.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    if (!isInitialized || !microphoneAvailable) {
+      toast({
+        title: "Microphone Not Available",
+        description: "Please allow microphone access in your browser settings and refresh the page.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    setLoadingQuestions(true);
+    try {
+      const [sessionResponse, promptsResponse] = await Promise.all([
+        apiService.startGameSession('audienceQA', difficulty),
+        apiService.getGamePrompts('audienceQA', { count: QUESTION_COUNT, difficulty, theme: topic.trim() })
+      ]);
+      if (sessionResponse.success) {
+        setSessionId(sessionResponse.data.sessionId);
+      }
+      if (!promptsResponse.success || promptsResponse.data.prompts.length === 0) {
+        throw new Error('No questions were generated');
+      }
+      setQuestions(promptsResponse.data.prompts);
+    } catch (error) {
+      console.error('Error starting audience Q&A session:', error);
+      toast({
+        title: "Game Start Error",
+        description: "Failed to start the game. Please check your connection and try again.",
+        variant: "destructive"
+      });
+      return;
+    } finally {
+      setLoadingQuestions(false);
+    }
+
+    answersRef.current = [];
+    setAnswers([]);
+    setQuestionIndex(0);
+    beginQuestion();
+    phaseRef.current = "answering";
+    setPhase("answering");
+    resetSpeechMetrics();
+
+    try {
+      await startSpeechRecognition();
+      await startAudioRecording();
+    } catch (error) {
+      console.error('Error starting speech capture:', error);
+    }
+  };
+
+  const finishGame = useCallback(async () => {
+    phaseRef.current = "results";
+    setPhase("results");
+    stopSpeechRecognition();
+    await stopAudioRecording();
+
+    // Each answer is scored by the analysis once the session has ended. The answers are
+    // transcribed one by one as they are given, so the recording isn't uploaded
+    await submitSession(sessionId, {
+      recording: null,
+      performance: { wordsPerMinute },
+      data: {
+        topic: topic.trim(),
+        answerTime: ANSWER_SECONDS,
+        answers: answersRef.current
+      },
+      transcript: getTranscript()
+    });
+  }, [stopSpeechRecognition, stopAudioRecording, submitSession, sessionId, wordsPerMinute, topic, getTranscript]);
+
+  const nextQuestion = useCallback(() => {
+    if (phaseRef.current !== "answering") return;
+
+    const question = questions[questionIndex];
+    answersRef.current = [...answersRef.current, {
+      ...question,
+      answer: answerTextRef.current.join(" "),
+      responseTime: firstSpeechRef.current === null ? 0 : Math.max(0, firstSpeechRef.current - questionStartRef.current),
+      answerDuration: Math.round((Date.now() - questionStartRef.current) / 1000)
+    }];
+    setAnswers(answersRef.current);
+
+    if (questionIndex + 1 < questions.length) {
+      setQuestionIndex(questionIndex + 1);
+      beginQuestion();
+    } else {
+      finishGame();
+    }
+  }, [questions, questionIndex, beginQuestion, finishGame]);
+
+  useEffect(() => {
+    if (phase === "answering" && elapsed >= ANSWER_SECONDS) {
+      nextQuestion();
+    }
+  }, [phase, elapsed, nextQuestion]);
+
+  // Same talk, new round of questions
+  const resetGame = () => {
+    stopSpeechRecognition();
+    stopAudioRecording();
+    phaseRef.current = "setup";
+    setPhase("setup");
+    setQuestions([]);
+    setQuestionIndex(0);
+    setElapsed(0);
+    setCurrentAnswer("");
+    setAnswers([]);
+    setSessionId(null);
+    resetAnalysis();
+    resetSpeechMetrics();
+  };
+
+  const header = (
+    <Button variant="outline" onClick={onBack} className="mb-6 border-border bg-card text-card-foreground hover:bg-muted">
+      <ArrowLeft className="w-4 h-4 mr-2" />
+      Back to Dashboard
+    </Button>
+  );
+
+  if (phase === "results") {
+    const scoring = analysisStatus !== "complete" && analysisStatus !== "failed";
+    // Once scored, the stored answers carry their scores and feedback
+    const scored = analysisStatus === "complete" ? gameData : null;
+    const summary = scored?.summary;
+    const scoredAnswers = scored?.answers ?? answers;
+
+    return (
+      <div className="min-h-screen bg-background py-8">
+        <div className="container mx-auto px-6 max-w-2xl">
+          {header}
+
+          <Card className="bg-card border-border">
+            <CardContent className="p-8 space-y-6">
+              <div className="text-center">
+                <Trophy className="w-16 h-16 text-accent mx-auto mb-4" />
+                <h2 className="text-3xl font-bold text-foreground mb-2">Q&A Complete!</h2>
+                <p className="text-muted-foreground">{topic}</p>
+              </div>
+
+              <div className="bg-muted rounded-lg p-6">
+                <h3 className="font-semibold text-foreground mb-4 text-center">Session Summary</h3>
+                {scoring && (
+                  <p className="text-sm text-muted-foreground text-center animate-pulse">Scoring your answers...</p>
+                )}
+                {!scoring && !summary && (
+                  <p className="text-sm text-muted-foreground text-center">{analysisError || "Answer scoring isn't available for this session."}</p>
+                )}
+                {!scoring && summary && (
+                  <div className="space-y-4">
+                    <div className="grid grid-cols-4 gap-3 text-center">
+                      {([["Directness", summary.directness], ["Bridging", summary.bridging], ["Composure", summary.composure], ["Overall", analysis?.overallRating]] as const).map(([label, value]) => (
+                        <div key={label} className="bg-card rounded-lg p-3">
+                          <div className="text-xl font-bold text-primary">{value ?? "--"}</div>
+                          <div className="text-xs text-muted-foreground">{label}</div>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="flex justify-center gap-2 text-xs">
+                      {(Object.keys(TONE_STYLES) as Tone[]).filter(tone => summary.byTone[tone] !== null).map(tone => (
+                        <span key={tone} className={`px-2 py-1 rounded-full capitalize ${TONE_STYLES[tone]}`}>
+                          {tone}: {summary.byTone[tone]}
+                        </span>
+                      ))}
+                    </div>
+                    {analysis?.feedback && analysis.feedback.length > 0 && (
+                      <div className="space-y-2">
+                        {analysis.feedback.map((item, index) => (
+                          <div key={index} className="bg-card rounded-lg p-3 text-sm text-foreground">
+                            {item.message}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              <div className="space-y-3">
+                {scoredAnswers.map((answer, index) => (
+                  <div key={index} className="bg-muted rounded-lg p-4 space-y-2">
+                    <div className="flex items-start gap-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs capitalize shrink-0 ${TONE_STYLES[answer.tone]}`}>
+                        {answer.tone}
+                      </span>
+                      <span className="text-sm font-medium text-foreground">{answer.question}</span>
+                    </div>
+                    <p className="text-sm text-muted-foreground italic">
+                      {answer.answer ? `"${answer.answer}"` : "No answer captured"}
+                    </p>
+                    <div className="flex flex-wrap gap-4 text-xs text-muted-foreground">
+                      <span>Started after {(answer.responseTime / 1000).toFixed(1)}s</span>
+                      {answer.score !== undefined && (
+                        <>
+                          <span>Directness {answer.directness}</span>
+                          <span>Bridging {answer.bridging}</span>
+                          <span>Composure {answer.composure}</span>
+                          <span className="font-bold text-foreground">Score {answer.score}</span>
+                        </>
+                      )}
+                    </div>
+                    {answer.feedback && <p className="text-sm text-foreground">{answer.feedback}</p>}
+                  </div>
+                ))}
+              </div>
+
+              <FillerCounter
+                fillerCount={fillerCount}
+                repetitionCount={repetitionCount}
+                lastFiller={lastFiller}
+                wordCount={wordCount}
+              />
+              <PaceIndicator wpm={wordsPerMinute} band={PACE_BANDS[difficulty]} />
+
+              <div className="flex gap-4 justify-center">
+                <Button onClick={resetGame} className="bg-primary hover:bg-primary/90 text-primary-foreground">
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                  New Questions
+                </Button>
+                <Button variant="outline" onClick={onBack} className="border-border text-foreground hover:bg-muted">
+                  Try Another Game
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
+  const question = questions[questionIndex];
+
+  return (
+    <div className="min-h-screen bg-background py-8">
+      <div className="container mx-auto px-6 max-w-2xl">
+        {header}
+
+        <Card className="bg-card border-border">
+          <CardContent className="p-8">
+            <div className="text-center mb-8">
+              <h1 className="text-3xl font-bold text-foreground mb-2">Audience Q&A</h1>
+              <p className="text-muted-foreground">Your talk is over. Now the audience has questions, and not all of them are friendly.</p>
+            </div>
+
+            {phase === "setup" && (
+              <div className="space-y-6">
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-foreground" htmlFor="talk-topic">Talk Topic</label>
+                  <Input
+                    id="talk-topic"
+                    value={topic}
+                    maxLength={150}
+                    placeholder="e.g. Moving our reporting to a data warehouse"
+                    onChange={event => setTopic(event.target.value)}
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <div className="text-sm font-medium text-foreground">Audience</div>
+                  <div className="grid grid-cols-2 gap-2">
+                    {AUDIENCES.map(audience => (
+                      <Button
+                        key={audience.difficulty}
+                        variant={difficulty === audience.difficulty ? "default" : "outline"}
+                        onClick={() => setDifficulty(audience.difficulty)}
+                        className="h-auto flex-col items-start py-2"
+                      >
+                        <span>{audience.label}</span>
+                        <span className="text-xs font-normal opacity-80">{audience.description}</span>
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="bg-muted rounded-lg p-6">
+                  <h3 className="font-semibold text-foreground mb-3">How to Play:</h3>
+                  <ul className="text-sm text-muted-foreground text-left space-y-2">
+                    <li>• {QUESTION_COUNT} questions about your talk, {ANSWER_SECONDS} seconds each</li>
+                    <li>• Answer the question in your first sentence</li>
+                    <li>• Then bridge back to the main message of your talk</li>
+                    <li>• Stay calm and specific, especially when the question is hostile</li>
+                  </ul>
+                </div>
+
+                <div className="bg-muted rounded-lg p-4">
+                  <div className="flex items-center justify-center gap-3 mb-3">
+                    <div className={`p-2 rounded-full ${microphoneAvailable ? 'bg-green-100' : 'bg-red-100'}`}>
+                      {microphoneAvailable ? (
+                        <Mic className="w-5 h-5 text-green-600" />
+                      ) : (
+                        <MicOff className="w-5 h-5 text-red-600" />
+                      )}
+                    </div>
+                    <div className="text-left">
+                      <div className="font-medium text-foreground">
+                        Microphone: {microphoneAvailable ? "Available" : "Not Available"}
+                      </div>
+                      <div className="text-sm text-muted-foreground">
+                        {microphoneAvailable ? "Ready to take questions!" : "Please allow microphone access and refresh the page"}
+                      </div>
+                    </div>
+                  </div>
+
+                  {!microphoneAvailable && (
+                    <Button onClick={testMicrophone} variant="outline" size="sm" className="w-full">
+                      Test Microphone
+                    </Button>
+                  )}
+                </div>
+
+                <Button
+                  size="lg"
+                  onClick={startGame}
+                  disabled={!microphoneAvailable || loadingQuestions}
+                  className="w-full bg-primary hover:bg-primary/90 text-primary-foreground disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Play className="w-5 h-5 mr-2" />
+                  {loadingQuestions ? "Preparing Questions..." : microphoneAvailable ? "Open the Floor" : "Microphone Required"}
+                </Button>
+              </div>
+            )}
+
+            {phase === "answering" && question && (
+              <div className="space-y-6">
+                <div className="text-sm text-muted-foreground text-center">
+                  Question {questionIndex + 1} of {questions.length}
+                </div>
+
+                <Card className="bg-primary text-primary-foreground">
+                  <CardContent className="p-6 text-center space-y-3">
+                    <span className={`inline-block px-2 py-0.5 rounded-full text-xs capitalize ${TONE_STYLES[question.tone]}`}>
+                      {question.tone}
+                    </span>
+                    <div className="text-xl font-semibold">"{question.question}"</div>
+                  </CardContent>
+                </Card>
+
+                <div className="text-center">
+                  <div className={`text-4xl font-bold ${ANSWER_SECONDS - elapsed <= 10 ? 'text-destructive' : 'text-primary'}`}>
+                    {Math.max(0, ANSWER_SECONDS - elapsed)}s
+                  </div>
+                  <Progress value={(elapsed / ANSWER_SECONDS) * 100} className="mt-3" />
+                </div>
+
+                <div className="bg-muted rounded-lg p-4 min-h-16 text-sm text-foreground">
+                  {currentAnswer || <span className="text-muted-foreground">Your answer will appear here...</span>}
+                </div>
+
+                <FillerCounter
+                  fillerCount={fillerCount}
+                  repetitionCount={repetitionCount}
+                  lastFiller={lastFiller}
+                  wordCount={wordCount}
+                />
+
+                <PaceIndicator wpm={currentWpm} band={PACE_BANDS[difficulty]} />
+
+                <div className="flex items-center justify-center gap-4">
+                  <div className={`p-4 rounded-full ${isListening ? 'bg-accent animate-pulse' : 'bg-muted'}`}>
+                    {isListening ? (
+                      <Mic className="w-6 h-6 text-accent-foreground" />
+                    ) : (
+                      <MicOff className="w-6 h-6 text-muted-foreground" />
+                    )}
+                  </div>
+                  <Button onClick={nextQuestion} size="lg" className="bg-primary hover:bg-primary/90 text-primary-foreground">
+                    <SkipForward className="w-4 h-4 mr-2" />
+                    {questionIndex + 1 < questions.length ? "Next Question" : "Finish"}
+                  </Button>
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
@@ -3,6 +3,18 @@ import { Button } from "@/components/ui/button";
 import { Card, CardContent } from "@/components/ui/card";
 import { ArrowLeft, Mic, MicOff, Play, Trophy, Volume2 } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
+import { useVoiceEnergy, EnergySample, VoicePause } from "@/hooks/useVoiceEnergy";
+import { useSpeechRecognition } from "@/hooks/useSpeechRecognition";
+import { useSpeechMetrics } from "@/hooks/useSpeechMetrics";
+import { useAudioRecorder } from "@/hooks/useAudioRecorder";
+import { usePracticeLanguage } from "@/hooks/usePracticeLanguage";
+import { FillerCounter } from "@/components/FillerCounter";
+import { PaceIndicator } from "@/components/PaceIndicator";
+import { PACE_BANDS, type Difficulty } from "@/lib/pace";
+import { GAME_DECKS } from "@/lib/gameDecks";
+import apiService from "@/services/api";
+
+const DIFFICULTY: Difficulty = "intermediate";
 
 interface ConductorGameProps {
   onBack: () => void;
@@ -15,14 +27,49 @@ interface GameStats {
   sessionDuration: number;
 }
 
+interface EnergyTracePoint {
+  second: number;
+  level: number;
+  target: number;
+}
+
+interface EnergyTransition {
+  fromLevel: number;
+  toLevel: number;
+  changedAt: number;
+  transitionTime: number | null;
+  success: boolean;
+}
+
+interface BreatheCue {
+  shownAt: number;
+  followed: boolean;
+  responseTime: number | null;
+  pauseDuration: number;
+}
+
+interface TranscriptSegment {
+  text: string;
+  timestamp: number;
+}
+
+// A target counts as reached once the measured level is within this distance
+const TRANSITION_TOLERANCE = 1;
+// A pause must begin this soon after the cue appears to count as following it
+const BREATHE_RESPONSE_WINDOW_MS = 3000;
+// How much speech either side of a cue is sent along for analysis
+const BREATHE_CONTEXT_MS = 5000;
+
+// 100 for an exact match, dropping 20 points per level of difference
+const scoreEnergyMatch = (level: number, target: number) =>
+  Math.max(0, Math.round(100 - Math.abs(level - target) * 20));
+
 export const ConductorGame = ({ onBack }: ConductorGameProps) => {
   const [isRecording, setIsRecording] = useState(false);
   const [gameStarted, setGameStarted] = useState(false);
   const [gameEnded, setGameEnded] = useState(false);
-  const [currentEnergyLevel, setCurrentEnergyLevel] = useState(5);
   const [targetEnergyLevel, setTargetEnergyLevel] = useState(5);
   const [timeLeft, setTimeLeft] = useState(10);
-  const [isListening, setIsListening] = useState(false);
   const [showBreathe, setShowBreathe] = useState(false);
   const [gameStats, setGameStats] = useState<GameStats>({
     energyTransitions: 0,
@@ -32,44 +79,141 @@ export const ConductorGame = ({ onBack }: ConductorGameProps) => {
   });
   
   const { toast } = useToast();
-  const recognitionRef = useRef<any>(null);
+  const language = usePracticeLanguage();
   const startTimeRef = useRef<number>(0);
   const energyChanges = useRef<number>(0);
+  const [sessionId, setSessionId] = useState<string | null>(null);
+  const targetRef = useRef<number>(5);
+  const energyTrace = useRef<EnergyTracePoint[]>([]);
+  const secondBucket = useRef<{ second: number; total: number; count: number }>({ second: 0, total: 0, count: 0 });
+  const transitions = useRef<EnergyTransition[]>([]);
+  const breatheCues = useRef<BreatheCue[]>([]);
+  const answeredCue = useRef<BreatheCue | null>(null);
 
-  const topics = [
-    "The importance of teamwork in modern business",
-    "How technology is changing our daily lives",
-    "The benefits of sustainable living",
-    "Why continuous learning matters",
-    "The power of effective communication"
-  ];
+  const {
+    fillerCount,
+    repetitionCount,
+    lastFiller,
+    wordCount,
+    wordsPerMinute,
+    currentWpm,
+    addSegment,
+    reset: resetSpeechMetrics,
+    getTranscript
+  } = useSpeechMetrics();
 
-  const [currentTopic] = useState(topics[Math.floor(Math.random() * topics.length)]);
+  const { start: startAudioRecording, stop: stopAudioRecording } = useAudioRecorder();
+  const transcriptSegments = useRef<TranscriptSegment[]>([]);
+  // One microphone stream shared by the energy analyser and the recorder
+  const micStream = useRef<MediaStream | null>(null);
 
-  // Initialize speech recognition
-  useEffect(() => {
-    if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
-      const SpeechRecognition = (window as any).SpeechRecognition || (window as any).webkitSpeechRecognition;
-      recognitionRef.current = new SpeechRecognition();
-      recognitionRef.current.continuous = true;
-      recognitionRef.current.interimResults = true;
-      recognitionRef.current.lang = 'en-US';
-
-      recognitionRef.current.onstart = () => {
-        setIsListening(true);
-      };
-
-      recognitionRef.current.onend = () => {
-        setIsListening(false);
-      };
+  // Credit the most recent unanswered cue if the pause began inside its window
+  const handlePauseStart = (pauseStart: number) => {
+    const cue = breatheCues.current[breatheCues.current.length - 1];
+    if (!cue || cue.followed) return;
+
+    const responseTime = pauseStart - cue.shownAt;
+    if (responseTime >= 0 && responseTime <= BREATHE_RESPONSE_WINDOW_MS) {
+      cue.followed = true;
+      cue.responseTime = responseTime;
+      answeredCue.current = cue;
     }
+  };
 
-    return () => {
-      if (recognitionRef.current) {
-        recognitionRef.current.stop();
+  const handlePauseEnd = (pause: VoicePause) => {
+    if (answeredCue.current) {
+      answeredCue.current.pauseDuration = pause.duration;
+      answeredCue.current = null;
+    }
+  };
+
+  const speechBetween = (from: number, to: number) =>
+    transcriptSegments.current
+      .filter(segment => segment.timestamp >= from && segment.timestamp < to)
+      .map(segment => segment.text.trim())
+      .join(' ');
+
+  const handleEnergySample = (sample: EnergySample) => {
+    if (!startTimeRef.current) return;
+
+    // Resolve the pending target change once the voice gets close enough
+    const pending = transitions.current[transitions.current.length - 1];
+    if (pending && pending.transitionTime === null && Math.abs(sample.level - pending.toLevel) <= TRANSITION_TOLERANCE) {
+      pending.transitionTime = sample.timestamp - pending.changedAt;
+      pending.success = true;
+    }
+
+    // Aggregate samples into a per-second trace
+    const second = Math.floor((sample.timestamp - startTimeRef.current) / 1000);
+    const bucket = secondBucket.current;
+    if (second !== bucket.second && bucket.count > 0) {
+      flushSecondBucket();
+    }
+    if (second !== secondBucket.current.second) {
+      secondBucket.current = { second, total: 0, count: 0 };
+    }
+    secondBucket.current.total += sample.level;
+    secondBucket.current.count += 1;
+  };
+
+  const flushSecondBucket = () => {
+    const bucket = secondBucket.current;
+    if (bucket.count === 0) return;
+    energyTrace.current.push({
+      second: bucket.second,
+      level: Math.round((bucket.total / bucket.count) * 10) / 10,
+      target: targetRef.current
+    });
+    secondBucket.current = { second: bucket.second, total: 0, count: 0 };
+  };
+
+  const {
+    energyLevel: currentEnergyLevel,
+    isSupported: energyAnalysisSupported,
+    start: startEnergyAnalysis,
+    stop: stopEnergyAnalysis
+  } = useVoiceEnergy({
+    onSample: handleEnergySample,
+    onPauseStart: handlePauseStart,
+    onPauseEnd: handlePauseEnd
+  });
+
+  const topics = GAME_DECKS[language].conductorTopics;
+
+  const [currentTopic] = useState(topics[Math.floor(Math.random() * topics.length)]);
+
+  const {
+    isListening,
+    isInitialized,
+    start: startSpeechRecognition,
+    stop: stopSpeechRecognition
+  } = useSpeechRecognition({
+    // Keep timestamped final results so breathe cues can be analysed in context
+    onResult: (transcript, isFinal, timing) => {
+      if (!isFinal) return;
+      transcriptSegments.current.push({
+        text: transcript,
+        timestamp: timing?.end ?? Date.now()
+      });
+      addSegment(transcript, timing);
+    },
+    onEnd: () => {
+      // Restart recognition if game is still running
+      if (gameStarted && !gameEnded && isInitialized) {
+        setTimeout(() => {
+          startSpeechRecognition(micStream.current || undefined);
+        }, 100);
       }
-    };
-  }, [toast]);
+    },
+    onError: (error) => {
+      console.error('Speech recognition error:', error);
+      if (gameStarted && !gameEnded && isInitialized) {
+        setTimeout(() => {
+          startSpeechRecognition(micStream.current || undefined);
+        }, 1000);
+      }
+    }
+  });
 
   // Game timer and energy level changes
   useEffect(() => {
@@ -96,12 +240,30 @@ export const ConductorGame = ({ onBack }: ConductorGameProps) => {
     if (gameStarted && !gameEnded) {
       energyInterval = setInterval(() => {
         const newLevel = Math.floor(Math.random() * 9) + 1;
+        if (newLevel === targetRef.current) return;
+
+        // Close out the second before the target moves so the trace stays aligned
+        flushSecondBucket();
+        transitions.current.push({
+          fromLevel: targetRef.current,
+          toLevel: newLevel,
+          changedAt: Date.now(),
+          transitionTime: null,
+          success: false
+        });
+        targetRef.current = newLevel;
         setTargetEnergyLevel(newLevel);
         energyChanges.current += 1;
       }, 3000);
 
       breatheInterval = setInterval(() => {
         if (Math.random() < 0.3) { // 30% chance
+          breatheCues.current.push({
+            shownAt: Date.now(),
+            followed: false,
+            responseTime: null,
+            pauseDuration: 0
+          });
           setShowBreathe(true);
           setTimeout(() => setShowBreathe(false), 2000);
         }
@@ -114,8 +276,18 @@ export const ConductorGame = ({ onBack }: ConductorGameProps) => {
     };
   }, [gameStarted, gameEnded]);
 
+  const releaseMicrophone = () => {
+    micStream.current?.getTracks().forEach(track => track.stop());
+    micStream.current = null;
+  };
+
+  // Release the shared microphone stream on unmount
+  useEffect(() => () => {
+    micStream.current?.getTracks().forEach(track => track.stop());
+  }, []);
+
   const startGame = async () => {
-    if (!recognitionRef.current) {
+    if (!isInitialized) {
       toast({
         title: "Speech Recognition Unavailable",
         description: "Your browser doesn't support speech recognition. Please try a different browser or enable microphone permissions.",
@@ -124,18 +296,56 @@ export const ConductorGame = ({ onBack }: ConductorGameProps) => {
       return;
     }
 
+    if (!energyAnalysisSupported) {
+      toast({
+        title: "Audio Analysis Unavailable",
+        description: "Your browser doesn't support the Web Audio API needed to measure vocal energy.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    let stream: MediaStream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      micStream.current = stream;
+    } catch (error) {
+      toast({
+        title: "Microphone Access Required",
+        description: "Please allow microphone access in your browser settings to play the game.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    try {
+      // Create backend game session
+      const sessionResponse = await apiService.startGameSession('conductor', DIFFICULTY);
+      if (sessionResponse.success) {
+        setSessionId(sessionResponse.data.sessionId);
+      }
+    } catch (error) {
+      console.error('Failed to start conductor session:', error);
+    }
+
     try {
-      await navigator.mediaDevices.getUserMedia({ audio: true });
-      
       setGameStarted(true);
       setGameEnded(false);
       setTimeLeft(60); // 1 minute game
       setTargetEnergyLevel(5);
-      setCurrentEnergyLevel(5);
+      targetRef.current = 5;
       startTimeRef.current = Date.now();
       energyChanges.current = 0;
-      
-      recognitionRef.current.start();
+      energyTrace.current = [];
+      transitions.current = [];
+      breatheCues.current = [];
+      transcriptSegments.current = [];
+      resetSpeechMetrics();
+      secondBucket.current = { second: 0, total: 0, count: 0 };
+
+      await startEnergyAnalysis(stream);
+      await startAudioRecording(stream);
+      await startSpeechRecognition(stream);
       setIsRecording(true);
       
       toast({
@@ -143,50 +353,133 @@ export const ConductorGame = ({ onBack }: ConductorGameProps) => {
         description: "Speak about the topic while matching the energy levels."
       });
     } catch (error) {
+      console.error('Error starting game:', error);
+      releaseMicrophone();
       toast({
-        title: "Microphone Access Required",
-        description: "Please allow microphone access in your browser settings to play the game.",
+        title: "Game Start Error",
+        description: "Failed to start the game. Please check your connection and try again.",
         variant: "destructive"
       });
     }
   };
 
-  const endGame = () => {
-    if (recognitionRef.current) {
-      recognitionRef.current.stop();
-    }
+  const endGame = async () => {
+    stopSpeechRecognition();
+    flushSecondBucket();
+    stopEnergyAnalysis();
+    const recording = await stopAudioRecording();
+    releaseMicrophone();
     setIsRecording(false);
     setGameEnded(true);
-    calculateFinalStats();
+
+    const finalStats = calculateFinalStats();
+
+    // End backend session if we have a session ID
+    if (sessionId) {
+      // Upload and transcribe first so scoring can use the server's word-timed transcript
+      if (recording) {
+        try {
+          await apiService.uploadSessionAudio(sessionId, recording);
+          await apiService.transcribeSession(sessionId);
+        } catch (error) {
+          console.error('Failed to upload or transcribe session audio:', error);
+        }
+      }
+
+      try {
+        const levels = energyTrace.current.map(point => point.level);
+        const performance = {
+          score: finalStats.averageEnergyMatch,
+          accuracy: finalStats.averageEnergyMatch / 100,
+          speed: averageTransitionTime() / 1000,
+          fluency: Math.min(0.9, 0.3 + (finalStats.averageEnergyMatch / 100) * 0.6),
+          confidence: Math.min(0.9, 0.3 + (finalStats.averageEnergyMatch / 100) * 0.6),
+          wordsPerMinute
+        };
+
+        const gameSpecificData = {
+          conductor: {
+            topic: currentTopic,
+            consistency: finalStats.averageEnergyMatch,
+            energyTrace: energyTrace.current,
+            energyTransitions: transitions.current.map(({ fromLevel, toLevel, transitionTime, success }) => ({
+              fromLevel,
+              toLevel,
+              transitionTime: transitionTime ?? 0,
+              success
+            })),
+            breatheCues: breatheCues.current.map(cue => ({
+              timestamp: new Date(cue.shownAt).toISOString(),
+              followed: cue.followed,
+              responseTime: cue.responseTime ?? 0,
+              pauseDuration: cue.pauseDuration,
+              speechBefore: speechBetween(cue.shownAt - BREATHE_CONTEXT_MS, cue.shownAt),
+              speechAfter: speechBetween(cue.shownAt, cue.shownAt + BREATHE_CONTEXT_MS)
+            })),
+            energyRange: levels.length > 0 ? {
+              min: Math.min(...levels),
+              max: Math.max(...levels),
+              average: Math.round((levels.reduce((sum, level) => sum + level, 0) / levels.length) * 10) / 10
+            } : undefined
+          }
+        };
+
+        await apiService.endGameSession(sessionId, performance, gameSpecificData, {
+          transcript: getTranscript()
+        });
+      } catch (error) {
+        console.error('Failed to end game session:', error);
+      }
+    }
+  };
+
+  const averageTransitionTime = () => {
+    const reached = transitions.current.filter(t => t.transitionTime !== null);
+    return reached.length > 0
+      ? Math.round(reached.reduce((sum, t) => sum + (t.transitionTime || 0), 0) / reached.length)
+      : 0;
   };
 
   const calculateFinalStats = () => {
     const sessionDuration = Math.round((Date.now() - startTimeRef.current) / 1000);
     
-    // Use actual performance data instead of fake simulated scores
-    const actualEnergyTransitions = energyChanges.current;
-    const actualBreatheCues = Math.floor(Math.random() * 3) + 1; // Simple random for now, should be based on actual user interaction
-    
-    // Calculate a basic energy match score based on actual transitions
-    const energyMatchScore = actualEnergyTransitions > 0 ? Math.min(100, Math.max(50, 70 + (actualEnergyTransitions * 5))) : 50;
+    // Average the per-second match between measured and target energy
+    const trace = energyTrace.current;
+    const energyMatchScore = trace.length > 0
+      ? Math.round(trace.reduce((sum, point) => sum + scoreEnergyMatch(point.level, point.target), 0) / trace.length)
+      : 0;
     
-    setGameStats({
-      energyTransitions: actualEnergyTransitions,
+    const finalStats = {
+      energyTransitions: energyChanges.current,
       averageEnergyMatch: energyMatchScore,
-      breatheCuesFollowed: actualBreatheCues,
+      breatheCuesFollowed: breatheCues.current.filter(cue => cue.followed).length,
       sessionDuration
-    });
+    };
+
+    setGameStats(finalStats);
+    return finalStats;
   };
 
   const resetGame = () => {
+    stopSpeechRecognition();
+    stopEnergyAnalysis();
+    stopAudioRecording();
+    releaseMicrophone();
     setGameStarted(false);
     setGameEnded(false);
     setTimeLeft(60);
     setTargetEnergyLevel(5);
-    setCurrentEnergyLevel(5);
+    targetRef.current = 5;
     setIsRecording(false);
     setShowBreathe(false);
+    setSessionId(null);
+    startTimeRef.current = 0;
     energyChanges.current = 0;
+    energyTrace.current = [];
+    transitions.current = [];
+    breatheCues.current = [];
+    transcriptSegments.current = [];
+    resetSpeechMetrics();
     setGameStats({
       energyTransitions: 0,
       averageEnergyMatch: 0,
@@ -221,6 +514,34 @@ export const ConductorGame = ({ onBack }: ConductorGameProps) => {
                   <div className="text-2xl font-bold text-accent">{gameStats.energyTransitions}</div>
                   <div className="text-sm text-muted-foreground">Level Changes</div>
                 </div>
+                <div className="bg-muted rounded-lg p-4">
+                  <div className="text-2xl font-bold text-green-600">
+                    {transitions.current.filter(t => t.success).length}
+                  </div>
+                  <div className="text-sm text-muted-foreground">Targets Reached</div>
+                </div>
+                <div className="bg-muted rounded-lg p-4">
+                  <div className="text-2xl font-bold text-blue-600">{(averageTransitionTime() / 1000).toFixed(1)}s</div>
+                  <div className="text-sm text-muted-foreground">Avg Adjustment Time</div>
+                </div>
+                <div className="bg-muted rounded-lg p-4 col-span-2">
+                  <div className="text-2xl font-bold text-primary">
+                    {gameStats.breatheCuesFollowed} / {breatheCues.current.length}
+                  </div>
+                  <div className="text-sm text-muted-foreground">Breathe Cues Followed</div>
+                </div>
+              </div>
+
+              <div className="mb-8">
+                <FillerCounter
+                  fillerCount={fillerCount}
+                  repetitionCount={repetitionCount}
+                  lastFiller={lastFiller}
+                  wordCount={wordCount}
+                />
+                <div className="mt-3">
+                  <PaceIndicator wpm={wordsPerMinute} band={PACE_BANDS[DIFFICULTY]} />
+                </div>
               </div>
               
               <div className="flex gap-4 justify-center">
@@ -319,6 +640,30 @@ export const ConductorGame = ({ onBack }: ConductorGameProps) => {
                       ))}
                     </div>
                   </div>
+
+                  {/* Live Energy Meter */}
+                  <div className="bg-muted rounded-lg p-4">
+                    <div className="flex items-center justify-between text-sm mb-2">
+                      <span className="font-medium text-foreground">Your Energy</span>
+                      <span className={`font-bold ${
+                        Math.abs(currentEnergyLevel - targetEnergyLevel) <= TRANSITION_TOLERANCE ? 'text-green-600' : 'text-muted-foreground'
+                      }`}>
+                        {currentEnergyLevel.toFixed(1)} / {targetEnergyLevel}
+                      </span>
+                    </div>
+                    <div className="relative w-full bg-background rounded-full h-3">
+                      <div
+                        className={`h-3 rounded-full transition-all duration-100 ${
+                          Math.abs(currentEnergyLevel - targetEnergyLevel) <= TRANSITION_TOLERANCE ? 'bg-green-600' : 'bg-accent'
+                        }`}
+                        style={{ width: `${((currentEnergyLevel - 1) / 8) * 100}%` }}
+                      ></div>
+                      <div
+                        className="absolute top-[-4px] w-1 h-5 bg-primary rounded"
+                        style={{ left: `${((targetEnergyLevel - 1) / 8) * 100}%` }}
+                      ></div>
+                    </div>
+                  </div>
                 </div>
                 
                 {/* Current Topic */}
@@ -328,6 +673,15 @@ export const ConductorGame = ({ onBack }: ConductorGameProps) => {
                   </CardContent>
                 </Card>
                 
+                <FillerCounter
+                  fillerCount={fillerCount}
+                  repetitionCount={repetitionCount}
+                  lastFiller={lastFiller}
+                  wordCount={wordCount}
+                />
+
+                <PaceIndicator wpm={currentWpm} band={PACE_BANDS[DIFFICULTY]} />
+
                 {/* Microphone Status */}
                 <div className="flex items-center justify-center gap-4">
                   <div className={`p-4 rounded-full ${isListening ? 'bg-accent animate-pulse' : 'bg-muted'}`}>
@@ -0,0 +1,497 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Progress } from "@/components/ui/progress";
+import { ArrowLeft, Check, Mic, MicOff, Play, Repeat, RotateCcw, Shuffle, Square, Trophy, X } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import { useSpeechRecognition } from "@/hooks/useSpeechRecognition";
+import { useSpeechMetrics } from "@/hooks/useSpeechMetrics";
+import { useAudioRecorder } from "@/hooks/useAudioRecorder";
+import { useSessionAnalysis } from "@/hooks/useSessionAnalysis";
+import { usePracticeLanguage } from "@/hooks/usePracticeLanguage";
+import { FillerCounter } from "@/components/FillerCounter";
+import { PaceIndicator } from "@/components/PaceIndicator";
+import { PACE_BANDS, type Difficulty } from "@/lib/pace";
+import { GAME_DECKS } from "@/lib/gameDecks";
+import { formatClock } from "@/lib/timingLights";
+import apiService from "@/services/api";
+
+const DIFFICULTY: Difficulty = "advanced";
+
+// Seconds per side (backend/src/games/debate.js)
+const SIDE_SECONDS = 60;
+
+// Pause between the two sides to gather your thoughts
+const SWITCH_SECONDS = 5;
+
+type Phase = "intro" | "for" | "switch" | "against" | "results";
+
+type Side = "for" | "against";
+
+interface DebateGameProps {
+  onBack: () => void;
+}
+
+interface SideResult {
+  arguments?: string[];
+  structure?: number;
+  onMotion?: number;
+}
+
+interface DebateResult {
+  sides?: Record<Side, SideResult>;
+  rebuttals?: { point: string; rebutted: boolean }[];
+  scores?: {
+    arguments: number;
+    rebuttal: number;
+    structure: number;
+    onMotion: number;
+  };
+}
+
+const SIDE_LABELS: Record<Side, string> = {
+  for: "For the Motion",
+  against: "Against the Motion",
+};
+
+const pickMotion = (motions: string[], current?: string) => {
+  const choices = motions.length > 1 ? motions.filter(motion => motion !== current) : motions;
+  return choices[Math.floor(Math.random() * choices.length)];
+};
+
+export const DebateGame = ({ onBack }: DebateGameProps) => {
+  const language = usePracticeLanguage();
+  const motions = GAME_DECKS[language].debateMotions;
+
+  const [phase, setPhase] = useState<Phase>("intro");
+  const [motion, setMotion] = useState(() => pickMotion(motions));
+  const [elapsed, setElapsed] = useState(0); // seconds into the current phase
+  const [sessionId, setSessionId] = useState<string | null>(null);
+
+  const { toast } = useToast();
+  const phaseRef = useRef<Phase>("intro");
+  const phaseStartRef = useRef<number>(0);
+  const debateStartRef = useRef<number>(0);
+  const switchAtRef = useRef<number>(0); // ms from the start of the debate
+  phaseRef.current = phase;
+
+  const {
+    fillerCount,
+    repetitionCount,
+    lastFiller,
+    wordCount,
+    wordsPerMinute,
+    currentWpm,
+    addSegment,
+    reset: resetSpeechMetrics,
+    getTranscript
+  } = useSpeechMetrics();
+
+  const { start: startAudioRecording, stop: stopAudioRecording } = useAudioRecorder();
+
+  // The debate is scored in the background after the session ends
+  const {
+    status: analysisStatus,
+    analysis,
+    gameData: debate,
+    error: analysisError,
+    submit: submitSession,
+    reset: resetAnalysis
+  } = useSessionAnalysis<DebateResult>('debate');
+
+  const isArguing = (current: Phase) => current === "for" || current === "switch" || current === "against";
+
+  const {
+    isListening,
+    microphoneAvailable,
+    isInitialized,
+    start: startSpeechRecognition,
+    stop: stopSpeechRecognition,
+    testMicrophone
+  } = useSpeechRecognition({
+    onResult: (transcript, isFinal, timing) => {
+      // Words said during the switch pause belong to neither side
+      if (isFinal && (phaseRef.current === "for" || phaseRef.current === "against")) {
+        addSegment(transcript, timing);
+      }
+    },
+    onEnd: () => {
+      // Recognition stops on silence; keep listening until the debate is over
+      if (isArguing(phaseRef.current)) {
+        setTimeout(() => startSpeechRecognition(), 100);
+      }
+    },
+    onError: (error) => {
+      console.error('Debate speech recognition error:', error);
+      if (isArguing(phaseRef.current)) {
+        setTimeout(() => startSpeechRecognition(), 1000);
+      }
+    }
+  });
+
+  // One clock for both sides and the switch between them
+  useEffect(() => {
+    if (!isArguing(phase)) return;
+
+    const interval = setInterval(() => {
+      setElapsed(Math.floor((Date.now() - phaseStartRef.current) / 1000));
+    }, 250);
+    return () => clearInterval(interval);
+  }, [phase]);
+
+  const enterPhase = useCallback((next: Phase) => {
+    phaseStartRef.current = Date.now();
+    phaseRef.current = next;
+    setElapsed(0);
+    setPhase(next);
+  }, []);
+
+  const startDebate = async () => {
+    if (!isInitialized || !microphoneAvailable) {
+      toast({
+        title: "Microphone Not Available",
+        description: "Please allow microphone access in your browser settings and refresh the page.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    try {
+      const sessionResponse = await apiService.startGameSession('debate', DIFFICULTY);
+      if (sessionResponse.success) {
+        setSessionId(sessionResponse.data.sessionId);
+      }
+    } catch (error) {
+      console.error('Error starting debate session:', error);
+      toast({
+        title: "Game Start Error",
+        description: "Failed to start the game. Please check your connection and try again.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    // Transcript times count from here, so the server can split the halves at switchAt
+    resetSpeechMetrics();
+    debateStartRef.current = Date.now();
+    switchAtRef.current = SIDE_SECONDS * 1000;
+    enterPhase("for");
+
+    try {
+      await startSpeechRecognition();
+      await startAudioRecording();
+    } catch (error) {
+      console.error('Error starting speech capture:', error);
+    }
+  };
+
+  const finishDebate = useCallback(async () => {
+    if (phaseRef.current !== "against") return;
+
+    phaseRef.current = "results";
+    setPhase("results");
+    stopSpeechRecognition();
+    const recording = await stopAudioRecording();
+
+    // The server splits its transcript at switchAt and stores each half
+    await submitSession(sessionId, {
+      recording,
+      performance: { wordsPerMinute },
+      data: {
+        motion,
+        sideDuration: SIDE_SECONDS,
+        switchAt: switchAtRef.current
+      },
+      transcript: getTranscript()
+    });
+  }, [stopSpeechRecognition, stopAudioRecording, submitSession, sessionId, wordsPerMinute, motion, getTranscript]);
+
+  useEffect(() => {
+    if (phase === "for" && elapsed >= SIDE_SECONDS) {
+      enterPhase("switch");
+    } else if (phase === "switch" && elapsed >= SWITCH_SECONDS) {
+      switchAtRef.current = Date.now() - debateStartRef.current;
+      enterPhase("against");
+    } else if (phase === "against" && elapsed >= SIDE_SECONDS) {
+      finishDebate();
+    }
+  }, [phase, elapsed, enterPhase, finishDebate]);
+
+  const resetGame = () => {
+    stopSpeechRecognition();
+    stopAudioRecording();
+    phaseRef.current = "intro";
+    setPhase("intro");
+    setMotion(pickMotion(motions, motion));
+    setElapsed(0);
+    setSessionId(null);
+    resetAnalysis();
+    resetSpeechMetrics();
+  };
+
+  const header = (
+    <Button variant="outline" onClick={onBack} className="mb-6 border-border bg-card text-card-foreground hover:bg-muted">
+      <ArrowLeft className="w-4 h-4 mr-2" />
+      Back to Dashboard
+    </Button>
+  );
+
+  if (phase === "results") {
+    const scores = debate?.scores;
+    const scoring = analysisStatus !== "complete" && analysisStatus !== "failed";
+
+    return (
+      <div className="min-h-screen bg-background py-8">
+        <div className="container mx-auto px-6 max-w-3xl">
+          {header}
+
+          <Card className="bg-card border-border">
+            <CardContent className="p-8 space-y-6">
+              <div className="text-center">
+                <Trophy className="w-16 h-16 text-accent mx-auto mb-4" />
+                <h2 className="text-3xl font-bold text-foreground mb-2">Debate Complete!</h2>
+                <p className="text-muted-foreground">"{motion}"</p>
+              </div>
+
+              <div className="bg-muted rounded-lg p-6">
+                {scoring && (
+                  <p className="text-sm text-muted-foreground text-center animate-pulse">
+                    Weighing your arguments on both sides...
+                  </p>
+                )}
+                {!scoring && !scores && (
+                  <p className="text-sm text-muted-foreground text-center">
+                    {analysisError || "Debate analysis isn't available for this session."}
+                  </p>
+                )}
+                {!scoring && scores && (
+                  <div className="space-y-6">
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-center">
+                      {([
+                        ["Arguments", scores.arguments],
+                        ["Rebuttal", scores.rebuttal],
+                        ["Structure", scores.structure],
+                        ["On Motion", scores.onMotion],
+                        ["Overall", analysis?.overallRating],
+                      ] as const).map(([label, value]) => (
+                        <div key={label} className="bg-card rounded-lg p-3">
+                          <div className="text-xl font-bold text-primary">{value ?? "--"}</div>
+                          <div className="text-xs text-muted-foreground">{label}</div>
+                        </div>
+                      ))}
+                    </div>
+
+                    <div className="grid md:grid-cols-2 gap-4">
+                      {(["for", "against"] as const).map(side => {
+                        const result = debate?.sides?.[side];
+                        return (
+                          <div key={side} className="bg-card rounded-lg p-4">
+                            <h4 className="font-semibold text-foreground mb-1">{SIDE_LABELS[side]}</h4>
+                            <div className="text-xs text-muted-foreground mb-3">
+                              Structure {result?.structure ?? "--"} · On motion {result?.onMotion ?? "--"}
+                            </div>
+                            {result?.arguments && result.arguments.length > 0 ? (
+                              <ol className="list-decimal list-inside space-y-1 text-sm text-foreground">
+                                {result.arguments.map((argument, index) => (
+                                  <li key={index}>{argument}</li>
+                                ))}
+                              </ol>
+                            ) : (
+                              <p className="text-sm text-muted-foreground">No arguments detected</p>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+
+                    {debate?.rebuttals && debate.rebuttals.length > 0 && (
+                      <div>
+                        <h4 className="font-semibold text-foreground mb-2">Did you answer your own points?</h4>
+                        <div className="space-y-2">
+                          {debate.rebuttals.map((rebuttal, index) => (
+                            <div key={index} className="flex items-start gap-2 bg-card rounded-lg p-3 text-sm text-foreground">
+                              {rebuttal.rebutted ? (
+                                <Check className="w-4 h-4 mt-0.5 text-green-600 shrink-0" />
+                              ) : (
+                                <X className="w-4 h-4 mt-0.5 text-red-600 shrink-0" />
+                              )}
+                              <span>{rebuttal.point}</span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {analysis?.feedback && analysis.feedback.length > 0 && (
+                      <div className="space-y-2">
+                        {analysis.feedback.map((item, index) => (
+                          <div key={index} className="bg-card rounded-lg p-3 text-sm text-foreground">
+                            {item.message}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              <FillerCounter
+                fillerCount={fillerCount}
+                repetitionCount={repetitionCount}
+                lastFiller={lastFiller}
+                wordCount={wordCount}
+              />
+              <PaceIndicator wpm={wordsPerMinute} band={PACE_BANDS[DIFFICULTY]} />
+
+              <div className="flex gap-4 justify-center">
+                <Button onClick={resetGame} className="bg-primary hover:bg-primary/90 text-primary-foreground">
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                  New Motion
+                </Button>
+                <Button variant="outline" onClick={onBack} className="border-border text-foreground hover:bg-muted">
+                  Try Another Game
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
+  const side: Side = phase === "for" ? "for" : "against";
+
+  return (
+    <div className="min-h-screen bg-background py-8">
+      <div className="container mx-auto px-6 max-w-2xl">
+        {header}
+
+        <Card className="bg-card border-border">
+          <CardContent className="p-8">
+            <div className="text-center mb-8">
+              <h1 className="text-3xl font-bold text-foreground mb-2">Debate</h1>
+              <p className="text-muted-foreground">Argue for the motion, then switch sides and take your own case apart.</p>
+            </div>
+
+            {phase === "intro" && (
+              <div className="text-center space-y-6">
+                <Card className="bg-primary text-primary-foreground">
+                  <CardContent className="p-6">
+                    <div className="text-sm uppercase tracking-wide opacity-80 mb-2">The Motion</div>
+                    <div className="text-2xl font-semibold">"{motion}"</div>
+                  </CardContent>
+                </Card>
+
+                <Button variant="outline" size="sm" onClick={() => setMotion(pickMotion(motions, motion))} className="border-border text-foreground hover:bg-muted">
+                  <Shuffle className="w-4 h-4 mr-2" />
+                  Another Motion
+                </Button>
+
+                <div className="bg-muted rounded-lg p-6">
+                  <h3 className="font-semibold text-foreground mb-3">How to Play:</h3>
+                  <ul className="text-sm text-muted-foreground text-left space-y-2">
+                    <li>• Argue for the motion for {SIDE_SECONDS} seconds</li>
+                    <li>• When time is up you must switch sides, with {SWITCH_SECONDS} seconds to regroup</li>
+                    <li>• Argue against the motion for {SIDE_SECONDS} seconds</li>
+                    <li>• Give distinct reasons, each with a "because" or an example</li>
+                    <li>• After switching, answer the points you made first</li>
+                  </ul>
+                </div>
+
+                <div className="bg-muted rounded-lg p-4">
+                  <div className="flex items-center justify-center gap-3 mb-3">
+                    <div className={`p-2 rounded-full ${microphoneAvailable ? 'bg-green-100' : 'bg-red-100'}`}>
+                      {microphoneAvailable ? (
+                        <Mic className="w-5 h-5 text-green-600" />
+                      ) : (
+                        <MicOff className="w-5 h-5 text-red-600" />
+                      )}
+                    </div>
+                    <div className="text-left">
+                      <div className="font-medium text-foreground">
+                        Microphone: {microphoneAvailable ? "Available" : "Not Available"}
+                      </div>
+                      <div className="text-sm text-muted-foreground">
+                        {microphoneAvailable ? "Ready to play!" : "Please allow microphone access and refresh the page"}
+                      </div>
+                    </div>
+                  </div>
+
+                  {!microphoneAvailable && (
+                    <Button onClick={testMicrophone} variant="outline" size="sm" className="w-full">
+                      Test Microphone
+                    </Button>
+                  )}
+                </div>
+
+                <Button
+                  size="lg"
+                  onClick={startDebate}
+                  disabled={!microphoneAvailable}
+                  className="w-full bg-primary hover:bg-primary/90 text-primary-foreground disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Play className="w-5 h-5 mr-2" />
+                  {microphoneAvailable ? "Argue For the Motion" : "Microphone Required"}
+                </Button>
+              </div>
+            )}
+
+            {phase === "switch" && (
+              <div className="space-y-6 text-center">
+                <Repeat className="w-16 h-16 text-accent mx-auto" />
+                <div className="text-3xl font-bold text-foreground">Switch Sides!</div>
+                <p className="text-muted-foreground">Now argue against: "{motion}"</p>
+                <div className="text-5xl font-bold text-accent">{Math.max(0, SWITCH_SECONDS - elapsed)}s</div>
+              </div>
+            )}
+
+            {(phase === "for" || phase === "against") && (
+              <div className="space-y-6">
+                <Card className={side === "for" ? "bg-primary text-primary-foreground" : "bg-accent text-accent-foreground"}>
+                  <CardContent className="p-4 text-center">
+                    <div className="text-sm uppercase tracking-wide opacity-80 mb-1">{SIDE_LABELS[side]}</div>
+                    <div className="text-lg font-semibold">"{motion}"</div>
+                  </CardContent>
+                </Card>
+
+                <div className="text-center">
+                  <div className="text-5xl font-bold text-primary">{formatClock(Math.max(0, SIDE_SECONDS - elapsed))}</div>
+                  <div className="text-sm text-muted-foreground">
+                    {side === "for" ? "until you switch sides" : "left to argue against"}
+                  </div>
+                  <Progress value={Math.min(100, (elapsed / SIDE_SECONDS) * 100)} className="mt-3" />
+                </div>
+
+                <FillerCounter
+                  fillerCount={fillerCount}
+                  repetitionCount={repetitionCount}
+                  lastFiller={lastFiller}
+                  wordCount={wordCount}
+                />
+
+                <PaceIndicator wpm={currentWpm} band={PACE_BANDS[DIFFICULTY]} />
+
+                <div className="flex items-center justify-center gap-4">
+                  <div className={`p-4 rounded-full ${isListening ? 'bg-accent animate-pulse' : 'bg-muted'}`}>
+                    {isListening ? (
+                      <Mic className="w-6 h-6 text-accent-foreground" />
+                    ) : (
+                      <MicOff className="w-6 h-6 text-muted-foreground" />
+                    )}
+                  </div>
+                  {phase === "against" && (
+                    <Button onClick={finishDebate} size="lg" className="bg-primary hover:bg-primary/90 text-primary-foreground">
+                      <Square className="w-4 h-4 mr-2" />
+                      Finish Debate
+                    </Button>
+                  )}
+                </div>
+              </div>
+            )}
+
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,599 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Progress } from "@/components/ui/progress";
+import { ArrowLeft, Check, Mic, MicOff, Play, Plus, RotateCcw, Square, Trophy, X } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import { useSpeechRecognition } from "@/hooks/useSpeechRecognition";
+import { useSpeechMetrics } from "@/hooks/useSpeechMetrics";
+import { useAudioRecorder } from "@/hooks/useAudioRecorder";
+import { useSessionAnalysis } from "@/hooks/useSessionAnalysis";
+import { FillerCounter } from "@/components/FillerCounter";
+import { PaceIndicator } from "@/components/PaceIndicator";
+import { PACE_BANDS, type Difficulty } from "@/lib/pace";
+import { formatClock } from "@/lib/timingLights";
+import apiService from "@/services/api";
+
+const DIFFICULTY: Difficulty = "intermediate";
+
+// Time budgets offered, in seconds (backend/src/games/elevatorPitch.js)
+const BUDGETS = [30, 60] as const;
+type Budget = typeof BUDGETS[number];
+
+const MAX_KEY_POINTS = 5;
+
+// The pitch stops on its own this long after the budget runs out
+const GRACE_SECONDS = 10;
+
+type Phase = "setup" | "speaking" | "results";
+
+interface ElevatorPitchGameProps {
+  onBack: () => void;
+}
+
+interface KeyPointResult {
+  text: string;
+  covered: boolean;
+  match: number;
+}
+
+interface PitchResult {
+  pitchId?: string;
+  speakingDuration: number;
+  keyPoints: KeyPointResult[];
+  coverage: number;
+  timeAdherence: number;
+  score: number;
+}
+
+interface SavedPitch {
+  pitchId: string;
+  title: string;
+  keyPoints: string[];
+  duration: Budget;
+  attempts: number;
+  bestScore: number;
+}
+
+interface PitchAttempt {
+  sessionId: string;
+  attempt: number;
+  playedAt: string;
+  coverage: number;
+  timeAdherence: number;
+  clarity: number | null;
+  score: number;
+  change: number | null;
+}
+
+export const ElevatorPitchGame = ({ onBack }: ElevatorPitchGameProps) => {
+  const [phase, setPhase] = useState<Phase>("setup");
+  const [title, setTitle] = useState("");
+  const [keyPoints, setKeyPoints] = useState<string[]>(["", "", ""]);
+  const [budget, setBudget] = useState<Budget>(60);
+  const [savedPitches, setSavedPitches] = useState<SavedPitch[]>([]);
+  const [elapsed, setElapsed] = useState(0);
+  const [sessionId, setSessionId] = useState<string | null>(null);
+  const [result, setResult] = useState<PitchResult | null>(null);
+  const [attempts, setAttempts] = useState<PitchAttempt[]>([]);
+
+  const { toast } = useToast();
+  const phaseRef = useRef<Phase>("setup");
+  const startTimeRef = useRef<number>(0);
+  phaseRef.current = phase;
+
+  const plannedPoints = useMemo(() => keyPoints.map(point => point.trim()).filter(Boolean), [keyPoints]);
+
+  const {
+    fillerCount,
+    repetitionCount,
+    lastFiller,
+    wordCount,
+    wordsPerMinute,
+    currentWpm,
+    addSegment,
+    reset: resetSpeechMetrics,
+    getTranscript
+  } = useSpeechMetrics();
+
+  const { start: startAudioRecording, stop: stopAudioRecording } = useAudioRecorder();
+
+  // The key points and timing are scored when the session ends, clarity in the background
+  const {
+    status: analysisStatus,
+    analysis,
+    error: analysisError,
+    submit: submitSession,
+    reset: resetAnalysis
+  } = useSessionAnalysis<Omit<PitchResult, "score">>('elevatorPitch');
+
+  const {
+    isListening,
+    microphoneAvailable,
+    isInitialized,
+    start: startSpeechRecognition,
+    stop: stopSpeechRecognition,
+    testMicrophone
+  } = useSpeechRecognition({
+    onResult: (transcript, isFinal, timing) => {
+      if (isFinal && phaseRef.current === "speaking") {
+        addSegment(transcript, timing);
+      }
+    },
+    onEnd: () => {
+      // Recognition stops on silence; keep listening until the pitch is over
+      if (phaseRef.current === "speaking") {
+        setTimeout(() => startSpeechRecognition(), 100);
+      }
+    },
+    onError: (error) => {
+      console.error('Elevator pitch speech recognition error:', error);
+      if (phaseRef.current === "speaking") {
+        setTimeout(() => startSpeechRecognition(), 1000);
+      }
+    }
+  });
+
+  useEffect(() => {
+    if (phase !== "setup") return;
+
+    apiService.getPitches()
+      .then(response => {
+        if (response.success) {
+          setSavedPitches(response.data.pitches);
+        }
+      })
+      .catch(error => console.error('Failed to load saved pitches:', error));
+  }, [phase]);
+
+  useEffect(() => {
+    if (phase !== "speaking") return;
+
+    const interval = setInterval(() => {
+      setElapsed(Math.floor((Date.now() - startTimeRef.current) / 1000));
+    }, 250);
+    return () => clearInterval(interval);
+  }, [phase]);
+
+  // Compare with earlier attempts once this one is fully scored
+  useEffect(() => {
+    if (phase !== "results" || !result?.pitchId || analysisStatus === "submitting" || analysisStatus === "pending") return;
+
+    apiService.getPitchAttempts(result.pitchId)
+      .then(response => {
+        if (response.success) {
+          setAttempts(response.data.attempts);
+        }
+      })
+      .catch(error => console.error('Failed to load pitch attempts:', error));
+  }, [phase, result, analysisStatus]);
+
+  const loadPitch = (pitch: SavedPitch) => {
+    setTitle(pitch.title);
+    setKeyPoints(pitch.keyPoints.length > 0 ? pitch.keyPoints : [""]);
+    setBudget(pitch.duration);
+  };
+
+  const updateKeyPoint = (index: number, value: string) => {
+    setKeyPoints(points => points.map((point, i) => (i === index ? value : point)));
+  };
+
+  const removeKeyPoint = (index: number) => {
+    setKeyPoints(points => (points.length > 1 ? points.filter((_, i) => i !== index) : [""]));
+  };
+
+  const startPitch = async () => {
+    if (!title.trim() || plannedPoints.length === 0) {
+      toast({
+        title: "Plan Your Pitch",
+        description: "Give the pitch a title and at least one key point.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    if (!isInitialized || !microphoneAvailable) {
+      toast({
+        title: "Microphone Not Available",
+        description: "Please allow microphone access in your browser settings and refresh the page.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    try {
+      const sessionResponse = await apiService.startGameSession('elevatorPitch', DIFFICULTY);
+      if (sessionResponse.success) {
+        setSessionId(sessionResponse.data.sessionId);
+      }
+    } catch (error) {
+      console.error('Error starting elevator pitch session:', error);
+      toast({
+        title: "Game Start Error",
+        description: "Failed to start the game. Please check your connection and try again.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    startTimeRef.current = Date.now();
+    phaseRef.current = "speaking";
+    setElapsed(0);
+    setPhase("speaking");
+    resetSpeechMetrics();
+
+    try {
+      await startSpeechRecognition();
+      await startAudioRecording();
+    } catch (error) {
+      console.error('Error starting speech capture:', error);
+    }
+  };
+
+  const finishPitch = useCallback(async () => {
+    if (phaseRef.current !== "speaking") return;
+
+    const speakingDuration = Math.round((Date.now() - startTimeRef.current) / 1000);
+    phaseRef.current = "results";
+    setPhase("results");
+    stopSpeechRecognition();
+    const recording = await stopAudioRecording();
+
+    // The server checks the key points (against its own transcript) and timing
+    const session = await submitSession(sessionId, {
+      recording,
+      performance: { wordsPerMinute },
+      data: {
+        title: title.trim(),
+        keyPoints: plannedPoints,
+        duration: budget,
+        speakingDuration
+      },
+      transcript: getTranscript()
+    });
+
+    const pitch = session?.gameSpecificData?.elevatorPitch;
+    setResult(pitch
+      ? { ...pitch, score: session.performance.score ?? 0 }
+      : { speakingDuration, keyPoints: [], coverage: 0, timeAdherence: 0, score: 0 });
+  }, [stopSpeechRecognition, stopAudioRecording, submitSession, sessionId, wordsPerMinute, title, plannedPoints, budget, getTranscript]);
+
+  useEffect(() => {
+    if (phase === "speaking" && elapsed >= budget + GRACE_SECONDS) {
+      finishPitch();
+    }
+  }, [phase, elapsed, budget, finishPitch]);
+
+  // Back to setup with the same pitch, ready for another attempt
+  const resetGame = () => {
+    stopSpeechRecognition();
+    stopAudioRecording();
+    phaseRef.current = "setup";
+    setPhase("setup");
+    setElapsed(0);
+    setSessionId(null);
+    setResult(null);
+    resetAnalysis();
+    setAttempts([]);
+    resetSpeechMetrics();
+  };
+
+  const header = (
+    <Button variant="outline" onClick={onBack} className="mb-6 border-border bg-card text-card-foreground hover:bg-muted">
+      <ArrowLeft className="w-4 h-4 mr-2" />
+      Back to Dashboard
+    </Button>
+  );
+
+  if (phase === "results") {
+    const scoring = !result || (analysisStatus !== "complete" && analysisStatus !== "failed");
+
+    return (
+      <div className="min-h-screen bg-background py-8">
+        <div className="container mx-auto px-6 max-w-2xl">
+          {header}
+
+          <Card className="bg-card border-border">
+            <CardContent className="p-8 space-y-6">
+              <div className="text-center">
+                <Trophy className="w-16 h-16 text-accent mx-auto mb-4" />
+                <h2 className="text-3xl font-bold text-foreground mb-2">Pitch Delivered!</h2>
+                <p className="text-muted-foreground">{title}</p>
+              </div>
+
+              {!result && (
+                <p className="text-sm text-muted-foreground text-center animate-pulse">Checking your key points...</p>
+              )}
+
+              {result && (
+                <>
+                  <div className="grid grid-cols-3 gap-4 text-center">
+                    <div className="bg-muted rounded-lg p-4">
+                      <div className="text-2xl font-bold text-primary">{result.coverage}%</div>
+                      <div className="text-sm text-muted-foreground">Key Points</div>
+                    </div>
+                    <div className="bg-muted rounded-lg p-4">
+                      <div className={`text-2xl font-bold ${result.speakingDuration > budget ? 'text-destructive' : 'text-accent'}`}>
+                        {formatClock(result.speakingDuration)}
+                      </div>
+                      <div className="text-sm text-muted-foreground">of {formatClock(budget)} ({result.timeAdherence})</div>
+                    </div>
+                    <div className="bg-muted rounded-lg p-4">
+                      <div className="text-2xl font-bold text-primary">
+                        {scoring ? "..." : analysis?.speechClarity ?? "--"}
+                      </div>
+                      <div className="text-sm text-muted-foreground">Clarity</div>
+                    </div>
+                  </div>
+
+                  <div className="bg-muted rounded-lg p-6 space-y-2">
+                    <h3 className="font-semibold text-foreground mb-2 text-center">Key Message Checklist</h3>
+                    {result.keyPoints.map((point, index) => (
+                      <div key={index} className="flex items-center gap-3 bg-card rounded-lg p-3 text-sm">
+                        {point.covered ? (
+                          <Check className="w-4 h-4 text-green-600 shrink-0" />
+                        ) : (
+                          <X className="w-4 h-4 text-destructive shrink-0" />
+                        )}
+                        <span className="flex-1 text-foreground">{point.text}</span>
+                        <span className="text-xs text-muted-foreground">{point.match}%</span>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="bg-muted rounded-lg p-6">
+                    <div className="flex justify-center gap-8 text-center mb-4">
+                      <div>
+                        <div className="text-xl font-bold text-accent">{result.score}</div>
+                        <div className="text-xs text-muted-foreground">Pitch Score</div>
+                      </div>
+                      <div>
+                        <div className="text-xl font-bold text-primary">{scoring ? "..." : analysis?.overallRating ?? "--"}</div>
+                        <div className="text-xs text-muted-foreground">Overall</div>
+                      </div>
+                    </div>
+                    {scoring && (
+                      <p className="text-sm text-muted-foreground text-center animate-pulse">Scoring your clarity...</p>
+                    )}
+                    {!scoring && analysisError && (
+                      <p className="text-sm text-muted-foreground text-center">{analysisError}</p>
+                    )}
+                    {!scoring && analysis?.feedback && analysis.feedback.length > 0 && (
+                      <div className="space-y-2">
+                        {analysis.feedback.map((item, index) => (
+                          <div key={index} className="bg-card rounded-lg p-3 text-sm text-foreground">
+                            {item.message}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </>
+              )}
+
+              {attempts.length > 1 && (
+                <div className="bg-muted rounded-lg p-6">
+                  <h3 className="font-semibold text-foreground mb-3 text-center">Your Attempts at This Pitch</h3>
+                  <table className="w-full text-sm text-center">
+                    <thead className="text-muted-foreground">
+                      <tr>
+                        <th className="py-1">#</th>
+                        <th>Key Points</th>
+                        <th>Timing</th>
+                        <th>Clarity</th>
+                        <th>Score</th>
+                      </tr>
+                    </thead>
+                    <tbody className="text-foreground">
+                      {attempts.slice(-5).map(attempt => (
+                        <tr key={attempt.sessionId} className={attempt.sessionId === sessionId ? "font-bold" : ""}>
+                          <td className="py-1">{attempt.attempt}</td>
+                          <td>{attempt.coverage}%</td>
+                          <td>{attempt.timeAdherence}</td>
+                          <td>{attempt.clarity ?? "--"}</td>
+                          <td>
+                            {attempt.score}
+                            {attempt.change !== null && attempt.change !== 0 && (
+                              <span className={`ml-1 text-xs ${attempt.change > 0 ? 'text-green-600' : 'text-destructive'}`}>
+                                {attempt.change > 0 ? `+${attempt.change}` : attempt.change}
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <FillerCounter
+                fillerCount={fillerCount}
+                repetitionCount={repetitionCount}
+                lastFiller={lastFiller}
+                wordCount={wordCount}
+              />
+              <PaceIndicator wpm={wordsPerMinute} band={PACE_BANDS[DIFFICULTY]} />
+
+              <div className="flex gap-4 justify-center">
+                <Button onClick={resetGame} className="bg-primary hover:bg-primary/90 text-primary-foreground">
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                  Pitch Again
+                </Button>
+                <Button variant="outline" onClick={onBack} className="border-border text-foreground hover:bg-muted">
+                  Try Another Game
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-background py-8">
+      <div className="container mx-auto px-6 max-w-2xl">
+        {header}
+
+        <Card className="bg-card border-border">
+          <CardContent className="p-8">
+            <div className="text-center mb-8">
+              <h1 className="text-3xl font-bold text-foreground mb-2">Elevator Pitch</h1>
+              <p className="text-muted-foreground">Plan your key messages, then land all of them before the time runs out.</p>
+            </div>
+
+            {phase === "setup" && (
+              <div className="space-y-6">
+                {savedPitches.length > 0 && (
+                  <div className="bg-muted rounded-lg p-4">
+                    <h3 className="font-semibold text-foreground mb-3">Your Pitches</h3>
+                    <div className="flex flex-wrap gap-2">
+                      {savedPitches.map(pitch => (
+                        <Button key={pitch.pitchId} variant="outline" size="sm" onClick={() => loadPitch(pitch)}>
+                          {pitch.title} · best {pitch.bestScore} ({pitch.attempts})
+                        </Button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-foreground" htmlFor="pitch-title">Pitch</label>
+                  <Input
+                    id="pitch-title"
+                    value={title}
+                    maxLength={100}
+                    placeholder="e.g. Cloud cost platform for mid-size retailers"
+                    onChange={event => setTitle(event.target.value)}
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <div className="text-sm font-medium text-foreground">Key Points</div>
+                  {keyPoints.map((point, index) => (
+                    <div key={index} className="flex gap-2">
+                      <Input
+                        value={point}
+                        maxLength={150}
+                        placeholder={`Key point ${index + 1}`}
+                        onChange={event => updateKeyPoint(index, event.target.value)}
+                      />
+                      <Button variant="ghost" size="icon" onClick={() => removeKeyPoint(index)} aria-label="Remove key point">
+                        <X className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  ))}
+                  {keyPoints.length < MAX_KEY_POINTS && (
+                    <Button variant="outline" size="sm" onClick={() => setKeyPoints(points => [...points, ""])}>
+                      <Plus className="w-4 h-4 mr-2" />
+                      Add Key Point
+                    </Button>
+                  )}
+                </div>
+
+                <div className="space-y-2">
+                  <div className="text-sm font-medium text-foreground">Time Budget</div>
+                  <div className="flex gap-2">
+                    {BUDGETS.map(seconds => (
+                      <Button
+                        key={seconds}
+                        variant={budget === seconds ? "default" : "outline"}
+                        onClick={() => setBudget(seconds)}
+                        className="flex-1"
+                      >
+                        {seconds} seconds
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="bg-muted rounded-lg p-4">
+                  <div className="flex items-center justify-center gap-3 mb-3">
+                    <div className={`p-2 rounded-full ${microphoneAvailable ? 'bg-green-100' : 'bg-red-100'}`}>
+                      {microphoneAvailable ? (
+                        <Mic className="w-5 h-5 text-green-600" />
+                      ) : (
+                        <MicOff className="w-5 h-5 text-red-600" />
+                      )}
+                    </div>
+                    <div className="text-left">
+                      <div className="font-medium text-foreground">
+                        Microphone: {microphoneAvailable ? "Available" : "Not Available"}
+                      </div>
+                      <div className="text-sm text-muted-foreground">
+                        {microphoneAvailable ? "Ready to pitch!" : "Please allow microphone access and refresh the page"}
+                      </div>
+                    </div>
+                  </div>
+
+                  {!microphoneAvailable && (
+                    <Button onClick={testMicrophone} variant="outline" size="sm" className="w-full">
+                      Test Microphone
+                    </Button>
+                  )}
+                </div>
+
+                <Button
+                  size="lg"
+                  onClick={startPitch}
+                  disabled={!microphoneAvailable}
+                  className="w-full bg-primary hover:bg-primary/90 text-primary-foreground disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Play className="w-5 h-5 mr-2" />
+                  {microphoneAvailable ? "Start the Clock" : "Microphone Required"}
+                </Button>
+              </div>
+            )}
+
+            {phase === "speaking" && (
+              <div className="space-y-6">
+                <div className="text-center">
+                  <div className={`text-5xl font-bold ${elapsed > budget ? 'text-destructive' : 'text-primary'}`}>
+                    {elapsed > budget ? `+${elapsed - budget}s` : formatClock(budget - elapsed)}
+                  </div>
+                  <div className="text-sm text-muted-foreground">
+                    {elapsed > budget ? "over budget, wrap up now" : "remaining"}
+                  </div>
+                  <Progress value={Math.min(100, (elapsed / budget) * 100)} className="mt-3" />
+                </div>
+
+                <div className="bg-muted rounded-lg p-4">
+                  <div className="text-sm font-medium text-foreground mb-2">{title}</div>
+                  <ul className="text-sm text-muted-foreground space-y-1">
+                    {plannedPoints.map((point, index) => (
+                      <li key={index}>• {point}</li>
+                    ))}
+                  </ul>
+                </div>
+
+                <FillerCounter
+                  fillerCount={fillerCount}
+                  repetitionCount={repetitionCount}
+                  lastFiller={lastFiller}
+                  wordCount={wordCount}
+                />
+
+                <PaceIndicator wpm={currentWpm} band={PACE_BANDS[DIFFICULTY]} />
+
+                <div className="flex items-center justify-center gap-4">
+                  <div className={`p-4 rounded-full ${isListening ? 'bg-accent animate-pulse' : 'bg-muted'}`}>
+                    {isListening ? (
+                      <Mic className="w-6 h-6 text-accent-foreground" />
+                    ) : (
+                      <MicOff className="w-6 h-6 text-muted-foreground" />
+                    )}
+                  </div>
+                  <Button onClick={finishPitch} size="lg" className="bg-primary hover:bg-primary/90 text-primary-foreground">
+                    <Square className="w-4 h-4 mr-2" />
+                    Finish Pitch
+                  </Button>
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
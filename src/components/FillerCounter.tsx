@@ -0,0 +1,32 @@
+import { MessageCircleWarning } from "lucide-react";
+
+interface FillerCounterProps {
+  fillerCount: number;
+  repetitionCount: number;
+  lastFiller: string | null;
+  wordCount: number;
+}
+
+export const FillerCounter = ({ fillerCount, repetitionCount, lastFiller, wordCount }: FillerCounterProps) => {
+  const rate = wordCount > 0 ? Math.round((fillerCount / wordCount) * 1000) / 10 : 0;
+  const color = rate >= 8 ? 'text-red-500' : rate >= 4 ? 'text-yellow-600' : 'text-green-600';
+
+  return (
+    <div className="bg-muted rounded-lg p-3 flex items-center justify-between">
+      <div className="flex items-center gap-2">
+        <MessageCircleWarning className={`w-5 h-5 ${color}`} />
+        <div className="text-left">
+          <div className="text-sm font-medium text-foreground">Filler Words</div>
+          <div className="text-xs text-muted-foreground">
+            {lastFiller ? `Last: "${lastFiller}"` : "None detected yet"}
+            {repetitionCount > 0 && ` · ${repetitionCount} repeats`}
+          </div>
+        </div>
+      </div>
+      <div className="text-right">
+        <div className={`text-xl font-bold ${color}`}>{fillerCount}</div>
+        <div className="text-xs text-muted-foreground">{rate}% of words</div>
+      </div>
+    </div>
+  );
+};
@@ -1,14 +1,18 @@
 import { GameCard } from "./GameCard";
 import { Button } from "@/components/ui/button";
-import { Brain, Zap, Target, ArrowLeft, Trophy, TrendingUp } from "lucide-react";
+import { Brain, Zap, Target, ArrowLeft, Trophy, TrendingUp, History, Volume2, Mic, Presentation, MessageCircleQuestion, BookOpen, Scale, Users } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { useEffect, useState } from "react";
+import { SpeechEngineSelect } from "./SpeechEngineSelect";
+import { LanguageSelect } from "./LanguageSelect";
+import { GAME_TITLES, type GameType } from "@/lib/gameTypes";
 import apiService from "@/services/api";
 
 interface GameDashboardProps {
   onGameSelect: (gameId: string) => void;
   onBack: () => void;
   onLogout: () => void;
+  onSessionSelect: (sessionId: string) => void;
 }
 
 interface UserStats {
@@ -18,7 +22,15 @@ interface UserStats {
   averageScore: number;
 }
 
-export const GameDashboard = ({ onGameSelect, onBack, onLogout }: GameDashboardProps) => {
+interface RecentSession {
+  _id: string;
+  gameType: GameType;
+  sessionData: { startTime: string };
+  performance: { score: number };
+  audioRecording?: { url?: string };
+}
+
+export const GameDashboard = ({ onGameSelect, onBack, onLogout, onSessionSelect }: GameDashboardProps) => {
   const [userStats, setUserStats] = useState<UserStats>({
     gamesCompleted: 0,
     totalPracticeTime: 0,
@@ -26,6 +38,7 @@ export const GameDashboard = ({ onGameSelect, onBack, onLogout }: GameDashboardP
     averageScore: 0
   });
   const [loading, setLoading] = useState(true);
+  const [recentSessions, setRecentSessions] = useState<RecentSession[]>([]);
 
   const games = [
     {
@@ -38,6 +51,16 @@ export const GameDashboard = ({ onGameSelect, onBack, onLogout }: GameDashboardP
       skills: ["Quick Thinking", "Analogies", "Response Speed", "Confidence"],
       isLocked: false
     },
+    {
+      id: "rapid-fire-match",
+      title: "Rapid Fire Showdown",
+      description: "Race two to eight friends through the same analogies in real time. Share a room code, answer fastest and best, and climb the live scoreboard.",
+      icon: Users,
+      difficulty: "Intermediate" as const,
+      duration: "3-5 min",
+      skills: ["Quick Thinking", "Response Speed", "Composure", "Competition"],
+      isLocked: false
+    },
     {
       id: "conductor",
       title: "The Conductor",
@@ -57,6 +80,56 @@ export const GameDashboard = ({ onGameSelect, onBack, onLogout }: GameDashboardP
       duration: "10-15 min",
       skills: ["Integration", "Improvisation", "Topic Coherence", "Flow"],
       isLocked: false
+    },
+    {
+      id: "impromptu",
+      title: "Impromptu Speech",
+      description: "Answer a surprise question after a short prep countdown, keeping to time with green, yellow and red lights. Scored on your opening, body and close.",
+      icon: Mic,
+      difficulty: "Intermediate" as const,
+      duration: "2-3 min",
+      skills: ["Impromptu Speaking", "Structure", "Timing", "Composure"],
+      isLocked: false
+    },
+    {
+      id: "elevator-pitch",
+      title: "Elevator Pitch",
+      description: "Write down the key messages of your pitch, then deliver it in 30 or 60 seconds. Scored on key points covered, time and clarity, attempt after attempt.",
+      icon: Presentation,
+      difficulty: "Intermediate" as const,
+      duration: "1-2 min",
+      skills: ["Concision", "Key Messages", "Timing", "Clarity"],
+      isLocked: false
+    },
+    {
+      id: "audience-qa",
+      title: "Audience Q&A",
+      description: "Name your talk and face the audience's follow-up questions, from friendly to hostile, against the clock. Scored on directness, bridging and composure.",
+      icon: MessageCircleQuestion,
+      difficulty: "Advanced" as const,
+      duration: "5 min",
+      skills: ["Handling Questions", "Bridging", "Composure", "Directness"],
+      isLocked: false
+    },
+    {
+      id: "storytelling",
+      title: "Storytelling",
+      description: "Tell a short story from a prompt. See where your setup, conflict and resolution fall, scored on structure, vivid detail and pacing.",
+      icon: BookOpen,
+      difficulty: "Intermediate" as const,
+      duration: "2-3 min",
+      skills: ["Narrative Structure", "Vivid Detail", "Pacing", "Engagement"],
+      isLocked: false
+    },
+    {
+      id: "debate",
+      title: "Debate",
+      description: "Argue for a motion, then switch sides when the clock says so and argue against it. Scored on arguments, rebutting your own points and structure.",
+      icon: Scale,
+      difficulty: "Advanced" as const,
+      duration: "2-4 min",
+      skills: ["Argumentation", "Rebuttal", "Structure", "Perspective Taking"],
+      isLocked: false
     }
   ];
 
@@ -83,9 +156,21 @@ export const GameDashboard = ({ onGameSelect, onBack, onLogout }: GameDashboardP
     }
   };
 
+  const fetchRecentSessions = async () => {
+    try {
+      const response = await apiService.getGameSessions(5);
+      if (response.success) {
+        setRecentSessions(response.data.sessions);
+      }
+    } catch (error) {
+      console.error('Failed to fetch recent sessions:', error);
+    }
+  };
+
   // Fetch stats on mount and when returning from games
   useEffect(() => {
     fetchUserStats();
+    fetchRecentSessions();
     
     // Refresh stats when user returns to the tab
     const handleFocus = () => {
@@ -112,6 +197,7 @@ export const GameDashboard = ({ onGameSelect, onBack, onLogout }: GameDashboardP
   // Add manual refresh function
   const handleRefreshStats = () => {
     fetchUserStats();
+    fetchRecentSessions();
   };
 
   return (
@@ -130,6 +216,8 @@ export const GameDashboard = ({ onGameSelect, onBack, onLogout }: GameDashboardP
             </div>
           </div>
           <div className="flex items-center gap-3">
+            <LanguageSelect />
+            <SpeechEngineSelect />
             <Button variant="outline" onClick={handleRefreshStats} className="flex items-center gap-2">
               <TrendingUp className="w-4 h-4" />
               Refresh Stats
@@ -204,6 +292,38 @@ export const GameDashboard = ({ onGameSelect, onBack, onLogout }: GameDashboardP
           ))}
         </div>
 
+        {/* Recent Sessions */}
+        {recentSessions.length > 0 && (
+          <Card className="mt-12 bg-card border-border">
+            <CardHeader>
+              <CardTitle className="text-xl flex items-center gap-2">
+                <History className="w-5 h-5 text-primary" />
+                Recent Sessions
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              {recentSessions.map((session) => (
+                <button
+                  key={session._id}
+                  onClick={() => onSessionSelect(session._id)}
+                  className="w-full flex items-center justify-between bg-muted hover:bg-muted/70 rounded-lg p-3 text-left transition-colors"
+                >
+                  <div>
+                    <div className="font-medium text-foreground">{GAME_TITLES[session.gameType]}</div>
+                    <div className="text-xs text-muted-foreground">
+                      {new Date(session.sessionData.startTime).toLocaleString()}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    {session.audioRecording?.url && <Volume2 className="w-4 h-4 text-muted-foreground" />}
+                    <span className="text-lg font-bold text-primary">{session.performance.score}</span>
+                  </div>
+                </button>
+              ))}
+            </CardContent>
+          </Card>
+        )}
+
         {/* How It Works */}
         <div className="mt-12 bg-card border border-border rounded-2xl p-8">
           <h2 className="text-2xl font-bold text-foreground mb-6 flex items-center gap-3">
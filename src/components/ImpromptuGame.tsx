@@ -0,0 +1,506 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { ArrowLeft, Mic, MicOff, Play, RotateCcw, Square, Timer, Trophy } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import { useSpeechRecognition } from "@/hooks/useSpeechRecognition";
+import { useSpeechMetrics } from "@/hooks/useSpeechMetrics";
+import { useAudioRecorder } from "@/hooks/useAudioRecorder";
+import { usePracticeLanguage } from "@/hooks/usePracticeLanguage";
+import { useSessionAnalysis } from "@/hooks/useSessionAnalysis";
+import { useLiveCoaching } from "@/hooks/useLiveCoaching";
+import { FillerCounter } from "@/components/FillerCounter";
+import { LiveCoachingTip } from "@/components/LiveCoachingTip";
+import { PaceIndicator } from "@/components/PaceIndicator";
+import { TimingLights } from "@/components/TimingLights";
+import { PACE_BANDS, type Difficulty } from "@/lib/pace";
+import { GAME_DECKS } from "@/lib/gameDecks";
+import {
+  IMPROMPTU_MAX_SECONDS,
+  IMPROMPTU_MIN_SECONDS,
+  IMPROMPTU_PREP_SECONDS,
+  formatClock,
+  getTimingLight,
+  getTimingThresholds,
+  type TimingLight,
+} from "@/lib/timingLights";
+import apiService from "@/services/api";
+
+const DIFFICULTY: Difficulty = "intermediate";
+
+const THRESHOLDS = getTimingThresholds(IMPROMPTU_MIN_SECONDS, IMPROMPTU_MAX_SECONDS);
+
+// Speaking stops on its own this long after the red light
+const GRACE_SECONDS = 30;
+
+type Phase = "intro" | "prep" | "speaking" | "results";
+
+interface ImpromptuGameProps {
+  onBack: () => void;
+}
+
+interface StructureResult {
+  score?: number;
+  opening?: string;
+  body?: string;
+  close?: string;
+}
+
+// Stored on the session; the structure is filled in by the analysis
+interface ImpromptuData {
+  structure?: StructureResult;
+}
+
+interface SpeechResult {
+  prepUsed: number;
+  speakingDuration: number;
+  light: TimingLight;
+}
+
+const LIGHT_STYLES: Record<TimingLight, { label: string; className: string }> = {
+  none: { label: "Under time", className: "bg-muted-foreground text-background" },
+  green: { label: "Green", className: "bg-green-500 text-white" },
+  yellow: { label: "Yellow", className: "bg-yellow-400 text-black" },
+  red: { label: "Red", className: "bg-red-500 text-white" },
+};
+
+const pickQuestion = (questions: string[], current?: string) => {
+  const choices = questions.length > 1 ? questions.filter(question => question !== current) : questions;
+  return choices[Math.floor(Math.random() * choices.length)];
+};
+
+export const ImpromptuGame = ({ onBack }: ImpromptuGameProps) => {
+  const language = usePracticeLanguage();
+  const questions = GAME_DECKS[language].impromptuQuestions;
+
+  const [phase, setPhase] = useState<Phase>("intro");
+  const [question, setQuestion] = useState(() => pickQuestion(questions));
+  const [elapsed, setElapsed] = useState(0); // seconds into the current phase
+  const [sessionId, setSessionId] = useState<string | null>(null);
+  const [result, setResult] = useState<SpeechResult | null>(null);
+
+  const { toast } = useToast();
+  const phaseRef = useRef<Phase>("intro");
+  const phaseStartRef = useRef<number>(0);
+  const prepUsedRef = useRef<number>(0);
+  phaseRef.current = phase;
+
+  const {
+    fillerCount,
+    repetitionCount,
+    lastFiller,
+    wordCount,
+    wordsPerMinute,
+    currentWpm,
+    addSegment,
+    reset: resetSpeechMetrics,
+    getTranscript
+  } = useSpeechMetrics();
+
+  const { start: startAudioRecording, stop: stopAudioRecording } = useAudioRecorder();
+
+  // Structure scoring runs in the background after the session ends
+  const {
+    status: analysisStatus,
+    analysis,
+    gameData,
+    error: analysisError,
+    submit: submitSession,
+    reset: resetAnalysis
+  } = useSessionAnalysis<ImpromptuData>('impromptu');
+
+  // Pace, filler and off-topic tips from the server while speaking
+  const {
+    active: coachingActive,
+    tip: coachingTip,
+    start: startCoaching,
+    addSegment: addCoachingSegment,
+    stop: stopCoaching
+  } = useLiveCoaching();
+
+  const {
+    isListening,
+    microphoneAvailable,
+    isInitialized,
+    start: startSpeechRecognition,
+    stop: stopSpeechRecognition,
+    testMicrophone
+  } = useSpeechRecognition({
+    onResult: (transcript, isFinal, timing) => {
+      if (isFinal && phaseRef.current === "speaking") {
+        addSegment(transcript, timing);
+        addCoachingSegment(transcript, timing);
+      }
+    },
+    onEnd: () => {
+      // Recognition stops on silence; keep listening until the speech is over
+      if (phaseRef.current === "speaking") {
+        setTimeout(() => startSpeechRecognition(), 100);
+      }
+    },
+    onError: (error) => {
+      console.error('Impromptu speech recognition error:', error);
+      if (phaseRef.current === "speaking") {
+        setTimeout(() => startSpeechRecognition(), 1000);
+      }
+    }
+  });
+
+  // One clock for both the prep countdown and the speaking timer
+  useEffect(() => {
+    if (phase !== "prep" && phase !== "speaking") return;
+
+    const interval = setInterval(() => {
+      setElapsed(Math.floor((Date.now() - phaseStartRef.current) / 1000));
+    }, 250);
+    return () => clearInterval(interval);
+  }, [phase]);
+
+  const startPrep = async () => {
+    if (!isInitialized || !microphoneAvailable) {
+      toast({
+        title: "Microphone Not Available",
+        description: "Please allow microphone access in your browser settings and refresh the page.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    try {
+      const sessionResponse = await apiService.startGameSession('impromptu', DIFFICULTY);
+      if (sessionResponse.success) {
+        setSessionId(sessionResponse.data.sessionId);
+      }
+    } catch (error) {
+      console.error('Error starting impromptu session:', error);
+      toast({
+        title: "Game Start Error",
+        description: "Failed to start the game. Please check your connection and try again.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    phaseStartRef.current = Date.now();
+    setElapsed(0);
+    setPhase("prep");
+  };
+
+  const startSpeaking = useCallback(async () => {
+    if (phaseRef.current !== "prep") return;
+
+    prepUsedRef.current = Math.round((Date.now() - phaseStartRef.current) / 1000);
+    phaseStartRef.current = Date.now();
+    phaseRef.current = "speaking";
+    setElapsed(0);
+    setPhase("speaking");
+    resetSpeechMetrics();
+    startCoaching(sessionId, question);
+
+    try {
+      await startSpeechRecognition();
+      await startAudioRecording();
+    } catch (error) {
+      console.error('Error starting speech capture:', error);
+    }
+  }, [resetSpeechMetrics, startCoaching, sessionId, question, startSpeechRecognition, startAudioRecording]);
+
+  const finishSpeaking = useCallback(async () => {
+    if (phaseRef.current !== "speaking") return;
+
+    const speakingDuration = Math.round((Date.now() - phaseStartRef.current) / 1000);
+    phaseRef.current = "results";
+    setPhase("results");
+    stopSpeechRecognition();
+    stopCoaching();
+    const recording = await stopAudioRecording();
+
+    setResult({
+      prepUsed: prepUsedRef.current,
+      speakingDuration,
+      light: getTimingLight(speakingDuration, THRESHOLDS)
+    });
+
+    // The server scores timing from these values; structure is scored by the analysis
+    await submitSession(sessionId, {
+      recording,
+      performance: { wordsPerMinute },
+      data: {
+        question,
+        prepDuration: IMPROMPTU_PREP_SECONDS,
+        prepUsed: prepUsedRef.current,
+        speakingDuration,
+        minDuration: IMPROMPTU_MIN_SECONDS,
+        maxDuration: IMPROMPTU_MAX_SECONDS
+      },
+      transcript: getTranscript()
+    });
+  }, [stopSpeechRecognition, stopCoaching, stopAudioRecording, submitSession, sessionId, wordsPerMinute, question, getTranscript]);
+
+  useEffect(() => {
+    if (phase === "prep" && elapsed >= IMPROMPTU_PREP_SECONDS) {
+      startSpeaking();
+    } else if (phase === "speaking" && elapsed >= THRESHOLDS.red + GRACE_SECONDS) {
+      finishSpeaking();
+    }
+  }, [phase, elapsed, startSpeaking, finishSpeaking]);
+
+  const resetGame = () => {
+    stopSpeechRecognition();
+    stopCoaching();
+    stopAudioRecording();
+    phaseRef.current = "intro";
+    setPhase("intro");
+    setQuestion(pickQuestion(questions, question));
+    setElapsed(0);
+    setSessionId(null);
+    setResult(null);
+    resetAnalysis();
+    resetSpeechMetrics();
+  };
+
+  const header = (
+    <Button variant="outline" onClick={onBack} className="mb-6 border-border bg-card text-card-foreground hover:bg-muted">
+      <ArrowLeft className="w-4 h-4 mr-2" />
+      Back to Dashboard
+    </Button>
+  );
+
+  if (phase === "results" && result) {
+    const light = LIGHT_STYLES[result.light];
+    const structure = gameData?.structure;
+    const scoring = analysisStatus !== "complete" && analysisStatus !== "failed";
+
+    return (
+      <div className="min-h-screen bg-background py-8">
+        <div className="container mx-auto px-6 max-w-2xl">
+          {header}
+
+          <Card className="bg-card border-border">
+            <CardContent className="p-8 space-y-6">
+              <div className="text-center">
+                <Trophy className="w-16 h-16 text-accent mx-auto mb-4" />
+                <h2 className="text-3xl font-bold text-foreground mb-2">Speech Complete!</h2>
+                <p className="text-muted-foreground">"{question}"</p>
+              </div>
+
+              <div className="grid grid-cols-3 gap-4 text-center">
+                <div className="bg-muted rounded-lg p-4">
+                  <div className="text-2xl font-bold text-primary">{formatClock(result.speakingDuration)}</div>
+                  <div className="text-sm text-muted-foreground">Speaking Time</div>
+                </div>
+                <div className="bg-muted rounded-lg p-4">
+                  <span className={`inline-block px-3 py-1 rounded-full text-sm font-bold ${light.className}`}>
+                    {light.label}
+                  </span>
+                  <div className="text-sm text-muted-foreground mt-1">Last Light</div>
+                </div>
+                <div className="bg-muted rounded-lg p-4">
+                  <div className="text-2xl font-bold text-accent">{result.prepUsed}s</div>
+                  <div className="text-sm text-muted-foreground">Prep Used</div>
+                </div>
+              </div>
+
+              <div className="bg-muted rounded-lg p-6">
+                <h3 className="font-semibold text-foreground mb-4 text-center">Structure</h3>
+                {scoring && (
+                  <p className="text-sm text-muted-foreground text-center animate-pulse">
+                    Scoring your opening, body and close...
+                  </p>
+                )}
+                {!scoring && structure?.score === undefined && (
+                  <p className="text-sm text-muted-foreground text-center">
+                    {analysisError || "Structure scoring isn't available for this speech."}
+                  </p>
+                )}
+                {!scoring && structure?.score !== undefined && (
+                  <div className="space-y-4">
+                    <div className="grid grid-cols-3 gap-4 text-center">
+                      {([["Opening", structure.opening], ["Body", structure.body], ["Close", structure.close]] as const).map(([part, rating]) => (
+                        <div key={part} className="bg-card rounded-lg p-3">
+                          <div className="text-lg font-bold text-primary capitalize">{rating || "--"}</div>
+                          <div className="text-xs text-muted-foreground">{part}</div>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="flex justify-center gap-8 text-center">
+                      <div>
+                        <div className="text-xl font-bold text-accent">{structure.score}</div>
+                        <div className="text-xs text-muted-foreground">Structure Score</div>
+                      </div>
+                      <div>
+                        <div className="text-xl font-bold text-primary">{analysis?.overallRating ?? "--"}</div>
+                        <div className="text-xs text-muted-foreground">Overall</div>
+                      </div>
+                    </div>
+                    {analysis?.feedback && analysis.feedback.length > 0 && (
+                      <div className="space-y-2">
+                        {analysis.feedback.map((item, index) => (
+                          <div key={index} className="bg-card rounded-lg p-3 text-sm text-foreground">
+                            {item.message}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              <FillerCounter
+                fillerCount={fillerCount}
+                repetitionCount={repetitionCount}
+                lastFiller={lastFiller}
+                wordCount={wordCount}
+              />
+              <PaceIndicator wpm={wordsPerMinute} band={PACE_BANDS[DIFFICULTY]} />
+
+              <div className="flex gap-4 justify-center">
+                <Button onClick={resetGame} className="bg-primary hover:bg-primary/90 text-primary-foreground">
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                  New Question
+                </Button>
+                <Button variant="outline" onClick={onBack} className="border-border text-foreground hover:bg-muted">
+                  Try Another Game
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-background py-8">
+      <div className="container mx-auto px-6 max-w-2xl">
+        {header}
+
+        <Card className="bg-card border-border">
+          <CardContent className="p-8">
+            <div className="text-center mb-8">
+              <h1 className="text-3xl font-bold text-foreground mb-2">Impromptu Speech</h1>
+              <p className="text-muted-foreground">Think on your feet: a surprise question, a few seconds to prepare, one to two minutes to answer.</p>
+            </div>
+
+            {phase === "intro" && (
+              <div className="text-center space-y-6">
+                <div className="bg-muted rounded-lg p-6">
+                  <h3 className="font-semibold text-foreground mb-3">How to Play:</h3>
+                  <ul className="text-sm text-muted-foreground text-left space-y-2">
+                    <li>• You get {IMPROMPTU_PREP_SECONDS} seconds to plan your answer</li>
+                    <li>• Speak until the green light at {formatClock(THRESHOLDS.green)}</li>
+                    <li>• Start wrapping up when the yellow light comes on</li>
+                    <li>• Finish before the red light at {formatClock(THRESHOLDS.red)}</li>
+                    <li>• Open with your point, back it up, then close</li>
+                  </ul>
+                </div>
+
+                <div className="bg-muted rounded-lg p-4">
+                  <div className="flex items-center justify-center gap-3 mb-3">
+                    <div className={`p-2 rounded-full ${microphoneAvailable ? 'bg-green-100' : 'bg-red-100'}`}>
+                      {microphoneAvailable ? (
+                        <Mic className="w-5 h-5 text-green-600" />
+                      ) : (
+                        <MicOff className="w-5 h-5 text-red-600" />
+                      )}
+                    </div>
+                    <div className="text-left">
+                      <div className="font-medium text-foreground">
+                        Microphone: {microphoneAvailable ? "Available" : "Not Available"}
+                      </div>
+                      <div className="text-sm text-muted-foreground">
+                        {microphoneAvailable ? "Ready to play!" : "Please allow microphone access and refresh the page"}
+                      </div>
+                    </div>
+                  </div>
+
+                  {!microphoneAvailable && (
+                    <Button onClick={testMicrophone} variant="outline" size="sm" className="w-full">
+                      Test Microphone
+                    </Button>
+                  )}
+                </div>
+
+                <Button
+                  size="lg"
+                  onClick={startPrep}
+                  disabled={!microphoneAvailable}
+                  className="w-full bg-primary hover:bg-primary/90 text-primary-foreground disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Play className="w-5 h-5 mr-2" />
+                  {microphoneAvailable ? "Reveal the Question" : "Microphone Required"}
+                </Button>
+              </div>
+            )}
+
+            {phase === "prep" && (
+              <div className="space-y-6 text-center">
+                <Card className="bg-primary text-primary-foreground">
+                  <CardContent className="p-6">
+                    <div className="text-sm uppercase tracking-wide opacity-80 mb-2">Your Question</div>
+                    <div className="text-2xl font-semibold">"{question}"</div>
+                  </CardContent>
+                </Card>
+
+                <div>
+                  <div className="flex items-center justify-center gap-2 text-5xl font-bold text-accent">
+                    <Timer className="w-10 h-10" />
+                    {Math.max(0, IMPROMPTU_PREP_SECONDS - elapsed)}s
+                  </div>
+                  <div className="text-sm text-muted-foreground mt-2">to prepare: pick your point and one example</div>
+                </div>
+
+                <Button onClick={startSpeaking} variant="outline" className="border-border text-foreground hover:bg-muted">
+                  I'm Ready, Start Speaking
+                </Button>
+              </div>
+            )}
+
+            {phase === "speaking" && (
+              <div className="space-y-6">
+                <Card className="bg-primary text-primary-foreground">
+                  <CardContent className="p-4 text-center">
+                    <div className="text-lg font-semibold">"{question}"</div>
+                  </CardContent>
+                </Card>
+
+                <div className="text-center">
+                  <div className="text-5xl font-bold text-primary">{formatClock(elapsed)}</div>
+                  <div className="text-sm text-muted-foreground">speaking time</div>
+                </div>
+
+                <TimingLights seconds={elapsed} thresholds={THRESHOLDS} />
+
+                <FillerCounter
+                  fillerCount={fillerCount}
+                  repetitionCount={repetitionCount}
+                  lastFiller={lastFiller}
+                  wordCount={wordCount}
+                />
+
+                <PaceIndicator wpm={currentWpm} band={PACE_BANDS[DIFFICULTY]} />
+
+                <LiveCoachingTip active={coachingActive} tip={coachingTip} />
+
+                <div className="flex items-center justify-center gap-4">
+                  <div className={`p-4 rounded-full ${isListening ? 'bg-accent animate-pulse' : 'bg-muted'}`}>
+                    {isListening ? (
+                      <Mic className="w-6 h-6 text-accent-foreground" />
+                    ) : (
+                      <MicOff className="w-6 h-6 text-muted-foreground" />
+                    )}
+                  </div>
+                  <Button onClick={finishSpeaking} size="lg" className="bg-primary hover:bg-primary/90 text-primary-foreground">
+                    <Square className="w-4 h-4 mr-2" />
+                    Finish Speech
+                  </Button>
+                </div>
+              </div>
+            )}
+
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
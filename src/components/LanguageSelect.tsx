@@ -0,0 +1,40 @@
+import { Languages } from "lucide-react";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { useToast } from "@/hooks/use-toast";
+import { useAuth } from "@/contexts/AuthContext";
+import { usePracticeLanguage } from "@/hooks/usePracticeLanguage";
+import { LANGUAGE_NAMES, type PracticeLanguage } from "@/lib/languages";
+
+// Lets the user pick the language they practise in: recognition, prompts, fillers and feedback follow it
+export const LanguageSelect = () => {
+  const { updatePreferences } = useAuth();
+  const { toast } = useToast();
+  const value = usePracticeLanguage();
+
+  const handleChange = async (language: PracticeLanguage) => {
+    const result = await updatePreferences({ language });
+    if (!result.success) {
+      toast({
+        title: "Couldn't Save Preference",
+        description: result.message || "Please try again.",
+        variant: "destructive"
+      });
+    }
+  };
+
+  return (
+    <Select value={value} onValueChange={handleChange}>
+      <SelectTrigger className="w-[170px]">
+        <Languages className="w-4 h-4 mr-2" />
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {(Object.keys(LANGUAGE_NAMES) as PracticeLanguage[]).map((code) => (
+          <SelectItem key={code} value={code}>
+            {LANGUAGE_NAMES[code]}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+};
@@ -0,0 +1,31 @@
+import { Compass, Gauge, MessageCircleWarning, Radio } from "lucide-react";
+import type { CoachingTip, CoachingTipKind } from "@/hooks/useLiveCoaching";
+
+interface LiveCoachingTipProps {
+  active: boolean;
+  tip: CoachingTip | null;
+}
+
+const TIP_STYLES: Record<CoachingTipKind, { icon: typeof Gauge; color: string }> = {
+  pace: { icon: Gauge, color: "text-yellow-600" },
+  filler: { icon: MessageCircleWarning, color: "text-red-500" },
+  offTopic: { icon: Compass, color: "text-accent" },
+};
+
+// The latest warning from live coaching; nothing is shown while coaching is off
+export const LiveCoachingTip = ({ active, tip }: LiveCoachingTipProps) => {
+  if (!active) return null;
+
+  const style = tip ? TIP_STYLES[tip.kind] : null;
+  const Icon = style?.icon ?? Radio;
+
+  return (
+    <div className="bg-muted rounded-lg p-3 flex items-center gap-2" aria-live="polite">
+      <Icon className={`w-5 h-5 ${style?.color ?? "text-green-600"}`} />
+      <div className="text-left">
+        <div className="text-sm font-medium text-foreground">Live Coach</div>
+        <div className="text-xs text-muted-foreground">{tip ? tip.message : "Listening, tips will appear here"}</div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,58 @@
+import { Gauge } from "lucide-react";
+import { getPaceStatus, type PaceBand } from "@/lib/pace";
+
+interface PaceIndicatorProps {
+  wpm: number;
+  band: PaceBand;
+}
+
+// Scale shown on the bar; anything outside it is pinned to the ends
+const SCALE_MIN = 60;
+const SCALE_MAX = 220;
+
+const toPercent = (wpm: number) =>
+  Math.min(100, Math.max(0, ((wpm - SCALE_MIN) / (SCALE_MAX - SCALE_MIN)) * 100));
+
+const STATUS_STYLES = {
+  idle: { color: "text-muted-foreground", marker: "bg-muted-foreground", hint: "Start speaking to measure pace" },
+  slow: { color: "text-yellow-600", marker: "bg-yellow-500", hint: "Pick up the pace a little" },
+  onPace: { color: "text-green-600", marker: "bg-green-500", hint: "Great pace, keep it steady" },
+  fast: { color: "text-red-500", marker: "bg-red-500", hint: "Slow down and let ideas land" },
+};
+
+export const PaceIndicator = ({ wpm, band }: PaceIndicatorProps) => {
+  const status = getPaceStatus(wpm, band);
+  const style = STATUS_STYLES[status];
+
+  return (
+    <div className="bg-muted rounded-lg p-3 space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Gauge className={`w-5 h-5 ${style.color}`} />
+          <div className="text-left">
+            <div className="text-sm font-medium text-foreground">Speaking Pace</div>
+            <div className="text-xs text-muted-foreground">{style.hint}</div>
+          </div>
+        </div>
+        <div className="text-right">
+          <div className={`text-xl font-bold ${style.color}`}>{wpm > 0 ? wpm : "--"}</div>
+          <div className="text-xs text-muted-foreground">
+            target {band.min}-{band.max} wpm
+          </div>
+        </div>
+      </div>
+      <div className="relative h-2 rounded-full bg-background">
+        <div
+          className="absolute h-full rounded-full bg-green-500/30"
+          style={{ left: `${toPercent(band.min)}%`, width: `${toPercent(band.max) - toPercent(band.min)}%` }}
+        />
+        {wpm > 0 && (
+          <div
+            className={`absolute top-1/2 w-3 h-3 -translate-x-1/2 -translate-y-1/2 rounded-full transition-all duration-300 ${style.marker}`}
+            style={{ left: `${toPercent(wpm)}%` }}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
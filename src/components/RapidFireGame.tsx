@@ -4,8 +4,17 @@ import { Card, CardContent } from "@/components/ui/card";
 import { ArrowLeft, Mic, MicOff, Play, Square, RotateCcw, Trophy } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 import { useSpeechRecognition } from "@/hooks/useSpeechRecognition";
+import { useSpeechMetrics } from "@/hooks/useSpeechMetrics";
+import { useAudioRecorder } from "@/hooks/useAudioRecorder";
+import { usePracticeLanguage } from "@/hooks/usePracticeLanguage";
+import { FillerCounter } from "@/components/FillerCounter";
+import { PaceIndicator } from "@/components/PaceIndicator";
+import { PACE_BANDS, type Difficulty } from "@/lib/pace";
+import { GAME_DECKS } from "@/lib/gameDecks";
 import apiService from "@/services/api";
 
+const DIFFICULTY: Difficulty = "beginner";
+
 interface RapidFireGameProps {
   onBack: () => void;
 }
@@ -34,11 +43,26 @@ export const RapidFireGame = ({ onBack }: RapidFireGameProps) => {
   const [isProcessingResponse, setIsProcessingResponse] = useState(false);
   
   const { toast } = useToast();
+  const language = usePracticeLanguage();
   const startTimeRef = useRef<number>(0);
   const promptStartRef = useRef<number>(0);
   const responseTimes = useRef<number[]>([]);
   const processedPrompts = useRef<Set<number>>(new Set());
 
+  const {
+    fillerCount,
+    repetitionCount,
+    lastFiller,
+    wordCount,
+    wordsPerMinute,
+    currentWpm,
+    addSegment,
+    reset: resetSpeechMetrics,
+    getTranscript
+  } = useSpeechMetrics();
+
+  const { start: startAudioRecording, stop: stopAudioRecording } = useAudioRecorder();
+
   // Use the speech recognition hook
   const {
     isListening,
@@ -48,8 +72,11 @@ export const RapidFireGame = ({ onBack }: RapidFireGameProps) => {
     stop: stopSpeechRecognition,
     testMicrophone
   } = useSpeechRecognition({
-    onResult: (transcript, isFinal) => {
+    onResult: (transcript, isFinal, timing) => {
       console.log('Speech recognition result:', { transcript, isFinal, length: transcript.trim().length, promptIndex, isProcessingResponse });
+      if (isFinal) {
+        addSegment(transcript, timing);
+      }
       if (isFinal && transcript.trim().length > 5 && !isProcessingResponse && !processedPrompts.current.has(promptIndex)) {
         console.log('Final transcript:', transcript);
         handleResponse(transcript);
@@ -91,20 +118,7 @@ export const RapidFireGame = ({ onBack }: RapidFireGameProps) => {
     });
   }, [isListening, microphoneAvailable, isInitialized, gameStarted, isRecording, promptIndex, isProcessingResponse]);
 
-  const prompts = [
-    "Business is like",
-    "Leadership is like",
-    "Success is like",
-    "Innovation is like",
-    "Teamwork is like",
-    "Communication is like",
-    "Learning is like",
-    "Creativity is like",
-    "Problem-solving is like",
-    "Growth is like",
-    "Confidence is like",
-    "Public speaking is like"
-  ];
+  const prompts = GAME_DECKS[language].rapidFirePrompts;
 
   // Game timer - auto-advance prompts when time runs out
   useEffect(() => {
@@ -149,7 +163,7 @@ export const RapidFireGame = ({ onBack }: RapidFireGameProps) => {
 
     try {
       // Create backend game session
-      const sessionResponse = await apiService.startGameSession('rapidFire', 'beginner');
+      const sessionResponse = await apiService.startGameSession('rapidFire', DIFFICULTY);
       if (sessionResponse.success) {
         setSessionId(sessionResponse.data.sessionId);
       }
@@ -162,6 +176,7 @@ export const RapidFireGame = ({ onBack }: RapidFireGameProps) => {
       responseTimes.current = [];
       processedPrompts.current.clear();
       setIsProcessingResponse(false);
+      resetSpeechMetrics();
       
       setCurrentPrompt(prompts[0]);
       promptStartRef.current = Date.now();
@@ -176,6 +191,7 @@ export const RapidFireGame = ({ onBack }: RapidFireGameProps) => {
       
       // Start speech recognition
       await startSpeechRecognition();
+      await startAudioRecording();
       setIsRecording(true);
       
       toast({
@@ -194,6 +210,7 @@ export const RapidFireGame = ({ onBack }: RapidFireGameProps) => {
 
   const stopGame = async () => {
     stopSpeechRecognition();
+    const recording = await stopAudioRecording();
     setIsRecording(false);
     setGameEnded(true);
     
@@ -202,13 +219,24 @@ export const RapidFireGame = ({ onBack }: RapidFireGameProps) => {
     
     // End backend session if we have a session ID
     if (sessionId) {
+      // Upload and transcribe first so scoring can use the server's word-timed transcript
+      if (recording) {
+        try {
+          await apiService.uploadSessionAudio(sessionId, recording);
+          await apiService.transcribeSession(sessionId);
+        } catch (error) {
+          console.error('Failed to upload or transcribe session audio:', error);
+        }
+      }
+
       try {
         const performance = {
           score: Math.round((finalStats.completedResponses / Math.max(1, finalStats.totalPrompts)) * 100),
           accuracy: finalStats.completedResponses / Math.max(1, finalStats.totalPrompts),
           speed: finalStats.averageResponseTime > 0 ? 1 / finalStats.averageResponseTime : 0,
           fluency: Math.min(0.9, 0.3 + (finalStats.completedResponses / Math.max(1, finalStats.totalPrompts)) * 0.6),
-          confidence: Math.min(0.9, 0.3 + (finalStats.completedResponses / Math.max(1, finalStats.totalPrompts)) * 0.6)
+          confidence: Math.min(0.9, 0.3 + (finalStats.completedResponses / Math.max(1, finalStats.totalPrompts)) * 0.6),
+          wordsPerMinute
         };
 
         const gameSpecificData = {
@@ -221,7 +249,9 @@ export const RapidFireGame = ({ onBack }: RapidFireGameProps) => {
           }
         };
 
-        await apiService.endGameSession(sessionId, performance, gameSpecificData);
+        await apiService.endGameSession(sessionId, performance, gameSpecificData, {
+          transcript: getTranscript()
+        });
       } catch (error) {
         console.error('Failed to end game session:', error);
       }
@@ -304,6 +334,7 @@ export const RapidFireGame = ({ onBack }: RapidFireGameProps) => {
 
   const resetGame = () => {
     stopSpeechRecognition();
+    stopAudioRecording();
     setGameStarted(false);
     setGameEnded(false);
     setPromptIndex(0);
@@ -313,6 +344,7 @@ export const RapidFireGame = ({ onBack }: RapidFireGameProps) => {
     setIsProcessingResponse(false);
     responseTimes.current = [];
     processedPrompts.current.clear();
+    resetSpeechMetrics();
     setSessionId(null);
     setGameStats({
       totalPrompts: 0,
@@ -382,6 +414,18 @@ export const RapidFireGame = ({ onBack }: RapidFireGameProps) => {
                   </div>
                 </div>
               </div>
+
+              <div className="mb-8">
+                <FillerCounter
+                  fillerCount={fillerCount}
+                  repetitionCount={repetitionCount}
+                  lastFiller={lastFiller}
+                  wordCount={wordCount}
+                />
+                <div className="mt-3">
+                  <PaceIndicator wpm={wordsPerMinute} band={PACE_BANDS[DIFFICULTY]} />
+                </div>
+              </div>
               
               <div className="flex gap-4 justify-center">
                 <Button onClick={resetGame} className="bg-primary hover:bg-primary/90 text-primary-foreground">
@@ -553,6 +597,15 @@ export const RapidFireGame = ({ onBack }: RapidFireGameProps) => {
                   </div>
                 </div>
                 
+                <FillerCounter
+                  fillerCount={fillerCount}
+                  repetitionCount={repetitionCount}
+                  lastFiller={lastFiller}
+                  wordCount={wordCount}
+                />
+
+                <PaceIndicator wpm={currentWpm} band={PACE_BANDS[DIFFICULTY]} />
+
                 {/* Microphone Status */}
                 <div className="flex items-center justify-center gap-4">
                   <div className="p-4 rounded-full bg-primary">
@@ -0,0 +1,415 @@
+import { useState, useEffect, useRef } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { ArrowLeft, Crown, LogOut, Mic, MicOff, Play, RotateCcw, Send, Trophy, Users, Zap } from "lucide-react";
+import { useAuth } from "@/contexts/AuthContext";
+import { useSpeechRecognition } from "@/hooks/useSpeechRecognition";
+import { usePracticeLanguage } from "@/hooks/usePracticeLanguage";
+import { useRapidFireRoom, type ScoreboardRow } from "@/hooks/useRapidFireRoom";
+
+const DIFFICULTY = "beginner";
+
+interface RapidFireMatchProps {
+  onBack: () => void;
+}
+
+const formatSeconds = (ms: number) => `${(ms / 1000).toFixed(1)}s`;
+
+const Scoreboard = ({ rows, userId }: { rows: ScoreboardRow[]; userId?: string }) => (
+  <div className="space-y-2">
+    {rows.map(row => (
+      <div
+        key={row.userId}
+        className={`flex items-center justify-between rounded-lg p-3 ${row.userId === userId ? "bg-primary/10 border border-primary" : "bg-card"}`}
+      >
+        <div className="flex items-center gap-3">
+          <div className="w-8 text-center text-lg font-bold text-accent">#{row.placement}</div>
+          <div className="text-left">
+            <div className={`font-medium ${row.connected ? "text-foreground" : "text-muted-foreground line-through"}`}>
+              {row.username}
+            </div>
+            <div className="text-xs text-muted-foreground">
+              {row.answered} answered · {row.firstAnswers} first
+              {row.averageResponseTime !== null && ` · avg ${formatSeconds(row.averageResponseTime)}`}
+            </div>
+          </div>
+        </div>
+        <div className="text-xl font-bold text-primary">{row.points}</div>
+      </div>
+    ))}
+  </div>
+);
+
+export const RapidFireMatch = ({ onBack }: RapidFireMatchProps) => {
+  const { user } = useAuth();
+  const language = usePracticeLanguage();
+  const userId: string | undefined = user?._id;
+
+  const [joinCode, setJoinCode] = useState("");
+  const [draft, setDraft] = useState("");
+  const [now, setNow] = useState(() => Date.now());
+
+  const {
+    room,
+    prompt,
+    answeredIndex,
+    results,
+    scoreboard,
+    startsAt,
+    outcome,
+    cancelled,
+    error,
+    busy,
+    createRoom,
+    joinRoom,
+    leaveRoom,
+    startMatch,
+    submitResponse,
+    reset
+  } = useRapidFireRoom();
+
+  const inMatch = Boolean(room && (startsAt !== null || prompt !== null));
+  const promptOpen = prompt !== null && results?.index !== prompt.index && now < prompt.deadline;
+  const canAnswer = promptOpen && answeredIndex !== prompt.index;
+
+  // Read by the recognizer callbacks
+  const inMatchRef = useRef(false);
+  const canAnswerRef = useRef(false);
+  inMatchRef.current = inMatch;
+  canAnswerRef.current = canAnswer;
+
+  const {
+    isListening,
+    microphoneAvailable,
+    start: startSpeechRecognition,
+    stop: stopSpeechRecognition
+  } = useSpeechRecognition({
+    onResult: (transcript, isFinal) => {
+      if (isFinal && canAnswerRef.current && transcript.trim()) {
+        submitResponse(transcript);
+      }
+    },
+    onEnd: () => {
+      // Recognition stops on silence; keep listening for the whole match
+      if (inMatchRef.current) {
+        setTimeout(() => startSpeechRecognition(), 100);
+      }
+    },
+    onError: (speechError) => {
+      console.error('Rapid Fire match speech recognition error:', speechError);
+      if (inMatchRef.current) {
+        setTimeout(() => startSpeechRecognition(), 1000);
+      }
+    }
+  });
+
+  // start and stop change identity as the recognizer's state changes; the effect
+  // below should only follow the match
+  const speechRef = useRef({ start: startSpeechRecognition, stop: stopSpeechRecognition });
+  speechRef.current = { start: startSpeechRecognition, stop: stopSpeechRecognition };
+
+  // Listen from the countdown until the match is over
+  useEffect(() => {
+    if (!inMatch || !microphoneAvailable) return;
+    speechRef.current.start();
+    return () => speechRef.current.stop();
+  }, [inMatch, microphoneAvailable]);
+
+  // Clock for the countdown and the prompt timer
+  useEffect(() => {
+    if (!inMatch) return;
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [inMatch]);
+
+  useEffect(() => {
+    setDraft("");
+  }, [prompt?.index]);
+
+  const handleCreate = () => {
+    createRoom({ difficulty: DIFFICULTY, language });
+  };
+
+  const handleJoin = () => {
+    if (joinCode.trim()) joinRoom(joinCode);
+  };
+
+  const handleSubmitDraft = async () => {
+    if (!draft.trim()) return;
+    if (await submitResponse(draft)) setDraft("");
+  };
+
+  const handleBack = () => {
+    leaveRoom();
+    onBack();
+  };
+
+  const header = (
+    <Button variant="outline" onClick={handleBack} className="mb-6 border-border bg-card text-card-foreground hover:bg-muted">
+      <ArrowLeft className="w-4 h-4 mr-2" />
+      Back to Dashboard
+    </Button>
+  );
+
+  const missingPlayers = room
+    ? Math.max(0, room.minPlayers - room.players.filter(player => player.connected).length)
+    : 0;
+
+  const errorMessage = error && (
+    <p className="text-sm text-red-500 text-center">{error}</p>
+  );
+
+  if (outcome) {
+    const winner = outcome.scoreboard[0];
+
+    return (
+      <div className="min-h-screen bg-background py-8">
+        <div className="container mx-auto px-6 max-w-2xl">
+          {header}
+
+          <Card className="bg-card border-border">
+            <CardContent className="p-8 space-y-6">
+              <div className="text-center">
+                <Trophy className="w-16 h-16 text-accent mx-auto mb-4" />
+                <h2 className="text-3xl font-bold text-foreground mb-2">Match Complete!</h2>
+                {winner && (
+                  <p className="text-muted-foreground">
+                    {winner.userId === userId ? "You won the match!" : `${winner.username} won the match`}
+                  </p>
+                )}
+              </div>
+
+              <div className="bg-muted rounded-lg p-6">
+                <h3 className="font-semibold text-foreground mb-4 text-center">Final Scoreboard</h3>
+                <Scoreboard rows={outcome.scoreboard} userId={userId} />
+              </div>
+
+              <p className="text-sm text-muted-foreground text-center">
+                {outcome.message || "Your result is saved to your history, where its analysis appears once it is ready."}
+              </p>
+
+              <div className="flex gap-4 justify-center">
+                <Button onClick={reset} className="bg-primary hover:bg-primary/90 text-primary-foreground">
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                  Play Again
+                </Button>
+                <Button variant="outline" onClick={onBack} className="border-border text-foreground hover:bg-muted">
+                  Try Another Game
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-background py-8">
+      <div className="container mx-auto px-6 max-w-2xl">
+        {header}
+
+        <Card className="bg-card border-border">
+          <CardContent className="p-8">
+            <div className="text-center mb-8">
+              <h1 className="text-3xl font-bold text-foreground mb-2">Rapid Fire Showdown</h1>
+              <p className="text-muted-foreground">Race other speakers through the same analogies. Faster, better answers score more.</p>
+            </div>
+
+            {!room && (
+              <div className="space-y-6">
+                {cancelled && (
+                  <div className="bg-muted rounded-lg p-4 text-center text-sm text-foreground">
+                    The match was cancelled: {cancelled}
+                  </div>
+                )}
+
+                <div className="bg-muted rounded-lg p-6">
+                  <h3 className="font-semibold text-foreground mb-3">How to Play:</h3>
+                  <ul className="text-sm text-muted-foreground text-left space-y-2">
+                    <li>• Create a room and share its code, or join a friend's room</li>
+                    <li>• Everyone gets the same prompt at the same moment</li>
+                    <li>• Say your answer out loud, or type it if the mic can't hear you</li>
+                    <li>• Points for a good answer, a bonus for speed and for answering first</li>
+                  </ul>
+                </div>
+
+                <Button
+                  size="lg"
+                  onClick={handleCreate}
+                  disabled={busy}
+                  className="w-full bg-primary hover:bg-primary/90 text-primary-foreground"
+                >
+                  <Play className="w-5 h-5 mr-2" />
+                  Create a Room
+                </Button>
+
+                <div className="flex gap-2">
+                  <Input
+                    value={joinCode}
+                    onChange={(event) => setJoinCode(event.target.value.toUpperCase())}
+                    onKeyDown={(event) => event.key === "Enter" && handleJoin()}
+                    placeholder="Room code"
+                    maxLength={6}
+                    className="uppercase tracking-widest"
+                  />
+                  <Button onClick={handleJoin} disabled={busy || !joinCode.trim()} variant="outline" className="border-border text-foreground hover:bg-muted">
+                    <Users className="w-4 h-4 mr-2" />
+                    Join
+                  </Button>
+                </div>
+
+                {errorMessage}
+              </div>
+            )}
+
+            {room && !inMatch && (
+              <div className="space-y-6 text-center">
+                <div className="bg-primary text-primary-foreground rounded-lg p-6">
+                  <div className="text-sm uppercase tracking-wide opacity-80 mb-2">Room Code</div>
+                  <div className="text-4xl font-bold tracking-widest">{room.code}</div>
+                  <div className="text-sm opacity-80 mt-2">
+                    {room.settings.promptCount} prompts · {room.settings.responseWindowMs / 1000}s each
+                  </div>
+                </div>
+
+                <div className="bg-muted rounded-lg p-4 space-y-2">
+                  <h3 className="font-semibold text-foreground">
+                    Players ({room.players.length}/{room.maxPlayers})
+                  </h3>
+                  {room.players.map(player => (
+                    <div key={player.userId} className="flex items-center justify-between bg-card rounded-lg p-3">
+                      <span className={player.connected ? "text-foreground" : "text-muted-foreground"}>
+                        {player.username}{player.userId === userId && " (you)"}
+                      </span>
+                      {player.isHost && <Crown className="w-4 h-4 text-yellow-500" />}
+                    </div>
+                  ))}
+                </div>
+
+                {room.status === "starting" ? (
+                  <p className="text-muted-foreground animate-pulse">Getting the prompts ready...</p>
+                ) : room.hostId === userId ? (
+                  <Button
+                    size="lg"
+                    onClick={startMatch}
+                    disabled={busy || missingPlayers > 0}
+                    className="w-full bg-primary hover:bg-primary/90 text-primary-foreground disabled:opacity-50"
+                  >
+                    <Zap className="w-5 h-5 mr-2" />
+                    {missingPlayers > 0
+                      ? `Waiting for ${missingPlayers} more player${missingPlayers > 1 ? "s" : ""}`
+                      : "Start the Match"}
+                  </Button>
+                ) : (
+                  <p className="text-muted-foreground">Waiting for the host to start the match...</p>
+                )}
+
+                {errorMessage}
+
+                <Button variant="outline" onClick={leaveRoom} className="border-border text-foreground hover:bg-muted">
+                  <LogOut className="w-4 h-4 mr-2" />
+                  Leave Room
+                </Button>
+              </div>
+            )}
+
+            {room && inMatch && (
+              <div className="space-y-6">
+                {startsAt !== null && (
+                  <div className="text-center">
+                    <div className="text-sm text-muted-foreground mb-2">Get ready! First prompt in</div>
+                    <div className="text-6xl font-bold text-accent">{Math.max(0, Math.ceil((startsAt - now) / 1000))}</div>
+                  </div>
+                )}
+
+                {prompt && (
+                  <>
+                    <div className="flex justify-between text-sm text-muted-foreground">
+                      <span>Prompt {prompt.index + 1} of {prompt.total}</span>
+                      <span>{promptOpen ? `${Math.max(0, Math.ceil((prompt.deadline - now) / 1000))}s left` : "Time's up"}</span>
+                    </div>
+
+                    <Card className="bg-primary text-primary-foreground">
+                      <CardContent className="p-6 text-center">
+                        <div className="text-2xl font-semibold">"{prompt.text}"</div>
+                      </CardContent>
+                    </Card>
+
+                    {results?.index === prompt.index ? (
+                      <div className="bg-muted rounded-lg p-4 space-y-2">
+                        <h3 className="font-semibold text-foreground text-center">Answers</h3>
+                        {results.responses.length === 0 && (
+                          <p className="text-sm text-muted-foreground text-center">Nobody answered this one.</p>
+                        )}
+                        {results.responses.map(response => (
+                          <div key={response.userId} className="bg-card rounded-lg p-3 text-sm">
+                            <div className="flex justify-between text-foreground font-medium">
+                              <span>{response.username}{response.first && " ⚡"}</span>
+                              <span>+{response.points}</span>
+                            </div>
+                            <div className="text-muted-foreground">
+                              "{response.text}" · {formatSeconds(response.responseTime)}
+                            </div>
+                          </div>
+                        ))}
+                        <p className="text-xs text-muted-foreground text-center">
+                          {prompt.index + 1 < prompt.total ? "Next prompt coming up..." : "Tallying the results..."}
+                        </p>
+                      </div>
+                    ) : answeredIndex === prompt.index ? (
+                      <p className="text-center text-green-600 font-medium">Answer in! Waiting for the others...</p>
+                    ) : (
+                      <div className="space-y-3">
+                        <div className="flex items-center justify-center gap-2 text-sm text-muted-foreground">
+                          <div className={`p-2 rounded-full ${isListening ? "bg-accent animate-pulse" : "bg-muted"}`}>
+                            {isListening ? (
+                              <Mic className="w-4 h-4 text-accent-foreground" />
+                            ) : (
+                              <MicOff className="w-4 h-4 text-muted-foreground" />
+                            )}
+                          </div>
+                          {isListening ? "Say your answer" : "Type your answer"}
+                        </div>
+                        <div className="flex gap-2">
+                          <Input
+                            value={draft}
+                            onChange={(event) => setDraft(event.target.value)}
+                            onKeyDown={(event) => event.key === "Enter" && handleSubmitDraft()}
+                            placeholder="...or type it here"
+                            maxLength={500}
+                            disabled={!canAnswer}
+                          />
+                          <Button onClick={handleSubmitDraft} disabled={!canAnswer || !draft.trim()} className="bg-primary hover:bg-primary/90 text-primary-foreground">
+                            <Send className="w-4 h-4" />
+                          </Button>
+                        </div>
+                      </div>
+                    )}
+                  </>
+                )}
+
+                {errorMessage}
+
+                {scoreboard.length > 0 && (
+                  <div className="bg-muted rounded-lg p-4">
+                    <h3 className="font-semibold text-foreground mb-3 text-center">Scoreboard</h3>
+                    <Scoreboard rows={scoreboard} userId={userId} />
+                  </div>
+                )}
+
+                <div className="text-center">
+                  <Button variant="outline" onClick={leaveRoom} className="border-border text-foreground hover:bg-muted">
+                    <LogOut className="w-4 h-4 mr-2" />
+                    Leave Match
+                  </Button>
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,263 @@
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { ArrowLeft, Clock, Gauge, MessageCircleWarning, Trophy, Volume2 } from "lucide-react";
+import { GAME_TITLES, type GameType } from "@/lib/gameTypes";
+import apiService from "@/services/api";
+
+interface SessionDetailProps {
+  sessionId: string;
+  onBack: () => void;
+}
+
+interface SessionFeedback {
+  type: "positive" | "improvement" | "suggestion";
+  message: string;
+}
+
+interface GameSessionDetail {
+  _id: string;
+  gameType: GameType;
+  sessionData: {
+    startTime: string;
+    duration?: number;
+    difficulty: string;
+  };
+  performance: {
+    score: number;
+    wordsPerMinute?: number;
+  };
+  aiAnalysis?: {
+    overallRating?: number;
+    feedback?: SessionFeedback[];
+    source?: "model" | "repaired" | "fallback";
+    status?: "pending" | "complete" | "failed";
+  };
+  transcript?: {
+    fullText?: string;
+  };
+  speechMetrics?: {
+    fillers?: {
+      total: number;
+      rate: number;
+    };
+    pace?: {
+      targetMin?: number;
+      targetMax?: number;
+    };
+  };
+  audioRecording?: {
+    url?: string;
+    duration?: number;
+    format?: string;
+  };
+}
+
+// How often to re-check a session whose AI analysis is still running
+const ANALYSIS_POLL_MS = 5000;
+
+const formatDuration = (seconds = 0) => {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return `${minutes}:${rest.toString().padStart(2, "0")}`;
+};
+
+export const SessionDetail = ({ sessionId, onBack }: SessionDetailProps) => {
+  const [session, setSession] = useState<GameSessionDetail | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [audioUrl, setAudioUrl] = useState<string | null>(null);
+  const [audioError, setAudioError] = useState(false);
+
+  useEffect(() => {
+    const fetchSession = async () => {
+      try {
+        setLoading(true);
+        const response = await apiService.getGameSession(sessionId);
+        if (response.success) {
+          setSession(response.data.session);
+        }
+      } catch (err) {
+        console.error('Failed to fetch session:', err);
+        setError("Couldn't load this session. Please try again.");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSession();
+  }, [sessionId]);
+
+  // The recording is only streamed to its owner, so load it with the auth header
+  const hasRecording = Boolean(session?.audioRecording?.url);
+  useEffect(() => {
+    if (!hasRecording) return;
+
+    let objectUrl: string | null = null;
+    let cancelled = false;
+    setAudioError(false);
+
+    apiService.getSessionAudio(sessionId)
+      .then((blob: Blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setAudioUrl(objectUrl);
+      })
+      .catch((err: unknown) => {
+        console.error('Failed to load recording:', err);
+        if (!cancelled) setAudioError(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      setAudioUrl(null);
+    };
+  }, [sessionId, hasRecording]);
+
+  // AI analysis finishes in the background after the session ends; check back until it lands
+  const analysisPending = session?.aiAnalysis?.status === "pending";
+  useEffect(() => {
+    if (!analysisPending) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiService.getGameSession(sessionId);
+        if (response.success) {
+          setSession(response.data.session);
+        }
+      } catch (err) {
+        console.error('Failed to refresh session analysis:', err);
+      }
+    }, ANALYSIS_POLL_MS);
+
+    return () => clearTimeout(timer);
+  }, [analysisPending, session, sessionId]);
+
+  const pace = session?.speechMetrics?.pace;
+  const fillers = session?.speechMetrics?.fillers;
+
+  return (
+    <div className="min-h-screen bg-background py-8">
+      <div className="container mx-auto px-6 max-w-3xl">
+        <div className="flex items-center gap-4 mb-8">
+          <Button variant="outline" onClick={onBack} className="flex items-center gap-2">
+            <ArrowLeft className="w-4 h-4" />
+            Back to Dashboard
+          </Button>
+          <div>
+            <h1 className="text-3xl font-bold text-foreground">
+              {session ? GAME_TITLES[session.gameType] : "Session Detail"}
+            </h1>
+            {session && (
+              <p className="text-muted-foreground">
+                {new Date(session.sessionData.startTime).toLocaleString()} · {session.sessionData.difficulty}
+              </p>
+            )}
+          </div>
+        </div>
+
+        {loading && <p className="text-muted-foreground">Loading session...</p>}
+        {error && <p className="text-red-500">{error}</p>}
+
+        {session && (
+          <div className="space-y-6">
+            <div className="grid md:grid-cols-4 gap-4">
+              <Card className="bg-card border-border">
+                <CardContent className="p-4 text-center">
+                  <Trophy className="w-5 h-5 mx-auto mb-1 text-yellow-500" />
+                  <div className="text-2xl font-bold text-primary">{session.performance.score}</div>
+                  <div className="text-xs text-muted-foreground">Score</div>
+                </CardContent>
+              </Card>
+              <Card className="bg-card border-border">
+                <CardContent className="p-4 text-center">
+                  <Clock className="w-5 h-5 mx-auto mb-1 text-muted-foreground" />
+                  <div className="text-2xl font-bold text-accent">{formatDuration(session.sessionData.duration)}</div>
+                  <div className="text-xs text-muted-foreground">Duration</div>
+                </CardContent>
+              </Card>
+              <Card className="bg-card border-border">
+                <CardContent className="p-4 text-center">
+                  <Gauge className="w-5 h-5 mx-auto mb-1 text-muted-foreground" />
+                  <div className="text-2xl font-bold text-accent">{session.performance.wordsPerMinute || "--"}</div>
+                  <div className="text-xs text-muted-foreground">
+                    {pace?.targetMin ? `WPM (target ${pace.targetMin}-${pace.targetMax})` : "WPM"}
+                  </div>
+                </CardContent>
+              </Card>
+              <Card className="bg-card border-border">
+                <CardContent className="p-4 text-center">
+                  <MessageCircleWarning className="w-5 h-5 mx-auto mb-1 text-muted-foreground" />
+                  <div className="text-2xl font-bold text-accent">{fillers ? fillers.total : "--"}</div>
+                  <div className="text-xs text-muted-foreground">
+                    {fillers ? `Fillers (${fillers.rate}% of words)` : "Fillers"}
+                  </div>
+                </CardContent>
+              </Card>
+            </div>
+
+            <Card className="bg-card border-border">
+              <CardHeader className="pb-3">
+                <CardTitle className="text-lg flex items-center gap-2">
+                  <Volume2 className="w-5 h-5 text-primary" />
+                  Recording
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                {session.audioRecording?.url ? (
+                  audioUrl ? (
+                    <audio controls preload="metadata" className="w-full" src={audioUrl} />
+                  ) : (
+                    <p className="text-sm text-muted-foreground">
+                      {audioError ? "The recording couldn't be loaded." : "Loading the recording..."}
+                    </p>
+                  )
+                ) : (
+                  <p className="text-sm text-muted-foreground">No recording was saved for this session.</p>
+                )}
+              </CardContent>
+            </Card>
+
+            {session.transcript?.fullText && (
+              <Card className="bg-card border-border">
+                <CardHeader className="pb-3">
+                  <CardTitle className="text-lg">Transcript</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <p className="text-sm text-foreground leading-relaxed">{session.transcript.fullText}</p>
+                </CardContent>
+              </Card>
+            )}
+
+            {analysisPending && (
+              <Card className="bg-card border-border">
+                <CardContent className="p-4 text-sm text-muted-foreground">
+                  Analyzing your session. Feedback will appear here shortly.
+                </CardContent>
+              </Card>
+            )}
+
+            {session.aiAnalysis?.feedback && session.aiAnalysis.feedback.length > 0 && (
+              <Card className="bg-card border-border">
+                <CardHeader className="pb-3 flex flex-row items-center justify-between space-y-0">
+                  <CardTitle className="text-lg">Feedback</CardTitle>
+                  {session.aiAnalysis.source === "fallback" && (
+                    <span className="text-xs text-muted-foreground">Offline analysis</span>
+                  )}
+                </CardHeader>
+                <CardContent className="space-y-2">
+                  {session.aiAnalysis.feedback.map((item, index) => (
+                    <div key={index} className="bg-muted rounded-lg p-3 text-sm text-foreground">
+                      {item.message}
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
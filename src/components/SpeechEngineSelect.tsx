@@ -0,0 +1,47 @@
+import { Mic } from "lucide-react";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { useToast } from "@/hooks/use-toast";
+import { useAuth } from "@/contexts/AuthContext";
+import { isEngineSupported, type SpeechEnginePreference } from "@/lib/speech";
+
+const ENGINE_LABELS: Record<SpeechEnginePreference, string> = {
+  auto: "Auto engine",
+  browser: "Browser speech",
+  server: "Server transcription",
+};
+
+// Lets the user pick which speech-to-text engine the games use
+export const SpeechEngineSelect = () => {
+  const { user, updatePreferences } = useAuth();
+  const { toast } = useToast();
+  const value: SpeechEnginePreference = user?.preferences?.speechEngine || "auto";
+
+  const handleChange = async (engine: SpeechEnginePreference) => {
+    const result = await updatePreferences({ speechEngine: engine });
+    if (!result.success) {
+      toast({
+        title: "Couldn't Save Preference",
+        description: result.message || "Please try again.",
+        variant: "destructive"
+      });
+    }
+  };
+
+  return (
+    <Select value={value} onValueChange={handleChange}>
+      <SelectTrigger className="w-[210px]">
+        <Mic className="w-4 h-4 mr-2" />
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value="auto">{ENGINE_LABELS.auto}</SelectItem>
+        <SelectItem value="browser" disabled={!isEngineSupported("browser")}>
+          {ENGINE_LABELS.browser}
+        </SelectItem>
+        <SelectItem value="server" disabled={!isEngineSupported("server")}>
+          {ENGINE_LABELS.server}
+        </SelectItem>
+      </SelectContent>
+    </Select>
+  );
+};
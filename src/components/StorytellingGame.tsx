@@ -0,0 +1,478 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Progress } from "@/components/ui/progress";
+import { ArrowLeft, BookOpen, Mic, MicOff, Play, RotateCcw, Shuffle, Square, Trophy } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import { useSpeechRecognition } from "@/hooks/useSpeechRecognition";
+import { useSpeechMetrics } from "@/hooks/useSpeechMetrics";
+import { useAudioRecorder } from "@/hooks/useAudioRecorder";
+import { useSessionAnalysis } from "@/hooks/useSessionAnalysis";
+import { usePracticeLanguage } from "@/hooks/usePracticeLanguage";
+import { FillerCounter } from "@/components/FillerCounter";
+import { PaceIndicator } from "@/components/PaceIndicator";
+import { PACE_BANDS, type Difficulty } from "@/lib/pace";
+import { GAME_DECKS } from "@/lib/gameDecks";
+import { formatClock } from "@/lib/timingLights";
+import apiService from "@/services/api";
+
+const DIFFICULTY: Difficulty = "intermediate";
+
+// Target story length in seconds (backend/src/games/storytelling.js)
+const STORY_SECONDS = 120;
+
+// The story stops on its own this long after the target
+const GRACE_SECONDS = 30;
+
+type Phase = "intro" | "speaking" | "results";
+
+type ArcStage = "setup" | "conflict" | "resolution";
+
+interface StorytellingGameProps {
+  onBack: () => void;
+}
+
+interface ArcSegment {
+  stage: ArcStage;
+  from: number;
+  to: number;
+  text: string;
+  wordShare: number;
+}
+
+interface ArcResult {
+  segments?: ArcSegment[];
+  arcScore?: number;
+  detailScore?: number;
+  pacingScore?: number;
+  score?: number;
+}
+
+// Stored on the session; the arc is filled in by the analysis
+interface StorytellingData {
+  speakingDuration?: number; // seconds, as the server measured it
+  arc?: ArcResult;
+}
+
+const STAGES: ArcStage[] = ["setup", "conflict", "resolution"];
+
+const STAGE_STYLES: Record<ArcStage, { label: string; bar: string; card: string }> = {
+  setup: { label: "Setup", bar: "bg-blue-500", card: "border-l-4 border-blue-500" },
+  conflict: { label: "Conflict", bar: "bg-red-500", card: "border-l-4 border-red-500" },
+  resolution: { label: "Resolution", bar: "bg-green-500", card: "border-l-4 border-green-500" },
+};
+
+const pickPrompt = (prompts: string[], current?: string) => {
+  const choices = prompts.length > 1 ? prompts.filter(prompt => prompt !== current) : prompts;
+  return choices[Math.floor(Math.random() * choices.length)];
+};
+
+export const StorytellingGame = ({ onBack }: StorytellingGameProps) => {
+  const language = usePracticeLanguage();
+  const prompts = GAME_DECKS[language].storyPrompts;
+
+  const [phase, setPhase] = useState<Phase>("intro");
+  const [prompt, setPrompt] = useState(() => pickPrompt(prompts));
+  const [elapsed, setElapsed] = useState(0); // seconds into the story
+  const [sessionId, setSessionId] = useState<string | null>(null);
+  const [speakingDuration, setSpeakingDuration] = useState(0);
+
+  const { toast } = useToast();
+  const phaseRef = useRef<Phase>("intro");
+  const startRef = useRef<number>(0);
+  phaseRef.current = phase;
+
+  const {
+    fillerCount,
+    repetitionCount,
+    lastFiller,
+    wordCount,
+    wordsPerMinute,
+    currentWpm,
+    addSegment,
+    reset: resetSpeechMetrics,
+    getTranscript
+  } = useSpeechMetrics();
+
+  const { start: startAudioRecording, stop: stopAudioRecording } = useAudioRecorder();
+
+  // The story arc is scored in the background after the session ends
+  const {
+    status: analysisStatus,
+    analysis,
+    gameData,
+    error: analysisError,
+    submit: submitSession,
+    reset: resetAnalysis
+  } = useSessionAnalysis<StorytellingData>('storytelling');
+
+  const {
+    isListening,
+    microphoneAvailable,
+    isInitialized,
+    start: startSpeechRecognition,
+    stop: stopSpeechRecognition,
+    testMicrophone
+  } = useSpeechRecognition({
+    onResult: (transcript, isFinal, timing) => {
+      if (isFinal && phaseRef.current === "speaking") {
+        addSegment(transcript, timing);
+      }
+    },
+    onEnd: () => {
+      // Recognition stops on silence; keep listening until the story is over
+      if (phaseRef.current === "speaking") {
+        setTimeout(() => startSpeechRecognition(), 100);
+      }
+    },
+    onError: (error) => {
+      console.error('Storytelling speech recognition error:', error);
+      if (phaseRef.current === "speaking") {
+        setTimeout(() => startSpeechRecognition(), 1000);
+      }
+    }
+  });
+
+  useEffect(() => {
+    if (phase !== "speaking") return;
+
+    const interval = setInterval(() => {
+      setElapsed(Math.floor((Date.now() - startRef.current) / 1000));
+    }, 250);
+    return () => clearInterval(interval);
+  }, [phase]);
+
+  const startStory = async () => {
+    if (!isInitialized || !microphoneAvailable) {
+      toast({
+        title: "Microphone Not Available",
+        description: "Please allow microphone access in your browser settings and refresh the page.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    try {
+      const sessionResponse = await apiService.startGameSession('storytelling', DIFFICULTY);
+      if (sessionResponse.success) {
+        setSessionId(sessionResponse.data.sessionId);
+      }
+    } catch (error) {
+      console.error('Error starting storytelling session:', error);
+      toast({
+        title: "Game Start Error",
+        description: "Failed to start the game. Please check your connection and try again.",
+        variant: "destructive"
+      });
+      return;
+    }
+
+    startRef.current = Date.now();
+    phaseRef.current = "speaking";
+    setElapsed(0);
+    setPhase("speaking");
+    resetSpeechMetrics();
+
+    try {
+      await startSpeechRecognition();
+      await startAudioRecording();
+    } catch (error) {
+      console.error('Error starting speech capture:', error);
+    }
+  };
+
+  const finishStory = useCallback(async () => {
+    if (phaseRef.current !== "speaking") return;
+
+    const duration = Math.round((Date.now() - startRef.current) / 1000);
+    phaseRef.current = "results";
+    setPhase("results");
+    setSpeakingDuration(duration);
+    stopSpeechRecognition();
+    const recording = await stopAudioRecording();
+
+    // The server scores timing from the transcript; the story is scored by the analysis
+    await submitSession(sessionId, {
+      recording,
+      performance: { wordsPerMinute },
+      data: {
+        prompt,
+        storyDuration: STORY_SECONDS,
+        speakingDuration: duration
+      },
+      transcript: getTranscript()
+    });
+  }, [stopSpeechRecognition, stopAudioRecording, submitSession, sessionId, wordsPerMinute, prompt, getTranscript]);
+
+  useEffect(() => {
+    if (phase === "speaking" && elapsed >= STORY_SECONDS + GRACE_SECONDS) {
+      finishStory();
+    }
+  }, [phase, elapsed, finishStory]);
+
+  const resetGame = () => {
+    stopSpeechRecognition();
+    stopAudioRecording();
+    phaseRef.current = "intro";
+    setPhase("intro");
+    setPrompt(pickPrompt(prompts, prompt));
+    setElapsed(0);
+    setSessionId(null);
+    setSpeakingDuration(0);
+    resetAnalysis();
+    resetSpeechMetrics();
+  };
+
+  const header = (
+    <Button variant="outline" onClick={onBack} className="mb-6 border-border bg-card text-card-foreground hover:bg-muted">
+      <ArrowLeft className="w-4 h-4 mr-2" />
+      Back to Dashboard
+    </Button>
+  );
+
+  if (phase === "results") {
+    const arc = gameData?.arc;
+    const segments = arc?.segments ?? [];
+    const missing = STAGES.filter(stage => !segments.some(segment => segment.stage === stage));
+    const scoring = analysisStatus !== "complete" && analysisStatus !== "failed";
+
+    return (
+      <div className="min-h-screen bg-background py-8">
+        <div className="container mx-auto px-6 max-w-2xl">
+          {header}
+
+          <Card className="bg-card border-border">
+            <CardContent className="p-8 space-y-6">
+              <div className="text-center">
+                <Trophy className="w-16 h-16 text-accent mx-auto mb-4" />
+                <h2 className="text-3xl font-bold text-foreground mb-2">Story Told!</h2>
+                <p className="text-muted-foreground">"{prompt}"</p>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4 text-center">
+                <div className="bg-muted rounded-lg p-4">
+                  <div className="text-2xl font-bold text-primary">{formatClock(gameData?.speakingDuration ?? speakingDuration)}</div>
+                  <div className="text-sm text-muted-foreground">Story Length (target {formatClock(STORY_SECONDS)})</div>
+                </div>
+                <div className="bg-muted rounded-lg p-4">
+                  <div className="text-2xl font-bold text-accent">{analysis?.overallRating ?? "--"}</div>
+                  <div className="text-sm text-muted-foreground">Overall</div>
+                </div>
+              </div>
+
+              <div className="bg-muted rounded-lg p-6">
+                <h3 className="font-semibold text-foreground mb-4 text-center">Story Arc</h3>
+                {scoring && (
+                  <p className="text-sm text-muted-foreground text-center animate-pulse">
+                    Finding your setup, conflict and resolution...
+                  </p>
+                )}
+                {!scoring && arc?.score === undefined && (
+                  <p className="text-sm text-muted-foreground text-center">
+                    {analysisError || "Story analysis isn't available for this session."}
+                  </p>
+                )}
+                {!scoring && arc?.score !== undefined && (
+                  <div className="space-y-4">
+                    {/* Each stage's share of the story's words */}
+                    <div className="flex h-3 rounded-full overflow-hidden bg-card">
+                      {segments.map(segment => (
+                        <div
+                          key={segment.stage}
+                          className={STAGE_STYLES[segment.stage].bar}
+                          style={{ width: `${segment.wordShare}%` }}
+                          title={`${STAGE_STYLES[segment.stage].label}: ${segment.wordShare}%`}
+                        />
+                      ))}
+                    </div>
+
+                    <div className="space-y-3">
+                      {segments.map(segment => (
+                        <div key={segment.stage} className={`bg-card rounded-lg p-3 ${STAGE_STYLES[segment.stage].card}`}>
+                          <div className="flex justify-between text-xs text-muted-foreground mb-1">
+                            <span className="font-semibold text-foreground">{STAGE_STYLES[segment.stage].label}</span>
+                            <span>
+                              {segment.from === segment.to ? `Sentence ${segment.from}` : `Sentences ${segment.from}-${segment.to}`} · {segment.wordShare}%
+                            </span>
+                          </div>
+                          <p className="text-sm text-foreground">{segment.text}</p>
+                        </div>
+                      ))}
+                      {missing.map(stage => (
+                        <div key={stage} className="bg-card rounded-lg p-3 border-l-4 border-dashed border-muted-foreground">
+                          <div className="text-xs font-semibold text-muted-foreground">{STAGE_STYLES[stage].label}: not detected</div>
+                        </div>
+                      ))}
+                    </div>
+
+                    <div className="grid grid-cols-3 gap-4 text-center">
+                      {([["Structure", arc.arcScore], ["Detail", arc.detailScore], ["Pacing", arc.pacingScore]] as const).map(([label, value]) => (
+                        <div key={label} className="bg-card rounded-lg p-3">
+                          <div className="text-xl font-bold text-primary">{value ?? "--"}</div>
+                          <div className="text-xs text-muted-foreground">{label}</div>
+                        </div>
+                      ))}
+                    </div>
+
+                    {analysis?.feedback && analysis.feedback.length > 0 && (
+                      <div className="space-y-2">
+                        {analysis.feedback.map((item, index) => (
+                          <div key={index} className="bg-card rounded-lg p-3 text-sm text-foreground">
+                            {item.message}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              <FillerCounter
+                fillerCount={fillerCount}
+                repetitionCount={repetitionCount}
+                lastFiller={lastFiller}
+                wordCount={wordCount}
+              />
+              <PaceIndicator wpm={wordsPerMinute} band={PACE_BANDS[DIFFICULTY]} />
+
+              <div className="flex gap-4 justify-center">
+                <Button onClick={resetGame} className="bg-primary hover:bg-primary/90 text-primary-foreground">
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                  New Prompt
+                </Button>
+                <Button variant="outline" onClick={onBack} className="border-border text-foreground hover:bg-muted">
+                  Try Another Game
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-background py-8">
+      <div className="container mx-auto px-6 max-w-2xl">
+        {header}
+
+        <Card className="bg-card border-border">
+          <CardContent className="p-8">
+            <div className="text-center mb-8">
+              <h1 className="text-3xl font-bold text-foreground mb-2">Storytelling</h1>
+              <p className="text-muted-foreground">Tell a short story from the prompt, with a beginning, a turning point and an ending.</p>
+            </div>
+
+            {phase === "intro" && (
+              <div className="text-center space-y-6">
+                <Card className="bg-primary text-primary-foreground">
+                  <CardContent className="p-6">
+                    <div className="flex items-center justify-center gap-2 text-sm uppercase tracking-wide opacity-80 mb-2">
+                      <BookOpen className="w-4 h-4" />
+                      Your Prompt
+                    </div>
+                    <div className="text-2xl font-semibold">"{prompt}"</div>
+                  </CardContent>
+                </Card>
+
+                <Button variant="outline" size="sm" onClick={() => setPrompt(pickPrompt(prompts, prompt))} className="border-border text-foreground hover:bg-muted">
+                  <Shuffle className="w-4 h-4 mr-2" />
+                  Another Prompt
+                </Button>
+
+                <div className="bg-muted rounded-lg p-6">
+                  <h3 className="font-semibold text-foreground mb-3">How to Play:</h3>
+                  <ul className="text-sm text-muted-foreground text-left space-y-2">
+                    <li>• Set the scene: who, where and when</li>
+                    <li>• Bring in the conflict: what went wrong or got in the way</li>
+                    <li>• Resolve it: how it ended and what changed</li>
+                    <li>• Add what you saw, heard and felt to bring it to life</li>
+                    <li>• Aim for about {formatClock(STORY_SECONDS)}, with most of it on the conflict</li>
+                  </ul>
+                </div>
+
+                <div className="bg-muted rounded-lg p-4">
+                  <div className="flex items-center justify-center gap-3 mb-3">
+                    <div className={`p-2 rounded-full ${microphoneAvailable ? 'bg-green-100' : 'bg-red-100'}`}>
+                      {microphoneAvailable ? (
+                        <Mic className="w-5 h-5 text-green-600" />
+                      ) : (
+                        <MicOff className="w-5 h-5 text-red-600" />
+                      )}
+                    </div>
+                    <div className="text-left">
+                      <div className="font-medium text-foreground">
+                        Microphone: {microphoneAvailable ? "Available" : "Not Available"}
+                      </div>
+                      <div className="text-sm text-muted-foreground">
+                        {microphoneAvailable ? "Ready to play!" : "Please allow microphone access and refresh the page"}
+                      </div>
+                    </div>
+                  </div>
+
+                  {!microphoneAvailable && (
+                    <Button onClick={testMicrophone} variant="outline" size="sm" className="w-full">
+                      Test Microphone
+                    </Button>
+                  )}
+                </div>
+
+                <Button
+                  size="lg"
+                  onClick={startStory}
+                  disabled={!microphoneAvailable}
+                  className="w-full bg-primary hover:bg-primary/90 text-primary-foreground disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Play className="w-5 h-5 mr-2" />
+                  {microphoneAvailable ? "Start Telling" : "Microphone Required"}
+                </Button>
+              </div>
+            )}
+
+            {phase === "speaking" && (
+              <div className="space-y-6">
+                <Card className="bg-primary text-primary-foreground">
+                  <CardContent className="p-4 text-center">
+                    <div className="text-lg font-semibold">"{prompt}"</div>
+                  </CardContent>
+                </Card>
+
+                <div className="text-center">
+                  <div className={`text-5xl font-bold ${elapsed > STORY_SECONDS ? 'text-red-500' : 'text-primary'}`}>
+                    {formatClock(elapsed)}
+                  </div>
+                  <div className="text-sm text-muted-foreground">of {formatClock(STORY_SECONDS)}</div>
+                  <Progress value={Math.min(100, (elapsed / STORY_SECONDS) * 100)} className="mt-3" />
+                </div>
+
+                <FillerCounter
+                  fillerCount={fillerCount}
+                  repetitionCount={repetitionCount}
+                  lastFiller={lastFiller}
+                  wordCount={wordCount}
+                />
+
+                <PaceIndicator wpm={currentWpm} band={PACE_BANDS[DIFFICULTY]} />
+
+                <div className="flex items-center justify-center gap-4">
+                  <div className={`p-4 rounded-full ${isListening ? 'bg-accent animate-pulse' : 'bg-muted'}`}>
+                    {isListening ? (
+                      <Mic className="w-6 h-6 text-accent-foreground" />
+                    ) : (
+                      <MicOff className="w-6 h-6 text-muted-foreground" />
+                    )}
+                  </div>
+                  <Button onClick={finishStory} size="lg" className="bg-primary hover:bg-primary/90 text-primary-foreground">
+                    <Square className="w-4 h-4 mr-2" />
+                    Finish Story
+                  </Button>
+                </div>
+              </div>
+            )}
+
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
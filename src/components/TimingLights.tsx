@@ -0,0 +1,43 @@
+import { formatClock, getTimingLight, type TimingThresholds } from "@/lib/timingLights";
+
+interface TimingLightsProps {
+  seconds: number;
+  thresholds: TimingThresholds;
+}
+
+const LIGHTS = [
+  { id: "green", on: "bg-green-500", label: "Green" },
+  { id: "yellow", on: "bg-yellow-400", label: "Yellow" },
+  { id: "red", on: "bg-red-500", label: "Red" },
+] as const;
+
+const HINTS = {
+  none: "Keep going until the green light",
+  green: "You've reached the minimum time",
+  yellow: "Start wrapping up",
+  red: "Time to close",
+};
+
+export const TimingLights = ({ seconds, thresholds }: TimingLightsProps) => {
+  const light = getTimingLight(seconds, thresholds);
+
+  return (
+    <div className="bg-muted rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-center gap-4">
+        {LIGHTS.map(({ id, on, label }) => (
+          <div key={id} className="flex flex-col items-center gap-1">
+            <div
+              className={`w-10 h-10 rounded-full border border-border transition-colors duration-300 ${
+                light === id ? `${on} animate-pulse` : "bg-background"
+              }`}
+            />
+            <span className="text-xs text-muted-foreground">
+              {label} {formatClock(thresholds[id])}
+            </span>
+          </div>
+        ))}
+      </div>
+      <div className="text-center text-sm text-muted-foreground">{HINTS[light]}</div>
+    </div>
+  );
+};
@@ -4,8 +4,17 @@ import { Card, CardContent } from "@/components/ui/card";
 import { ArrowLeft, Mic, MicOff, Play, Trophy, Zap } from "lucide-react";
 import { useToast } from "@/hooks/use-toast";
 import { useSpeechRecognition } from "@/hooks/useSpeechRecognition";
+import { useSpeechMetrics } from "@/hooks/useSpeechMetrics";
+import { useAudioRecorder } from "@/hooks/useAudioRecorder";
+import { usePracticeLanguage } from "@/hooks/usePracticeLanguage";
+import { FillerCounter } from "@/components/FillerCounter";
+import { PaceIndicator } from "@/components/PaceIndicator";
+import { PACE_BANDS, type Difficulty } from "@/lib/pace";
+import { GAME_DECKS } from "@/lib/gameDecks";
 import apiService from "@/services/api";
 
+const DIFFICULTY: Difficulty = "advanced";
+
 interface TripleStepGameProps {
   onBack: () => void;
 }
@@ -35,6 +44,7 @@ export const TripleStepGame = ({ onBack }: TripleStepGameProps) => {
   const [currentWordIndex, setCurrentWordIndex] = useState(0); // Track current word index
   
   const { toast } = useToast();
+  const language = usePracticeLanguage();
   const startTimeRef = useRef<number>(0);
   const wordStartRef = useRef<number>(0);
   const integrationTimes = useRef<number[]>([]);
@@ -42,6 +52,20 @@ export const TripleStepGame = ({ onBack }: TripleStepGameProps) => {
   const gameTimer = useRef<number>(90); // 1.5 minute game
   const processedWords = useRef<Set<number>>(new Set()); // Track processed words
 
+  const {
+    fillerCount,
+    repetitionCount,
+    lastFiller,
+    wordCount,
+    wordsPerMinute,
+    currentWpm,
+    addSegment,
+    reset: resetSpeechMetrics,
+    getTranscript
+  } = useSpeechMetrics();
+
+  const { start: startAudioRecording, stop: stopAudioRecording } = useAudioRecorder();
+
   // Use the speech recognition hook
   const {
     isListening,
@@ -51,8 +75,11 @@ export const TripleStepGame = ({ onBack }: TripleStepGameProps) => {
     stop: stopSpeechRecognition,
     testMicrophone
   } = useSpeechRecognition({
-    onResult: (transcript, isFinal) => {
+    onResult: (transcript, isFinal, timing) => {
       console.log('TripleStep speech recognition result:', { transcript, isFinal, currentWord, currentWordIndex, isProcessingResponse });
+      if (isFinal) {
+        addSegment(transcript, timing);
+      }
       if (isFinal && currentWord && transcript.toLowerCase().includes(currentWord.toLowerCase()) && !isProcessingResponse && !processedWords.current.has(currentWordIndex)) {
         console.log('Word integrated successfully:', currentWord);
         handleWordIntegration();
@@ -81,21 +108,7 @@ export const TripleStepGame = ({ onBack }: TripleStepGameProps) => {
     }
   });
 
-  const randomWords = [
-    "elephant", "calculator", "rainbow", "spaceship", "chocolate",
-    "tornado", "umbrella", "guitar", "volcano", "butterfly",
-    "microscope", "hamburger", "telescope", "dinosaur", "waterfall",
-    "keyboard", "pineapple", "lighthouse", "helicopter", "sandwich",
-    "octopus", "camera", "thunderstorm", "basketball", "refrigerator"
-  ];
-
-  const topics = [
-    "The future of remote work",
-    "Sustainable energy solutions",
-    "The impact of social media",
-    "Modern education challenges",
-    "Healthcare innovation"
-  ];
+  const { tripleStepWords: randomWords, tripleStepTopics: topics } = GAME_DECKS[language];
 
   const [currentTopic] = useState(topics[Math.floor(Math.random() * topics.length)]);
 
@@ -158,7 +171,7 @@ export const TripleStepGame = ({ onBack }: TripleStepGameProps) => {
 
     try {
       // Create backend game session
-      const sessionResponse = await apiService.startGameSession('tripleStep', 'advanced');
+      const sessionResponse = await apiService.startGameSession('tripleStep', DIFFICULTY);
       if (sessionResponse.success) {
         setSessionId(sessionResponse.data.sessionId);
       }
@@ -176,6 +189,7 @@ export const TripleStepGame = ({ onBack }: TripleStepGameProps) => {
       totalWords.current = 0; // Will be updated as words are processed
       gameTimer.current = 90; // Exactly 90 seconds for 6 words (15 seconds each)
       processedWords.current.clear();
+      resetSpeechMetrics();
       
       // Initialize game stats to start building up from 0
       setGameStats({
@@ -187,6 +201,7 @@ export const TripleStepGame = ({ onBack }: TripleStepGameProps) => {
       
       // Start speech recognition
       await startSpeechRecognition();
+      await startAudioRecording();
       setIsRecording(true);
       
       toast({
@@ -205,6 +220,7 @@ export const TripleStepGame = ({ onBack }: TripleStepGameProps) => {
 
   const endGame = async () => {
     stopSpeechRecognition();
+    const recording = await stopAudioRecording();
     setIsRecording(false);
     setGameEnded(true);
     
@@ -213,13 +229,24 @@ export const TripleStepGame = ({ onBack }: TripleStepGameProps) => {
     
     // End backend session if we have a session ID
     if (sessionId) {
+      // Upload and transcribe first so scoring can use the server's word-timed transcript
+      if (recording) {
+        try {
+          await apiService.uploadSessionAudio(sessionId, recording);
+          await apiService.transcribeSession(sessionId);
+        } catch (error) {
+          console.error('Failed to upload or transcribe session audio:', error);
+        }
+      }
+
       try {
         const performance = {
           score: Math.round((finalStats.integrationSuccess / finalStats.wordsIntegrated) * 100), // 5/6 = 83%
           accuracy: finalStats.integrationSuccess / finalStats.wordsIntegrated, // 5/6 = 0.833
           speed: 1 / (finalStats.averageIntegrationTime || 1),
           fluency: 0.8,
-          confidence: Math.min(0.9, 0.3 + (finalStats.integrationSuccess / finalStats.wordsIntegrated) * 0.6) // 0.3 + 0.5 = 0.8
+          confidence: Math.min(0.9, 0.3 + (finalStats.integrationSuccess / finalStats.wordsIntegrated) * 0.6), // 0.3 + 0.5 = 0.8
+          wordsPerMinute
         };
 
         const gameSpecificData = {
@@ -236,7 +263,9 @@ export const TripleStepGame = ({ onBack }: TripleStepGameProps) => {
           }
         };
 
-        await apiService.endGameSession(sessionId, performance, gameSpecificData);
+        await apiService.endGameSession(sessionId, performance, gameSpecificData, {
+          transcript: getTranscript()
+        });
       } catch (error) {
         console.error('Failed to end game session:', error);
       }
@@ -314,6 +343,7 @@ export const TripleStepGame = ({ onBack }: TripleStepGameProps) => {
 
   const resetGame = () => {
     stopSpeechRecognition();
+    stopAudioRecording();
     setGameStarted(false);
     setGameEnded(false);
     setCurrentWordIndex(0);
@@ -327,6 +357,7 @@ export const TripleStepGame = ({ onBack }: TripleStepGameProps) => {
     gameTimer.current = 90;
     setSessionId(null);
     processedWords.current.clear();
+    resetSpeechMetrics();
     setGameStats({
       wordsIntegrated: 0,
       integrationSuccess: 0,
@@ -395,6 +426,18 @@ export const TripleStepGame = ({ onBack }: TripleStepGameProps) => {
                   </div>
                 </div>
                 
+                <div className="mt-6">
+                  <FillerCounter
+                    fillerCount={fillerCount}
+                    repetitionCount={repetitionCount}
+                    lastFiller={lastFiller}
+                    wordCount={wordCount}
+                  />
+                  <div className="mt-3">
+                    <PaceIndicator wpm={wordsPerMinute} band={PACE_BANDS[DIFFICULTY]} />
+                  </div>
+                </div>
+
                 {/* Topic Analysis */}
                 <div className="mt-6 p-4 bg-card rounded-lg">
                   <h4 className="font-medium text-foreground mb-2">Topic: {currentTopic}</h4>
@@ -574,6 +617,15 @@ export const TripleStepGame = ({ onBack }: TripleStepGameProps) => {
                    </div>
                  </div>
                 
+                <FillerCounter
+                  fillerCount={fillerCount}
+                  repetitionCount={repetitionCount}
+                  lastFiller={lastFiller}
+                  wordCount={wordCount}
+                />
+
+                <PaceIndicator wpm={currentWpm} band={PACE_BANDS[DIFFICULTY]} />
+
                 {/* Microphone Status */}
                 <div className="flex items-center justify-center gap-4">
                   <div className={`p-4 rounded-full ${isListening ? 'bg-accent animate-pulse' : 'bg-muted'}`}>
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import apiService from '../services/api';
+import { disconnectSocket } from '../services/socket';
 
 const AuthContext = createContext();
 
@@ -71,8 +72,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const updatePreferences = async (preferences) => {
+    try {
+      const response = await apiService.updateUserProfile({ preferences });
+      if (response.success) {
+        setUser(response.data.user);
+        return { success: true };
+      }
+      return { success: false, message: response.message };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  };
+
   const logout = () => {
     apiService.logout();
+    disconnectSocket();
     setUser(null);
   };
 
@@ -83,6 +98,7 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    updatePreferences,
     checkBackendConnection,
   };
 
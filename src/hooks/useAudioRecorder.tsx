@@ -0,0 +1,108 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Preferred container formats, in order; the backend accepts all of these
+const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+export interface AudioRecording {
+  blob: Blob;
+  duration: number; // seconds
+  mimeType: string;
+}
+
+interface UseAudioRecorderReturn {
+  isRecording: boolean;
+  isSupported: boolean;
+  start: (stream?: MediaStream) => Promise<boolean>;
+  stop: () => Promise<AudioRecording | null>;
+}
+
+const pickMimeType = (): string => {
+  return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+};
+
+// Captures a game session's microphone audio with MediaRecorder
+export const useAudioRecorder = (): UseAudioRecorderReturn => {
+  const [isRecording, setIsRecording] = useState(false);
+  const isSupported = typeof window !== 'undefined' && 'MediaRecorder' in window;
+
+  const recorderRef = useRef<MediaRecorder | null>(null);
+  const streamRef = useRef<MediaStream | null>(null);
+  const ownsStreamRef = useRef(false);
+  const chunks = useRef<Blob[]>([]);
+  const startedAt = useRef(0);
+
+  const releaseStream = useCallback(() => {
+    if (streamRef.current && ownsStreamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+    }
+    streamRef.current = null;
+    ownsStreamRef.current = false;
+  }, []);
+
+  const start = useCallback(async (stream?: MediaStream): Promise<boolean> => {
+    if (!isSupported || recorderRef.current) return false;
+
+    try {
+      const mediaStream = stream || await navigator.mediaDevices.getUserMedia({ audio: true });
+      streamRef.current = mediaStream;
+      ownsStreamRef.current = !stream;
+
+      const mimeType = pickMimeType();
+      const recorder = new MediaRecorder(mediaStream, mimeType ? { mimeType } : undefined);
+      chunks.current = [];
+      recorder.ondataavailable = (event: BlobEvent) => {
+        if (event.data.size > 0) {
+          chunks.current.push(event.data);
+        }
+      };
+
+      // Timeslice so a crash mid-session still leaves most of the audio buffered
+      recorder.start(1000);
+      recorderRef.current = recorder;
+      startedAt.current = Date.now();
+      setIsRecording(true);
+      return true;
+    } catch (error) {
+      console.error('Audio recorder failed to start:', error);
+      releaseStream();
+      return false;
+    }
+  }, [isSupported, releaseStream]);
+
+  const stop = useCallback((): Promise<AudioRecording | null> => {
+    const recorder = recorderRef.current;
+    if (!recorder) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+      recorder.onstop = () => {
+        const mimeType = recorder.mimeType || 'audio/webm';
+        const blob = new Blob(chunks.current, { type: mimeType });
+        chunks.current = [];
+        releaseStream();
+        setIsRecording(false);
+        resolve(blob.size > 0
+          ? { blob, duration: (Date.now() - startedAt.current) / 1000, mimeType }
+          : null);
+      };
+      recorderRef.current = null;
+      recorder.stop();
+    });
+  }, [releaseStream]);
+
+  // Discard any in-progress recording on unmount
+  useEffect(() => () => {
+    if (recorderRef.current && recorderRef.current.state !== 'inactive') {
+      recorderRef.current.onstop = null;
+      recorderRef.current.stop();
+    }
+    recorderRef.current = null;
+    releaseStream();
+  }, [releaseStream]);
+
+  return {
+    isRecording,
+    isSupported,
+    start,
+    stop,
+  };
+};
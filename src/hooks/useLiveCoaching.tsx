@@ -0,0 +1,136 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import type { SpeechTiming } from '@/lib/speech';
+import { getSocket } from '@/services/socket';
+
+// A tip stays on screen this long unless a newer one replaces it
+const TIP_MS = 6000;
+
+export type CoachingTipKind = 'pace' | 'filler' | 'offTopic';
+
+export interface CoachingTip {
+  kind: CoachingTipKind;
+  message: string;
+}
+
+// Every coaching event carries the session it belongs to and a message for the player
+interface CoachingEvent {
+  sessionId: string;
+  message: string;
+}
+
+// The acknowledgement the server sends for start-coaching
+interface CoachingReply {
+  success: boolean;
+  message?: string;
+}
+
+const EVENTS: Record<string, CoachingTipKind> = {
+  'pace-warning': 'pace',
+  'filler-alert': 'filler',
+  'off-topic-warning': 'offTopic',
+};
+
+interface UseLiveCoachingReturn {
+  active: boolean;
+  tip: CoachingTip | null;
+  start: (sessionId: string | null, topic?: string) => void;
+  addSegment: (text: string, timing?: SpeechTiming) => void;
+  stop: () => void;
+}
+
+// Streams final transcript segments to the server while a game is played and shows
+// the pace, filler and off-topic warnings it sends back. Coaching is a bonus: when
+// the socket is down or the server refuses, the game simply runs without it.
+export const useLiveCoaching = (): UseLiveCoachingReturn => {
+  const [sessionId, setSessionId] = useState<string | null>(null);
+  const [active, setActive] = useState(false);
+  const [tip, setTip] = useState<CoachingTip | null>(null);
+
+  const sessionRef = useRef<string | null>(null);
+  const topicRef = useRef<string | undefined>(undefined);
+  const startedAtRef = useRef<number>(0);
+  const activeRef = useRef(false); // read by addSegment, which recognizer callbacks may hold on to
+  activeRef.current = active;
+
+  const start = useCallback((id: string | null, topic?: string) => {
+    if (!id) return;
+    sessionRef.current = id;
+    topicRef.current = topic;
+    startedAtRef.current = Date.now();
+    setTip(null);
+    setSessionId(id);
+  }, []);
+
+  const stop = useCallback(() => {
+    const id = sessionRef.current;
+    sessionRef.current = null;
+    setSessionId(null);
+    setActive(false);
+    setTip(null);
+    if (id) getSocket().emit('stop-coaching', { sessionId: id });
+  }, []);
+
+  // Start coaching once connected, and again after a reconnect (the server picks up
+  // where it left off)
+  useEffect(() => {
+    if (!sessionId) return;
+
+    const socket = getSocket();
+    const begin = () => {
+      socket.emit('start-coaching', { sessionId, topic: topicRef.current }, (reply: CoachingReply) => {
+        if (sessionRef.current !== sessionId) return;
+        if (!reply.success) console.warn('Live coaching unavailable:', reply.message);
+        setActive(reply.success);
+      });
+    };
+    const onDisconnect = () => setActive(false);
+    const listeners = Object.entries(EVENTS).map(([event, kind]) => {
+      const listener = (payload: CoachingEvent) => {
+        if (String(payload.sessionId) === sessionId) setTip({ kind, message: payload.message });
+      };
+      socket.on(event, listener);
+      return [event, listener] as const;
+    });
+
+    if (socket.connected) begin();
+    socket.on('connect', begin);
+    socket.on('disconnect', onDisconnect);
+
+    return () => {
+      socket.off('connect', begin);
+      socket.off('disconnect', onDisconnect);
+      listeners.forEach(([event, listener]) => socket.off(event, listener));
+    };
+  }, [sessionId]);
+
+  // Leaving the game mid-speech stops coaching too
+  useEffect(() => () => {
+    if (sessionRef.current) getSocket().emit('stop-coaching', { sessionId: sessionRef.current });
+  }, []);
+
+  useEffect(() => {
+    if (!tip) return;
+    const timer = setTimeout(() => setTip(null), TIP_MS);
+    return () => clearTimeout(timer);
+  }, [tip]);
+
+  // Times are sent in ms from when coaching started
+  const addSegment = useCallback((text: string, timing?: SpeechTiming) => {
+    const id = sessionRef.current;
+    const trimmed = text.trim();
+    if (!id || !activeRef.current || !trimmed) return;
+
+    const now = Date.now();
+    const start = Math.max(0, (timing?.start ?? now) - startedAtRef.current);
+    const end = Math.max(start, (timing?.end ?? now) - startedAtRef.current);
+    getSocket().emit('transcript-chunk', { sessionId: id, text: trimmed, start, end });
+  }, []);
+
+  return {
+    active,
+    tip,
+    start,
+    addSegment,
+    stop,
+  };
+};
@@ -0,0 +1,8 @@
+import { useAuth } from '@/contexts/AuthContext';
+import { resolveLanguage, type PracticeLanguage } from '@/lib/languages';
+
+// The language the user practises in, from preferences.language
+export const usePracticeLanguage = (): PracticeLanguage => {
+  const { user } = useAuth();
+  return resolveLanguage(user?.preferences?.language);
+};
@@ -0,0 +1,336 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getSocket } from '@/services/socket';
+
+// Starting a match waits for the prompts to be generated, so allow it plenty of time
+const REQUEST_TIMEOUT_MS = 30000;
+
+export type RoomStatus = 'lobby' | 'starting' | 'playing' | 'finished' | 'cancelled';
+
+export interface RoomSettings {
+  promptCount?: number;
+  responseWindowMs?: number;
+  difficulty?: string;
+  language?: string;
+  theme?: string;
+}
+
+export interface RoomPlayer {
+  userId: string;
+  username: string;
+  connected: boolean;
+  isHost: boolean;
+}
+
+export interface ScoreboardRow {
+  userId: string;
+  username: string;
+  points: number;
+  answered: number;
+  firstAnswers: number;
+  averageResponseTime: number | null; // ms
+  connected: boolean;
+  placement: number;
+}
+
+export interface RoomState {
+  code: string;
+  status: RoomStatus;
+  hostId: string;
+  settings: Required<Omit<RoomSettings, 'theme'>> & { theme?: string };
+  minPlayers: number;
+  maxPlayers: number;
+  players: RoomPlayer[];
+  promptCount: number;
+  currentPrompt: { index: number; text: string; startedAt: number; deadline: number } | null;
+  scoreboard?: ScoreboardRow[];
+}
+
+// The prompt being answered; deadline is converted to this browser's clock
+export interface MatchPrompt {
+  index: number;
+  total: number;
+  text: string;
+  deadline: number;
+  durationMs: number;
+}
+
+export interface PromptResponse {
+  userId: string;
+  username: string;
+  text: string;
+  responseTime: number; // ms
+  quality: number;
+  points: number;
+  first: boolean;
+}
+
+export interface PromptResults {
+  index: number;
+  text: string;
+  responses: PromptResponse[];
+}
+
+export interface MatchOutcome {
+  matchId: string | null;
+  scoreboard: ScoreboardRow[];
+  sessions: Record<string, string>; // userId -> saved GameSession id
+  message?: string;
+}
+
+// Acknowledgements for room actions: { success, data } or { success: false, code, message }
+interface RoomReply<T> {
+  success: boolean;
+  data?: T;
+  code?: string;
+  message?: string;
+}
+
+// Every room event carries the room code and the server's clock
+interface RoomEvent {
+  code: string;
+  serverTime: number;
+}
+
+interface UseRapidFireRoomReturn {
+  room: RoomState | null;
+  prompt: MatchPrompt | null;
+  answeredIndex: number | null; // the last prompt this player answered
+  results: PromptResults | null; // the last closed prompt
+  scoreboard: ScoreboardRow[];
+  startsAt: number | null; // when the first prompt arrives, on this browser's clock
+  outcome: MatchOutcome | null;
+  cancelled: string | null;
+  error: string | null;
+  busy: boolean;
+  createRoom: (settings: RoomSettings) => Promise<boolean>;
+  joinRoom: (code: string) => Promise<boolean>;
+  leaveRoom: () => void;
+  startMatch: () => Promise<boolean>;
+  submitResponse: (text: string) => Promise<boolean>;
+  reset: () => void;
+}
+
+// A player's side of a multiplayer Rapid Fire match. The server owns the room and
+// the clock; this hook sends the player's actions and keeps the room, the open
+// prompt and the scoreboard in step with the room events. After a reconnect it
+// rejoins the room, which also picks up a prompt in progress.
+export const useRapidFireRoom = (): UseRapidFireRoomReturn => {
+  const [room, setRoom] = useState<RoomState | null>(null);
+  const [prompt, setPrompt] = useState<MatchPrompt | null>(null);
+  const [answeredIndex, setAnsweredIndex] = useState<number | null>(null);
+  const [results, setResults] = useState<PromptResults | null>(null);
+  const [scoreboard, setScoreboard] = useState<ScoreboardRow[]>([]);
+  const [startsAt, setStartsAt] = useState<number | null>(null);
+  const [outcome, setOutcome] = useState<MatchOutcome | null>(null);
+  const [cancelled, setCancelled] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  // The code of the room this player is in, for handlers registered once
+  const codeRef = useRef<string | null>(null);
+  const code = room?.code ?? null;
+  codeRef.current = code;
+
+  const request = useCallback(<T,>(event: string, payload: object) =>
+    new Promise<RoomReply<T>>(resolve => {
+      getSocket().timeout(REQUEST_TIMEOUT_MS).emit(event, payload, (timeoutError: Error | null, reply: RoomReply<T>) => {
+        resolve(timeoutError
+          ? { success: false, code: 'TIMEOUT', message: 'The server did not answer, please check your connection' }
+          : reply);
+      });
+    }), []);
+
+  // Runs a room action; a refusal is shown as the error and resolves to null
+  const act = useCallback(async <T,>(event: string, payload: object) => {
+    setBusy(true);
+    setError(null);
+    const reply = await request<T>(event, payload);
+    setBusy(false);
+    if (!reply.success) {
+      setError(reply.message || 'Something went wrong, please try again');
+      return null;
+    }
+    return reply;
+  }, [request]);
+
+  // A room state from the server; picks up a prompt in progress after a rejoin
+  const applyRoom = useCallback((state: RoomState, serverTime = Date.now()) => {
+    const offset = serverTime - Date.now();
+    setRoom(state);
+    if (state.scoreboard) setScoreboard(state.scoreboard);
+    if (state.currentPrompt) {
+      const { index, text, startedAt, deadline } = state.currentPrompt;
+      setPrompt({ index, total: state.promptCount, text, deadline: deadline - offset, durationMs: deadline - startedAt });
+    }
+  }, []);
+
+  const clearMatch = useCallback(() => {
+    setPrompt(null);
+    setAnsweredIndex(null);
+    setResults(null);
+    setScoreboard([]);
+    setStartsAt(null);
+  }, []);
+
+  const createRoom = useCallback(async (settings: RoomSettings) => {
+    const reply = await act<RoomState>('create-room', settings);
+    if (!reply?.data) return false;
+    clearMatch();
+    setOutcome(null);
+    setCancelled(null);
+    applyRoom(reply.data);
+    return true;
+  }, [act, applyRoom, clearMatch]);
+
+  const joinRoom = useCallback(async (roomCode: string) => {
+    const reply = await act<RoomState>('join-room', { code: roomCode.trim().toUpperCase() });
+    if (!reply?.data) return false;
+    clearMatch();
+    setOutcome(null);
+    setCancelled(null);
+    applyRoom(reply.data);
+    return true;
+  }, [act, applyRoom, clearMatch]);
+
+  const startMatch = useCallback(async () => {
+    if (!codeRef.current) return false;
+    return Boolean(await act('start-match', { code: codeRef.current }));
+  }, [act]);
+
+  const submitResponse = useCallback(async (text: string) => {
+    if (!codeRef.current || !prompt || answeredIndex === prompt.index) return false;
+
+    // Claimed right away so a second transcript can't answer the same prompt
+    setAnsweredIndex(prompt.index);
+    const reply = await act('submit-response', { code: codeRef.current, promptIndex: prompt.index, text });
+    if (!reply) {
+      setAnsweredIndex(previous => (previous === prompt.index ? null : previous));
+      return false;
+    }
+    return true;
+  }, [act, prompt, answeredIndex]);
+
+  const reset = useCallback(() => {
+    clearMatch();
+    setRoom(null);
+    setOutcome(null);
+    setCancelled(null);
+    setError(null);
+  }, [clearMatch]);
+
+  const leaveRoom = useCallback(() => {
+    if (codeRef.current) getSocket().emit('leave-room', { code: codeRef.current });
+    reset();
+  }, [reset]);
+
+  // Room events; every handler checks the code, so a late event from an old room is ignored
+  useEffect(() => {
+    const socket = getSocket();
+    const mine = (payload: RoomEvent) => payload.code === codeRef.current;
+
+    const onRoomUpdated = (payload: RoomEvent & { room: RoomState }) => {
+      if (mine(payload)) applyRoom(payload.room, payload.serverTime);
+    };
+    const onStarting = (payload: RoomEvent & { startsAt: number }) => {
+      if (!mine(payload)) return;
+      clearMatch();
+      setStartsAt(payload.startsAt - (payload.serverTime - Date.now()));
+    };
+    const onPrompt = (payload: RoomEvent & MatchPrompt) => {
+      if (!mine(payload)) return;
+      const offset = payload.serverTime - Date.now();
+      setStartsAt(null);
+      setPrompt({
+        index: payload.index,
+        total: payload.total,
+        text: payload.text,
+        deadline: payload.deadline - offset,
+        durationMs: payload.durationMs
+      });
+    };
+    const onScoreboard = (payload: RoomEvent & { scoreboard: ScoreboardRow[] }) => {
+      if (mine(payload)) setScoreboard(payload.scoreboard);
+    };
+    const onPromptResults = (payload: RoomEvent & PromptResults & { scoreboard: ScoreboardRow[] }) => {
+      if (!mine(payload)) return;
+      setResults({ index: payload.index, text: payload.text, responses: payload.responses });
+      setScoreboard(payload.scoreboard);
+    };
+    const onComplete = (payload: RoomEvent & MatchOutcome) => {
+      if (!mine(payload)) return;
+      setOutcome({
+        matchId: payload.matchId,
+        scoreboard: payload.scoreboard,
+        sessions: payload.sessions,
+        message: payload.message
+      });
+      setRoom(null);
+      clearMatch();
+    };
+    const onCancelled = (payload: RoomEvent & { reason: string }) => {
+      if (!mine(payload)) return;
+      setCancelled(payload.reason);
+      setRoom(null);
+      clearMatch();
+    };
+    // Get back into the room after the connection dropped
+    const onReconnect = () => {
+      const roomCode = codeRef.current;
+      if (!roomCode) return;
+      request<RoomState>('join-room', { code: roomCode }).then(reply => {
+        if (codeRef.current !== roomCode) return;
+        if (reply.success && reply.data) {
+          applyRoom(reply.data);
+        } else {
+          setError(reply.message || 'You were disconnected from the room');
+          setRoom(null);
+          clearMatch();
+        }
+      });
+    };
+
+    socket.on('room-updated', onRoomUpdated);
+    socket.on('match-starting', onStarting);
+    socket.on('match-prompt', onPrompt);
+    socket.on('match-scoreboard', onScoreboard);
+    socket.on('match-prompt-results', onPromptResults);
+    socket.on('match-complete', onComplete);
+    socket.on('match-cancelled', onCancelled);
+    socket.io.on('reconnect', onReconnect);
+
+    return () => {
+      socket.off('room-updated', onRoomUpdated);
+      socket.off('match-starting', onStarting);
+      socket.off('match-prompt', onPrompt);
+      socket.off('match-scoreboard', onScoreboard);
+      socket.off('match-prompt-results', onPromptResults);
+      socket.off('match-complete', onComplete);
+      socket.off('match-cancelled', onCancelled);
+      socket.io.off('reconnect', onReconnect);
+    };
+  }, [applyRoom, clearMatch, request]);
+
+  // Leaving the page leaves the room too
+  useEffect(() => () => {
+    if (codeRef.current) getSocket().emit('leave-room', { code: codeRef.current });
+  }, []);
+
+  return {
+    room,
+    prompt,
+    answeredIndex,
+    results,
+    scoreboard,
+    startsAt,
+    outcome,
+    cancelled,
+    error,
+    busy,
+    createRoom,
+    joinRoom,
+    leaveRoom,
+    startMatch,
+    submitResponse,
+    reset,
+  };
+};
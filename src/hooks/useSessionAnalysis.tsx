@@ -0,0 +1,201 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import type { AudioRecording } from './useAudioRecorder';
+import type { TranscriptSegment } from './useSpeechMetrics';
+import apiService from '@/services/api';
+import { getSocket, type JoinGameReply } from '@/services/socket';
+
+// How often to re-check the session while its analysis runs in the background. The
+// server also announces the result over the socket, which triggers a check at once;
+// polling covers a dropped connection or a result that landed before the join.
+const POLL_MS = 3000;
+// Stop waiting after this many checks (three minutes)
+const MAX_POLLS = 60;
+
+// idle until submitted; submitting while the audio, transcript and results are sent;
+// pending while the server analyses the session in the background
+export type AnalysisStatus = 'idle' | 'submitting' | 'pending' | 'complete' | 'failed';
+
+export interface SessionAnalysis {
+  status?: 'pending' | 'complete' | 'failed';
+  overallRating?: number;
+  speechClarity?: number;
+  feedback?: { type: string; message: string }[];
+}
+
+// The parts of a saved game session the games read
+export interface EndedSession<TData> {
+  performance: { score?: number };
+  gameSpecificData?: Record<string, TData | undefined>;
+  aiAnalysis?: SessionAnalysis;
+}
+
+interface SessionResults {
+  recording: AudioRecording | null;
+  performance: Record<string, number>;
+  data: Record<string, unknown>; // the game's end-of-session data, sent as gameSpecificData[gameType]
+  transcript?: { segments: TranscriptSegment[] };
+}
+
+interface UseSessionAnalysisReturn<TData> {
+  status: AnalysisStatus;
+  analysis: SessionAnalysis | null;
+  gameData: TData | null; // the game's data as the server stored and later analysed it
+  error: string | null;
+  submit: (sessionId: string | null, results: SessionResults) => Promise<EndedSession<TData> | null>;
+  reset: () => void;
+}
+
+// Ends a game session and follows its background analysis: uploads and transcribes the
+// recording, sends the results, then re-fetches the session until the analysis lands
+// (right away when the session's socket room reports it, otherwise on a timer).
+// A failed request ends in the 'failed' status with an error instead of waiting forever.
+export const useSessionAnalysis = <TData,>(gameType: string): UseSessionAnalysisReturn<TData> => {
+  const [status, setStatus] = useState<AnalysisStatus>('idle');
+  const [analysis, setAnalysis] = useState<SessionAnalysis | null>(null);
+  const [gameData, setGameData] = useState<TData | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [sessionId, setSessionId] = useState<string | null>(null);
+  const [polls, setPolls] = useState(0);
+  const [announced, setAnnounced] = useState(false); // the socket reported the analysis finished
+
+  // Bumped on every submit and reset, so a late reply from an earlier session is ignored
+  const runRef = useRef(0);
+
+  const fail = useCallback((message: string) => {
+    setStatus('failed');
+    setError(message);
+  }, []);
+
+  const apply = useCallback((session: EndedSession<TData>) => {
+    setAnalysis(session.aiAnalysis || null);
+    setGameData(session.gameSpecificData?.[gameType] ?? null);
+  }, [gameType]);
+
+  const submit = useCallback(async (id: string | null, results: SessionResults) => {
+    const run = ++runRef.current;
+    setError(null);
+    setPolls(0);
+    setAnnounced(false);
+
+    if (!id) {
+      fail('The session was not started, so it could not be scored.');
+      return null;
+    }
+
+    setStatus('submitting');
+    setSessionId(id);
+
+    // Upload and transcribe first so the server scores its own transcript
+    if (results.recording) {
+      try {
+        await apiService.uploadSessionAudio(id, results.recording);
+        await apiService.transcribeSession(id);
+      } catch (uploadError) {
+        console.error('Failed to upload or transcribe session audio:', uploadError);
+      }
+    }
+
+    try {
+      const response = await apiService.endGameSession(id, results.performance, {
+        [gameType]: results.data
+      }, {
+        transcript: results.transcript
+      });
+      if (run !== runRef.current) return null;
+
+      const session: EndedSession<TData> = response.data.session;
+      apply(session);
+      setStatus('pending');
+      return session;
+    } catch (endError) {
+      console.error(`Failed to end ${gameType} session:`, endError);
+      if (run === runRef.current) {
+        fail('Your results could not be saved. Please check your connection.');
+      }
+      return null;
+    }
+  }, [gameType, apply, fail]);
+
+  const reset = useCallback(() => {
+    runRef.current++;
+    setStatus('idle');
+    setAnalysis(null);
+    setGameData(null);
+    setError(null);
+    setSessionId(null);
+    setPolls(0);
+    setAnnounced(false);
+  }, []);
+
+  // Follow the session's room while it is analysed; rejoin after a reconnect
+  useEffect(() => {
+    if (status !== 'pending' || !sessionId) return;
+
+    const socket = getSocket();
+    const join = () => {
+      socket.emit('join-game', sessionId, (reply: JoinGameReply) => {
+        if (!reply.success) console.warn(`Could not follow ${gameType} session ${sessionId}:`, reply.message);
+      });
+    };
+    // Both events carry the session's aiAnalysis only; the game's own analysed data
+    // is fetched with the session
+    const onFinished = (payload: { sessionId: string }) => {
+      if (String(payload.sessionId) === sessionId) setAnnounced(true);
+    };
+
+    if (socket.connected) join();
+    socket.on('connect', join);
+    socket.on('analysis-complete', onFinished);
+    socket.on('analysis-failed', onFinished);
+
+    return () => {
+      socket.off('connect', join);
+      socket.off('analysis-complete', onFinished);
+      socket.off('analysis-failed', onFinished);
+      socket.emit('leave-game', sessionId);
+    };
+  }, [status, sessionId, gameType]);
+
+  useEffect(() => {
+    if (status !== 'pending' || !sessionId) return;
+
+    const run = runRef.current;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiService.getGameSession(sessionId);
+        if (run !== runRef.current) return;
+
+        const session: EndedSession<TData> = response.data.session;
+        apply(session);
+        setAnnounced(false);
+
+        const analysisStatus = session.aiAnalysis?.status;
+        if (analysisStatus === 'failed') {
+          fail('The analysis could not be completed for this session.');
+        } else if (analysisStatus !== 'pending') {
+          setStatus('complete');
+        } else if (polls + 1 >= MAX_POLLS) {
+          fail('The analysis is taking longer than expected. Check your history later.');
+        } else {
+          setPolls(polls + 1);
+        }
+      } catch (pollError) {
+        console.error(`Failed to refresh ${gameType} analysis:`, pollError);
+        if (run === runRef.current) {
+          fail('The analysis could not be loaded. Please check your connection.');
+        }
+      }
+    }, announced ? 0 : POLL_MS);
+
+    return () => clearTimeout(timer);
+  }, [status, sessionId, polls, announced, gameType, apply, fail]);
+
+  return {
+    status,
+    analysis,
+    gameData,
+    error,
+    submit,
+    reset,
+  };
+};
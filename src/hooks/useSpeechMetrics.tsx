@@ -0,0 +1,120 @@
+import { useState, useRef, useCallback } from 'react';
+import { detectFillers, tokenize } from '@/lib/fillerWords';
+import type { SpeechTiming } from '@/lib/speech';
+import { usePracticeLanguage } from './usePracticeLanguage';
+
+// Segments shorter than this give meaningless per-segment rates
+const MIN_PACE_SEGMENT_MS = 1000;
+// Live pace is averaged over the most recent timed segments
+const LIVE_PACE_SEGMENTS = 3;
+
+interface PacedSegment {
+  words: number;
+  duration: number; // ms
+}
+
+const toWordsPerMinute = (list: PacedSegment[]): number => {
+  const totalWords = list.reduce((sum, s) => sum + s.words, 0);
+  const totalMs = list.reduce((sum, s) => sum + s.duration, 0);
+  return totalMs > 0 ? Math.round(totalWords / (totalMs / 60000)) : 0;
+};
+
+export interface TranscriptSegment {
+  text: string;
+  start: number; // ms from session start
+  end: number;
+}
+
+interface UseSpeechMetricsReturn {
+  fillerCount: number;
+  repetitionCount: number;
+  fillerCounts: Record<string, number>;
+  lastFiller: string | null;
+  wordCount: number;
+  wordsPerMinute: number;
+  currentWpm: number;
+  addSegment: (text: string, timing?: SpeechTiming) => void;
+  reset: () => void;
+  getTranscript: () => { segments: TranscriptSegment[] };
+}
+
+// Collects final transcript segments for a game session and keeps live speech metrics
+export const useSpeechMetrics = (): UseSpeechMetricsReturn => {
+  const [fillerCount, setFillerCount] = useState(0);
+  const [repetitionCount, setRepetitionCount] = useState(0);
+  const [fillerCounts, setFillerCounts] = useState<Record<string, number>>({});
+  const [lastFiller, setLastFiller] = useState<string | null>(null);
+  const [wordCount, setWordCount] = useState(0);
+  const [wordsPerMinute, setWordsPerMinute] = useState(0);
+  const [currentWpm, setCurrentWpm] = useState(0);
+  const language = usePracticeLanguage();
+
+  const sessionStart = useRef<number>(Date.now());
+  const segments = useRef<TranscriptSegment[]>([]);
+  const pacedSegments = useRef<PacedSegment[]>([]);
+
+  const addSegment = useCallback((text: string, timing?: SpeechTiming) => {
+    const trimmed = text.trim();
+    if (!trimmed) return;
+
+    const now = Date.now();
+    const start = (timing?.start ?? now) - sessionStart.current;
+    const end = (timing?.end ?? now) - sessionStart.current;
+    segments.current.push({ text: trimmed, start, end });
+
+    const words = tokenize(trimmed).length;
+    const occurrences = detectFillers(trimmed, language);
+    const fillers = occurrences.filter(o => o.type === 'filler');
+    const repetitions = occurrences.filter(o => o.type === 'repetition');
+
+    setWordCount(prev => prev + words);
+
+    if (end - start >= MIN_PACE_SEGMENT_MS) {
+      pacedSegments.current.push({ words, duration: end - start });
+      setWordsPerMinute(toWordsPerMinute(pacedSegments.current));
+      setCurrentWpm(toWordsPerMinute(pacedSegments.current.slice(-LIVE_PACE_SEGMENTS)));
+    }
+    if (fillers.length > 0) {
+      setFillerCount(prev => prev + fillers.length);
+      setFillerCounts(prev => {
+        const next = { ...prev };
+        fillers.forEach(f => {
+          next[f.word] = (next[f.word] || 0) + 1;
+        });
+        return next;
+      });
+      setLastFiller(fillers[fillers.length - 1].word);
+    }
+    if (repetitions.length > 0) {
+      setRepetitionCount(prev => prev + repetitions.length);
+    }
+  }, [language]);
+
+  const reset = useCallback(() => {
+    sessionStart.current = Date.now();
+    segments.current = [];
+    pacedSegments.current = [];
+    setFillerCount(0);
+    setRepetitionCount(0);
+    setFillerCounts({});
+    setLastFiller(null);
+    setWordCount(0);
+    setWordsPerMinute(0);
+    setCurrentWpm(0);
+  }, []);
+
+  const getTranscript = useCallback(() => ({ segments: [...segments.current] }), []);
+
+  return {
+    fillerCount,
+    repetitionCount,
+    fillerCounts,
+    lastFiller,
+    wordCount,
+    wordsPerMinute,
+    currentWpm,
+    addSegment,
+    reset,
+    getTranscript,
+  };
+};
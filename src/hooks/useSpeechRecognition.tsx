@@ -1,18 +1,31 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useToast } from './use-toast';
-
-interface UseSpeechRecognitionOptions {
-  onResult?: (transcript: string, isFinal: boolean) => void;
-  onStart?: () => void;
-  onEnd?: () => void;
-  onError?: (error: string) => void;
+import { useAuth } from '@/contexts/AuthContext';
+import { usePracticeLanguage } from './usePracticeLanguage';
+import {
+  createRecognizer,
+  resolveEngine,
+  type RecognizerHandlers,
+  type SpeechEngine,
+  type SpeechEnginePreference,
+  type SpeechRecognizer,
+} from '@/lib/speech';
+
+export type { SpeechTiming } from '@/lib/speech';
+
+interface UseSpeechRecognitionOptions extends RecognizerHandlers {
+  // Overrides the user's preferences.speechEngine
+  engine?: SpeechEnginePreference;
+  // Overrides the user's preferences.language
+  lang?: string;
 }
 
 interface UseSpeechRecognitionReturn {
   isListening: boolean;
   microphoneAvailable: boolean;
   isInitialized: boolean;
-  start: () => Promise<void>;
+  engine: SpeechEngine | null;
+  start: (stream?: MediaStream) => Promise<void>;
   stop: () => void;
   testMicrophone: () => Promise<boolean>;
 }
@@ -21,12 +34,20 @@ export const useSpeechRecognition = (options: UseSpeechRecognitionOptions = {}):
   const [isListening, setIsListening] = useState(false);
   const [microphoneAvailable, setMicrophoneAvailable] = useState(false);
   const [isInitialized, setIsInitialized] = useState(false);
-  
+
   const { toast } = useToast();
-  const recognitionRef = useRef<any>(null);
+  const { user } = useAuth();
+  const practiceLanguage = usePracticeLanguage();
+  const recognizerRef = useRef<SpeechRecognizer | null>(null);
   const isInitializing = useRef(false);
 
-  const { onResult, onStart, onEnd, onError } = options;
+  // Handlers are read through a ref so new closures each render don't rebuild the recognizer
+  const handlersRef = useRef<RecognizerHandlers>(options);
+  handlersRef.current = options;
+
+  const preference: SpeechEnginePreference = options.engine || user?.preferences?.speechEngine || 'auto';
+  const lang = options.lang || practiceLanguage;
+  const engine = resolveEngine(preference);
 
   // Initialize speech recognition
   const initializeSpeechRecognition = useCallback(async () => {
@@ -34,11 +55,11 @@ export const useSpeechRecognition = (options: UseSpeechRecognitionOptions = {}):
     isInitializing.current = true;
 
     try {
-      // Check if speech recognition is available
-      if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
+      // Check if any speech engine can run here
+      if (!engine) {
         toast({
           title: "Browser Not Supported",
-          description: "Speech recognition is not supported in this browser. Please use Chrome or Edge.",
+          description: "Speech recognition is not supported in this browser. Please use a recent version of Chrome, Edge or Firefox.",
           variant: "destructive"
         });
         return;
@@ -49,52 +70,34 @@ export const useSpeechRecognition = (options: UseSpeechRecognitionOptions = {}):
         const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
         stream.getTracks().forEach(track => track.stop()); // Stop the stream immediately
         setMicrophoneAvailable(true);
-        
-        // Initialize speech recognition
-        const SpeechRecognition = (window as any).SpeechRecognition || (window as any).webkitSpeechRecognition;
-        recognitionRef.current = new SpeechRecognition();
-        recognitionRef.current.continuous = true;
-        recognitionRef.current.interimResults = true;
-        recognitionRef.current.lang = 'en-US';
-
-        recognitionRef.current.onstart = () => {
-          setIsListening(true);
-          onStart?.();
-          console.log('Speech recognition started');
-        };
-
-        recognitionRef.current.onend = () => {
-          setIsListening(false);
-          onEnd?.();
-          console.log('Speech recognition ended');
-        };
-
-        recognitionRef.current.onresult = (event: any) => {
-          console.log('Speech recognition result:', event.results);
-          if (event.results && event.results.length > 0) {
-            const lastResult = event.results[event.results.length - 1];
-            if (lastResult && lastResult.length > 0) {
-              const transcript = lastResult[0].transcript;
-              const isFinal = lastResult.isFinal;
-              
-              console.log('Transcript:', transcript, 'Is final:', isFinal);
-              onResult?.(transcript, isFinal);
-            }
+
+        recognizerRef.current = createRecognizer(engine, {
+          lang,
+          onStart: () => {
+            setIsListening(true);
+            handlersRef.current.onStart?.();
+            console.log('Speech recognition started');
+          },
+          onEnd: () => {
+            setIsListening(false);
+            handlersRef.current.onEnd?.();
+            console.log('Speech recognition ended');
+          },
+          onResult: (transcript, isFinal, timing) => {
+            console.log('Transcript:', transcript, 'Is final:', isFinal);
+            handlersRef.current.onResult?.(transcript, isFinal, timing);
+          },
+          onError: (error) => {
+            console.error('Speech recognition error:', error);
+            setIsListening(false);
+            // Handle error silently - don't show toast to user
+            // Game components decide whether to restart
+            handlersRef.current.onError?.(error);
           }
-        };
-
-        recognitionRef.current.onerror = (event: any) => {
-          console.error('Speech recognition error:', event.error);
-          setIsListening(false);
-          // Handle error silently - don't show toast to user
-          onError?.(event.error);
-          
-          // Automatically restart recognition if game is still running
-          // This will be handled by the game components
-        };
+        });
 
         setIsInitialized(true);
-        console.log('Speech recognition initialized successfully');
+        console.log(`Speech recognition initialized successfully (${engine} engine)`);
 
       } catch (micError) {
         console.error('Microphone access error:', micError);
@@ -118,7 +121,7 @@ export const useSpeechRecognition = (options: UseSpeechRecognitionOptions = {}):
     } finally {
       isInitializing.current = false;
     }
-  }, [toast, onResult, onStart, onEnd, onError]);
+  }, [toast, engine, lang]);
 
   // Test microphone function
   const testMicrophone = useCallback(async (): Promise<boolean> => {
@@ -126,16 +129,16 @@ export const useSpeechRecognition = (options: UseSpeechRecognitionOptions = {}):
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
       stream.getTracks().forEach(track => track.stop());
       setMicrophoneAvailable(true);
-      
+
       if (!isInitialized) {
         await initializeSpeechRecognition();
       }
-      
+
       toast({
         title: "Microphone Test Successful",
         description: "Your microphone is working! You can now use speech recognition.",
       });
-      
+
       return true;
     } catch (error) {
       setMicrophoneAvailable(false);
@@ -145,13 +148,13 @@ export const useSpeechRecognition = (options: UseSpeechRecognitionOptions = {}):
   }, [isInitialized, initializeSpeechRecognition, toast]);
 
   // Start speech recognition
-  const start = useCallback(async () => {
-    if (!recognitionRef.current) {
+  const start = useCallback(async (stream?: MediaStream) => {
+    if (!recognizerRef.current) {
       if (!isInitialized) {
         await initializeSpeechRecognition();
       }
-      
-      if (!recognitionRef.current) {
+
+      if (!recognizerRef.current) {
         // Show user-friendly error for speech recognition unavailability
         toast({
           title: "Speech Recognition Unavailable",
@@ -173,7 +176,7 @@ export const useSpeechRecognition = (options: UseSpeechRecognitionOptions = {}):
     }
 
     try {
-      recognitionRef.current.start();
+      await recognizerRef.current.start(stream);
     } catch (error) {
       console.error('Error starting speech recognition:', error);
       // Handle start error silently - don't show toast to user
@@ -182,23 +185,25 @@ export const useSpeechRecognition = (options: UseSpeechRecognitionOptions = {}):
 
   // Stop speech recognition
   const stop = useCallback(() => {
-    if (recognitionRef.current && isListening) {
+    if (recognizerRef.current && isListening) {
       try {
-        recognitionRef.current.stop();
+        recognizerRef.current.stop();
       } catch (error) {
         console.error('Error stopping speech recognition:', error);
       }
     }
   }, [isListening]);
 
-  // Initialize on mount
+  // Initialize on mount, and again if the engine or language changes
   useEffect(() => {
     initializeSpeechRecognition();
 
     return () => {
-      if (recognitionRef.current) {
-        recognitionRef.current.stop();
+      if (recognizerRef.current) {
+        recognizerRef.current.stop();
+        recognizerRef.current = null;
       }
+      setIsInitialized(false);
     };
   }, [initializeSpeechRecognition]);
 
@@ -206,6 +211,7 @@ export const useSpeechRecognition = (options: UseSpeechRecognitionOptions = {}):
     isListening,
     microphoneAvailable,
     isInitialized,
+    engine,
     start,
     stop,
     testMicrophone,
@@ -0,0 +1,236 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Loudness window (dBFS) mapped onto the 1-9 energy scale
+const MIN_DB = -55;
+const MAX_DB = -15;
+// Pitch spread (in semitones) that counts as fully animated delivery
+const MAX_PITCH_SPREAD = 4;
+const SAMPLE_INTERVAL_MS = 100;
+const PITCH_WINDOW_MS = 1500;
+const SMOOTHING = 0.3;
+// Anything quieter than this counts as silence for pause detection
+const SILENCE_DB = -45;
+const MIN_PAUSE_MS = 400;
+
+export interface EnergySample {
+  timestamp: number;
+  level: number;
+  loudness: number;
+  pitch: number | null;
+  pitchVariance: number;
+}
+
+export interface VoicePause {
+  start: number;
+  end: number;
+  duration: number;
+}
+
+interface UseVoiceEnergyOptions {
+  onSample?: (sample: EnergySample) => void;
+  onPauseStart?: (start: number) => void;
+  onPauseEnd?: (pause: VoicePause) => void;
+}
+
+interface UseVoiceEnergyReturn {
+  energyLevel: number;
+  isSilent: boolean;
+  isAnalyzing: boolean;
+  isSupported: boolean;
+  start: (stream?: MediaStream) => Promise<boolean>;
+  stop: () => void;
+}
+
+type AudioContextConstructor = typeof AudioContext;
+
+const getAudioContextConstructor = (): AudioContextConstructor | null => {
+  const audioWindow = window as unknown as {
+    AudioContext?: AudioContextConstructor;
+    webkitAudioContext?: AudioContextConstructor;
+  };
+  return audioWindow.AudioContext || audioWindow.webkitAudioContext || null;
+};
+
+const clamp = (value: number, min: number, max: number) => Math.min(max, Math.max(min, value));
+
+// Autocorrelation pitch estimate; returns null for unvoiced or silent frames
+const detectPitch = (buffer: Float32Array, sampleRate: number, rms: number): number | null => {
+  if (rms < 0.01) return null;
+
+  const size = buffer.length;
+  const minLag = Math.floor(sampleRate / 500); // 500 Hz upper bound
+  const maxLag = Math.min(Math.floor(sampleRate / 70), size - 1); // 70 Hz lower bound
+
+  let bestLag = -1;
+  let bestCorrelation = 0;
+
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let correlation = 0;
+    for (let i = 0; i < size - lag; i++) {
+      correlation += buffer[i] * buffer[i + lag];
+    }
+    correlation /= size - lag;
+    if (correlation > bestCorrelation) {
+      bestCorrelation = correlation;
+      bestLag = lag;
+    }
+  }
+
+  // Require a reasonably periodic signal before trusting the estimate
+  if (bestLag === -1 || bestCorrelation < (rms * rms) * 0.3) return null;
+  return sampleRate / bestLag;
+};
+
+const standardDeviationInSemitones = (pitches: number[]): number => {
+  if (pitches.length < 2) return 0;
+  const semitones = pitches.map(p => 12 * Math.log2(p / 440));
+  const mean = semitones.reduce((sum, s) => sum + s, 0) / semitones.length;
+  const variance = semitones.reduce((sum, s) => sum + Math.pow(s - mean, 2), 0) / semitones.length;
+  return Math.sqrt(variance);
+};
+
+// Combines loudness and pitch movement into the Conductor's 1-9 scale
+export const mapToEnergyLevel = (loudness: number, pitchVariance: number): number => {
+  const loudnessScore = clamp((loudness - MIN_DB) / (MAX_DB - MIN_DB), 0, 1);
+  const varianceScore = clamp(pitchVariance / MAX_PITCH_SPREAD, 0, 1);
+  return 1 + 8 * (loudnessScore * 0.75 + varianceScore * 0.25);
+};
+
+export const useVoiceEnergy = (options: UseVoiceEnergyOptions = {}): UseVoiceEnergyReturn => {
+  const [energyLevel, setEnergyLevel] = useState(1);
+  const [isSilent, setIsSilent] = useState(false);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const isSupported = typeof window !== 'undefined' && getAudioContextConstructor() !== null;
+
+  const optionsRef = useRef(options);
+  const audioContextRef = useRef<AudioContext | null>(null);
+  const streamRef = useRef<MediaStream | null>(null);
+  const ownsStreamRef = useRef(false);
+  const intervalRef = useRef<ReturnType<typeof setInterval> | null>(null);
+  const pitchHistory = useRef<{ timestamp: number; pitch: number }[]>([]);
+  const smoothedLevel = useRef(1);
+  const silenceStart = useRef<number | null>(null);
+  const pauseActive = useRef(false);
+
+  useEffect(() => {
+    optionsRef.current = options;
+  }, [options]);
+
+  const stop = useCallback(() => {
+    if (intervalRef.current) {
+      clearInterval(intervalRef.current);
+      intervalRef.current = null;
+    }
+    if (audioContextRef.current) {
+      audioContextRef.current.close().catch(() => undefined);
+      audioContextRef.current = null;
+    }
+    if (streamRef.current && ownsStreamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+    }
+    streamRef.current = null;
+    ownsStreamRef.current = false;
+    pitchHistory.current = [];
+    silenceStart.current = null;
+    pauseActive.current = false;
+    setIsSilent(false);
+    setIsAnalyzing(false);
+  }, []);
+
+  const start = useCallback(async (stream?: MediaStream): Promise<boolean> => {
+    const AudioContextClass = getAudioContextConstructor();
+    if (!AudioContextClass) return false;
+
+    stop();
+
+    try {
+      const mediaStream = stream || await navigator.mediaDevices.getUserMedia({ audio: true });
+      streamRef.current = mediaStream;
+      ownsStreamRef.current = !stream;
+
+      const audioContext = new AudioContextClass();
+      const source = audioContext.createMediaStreamSource(mediaStream);
+      const analyser = audioContext.createAnalyser();
+      analyser.fftSize = 2048;
+      source.connect(analyser);
+      audioContextRef.current = audioContext;
+
+      const buffer = new Float32Array(analyser.fftSize);
+      smoothedLevel.current = 1;
+
+      intervalRef.current = setInterval(() => {
+        analyser.getFloatTimeDomainData(buffer);
+
+        let sumSquares = 0;
+        for (let i = 0; i < buffer.length; i++) {
+          sumSquares += buffer[i] * buffer[i];
+        }
+        const rms = Math.sqrt(sumSquares / buffer.length);
+        const loudness = rms > 0 ? 20 * Math.log10(rms) : -100;
+        const pitch = detectPitch(buffer, audioContext.sampleRate, rms);
+
+        const now = Date.now();
+        if (pitch) {
+          pitchHistory.current.push({ timestamp: now, pitch });
+        }
+        pitchHistory.current = pitchHistory.current.filter(p => now - p.timestamp <= PITCH_WINDOW_MS);
+        const pitchVariance = standardDeviationInSemitones(pitchHistory.current.map(p => p.pitch));
+
+        const rawLevel = mapToEnergyLevel(loudness, pitchVariance);
+        smoothedLevel.current = smoothedLevel.current + SMOOTHING * (rawLevel - smoothedLevel.current);
+        const level = Math.round(smoothedLevel.current * 10) / 10;
+
+        // A pause starts once silence has lasted long enough to be deliberate
+        if (loudness < SILENCE_DB) {
+          if (silenceStart.current === null) {
+            silenceStart.current = now;
+          }
+          if (!pauseActive.current && now - silenceStart.current >= MIN_PAUSE_MS) {
+            pauseActive.current = true;
+            setIsSilent(true);
+            optionsRef.current.onPauseStart?.(silenceStart.current);
+          }
+        } else {
+          if (pauseActive.current && silenceStart.current !== null) {
+            optionsRef.current.onPauseEnd?.({
+              start: silenceStart.current,
+              end: now,
+              duration: now - silenceStart.current
+            });
+            setIsSilent(false);
+          }
+          silenceStart.current = null;
+          pauseActive.current = false;
+        }
+
+        setEnergyLevel(level);
+        optionsRef.current.onSample?.({
+          timestamp: now,
+          level,
+          loudness,
+          pitch,
+          pitchVariance
+        });
+      }, SAMPLE_INTERVAL_MS);
+
+      setIsAnalyzing(true);
+      return true;
+    } catch (error) {
+      console.error('Voice energy analyser failed to start:', error);
+      stop();
+      return false;
+    }
+  }, [stop]);
+
+  // Release the microphone and audio graph on unmount
+  useEffect(() => stop, [stop]);
+
+  return {
+    energyLevel,
+    isSilent,
+    isAnalyzing,
+    isSupported,
+    start,
+    stop,
+  };
+};
@@ -0,0 +1,105 @@
+// Deterministic filler-word and repetition detection for live transcripts.
+// Mirrors backend/src/services/speech/fillerDetection.js so the live counter
+// and the stored session metrics agree.
+
+export interface FillerOccurrence {
+  word: string;
+  type: "filler" | "repetition";
+  index: number;
+}
+
+interface FillerLexicon {
+  phrases: string[];
+  words: Set<string>;
+}
+
+// Per-language lexicons, keyed by the primary subtag of the practice language
+const FILLER_LEXICONS: Record<string, FillerLexicon> = {
+  en: {
+    phrases: ["you know", "i mean", "sort of", "kind of"],
+    words: new Set([
+      "um", "umm", "uh", "uhh", "er", "erm", "ah", "hmm", "mm",
+      "basically", "actually", "literally", "so", "like"
+    ])
+  },
+  es: {
+    phrases: ["o sea", "en plan", "pues nada"],
+    words: new Set(["eh", "ehm", "em", "emm", "mm", "mmm", "digamos", "osea"])
+  },
+  fr: {
+    phrases: ["en fait", "du coup", "tu vois", "tu sais", "enfin bref"],
+    words: new Set(["euh", "heu", "hum", "bah", "ben", "genre", "bref"])
+  },
+  de: {
+    phrases: ["na ja", "weißt du", "oder so"],
+    words: new Set(["äh", "ähm", "öhm", "hm", "hmm", "halt", "quasi", "sozusagen", "irgendwie", "naja"])
+  }
+};
+
+const getLexicon = (language = "en"): FillerLexicon =>
+  FILLER_LEXICONS[language.split("-")[0].toLowerCase()] || FILLER_LEXICONS.en;
+
+// English "like" and "so" are only fillers when they are not doing grammatical work
+const LIKE_GRAMMATICAL_PREDECESSORS = new Set([
+  "is", "are", "was", "were", "be", "been", "am", "being", "not", "would", "i", "you",
+  "we", "they", "do", "does", "did", "dont", "didnt", "look", "looks", "looked",
+  "feel", "feels", "felt", "sound", "sounds", "seem", "seems", "just", "much", "more"
+]);
+
+const SO_GRAMMATICAL_SUCCESSORS = new Set([
+  "much", "many", "far", "that", "good", "bad", "long", "few", "little"
+]);
+
+export const tokenize = (text: string): string[] =>
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}'\s]/gu, " ")
+    .replace(/'/g, "")
+    .split(/\s+/)
+    .filter(Boolean);
+
+const isFillerToken = (tokens: string[], index: number, lexicon: FillerLexicon): boolean => {
+  const word = tokens[index];
+  if (!lexicon.words.has(word)) return false;
+
+  if (word === "like") {
+    const previous = tokens[index - 1];
+    return !previous || !LIKE_GRAMMATICAL_PREDECESSORS.has(previous);
+  }
+
+  if (word === "so") {
+    // Only a filler when it opens the utterance as a verbal tic
+    const next = tokens[index + 1];
+    return index === 0 && (!next || !SO_GRAMMATICAL_SUCCESSORS.has(next));
+  }
+
+  return true;
+};
+
+export const detectFillers = (text: string, language?: string): FillerOccurrence[] => {
+  const lexicon = getLexicon(language);
+  const tokens = tokenize(text);
+  const occurrences: FillerOccurrence[] = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const bigram = tokens[i + 1] ? `${tokens[i]} ${tokens[i + 1]}` : "";
+
+    if (bigram && lexicon.phrases.includes(bigram)) {
+      occurrences.push({ word: bigram, type: "filler", index: i });
+      i += 1;
+      continue;
+    }
+
+    if (isFillerToken(tokens, i, lexicon)) {
+      occurrences.push({ word: tokens[i], type: "filler", index: i });
+      continue;
+    }
+
+    // Stutter-style repetition: "the the", "I I"
+    if (i > 0 && tokens[i] === tokens[i - 1]) {
+      occurrences.push({ word: tokens[i], type: "repetition", index: i });
+    }
+  }
+
+  return occurrences;
+};
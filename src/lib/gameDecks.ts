@@ -0,0 +1,284 @@
+import type { PracticeLanguage } from "./languages";
+
+// Offline prompt decks for each practice language. The backend keeps its own,
+// difficulty-graded fallbacks in services/ai/fallbackDecks.js.
+export interface GameDeck {
+  rapidFirePrompts: string[];
+  conductorTopics: string[];
+  tripleStepTopics: string[];
+  tripleStepWords: string[];
+  impromptuQuestions: string[];
+  storyPrompts: string[];
+  debateMotions: string[];
+}
+
+export const GAME_DECKS: Record<PracticeLanguage, GameDeck> = {
+  "en-US": {
+    rapidFirePrompts: [
+      "Business is like",
+      "Leadership is like",
+      "Success is like",
+      "Innovation is like",
+      "Teamwork is like",
+      "Communication is like",
+      "Learning is like",
+      "Creativity is like",
+      "Problem-solving is like",
+      "Growth is like",
+      "Confidence is like",
+      "Public speaking is like"
+    ],
+    conductorTopics: [
+      "The importance of teamwork in modern business",
+      "How technology is changing our daily lives",
+      "The benefits of sustainable living",
+      "Why continuous learning matters",
+      "The power of effective communication"
+    ],
+    tripleStepTopics: [
+      "The future of remote work",
+      "Sustainable energy solutions",
+      "The impact of social media",
+      "Modern education challenges",
+      "Healthcare innovation"
+    ],
+    tripleStepWords: [
+      "elephant", "calculator", "rainbow", "spaceship", "chocolate",
+      "tornado", "umbrella", "guitar", "volcano", "butterfly",
+      "microscope", "hamburger", "telescope", "dinosaur", "waterfall",
+      "keyboard", "pineapple", "lighthouse", "helicopter", "sandwich",
+      "octopus", "camera", "thunderstorm", "basketball", "refrigerator"
+    ],
+    impromptuQuestions: [
+      "What is the best advice you have ever received?",
+      "Describe your ideal weekend.",
+      "What skill would you like to learn and why?",
+      "Should everyone learn to cook? Why or why not?",
+      "What is one change that would improve your city?",
+      "Is it better to be a specialist or a generalist?",
+      "Is failure a better teacher than success?",
+      "What makes an idea worth spreading?"
+    ],
+    storyPrompts: [
+      "Tell us about a time you got lost.",
+      "Tell the story of your first day at a new job or school.",
+      "Describe a meal you will never forget.",
+      "Describe a moment when a plan went completely wrong.",
+      "Tell the story of a mistake that taught you something.",
+      "Tell us about a time a stranger helped you.",
+      "Tell the story of a risk that changed your life.",
+      "Tell us about a failure you are now grateful for."
+    ],
+    debateMotions: [
+      "Homework should be banned.",
+      "Every city should have free public transport.",
+      "Schools should start later in the morning.",
+      "Social media does more harm than good.",
+      "Remote work is better than working in an office.",
+      "Voting should be compulsory.",
+      "Privacy matters more than security.",
+      "Space exploration is a waste of money."
+    ]
+  },
+  "es-ES": {
+    rapidFirePrompts: [
+      "Los negocios son como",
+      "El liderazgo es como",
+      "El éxito es como",
+      "La innovación es como",
+      "El trabajo en equipo es como",
+      "La comunicación es como",
+      "Aprender es como",
+      "La creatividad es como",
+      "Resolver problemas es como",
+      "Crecer es como",
+      "La confianza es como",
+      "Hablar en público es como"
+    ],
+    conductorTopics: [
+      "La importancia del trabajo en equipo en la empresa moderna",
+      "Cómo la tecnología está cambiando nuestra vida diaria",
+      "Los beneficios de una vida sostenible",
+      "Por qué importa seguir aprendiendo",
+      "El poder de una buena comunicación"
+    ],
+    tripleStepTopics: [
+      "El futuro del teletrabajo",
+      "Soluciones de energía sostenible",
+      "El impacto de las redes sociales",
+      "Los retos de la educación moderna",
+      "La innovación en la sanidad"
+    ],
+    tripleStepWords: [
+      "elefante", "calculadora", "arcoíris", "cohete", "chocolate",
+      "tornado", "paraguas", "guitarra", "volcán", "mariposa",
+      "microscopio", "hamburguesa", "telescopio", "dinosaurio", "cascada",
+      "teclado", "piña", "faro", "helicóptero", "bocadillo",
+      "pulpo", "cámara", "tormenta", "baloncesto", "nevera"
+    ],
+    impromptuQuestions: [
+      "¿Cuál es el mejor consejo que te han dado?",
+      "Describe tu fin de semana ideal.",
+      "¿Qué habilidad te gustaría aprender y por qué?",
+      "¿Debería todo el mundo aprender a cocinar?",
+      "¿Qué cambio mejoraría tu ciudad?",
+      "¿Es mejor ser especialista o generalista?",
+      "¿Enseña más el fracaso que el éxito?",
+      "¿Qué hace que una idea merezca difundirse?"
+    ],
+    storyPrompts: [
+      "Cuéntanos una vez que te perdiste.",
+      "Cuenta la historia de tu primer día en un trabajo o escuela nuevos.",
+      "Describe una comida que nunca olvidarás.",
+      "Describe un momento en que un plan salió totalmente mal.",
+      "Cuenta la historia de un error que te enseñó algo.",
+      "Cuéntanos una vez que un desconocido te ayudó.",
+      "Cuenta la historia de un riesgo que cambió tu vida.",
+      "Cuéntanos un fracaso que hoy agradeces."
+    ],
+    debateMotions: [
+      "Los deberes deberían prohibirse.",
+      "Todas las ciudades deberían tener transporte público gratuito.",
+      "Las clases deberían empezar más tarde por la mañana.",
+      "Las redes sociales hacen más daño que bien.",
+      "Teletrabajar es mejor que trabajar en una oficina.",
+      "El voto debería ser obligatorio.",
+      "La privacidad importa más que la seguridad.",
+      "La exploración espacial es un desperdicio de dinero."
+    ]
+  },
+  "fr-FR": {
+    rapidFirePrompts: [
+      "Les affaires, c'est comme",
+      "Le leadership, c'est comme",
+      "Le succès, c'est comme",
+      "L'innovation, c'est comme",
+      "Le travail d'équipe, c'est comme",
+      "La communication, c'est comme",
+      "Apprendre, c'est comme",
+      "La créativité, c'est comme",
+      "Résoudre un problème, c'est comme",
+      "Grandir, c'est comme",
+      "La confiance, c'est comme",
+      "Parler en public, c'est comme"
+    ],
+    conductorTopics: [
+      "L'importance du travail d'équipe dans l'entreprise moderne",
+      "Comment la technologie change notre quotidien",
+      "Les bienfaits d'un mode de vie durable",
+      "Pourquoi continuer à apprendre est essentiel",
+      "La force d'une communication efficace"
+    ],
+    tripleStepTopics: [
+      "L'avenir du télétravail",
+      "Les solutions d'énergie durable",
+      "L'impact des réseaux sociaux",
+      "Les défis de l'éducation moderne",
+      "L'innovation dans la santé"
+    ],
+    tripleStepWords: [
+      "éléphant", "calculatrice", "arc-en-ciel", "fusée", "chocolat",
+      "tornade", "parapluie", "guitare", "volcan", "papillon",
+      "microscope", "hamburger", "télescope", "dinosaure", "cascade",
+      "clavier", "ananas", "phare", "hélicoptère", "sandwich",
+      "pieuvre", "appareil photo", "orage", "basket", "frigo"
+    ],
+    impromptuQuestions: [
+      "Quel est le meilleur conseil que vous ayez reçu ?",
+      "Décrivez votre week-end idéal.",
+      "Quelle compétence aimeriez-vous apprendre, et pourquoi ?",
+      "Tout le monde devrait-il apprendre à cuisiner ?",
+      "Quel changement améliorerait votre ville ?",
+      "Vaut-il mieux être spécialiste ou généraliste ?",
+      "L'échec enseigne-t-il mieux que le succès ?",
+      "Qu'est-ce qui fait qu'une idée mérite d'être partagée ?"
+    ],
+    storyPrompts: [
+      "Racontez-nous une fois où vous vous êtes perdu.",
+      "Racontez votre premier jour dans un nouveau travail ou une nouvelle école.",
+      "Décrivez un repas que vous n'oublierez jamais.",
+      "Décrivez un moment où un plan a complètement mal tourné.",
+      "Racontez l'histoire d'une erreur qui vous a appris quelque chose.",
+      "Racontez une fois où un inconnu vous a aidé.",
+      "Racontez l'histoire d'un risque qui a changé votre vie.",
+      "Racontez un échec dont vous êtes reconnaissant aujourd'hui."
+    ],
+    debateMotions: [
+      "Les devoirs à la maison devraient être interdits.",
+      "Chaque ville devrait avoir des transports publics gratuits.",
+      "L'école devrait commencer plus tard le matin.",
+      "Les réseaux sociaux font plus de mal que de bien.",
+      "Le télétravail vaut mieux que le travail au bureau.",
+      "Le vote devrait être obligatoire.",
+      "La vie privée compte plus que la sécurité.",
+      "L'exploration spatiale est un gaspillage d'argent."
+    ]
+  },
+  "de-DE": {
+    rapidFirePrompts: [
+      "Geschäft ist wie",
+      "Führung ist wie",
+      "Erfolg ist wie",
+      "Innovation ist wie",
+      "Teamarbeit ist wie",
+      "Kommunikation ist wie",
+      "Lernen ist wie",
+      "Kreativität ist wie",
+      "Problemlösen ist wie",
+      "Wachstum ist wie",
+      "Selbstvertrauen ist wie",
+      "Öffentliches Reden ist wie"
+    ],
+    conductorTopics: [
+      "Die Bedeutung von Teamarbeit in modernen Unternehmen",
+      "Wie Technologie unseren Alltag verändert",
+      "Die Vorteile eines nachhaltigen Lebens",
+      "Warum lebenslanges Lernen wichtig ist",
+      "Die Kraft guter Kommunikation"
+    ],
+    tripleStepTopics: [
+      "Die Zukunft der Arbeit im Homeoffice",
+      "Nachhaltige Energielösungen",
+      "Der Einfluss sozialer Medien",
+      "Herausforderungen der modernen Bildung",
+      "Innovation im Gesundheitswesen"
+    ],
+    tripleStepWords: [
+      "Elefant", "Taschenrechner", "Regenbogen", "Raumschiff", "Schokolade",
+      "Tornado", "Regenschirm", "Gitarre", "Vulkan", "Schmetterling",
+      "Mikroskop", "Hamburger", "Teleskop", "Dinosaurier", "Wasserfall",
+      "Tastatur", "Ananas", "Leuchtturm", "Hubschrauber", "Butterbrot",
+      "Krake", "Kamera", "Gewitter", "Basketball", "Kühlschrank"
+    ],
+    impromptuQuestions: [
+      "Was ist der beste Rat, den Sie je bekommen haben?",
+      "Beschreiben Sie Ihr ideales Wochenende.",
+      "Welche Fähigkeit würden Sie gern lernen und warum?",
+      "Sollte jeder kochen lernen?",
+      "Welche Veränderung würde Ihre Stadt verbessern?",
+      "Ist es besser, Spezialist oder Generalist zu sein?",
+      "Ist Scheitern ein besserer Lehrer als Erfolg?",
+      "Was macht eine Idee verbreitungswürdig?"
+    ],
+    storyPrompts: [
+      "Erzählen Sie von einem Mal, als Sie sich verlaufen haben.",
+      "Erzählen Sie von Ihrem ersten Tag in einem neuen Job oder einer neuen Schule.",
+      "Beschreiben Sie ein Essen, das Sie nie vergessen werden.",
+      "Beschreiben Sie einen Moment, in dem ein Plan völlig schiefging.",
+      "Erzählen Sie von einem Fehler, aus dem Sie etwas gelernt haben.",
+      "Erzählen Sie, wie Ihnen einmal ein Fremder geholfen hat.",
+      "Erzählen Sie von einem Risiko, das Ihr Leben verändert hat.",
+      "Erzählen Sie von einem Scheitern, für das Sie heute dankbar sind."
+    ],
+    debateMotions: [
+      "Hausaufgaben sollten verboten werden.",
+      "Jede Stadt sollte kostenlosen Nahverkehr haben.",
+      "Die Schule sollte morgens später beginnen.",
+      "Soziale Medien schaden mehr, als sie nützen.",
+      "Homeoffice ist besser als die Arbeit im Büro.",
+      "Es sollte eine Wahlpflicht geben.",
+      "Privatsphäre ist wichtiger als Sicherheit.",
+      "Raumfahrt ist Geldverschwendung."
+    ]
+  }
+};
@@ -0,0 +1,13 @@
+// Backend game type identifiers (GameSession.gameType) and their display names
+export type GameType = "rapidFire" | "conductor" | "tripleStep" | "impromptu" | "elevatorPitch" | "audienceQA" | "storytelling" | "debate";
+
+export const GAME_TITLES: Record<GameType, string> = {
+  rapidFire: "Rapid Fire Analogies",
+  conductor: "The Conductor",
+  tripleStep: "Triple Step Integration",
+  impromptu: "Impromptu Speech",
+  elevatorPitch: "Elevator Pitch",
+  audienceQA: "Audience Q&A",
+  storytelling: "Storytelling",
+  debate: "Debate",
+};
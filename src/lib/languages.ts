@@ -0,0 +1,15 @@
+// Practice languages. Mirrors backend/src/config/languages.js.
+export type PracticeLanguage = "en-US" | "es-ES" | "fr-FR" | "de-DE";
+
+export const DEFAULT_LANGUAGE: PracticeLanguage = "en-US";
+
+// Shown in their own language so people can find theirs
+export const LANGUAGE_NAMES: Record<PracticeLanguage, string> = {
+  "en-US": "English",
+  "es-ES": "Español",
+  "fr-FR": "Français",
+  "de-DE": "Deutsch",
+};
+
+export const resolveLanguage = (language?: string): PracticeLanguage =>
+  language && language in LANGUAGE_NAMES ? (language as PracticeLanguage) : DEFAULT_LANGUAGE;
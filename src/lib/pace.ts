@@ -0,0 +1,25 @@
+// Target speaking-pace bands per difficulty, in words per minute.
+// Mirrors backend/src/services/speech/paceAnalysis.js so live coaching and stored results agree.
+
+export type Difficulty = "beginner" | "intermediate" | "advanced" | "expert";
+
+export interface PaceBand {
+  min: number;
+  max: number;
+}
+
+export const PACE_BANDS: Record<Difficulty, PaceBand> = {
+  beginner: { min: 110, max: 150 },
+  intermediate: { min: 120, max: 160 },
+  advanced: { min: 130, max: 170 },
+  expert: { min: 140, max: 180 },
+};
+
+export type PaceStatus = "idle" | "slow" | "onPace" | "fast";
+
+export const getPaceStatus = (wpm: number, band: PaceBand): PaceStatus => {
+  if (wpm <= 0) return "idle";
+  if (wpm < band.min) return "slow";
+  if (wpm > band.max) return "fast";
+  return "onPace";
+};
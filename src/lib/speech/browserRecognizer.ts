@@ -0,0 +1,94 @@
+import type { RecognizerOptions, SpeechRecognizer, SpeechTiming } from "./types";
+
+// Minimal shape of the Web Speech API, which TypeScript's DOM lib doesn't ship
+interface WebSpeechResult {
+  isFinal: boolean;
+  length: number;
+  [index: number]: { transcript: string };
+}
+
+interface WebSpeechRecognition {
+  continuous: boolean;
+  interimResults: boolean;
+  lang: string;
+  onstart: (() => void) | null;
+  onend: (() => void) | null;
+  onresult: ((event: { resultIndex: number; results: ArrayLike<WebSpeechResult> }) => void) | null;
+  onerror: ((event: { error: string }) => void) | null;
+  start: () => void;
+  stop: () => void;
+}
+
+type WebSpeechConstructor = new () => WebSpeechRecognition;
+
+const getWebSpeechConstructor = (): WebSpeechConstructor | null => {
+  const speechWindow = window as unknown as {
+    SpeechRecognition?: WebSpeechConstructor;
+    webkitSpeechRecognition?: WebSpeechConstructor;
+  };
+  return speechWindow.SpeechRecognition || speechWindow.webkitSpeechRecognition || null;
+};
+
+export const isBrowserRecognitionSupported = () =>
+  typeof window !== "undefined" && getWebSpeechConstructor() !== null;
+
+// Web Speech API recognizer (Chrome, Edge, Safari)
+export const createBrowserRecognizer = (options: RecognizerOptions): SpeechRecognizer => {
+  const SpeechRecognition = getWebSpeechConstructor();
+  if (!SpeechRecognition) {
+    throw new Error("Web Speech API is not available in this browser");
+  }
+
+  const recognition = new SpeechRecognition();
+  recognition.continuous = true;
+  recognition.interimResults = true;
+  recognition.lang = options.lang;
+
+  // First interim result time per result index, used as the utterance start
+  const resultStarts = new Map<number, number>();
+
+  recognition.onstart = () => {
+    resultStarts.clear();
+    options.onStart?.();
+  };
+
+  recognition.onend = () => {
+    options.onEnd?.();
+  };
+
+  recognition.onresult = (event) => {
+    const now = Date.now();
+
+    // Several results can change in one event; walk every one from the first changed index
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+      const result = event.results[i];
+      if (!result || result.length === 0) continue;
+
+      if (!resultStarts.has(i)) {
+        resultStarts.set(i, now);
+      }
+
+      let timing: SpeechTiming | undefined;
+      if (result.isFinal) {
+        timing = { start: resultStarts.get(i) ?? now, end: now };
+        resultStarts.delete(i);
+      }
+
+      options.onResult?.(result[0].transcript, result.isFinal, timing);
+    }
+  };
+
+  recognition.onerror = (event) => {
+    options.onError?.(event.error);
+  };
+
+  return {
+    engine: "browser",
+    start: async () => {
+      recognition.start();
+    },
+    stop: () => {
+      recognition.stop();
+    },
+  };
+};
@@ -0,0 +1,17 @@
+import { createBrowserRecognizer, isBrowserRecognitionSupported } from "./browserRecognizer";
+import { createServerRecognizer, isServerRecognitionSupported } from "./serverRecognizer";
+import type { RecognizerOptions, SpeechEngine, SpeechEnginePreference, SpeechRecognizer } from "./types";
+
+export * from "./types";
+
+export const isEngineSupported = (engine: SpeechEngine) =>
+  engine === "browser" ? isBrowserRecognitionSupported() : isServerRecognitionSupported();
+
+// Honour the user's preference when possible, otherwise fall back to whichever engine works
+export const resolveEngine = (preference: SpeechEnginePreference = "auto"): SpeechEngine | null => {
+  const order: SpeechEngine[] = preference === "server" ? ["server", "browser"] : ["browser", "server"];
+  return order.find(isEngineSupported) || null;
+};
+
+export const createRecognizer = (engine: SpeechEngine, options: RecognizerOptions): SpeechRecognizer =>
+  engine === "browser" ? createBrowserRecognizer(options) : createServerRecognizer(options);
@@ -0,0 +1,107 @@
+import apiService from "@/services/api";
+import type { RecognizerOptions, SpeechRecognizer } from "./types";
+
+// Each chunk is recorded as a standalone file so the backend can decode it on its own
+const CHUNK_MS = 4000;
+const MIME_TYPES = ["audio/webm;codecs=opus", "audio/webm", "audio/ogg;codecs=opus", "audio/mp4"];
+
+export const isServerRecognitionSupported = () =>
+  typeof window !== "undefined" && "MediaRecorder" in window && !!navigator.mediaDevices;
+
+// Records short audio chunks and posts them to /api/transcription (works in Firefox)
+export const createServerRecognizer = (options: RecognizerOptions): SpeechRecognizer => {
+  let stream: MediaStream | null = null;
+  let ownsStream = false;
+  let recorder: MediaRecorder | null = null;
+  let chunkTimer: ReturnType<typeof setTimeout> | null = null;
+  let running = false;
+
+  const mimeType = () => MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || "";
+
+  const transcribeChunk = async (blob: Blob, start: number, end: number) => {
+    try {
+      const response = await apiService.transcribeAudioChunk(blob, options.lang);
+      const text = response.success ? response.data.text : "";
+      if (text) {
+        options.onResult?.(text, true, { start, end });
+      }
+    } catch (error) {
+      console.error("Server transcription failed:", error);
+      options.onError?.("network");
+    }
+  };
+
+  const recordChunk = () => {
+    if (!running || !stream) return;
+
+    const type = mimeType();
+    const chunkRecorder = new MediaRecorder(stream, type ? { mimeType: type } : undefined);
+    const parts: Blob[] = [];
+    const startedAt = Date.now();
+
+    chunkRecorder.ondataavailable = (event: BlobEvent) => {
+      if (event.data.size > 0) {
+        parts.push(event.data);
+      }
+    };
+    chunkRecorder.onstop = () => {
+      const blob = new Blob(parts, { type: chunkRecorder.mimeType || type || "audio/webm" });
+      if (blob.size > 0) {
+        transcribeChunk(blob, startedAt, Date.now());
+      }
+      recordChunk();
+    };
+
+    chunkRecorder.start();
+    recorder = chunkRecorder;
+    chunkTimer = setTimeout(() => {
+      if (chunkRecorder.state !== "inactive") {
+        chunkRecorder.stop();
+      }
+    }, CHUNK_MS);
+  };
+
+  const releaseStream = () => {
+    if (stream && ownsStream) {
+      stream.getTracks().forEach(track => track.stop());
+    }
+    stream = null;
+    ownsStream = false;
+  };
+
+  return {
+    engine: "server",
+    start: async (sharedStream?: MediaStream) => {
+      if (running) return;
+
+      try {
+        stream = sharedStream || await navigator.mediaDevices.getUserMedia({ audio: true });
+        ownsStream = !sharedStream;
+      } catch (error) {
+        console.error("Server recognizer could not open the microphone:", error);
+        options.onError?.("audio-capture");
+        return;
+      }
+
+      running = true;
+      recordChunk();
+      options.onStart?.();
+    },
+    stop: () => {
+      if (!running) return;
+
+      running = false;
+      if (chunkTimer) {
+        clearTimeout(chunkTimer);
+        chunkTimer = null;
+      }
+      // Stopping flushes the current chunk; onstop sends it but won't start another
+      if (recorder && recorder.state !== "inactive") {
+        recorder.stop();
+      }
+      recorder = null;
+      releaseStream();
+      options.onEnd?.();
+    },
+  };
+};
@@ -0,0 +1,30 @@
+// Speech-to-text engines shared by every game through useSpeechRecognition
+
+export type SpeechEngine = "browser" | "server";
+
+// Stored in User.preferences.speechEngine; "auto" prefers the browser engine
+export type SpeechEnginePreference = "auto" | SpeechEngine;
+
+// Wall-clock bounds of a recognized utterance, in epoch ms
+export interface SpeechTiming {
+  start: number;
+  end: number;
+}
+
+export interface RecognizerHandlers {
+  onResult?: (transcript: string, isFinal: boolean, timing?: SpeechTiming) => void;
+  onStart?: () => void;
+  onEnd?: () => void;
+  onError?: (error: string) => void;
+}
+
+export interface RecognizerOptions extends RecognizerHandlers {
+  lang: string;
+}
+
+export interface SpeechRecognizer {
+  readonly engine: SpeechEngine;
+  // An existing microphone stream can be shared; engines that capture audio themselves ignore it
+  start: (stream?: MediaStream) => Promise<void>;
+  stop: () => void;
+}
@@ -0,0 +1,32 @@
+// Toastmasters-style timing lights for the Impromptu Speech game: green at the
+// minimum time, yellow halfway to the maximum, red at the maximum.
+// Mirrors backend/src/games/impromptu.js, which scores the stored result.
+
+export type TimingLight = "none" | "green" | "yellow" | "red";
+
+export interface TimingThresholds {
+  green: number;
+  yellow: number;
+  red: number;
+}
+
+// Defaults of the backend's impromptu game settings, in seconds
+export const IMPROMPTU_PREP_SECONDS = 15;
+export const IMPROMPTU_MIN_SECONDS = 60;
+export const IMPROMPTU_MAX_SECONDS = 120;
+
+export const getTimingThresholds = (minSeconds: number, maxSeconds: number): TimingThresholds => ({
+  green: minSeconds,
+  yellow: Math.round((minSeconds + maxSeconds) / 2),
+  red: maxSeconds,
+});
+
+export const getTimingLight = (seconds: number, { green, yellow, red }: TimingThresholds): TimingLight => {
+  if (seconds >= red) return "red";
+  if (seconds >= yellow) return "yellow";
+  if (seconds >= green) return "green";
+  return "none";
+};
+
+export const formatClock = (seconds: number) =>
+  `${Math.floor(seconds / 60)}:${Math.round(seconds % 60).toString().padStart(2, "0")}`;
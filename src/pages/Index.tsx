@@ -2,15 +2,23 @@ import { useState } from "react";
 import { Hero } from "@/components/Hero";
 import { GameDashboard } from "@/components/GameDashboard";
 import { RapidFireGame } from "@/components/RapidFireGame";
+import { RapidFireMatch } from "@/components/RapidFireMatch";
 import { ConductorGame } from "@/components/ConductorGame";
 import { TripleStepGame } from "@/components/TripleStepGame";
+import { ImpromptuGame } from "@/components/ImpromptuGame";
+import { ElevatorPitchGame } from "@/components/ElevatorPitchGame";
+import { AudienceQAGame } from "@/components/AudienceQAGame";
+import { StorytellingGame } from "@/components/StorytellingGame";
+import { DebateGame } from "@/components/DebateGame";
+import { SessionDetail } from "@/components/SessionDetail";
 import { useAuth } from "@/contexts/AuthContext";
 import LoginForm from "@/components/LoginForm";
 
-type AppState = "home" | "dashboard" | "rapid-fire" | "conductor" | "triple-step";
+type AppState = "home" | "dashboard" | "rapid-fire" | "rapid-fire-match" | "conductor" | "triple-step" | "impromptu" | "elevator-pitch" | "audience-qa" | "storytelling" | "debate" | "session-detail";
 
 const Index = () => {
   const [currentView, setCurrentView] = useState<AppState>("home");
+  const [selectedSessionId, setSelectedSessionId] = useState<string | null>(null);
   const { user, loading, logout } = useAuth();
 
   const handleStartTraining = () => {
@@ -27,15 +35,38 @@ const Index = () => {
       case "rapid-fire":
         setCurrentView("rapid-fire");
         break;
+      case "rapid-fire-match":
+        setCurrentView("rapid-fire-match");
+        break;
       case "conductor":
         setCurrentView("conductor");
         break;
       case "triple-step":
         setCurrentView("triple-step");
         break;
+      case "impromptu":
+        setCurrentView("impromptu");
+        break;
+      case "elevator-pitch":
+        setCurrentView("elevator-pitch");
+        break;
+      case "audience-qa":
+        setCurrentView("audience-qa");
+        break;
+      case "storytelling":
+        setCurrentView("storytelling");
+        break;
+      case "debate":
+        setCurrentView("debate");
+        break;
     }
   };
 
+  const handleSessionSelect = (sessionId: string) => {
+    setSelectedSessionId(sessionId);
+    setCurrentView("session-detail");
+  };
+
   const handleBackToHome = () => {
     setCurrentView("home");
   };
@@ -69,13 +100,37 @@ const Index = () => {
     case "home":
       return <Hero onStartTraining={handleStartTraining} />;
     case "dashboard":
-      return <GameDashboard onGameSelect={handleGameSelect} onBack={handleBackToHome} onLogout={handleLogout} />;
+      return (
+        <GameDashboard
+          onGameSelect={handleGameSelect}
+          onBack={handleBackToHome}
+          onLogout={handleLogout}
+          onSessionSelect={handleSessionSelect}
+        />
+      );
     case "rapid-fire":
       return <RapidFireGame onBack={handleBackToDashboard} />;
+    case "rapid-fire-match":
+      return <RapidFireMatch onBack={handleBackToDashboard} />;
     case "conductor":
       return <ConductorGame onBack={handleBackToDashboard} />;
     case "triple-step":
       return <TripleStepGame onBack={handleBackToDashboard} />;
+    case "impromptu":
+      return <ImpromptuGame onBack={handleBackToDashboard} />;
+    case "elevator-pitch":
+      return <ElevatorPitchGame onBack={handleBackToDashboard} />;
+    case "audience-qa":
+      return <AudienceQAGame onBack={handleBackToDashboard} />;
+    case "storytelling":
+      return <StorytellingGame onBack={handleBackToDashboard} />;
+    case "debate":
+      return <DebateGame onBack={handleBackToDashboard} />;
+    case "session-detail":
+      if (selectedSessionId) {
+        return <SessionDetail sessionId={selectedSessionId} onBack={handleBackToDashboard} />;
+      }
+      return <Hero onStartTraining={handleStartTraining} />;
     default:
       return <Hero onStartTraining={handleStartTraining} />;
   }
@@ -11,10 +11,8 @@ class ApiService {
     localStorage.setItem('token', token);
   }
 
-  getHeaders() {
-    const headers = {
-      'Content-Type': 'application/json',
-    };
+  getAuthHeaders() {
+    const headers = {};
     
     if (this.token) {
       headers['Authorization'] = `Bearer ${this.token}`;
@@ -23,6 +21,13 @@ class ApiService {
     return headers;
   }
 
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...this.getAuthHeaders(),
+    };
+  }
+
   async request(endpoint, options = {}) {
     const url = `${this.baseURL}${endpoint}`;
     const config = {
@@ -85,21 +90,107 @@ class ApiService {
     });
   }
 
-  async endGameSession(sessionId, performance, gameSpecificData) {
+  async endGameSession(sessionId, performance, gameSpecificData, extras = {}) {
     return this.request(`/games/end-session/${sessionId}`, {
       method: 'POST',
       body: JSON.stringify({
         performance,
         gameSpecificData,
+        ...extras,
       }),
     });
   }
 
+  async uploadSessionAudio(sessionId, recording) {
+    const formData = new FormData();
+    formData.append('duration', String(recording.duration));
+    formData.append('audio', recording.blob, 'recording');
+
+    // Let the browser set the multipart boundary
+    return this.request(`/games/sessions/${sessionId}/audio`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: formData,
+    });
+  }
+
+  // Transcription endpoint used by the server speech engine
+  async transcribeAudioChunk(blob, language) {
+    const formData = new FormData();
+    formData.append('language', language);
+    formData.append('audio', blob, 'chunk');
+
+    return this.request('/transcription', {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: formData,
+    });
+  }
+
+  // Without a language the server uses the one the session was played in
+  async transcribeSession(sessionId, language) {
+    return this.request(`/transcription/sessions/${sessionId}`, {
+      method: 'POST',
+      body: JSON.stringify({ language }),
+    });
+  }
+
+  async getGameSessions(limit = 10, page = 1) {
+    return this.request(`/games/sessions?limit=${limit}&page=${page}`);
+  }
+
+  async getGameSession(sessionId) {
+    return this.request(`/games/sessions/${sessionId}`);
+  }
+
+  // Recordings need the auth header, so they are fetched as a Blob rather than linked to
+  async getSessionAudio(sessionId) {
+    const response = await fetch(`${this.baseURL}/games/sessions/${sessionId}/audio`, {
+      headers: this.getAuthHeaders(),
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to load the recording');
+    }
+
+    return response.blob();
+  }
+
+  // Generated prompts for a game; theme is the topic for games that need one
+  async getGamePrompts(gameType, { count, difficulty, theme } = {}) {
+    const params = new URLSearchParams();
+    if (count) params.set('count', count);
+    if (difficulty) params.set('difficulty', difficulty);
+    if (theme) params.set('theme', theme);
+    return this.request(`/games/prompts/${gameType}?${params}`);
+  }
+
+  // Elevator pitches the user has practised, and every attempt at one of them
+  async getPitches() {
+    return this.request('/games/pitches');
+  }
+
+  async getPitchAttempts(pitchId) {
+    return this.request(`/games/pitches/${pitchId}`);
+  }
+
+  // Resolve a server-relative path against the backend origin
+  getAssetUrl(path) {
+    return `${this.baseURL.replace(/\/api$/, '')}${path}`;
+  }
+
   // User endpoints
   async getUserProfile() {
     return this.request('/users/profile');
   }
 
+  async updateUserProfile(profileData) {
+    return this.request('/users/profile', {
+      method: 'PUT',
+      body: JSON.stringify(profileData),
+    });
+  }
+
   async getUserStats() {
     return this.request('/users/stats');
   }
@@ -0,0 +1,31 @@
+import { io, type Socket } from 'socket.io-client';
+import apiService from './api';
+
+// One Socket.IO connection to the backend, shared by every hook that listens for
+// live events. It is opened on first use and authenticates with the stored token;
+// the token is read again on every reconnect, so a fresh login is picked up.
+let socket: Socket | null = null;
+
+export const getSocket = (): Socket => {
+  if (!socket) {
+    socket = io(apiService.getAssetUrl(''), {
+      auth: (cb) => cb({ token: localStorage.getItem('token') }),
+      withCredentials: true,
+    });
+  }
+  return socket;
+};
+
+// Close the connection, e.g. on logout; the next getSocket() opens a new one
+export const disconnectSocket = () => {
+  socket?.disconnect();
+  socket = null;
+};
+
+// The acknowledgement the server sends for 'join-game'
+export interface JoinGameReply {
+  success: boolean;
+  room: string;
+  code?: string;
+  message?: string;
+}